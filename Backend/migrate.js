@@ -12,7 +12,7 @@ async function migrate() {
       unit TEXT DEFAULT 'pcs',
       qty NUMERIC DEFAULT 0,
       reorder_level NUMERIC DEFAULT 0,
-      updated_at TIMESTAMP DEFAULT NOW()
+      updated_at TIMESTAMPTZ DEFAULT NOW()
     );
   `);
 
@@ -24,7 +24,7 @@ async function migrate() {
       type TEXT NOT NULL CHECK (type IN ('IN','OUT')),
       qty NUMERIC NOT NULL,
       note TEXT DEFAULT '',
-      created_at TIMESTAMP DEFAULT NOW()
+      created_at TIMESTAMPTZ DEFAULT NOW()
     );
   `);
 
@@ -34,7 +34,7 @@ async function migrate() {
       id SERIAL PRIMARY KEY,
       amount NUMERIC NOT NULL,
       description TEXT NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW()
+      created_at TIMESTAMPTZ DEFAULT NOW()
     );
   `);
 
@@ -54,7 +54,7 @@ async function migrate() {
       id SERIAL PRIMARY KEY,
       amount NUMERIC NOT NULL,
       description TEXT NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW()
+      created_at TIMESTAMPTZ DEFAULT NOW()
     );
   `);
 
@@ -0,0 +1,93 @@
+// Backend/routes/audit.js
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const { permit } = require("../utils/permissions");
+const { resolveLocation } = require("../utils/locations");
+const { AUDIT_ACTIONS, auditReady } = require("../utils/audit");
+const { isDate, localMidnightSql } = require("../utils/time");
+
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /": "audit:read",
+}));
+
+router.use(async (req, res, next) => {
+  try {
+    await auditReady();
+    next();
+  } catch (e) {
+    console.error("audit schema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+// branch-scoped like everything else; shared records (products) have no location and always show
+router.use(resolveLocation);
+
+function cleanStr(v, fallback = "") { return String(v ?? fallback).trim(); }
+
+// -----------------------
+// LIST AUDIT ENTRIES
+// filters: entity, entity_id, action, actor_id, from, to (YYYY-MM-DD, inclusive), limit, offset
+// -----------------------
+router.get("/", async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      where.push(sql.replace("?", `$${params.length}`));
+    };
+
+    const entity = cleanStr(req.query?.entity).toLowerCase();
+    const entityId = cleanStr(req.query?.entity_id);
+    const action = cleanStr(req.query?.action).toLowerCase();
+    const actorId = cleanStr(req.query?.actor_id);
+    const from = cleanStr(req.query?.from);
+    const to = cleanStr(req.query?.to);
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(", ")}` });
+    }
+    if (actorId && !/^\d+$/.test(actorId)) return res.status(400).json({ error: "Invalid actor_id" });
+    if (from && !isDate(from)) return res.status(400).json({ error: "from must be YYYY-MM-DD" });
+    if (to && !isDate(to)) return res.status(400).json({ error: "to must be YYYY-MM-DD" });
+
+    if (entity) add("a.entity = ?", entity);
+    if (entityId) add("a.entity_id = ?", entityId);
+    if (action) add("a.action = ?", action);
+    if (actorId) add("a.actor_id = ?", Number(actorId));
+    if (from) add(`a.created_at >= ${localMidnightSql("?::date")}`, from);
+    if (to) add(`a.created_at < ${localMidnightSql("?::date + 1")}`, to);
+    if (req.location) add("(a.location_id IS NULL OR a.location_id = ?)", req.location.id);
+
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const limit = Math.min(Math.max(Number.parseInt(req.query?.limit, 10) || 100, 1), 500);
+    const offset = Math.max(Number.parseInt(req.query?.offset, 10) || 0, 0);
+
+    const { rows: count } = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM audit_log a ${whereSql}`,
+      params
+    );
+
+    const { rows } = await pool.query(
+      `
+      SELECT a.*, l.name AS location_name
+      FROM audit_log a
+      LEFT JOIN locations l ON l.id = a.location_id
+      ${whereSql}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ${limit} OFFSET ${offset}
+      `,
+      params
+    );
+
+    res.json({ total: count[0].total, limit, offset, rows });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch audit log" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,375 @@
+// Backend/routes/auth.js
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const {
+  PIN_MAX_ATTEMPTS,
+  PIN_LOCK_MINUTES,
+  normRole,
+  hashPassword,
+  verifyPassword,
+  isValidPin,
+  signToken,
+  usersReady,
+  generateApiKey,
+  apiKeysReady,
+  publicUser,
+  requireAuth,
+} = require("../utils/auth");
+const {
+  API_KEY_SCOPES,
+  permissionsFor,
+  requestPermissions,
+  requirePermission,
+} = require("../utils/permissions");
+
+function cleanStr(v, fallback = "") { return String(v ?? fallback).trim(); }
+
+const MIN_PASSWORD_LENGTH = 6;
+const PIN_RULE = "PIN must be 4 to 6 digits";
+
+// login token + the user's permissions (same shape for password and PIN sign-in)
+function sessionFor(user) {
+  const { token, expires_at } = signToken(user);
+  return { token, expires_at, user: { ...publicUser(user), permissions: permissionsFor(user.role) } };
+}
+
+// PIN switching happens on a staff device; integrations (API keys) cannot use it
+function staffOnly(req, res, next) {
+  if (req.apiKey) return res.status(403).json({ error: "Not available to API keys" });
+  next();
+}
+
+// ✅ Ensure users table before every request
+router.use(async (req, res, next) => {
+  try {
+    await usersReady();
+    next();
+  } catch (e) {
+    console.error("users schema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+// -----------------------
+// LOGIN
+// -----------------------
+router.post("/login", async (req, res) => {
+  try {
+    const username = cleanStr(req.body?.username).toLowerCase();
+    const password = String(req.body?.password ?? "");
+
+    if (!username || !password) return res.status(400).json({ error: "username and password are required" });
+
+    const { rows } = await pool.query(`SELECT * FROM users WHERE username=$1`, [username]);
+    const user = rows[0];
+
+    if (!user || !user.is_active || !verifyPassword(password, user.password_hash)) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    // a password sign-in also clears any PIN lockout
+    if (user.pin_failed_attempts || user.pin_locked_until) {
+      await pool.query(`UPDATE users SET pin_failed_attempts=0, pin_locked_until=NULL WHERE id=$1`, [user.id]);
+    }
+
+    res.json(sessionFor(user));
+  } catch (e) {
+    console.error("POST /login error:", e);
+    res.status(500).json({ error: e.message || "Login failed" });
+  }
+});
+
+// -----------------------
+// PIN SWITCHING (shared tablet)
+// The tablet must already hold a valid login, so a PIN alone never opens the app.
+// -----------------------
+router.get("/pin-users", requireAuth, staffOnly, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, username, COALESCE(NULLIF(display_name,''), username) AS display_name, role
+       FROM users
+       WHERE is_active AND pin_hash IS NOT NULL
+       ORDER BY display_name ASC, id ASC`
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch staff" });
+  }
+});
+
+router.post("/pin-login", requireAuth, staffOnly, async (req, res) => {
+  try {
+    const userId = Number(req.body?.user_id);
+    const pin = String(req.body?.pin ?? "");
+    if (!Number.isInteger(userId)) return res.status(400).json({ error: "user_id is required" });
+    if (!pin) return res.status(400).json({ error: "pin is required" });
+
+    const { rows } = await pool.query(`SELECT * FROM users WHERE id=$1`, [userId]);
+    const user = rows[0];
+    if (!user || !user.is_active || !user.pin_hash) {
+      return res.status(401).json({ error: "PIN sign-in is not set up for this user" });
+    }
+
+    if (user.pin_locked_until && new Date(user.pin_locked_until) > new Date()) {
+      return res.status(429).json({ error: "Too many wrong PINs. Try again in a few minutes or sign in with your password." });
+    }
+
+    if (!verifyPassword(pin, user.pin_hash)) {
+      const { rows: upd } = await pool.query(
+        `UPDATE users
+         SET pin_failed_attempts = pin_failed_attempts + 1,
+             pin_locked_until = CASE WHEN pin_failed_attempts + 1 >= $2
+                                     THEN NOW() + ($3 || ' minutes')::interval END
+         WHERE id=$1
+         RETURNING pin_failed_attempts`,
+        [userId, PIN_MAX_ATTEMPTS, String(PIN_LOCK_MINUTES)]
+      );
+      const left = PIN_MAX_ATTEMPTS - (upd[0]?.pin_failed_attempts || 0);
+      return res.status(401).json({
+        error: left > 0 ? `Wrong PIN (${left} ${left === 1 ? "try" : "tries"} left)` : `Wrong PIN. Locked for ${PIN_LOCK_MINUTES} minutes.`,
+      });
+    }
+
+    await pool.query(`UPDATE users SET pin_failed_attempts=0, pin_locked_until=NULL WHERE id=$1`, [userId]);
+    res.json(sessionFor(user));
+  } catch (e) {
+    console.error("POST /pin-login error:", e);
+    res.status(500).json({ error: e.message || "PIN sign-in failed" });
+  }
+});
+
+// Staff set (or clear, with pin: null) their own PIN; needs their password
+router.put("/me/pin", requireAuth, staffOnly, async (req, res) => {
+  try {
+    const password = String(req.body?.current_password ?? "");
+    const pin = req.body?.pin;
+    const clearing = pin === null || pin === "";
+
+    if (!clearing && !isValidPin(pin)) return res.status(400).json({ error: PIN_RULE });
+
+    const { rows } = await pool.query(`SELECT password_hash FROM users WHERE id=$1`, [req.user.id]);
+    if (!rows[0] || !verifyPassword(password, rows[0].password_hash)) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET pin_hash=$1, pin_failed_attempts=0, pin_locked_until=NULL, updated_at=NOW()
+       WHERE id=$2`,
+      [clearing ? null : hashPassword(String(pin)), req.user.id]
+    );
+    res.json({ ok: true, has_pin: !clearing });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to set PIN" });
+  }
+});
+
+router.get("/me", requireAuth, (req, res) => {
+  res.json({ user: { ...req.user, permissions: requestPermissions(req) }, api_key: req.apiKey || null });
+});
+
+// -----------------------
+// USER MANAGEMENT (owner only)
+// -----------------------
+router.get("/users", requireAuth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, username, display_name, role, is_active, created_at, updated_at,
+              pin_hash IS NOT NULL AS has_pin
+       FROM users
+       ORDER BY id ASC`
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch users" });
+  }
+});
+
+router.post("/users", requireAuth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const username = cleanStr(req.body?.username).toLowerCase();
+    const display_name = cleanStr(req.body?.display_name) || username;
+    const password = String(req.body?.password ?? "");
+    const role = normRole(req.body?.role);
+    const pin = cleanStr(req.body?.pin);
+
+    if (!username) return res.status(400).json({ error: "username is required" });
+    if (!role) return res.status(400).json({ error: "role must be owner, manager or cashier" });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (pin && !isValidPin(pin)) return res.status(400).json({ error: PIN_RULE });
+
+    const { rows } = await pool.query(
+      `INSERT INTO users (username, display_name, password_hash, role, pin_hash)
+       VALUES ($1,$2,$3,$4,$5)
+       ON CONFLICT (username) DO NOTHING
+       RETURNING id, username, display_name, role, is_active, created_at, updated_at,
+                 pin_hash IS NOT NULL AS has_pin`,
+      [username, display_name, hashPassword(password), role, pin ? hashPassword(pin) : null]
+    );
+
+    if (!rows[0]) return res.status(409).json({ error: "Username already exists" });
+    res.json(rows[0]);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to create user" });
+  }
+});
+
+router.put("/users/:id", requireAuth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid user id" });
+
+    const { rows: found } = await pool.query(`SELECT * FROM users WHERE id=$1`, [id]);
+    const prev = found[0];
+    if (!prev) return res.status(404).json({ error: "User not found" });
+
+    const display_name = cleanStr(req.body?.display_name ?? prev.display_name) || prev.username;
+    const role = req.body?.role === undefined ? prev.role : normRole(req.body.role);
+    const is_active = req.body?.is_active === undefined ? prev.is_active : Boolean(req.body.is_active);
+    const password = req.body?.password;
+    const pin = req.body?.pin;
+
+    if (!role) return res.status(400).json({ error: "role must be owner, manager or cashier" });
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    // pin: undefined keeps it, null / "" clears it
+    const clearPin = pin === null || pin === "";
+    if (pin !== undefined && !clearPin && !isValidPin(pin)) return res.status(400).json({ error: PIN_RULE });
+
+    // never lock the business out of its last owner account
+    if (prev.role === "owner" && (role !== "owner" || !is_active)) {
+      const { rows: owners } = await pool.query(
+        `SELECT COUNT(*)::int AS n FROM users WHERE role='owner' AND is_active AND id<>$1`,
+        [id]
+      );
+      if (!owners[0].n) return res.status(400).json({ error: "At least one active owner is required" });
+    }
+
+    const pinHash = pin === undefined ? prev.pin_hash : (clearPin ? null : hashPassword(String(pin)));
+
+    const { rows } = await pool.query(
+      `UPDATE users
+       SET display_name=$1, role=$2, is_active=$3,
+           password_hash=COALESCE($4, password_hash),
+           pin_hash=$5,
+           pin_failed_attempts=CASE WHEN $6 THEN 0 ELSE pin_failed_attempts END,
+           pin_locked_until=CASE WHEN $6 THEN NULL ELSE pin_locked_until END,
+           updated_at=NOW()
+       WHERE id=$7
+       RETURNING id, username, display_name, role, is_active, created_at, updated_at,
+                 pin_hash IS NOT NULL AS has_pin`,
+      [
+        display_name,
+        role,
+        is_active,
+        password !== undefined ? hashPassword(password) : null,
+        pinHash,
+        pin !== undefined,
+        id,
+      ]
+    );
+
+    res.json(rows[0]);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to update user" });
+  }
+});
+
+// -----------------------
+// API KEYS (owner only)
+// the raw key is only returned by POST; afterwards only its prefix is shown
+// -----------------------
+const API_KEY_COLUMNS = `
+  k.id, k.name, k.key_prefix, k.scopes, k.created_at, k.last_used_at, k.revoked_at,
+  COALESCE(cu.display_name, cu.username) AS created_by_name,
+  COALESCE(ru.display_name, ru.username) AS revoked_by_name
+`;
+
+async function fetchApiKey(id) {
+  const { rows } = await pool.query(
+    `SELECT ${API_KEY_COLUMNS}
+     FROM api_keys k
+     LEFT JOIN users cu ON cu.id = k.created_by
+     LEFT JOIN users ru ON ru.id = k.revoked_by
+     WHERE k.id=$1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+router.get("/api-keys", requireAuth, requirePermission("api_keys:manage"), async (req, res) => {
+  try {
+    await apiKeysReady();
+    const { rows } = await pool.query(
+      `SELECT ${API_KEY_COLUMNS}
+       FROM api_keys k
+       LEFT JOIN users cu ON cu.id = k.created_by
+       LEFT JOIN users ru ON ru.id = k.revoked_by
+       ORDER BY k.revoked_at IS NOT NULL, k.id DESC`
+    );
+    res.json({ keys: rows, scopes: Object.keys(API_KEY_SCOPES) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch API keys" });
+  }
+});
+
+router.post("/api-keys", requireAuth, requirePermission("api_keys:manage"), async (req, res) => {
+  try {
+    await apiKeysReady();
+
+    const name = cleanStr(req.body?.name);
+    const scopes = Array.isArray(req.body?.scopes)
+      ? Array.from(new Set(req.body.scopes.map((s) => cleanStr(s).toLowerCase()).filter(Boolean)))
+      : [];
+
+    if (!name) return res.status(400).json({ error: "name is required" });
+    if (!scopes.length) return res.status(400).json({ error: "Pick at least one scope" });
+
+    const unknown = scopes.filter((s) => !API_KEY_SCOPES[s]);
+    if (unknown.length) {
+      return res.status(400).json({
+        error: `Unknown scope(s): ${unknown.join(", ")}. Allowed: ${Object.keys(API_KEY_SCOPES).join(", ")}`,
+      });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const { rows } = await pool.query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING id`,
+      [name, prefix, hash, scopes, req.user.id]
+    );
+
+    res.json({ ...(await fetchApiKey(rows[0].id)), key });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to create API key" });
+  }
+});
+
+router.post("/api-keys/:id/revoke", requireAuth, requirePermission("api_keys:manage"), async (req, res) => {
+  try {
+    await apiKeysReady();
+
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid API key id" });
+
+    // revoking twice keeps the first revoked_at / revoked_by
+    const { rowCount } = await pool.query(
+      `UPDATE api_keys
+       SET revoked_at=COALESCE(revoked_at, NOW()), revoked_by=COALESCE(revoked_by, $1)
+       WHERE id=$2`,
+      [req.user.id, id]
+    );
+    if (!rowCount) return res.status(404).json({ error: "API key not found" });
+
+    res.json(await fetchApiKey(id));
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to revoke API key" });
+  }
+});
+
+module.exports = router;
@@ -1,33 +1,299 @@
 // Backend/routes/finance.js
 const express = require("express");
 const router = express.Router();
-const { pool, all, get, query } = require("../db");
+const { pool, all, get } = require("../db");
 const { sendMailWithAttachment } = require("../utils/mailer");
+const { permit, requestCan } = require("../utils/permissions");
+const { usersReady } = require("../utils/auth");
+const { locationsReady, resolveLocation, locationClause, andWhere } = require("../utils/locations");
+const { adjustStock, costingReady, applyCostIn } = require("../utils/stock");
+const { auditReady, recordAudit } = require("../utils/audit");
+const { httpError } = require("../utils/errors");
+const { round2, csvEscape } = require("../utils/format");
+const {
+  TODAY_SQL,
+  localMidnightSql,
+  localDateSql,
+  dateRangeSql,
+  formatBusinessDateTime,
+  isDate,
+  businessDate,
+  ensureTimestamptz,
+  parseTransactionDate,
+  transactionTimestamp,
+} = require("../utils/time");
+const {
+  PAYMENT_METHODS,
+  PAYMENT_LABELS,
+  ensurePaymentsSchema,
+  parsePayments,
+  writeSalePayments,
+} = require("../utils/payments");
+const { menuReady, parseSaleLines, priceSaleLines, writeSaleLines, recipeUsage } = require("../utils/menu");
+const { ensureChargesSchema, parseDiscount, saleCharges, chargesFromTotal } = require("../utils/charges");
+const { getSettings } = require("../utils/settings");
+const { periodsReady, assertPeriodOpen } = require("../utils/periods");
+const {
+  ensureRecurringSchema,
+  nextOccurrence,
+  occurrenceFrom,
+  parseFrequency,
+  parseNextDue,
+  postDueTemplate,
+} = require("../utils/recurring");
+const { ensureClosingsSchema, expectedTakings, parseCounted, renderZReportHtml, zReportCsv } = require("../utils/closings");
+const { THERMAL_WIDTHS, ensureReceiptsSchema, nextReceiptNo, receiptNumber, renderReceiptHtml, renderReceiptText } = require("../utils/receipts");
+
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /sales": "finance:read",
+  "GET /sales/:id/receipt": "finance:read",
+  "GET /sales/:id/receipt.txt": "finance:read",
+  "POST /sales": "sales:create",
+  "PUT /sales/:id": "sales:update",
+  "DELETE /sales/:id": "sales:void",
+  "POST /sales/:id/void": "sales:void",
+  "POST /sales/:id/refunds": "sales:refund",
+  "GET /expenses": "finance:read",
+  "POST /expenses": "expenses:create",
+  "PUT /expenses/:id": "expenses:update",
+  "DELETE /expenses/:id": "expenses:delete",
+  "GET /report": "reports:read",
+  "GET /report/staff": "reports:read",
+  "GET /report/budget": "reports:read",
+  "GET /report/payments": "reports:read",
+  "GET /report/menu-items": "reports:read",
+  "GET /report/margin": "reports:read",
+  "GET /closings": "closings:read",
+  "GET /closings/expected": "closings:read",
+  "POST /closings": "closings:manage",
+  "GET /closings/:id": "closings:read",
+  "GET /closings/:id/zreport": "closings:read",
+  "GET /closings/:id/zreport.csv": "closings:read",
+  "GET /report/tax": "reports:read",
+  "GET /export/tax.csv": "reports:read",
+  "GET /export/payments.csv": "reports:read",
+  "GET /recurring-expenses": "finance:read",
+  "POST /recurring-expenses": "recurring_expenses:manage",
+  "PUT /recurring-expenses/:id": "recurring_expenses:manage",
+  "POST /recurring-expenses/:id/skip": "recurring_expenses:manage",
+  "GET /expense-categories": "finance:read",
+  "POST /expense-categories": "expense_categories:manage",
+  "PUT /expense-categories/:id": "expense_categories:manage",
+  "PUT /expense-categories/:id/budget": "budgets:manage",
+  "GET /export/finance.csv": "reports:read",
+  "POST /email/finance": "reports:read",
+}));
+
+/**
+ * ✅ Ensure finance columns (runs once per process)
+ * created_by / updated_by record which staff member wrote each row.
+ * expense_categories / expense_budgets: managed categories, standing monthly budget per branch.
+ * sales.status + sale_refunds: sales are voided or refunded, never deleted.
+ */
+let schemaReady = null;
+
+const DEFAULT_EXPENSE_CATEGORIES = ["Fuel", "Gas", "Salaries", "Rent", "Ingredients", "Utilities", "Repairs", "Other"];
+
+async function ensureSchema() {
+  await usersReady();
+
+  for (const table of ["sales", "expenses"]) {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS created_by INT REFERENCES users(id) ON DELETE SET NULL`);
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS updated_by INT REFERENCES users(id) ON DELETE SET NULL`);
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ`);
+  }
+
+  // sales write stock movements too
+  await pool.query(`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS created_by INT REFERENCES users(id) ON DELETE SET NULL`);
+  // movements written by a sale (so a re-dated sale can move them with it)
+  await pool.query(`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS sale_id INT REFERENCES sales(id) ON DELETE SET NULL`);
+
+  // databases created by migrate.js have plain TIMESTAMP here
+  await ensureTimestamptz("sales", "created_at");
+  await ensureTimestamptz("expenses", "created_at");
+
+  // location_id on sales / expenses / stock_movements
+  await locationsReady();
+
+  // sale_items.unit_cost / cost (COGS) + products.avg_cost
+  await costingReady();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS expense_categories (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+
+  const { rows: catCount } = await pool.query(`SELECT COUNT(*)::int AS n FROM expense_categories`);
+  if (!catCount[0].n) {
+    await pool.query(
+      `INSERT INTO expense_categories (name)
+       SELECT UNNEST($1::text[])
+       ON CONFLICT (name) DO NOTHING`,
+      [DEFAULT_EXPENSE_CATEGORIES]
+    );
+  }
+
+  // older expenses stay uncategorized (NULL)
+  await pool.query(`ALTER TABLE expenses ADD COLUMN IF NOT EXISTS category_id INT REFERENCES expense_categories(id)`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS expense_budgets (
+      category_id INT NOT NULL REFERENCES expense_categories(id) ON DELETE CASCADE,
+      location_id INT NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+      amount NUMERIC NOT NULL CHECK (amount >= 0),
+      updated_by INT REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (category_id, location_id)
+    )
+  `);
+
+  // cash / POS / transfer split per sale
+  await ensurePaymentsSchema(pool);
+
+  // subtotal, discount, service charge and VAT behind each sale's amount
+  await ensureChargesSchema(pool);
+
+  // gap-free receipt numbers
+  await ensureReceiptsSchema(pool);
+
+  // end-of-day cash-up (Z-report)
+  await ensureClosingsSchema(pool);
+
+  // recurring expense templates, posted by the scheduler (utils/recurring.js)
+  await ensureRecurringSchema(pool);
+
+  // completed -> voided (never happened) or partially_refunded -> refunded; the row always stays
+  await pool.query(`
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'completed'
+    CHECK (status IN ('completed','voided','partially_refunded','refunded'))
+  `);
+  await pool.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS void_reason TEXT`);
+  await pool.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS voided_by INT REFERENCES users(id) ON DELETE SET NULL`);
+  await pool.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ`);
+
+  // money given back on a sale (dated when refunded), and any stock that came back with it
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sale_refunds (
+      id SERIAL PRIMARY KEY,
+      sale_id INT NOT NULL REFERENCES sales(id),
+      location_id INT REFERENCES locations(id),
+      amount NUMERIC NOT NULL CHECK (amount > 0),
+      method TEXT NOT NULL CHECK (method IN ('cash','pos','transfer')),
+      reason TEXT NOT NULL,
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS sale_refunds_sale_idx ON sale_refunds (sale_id)`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sale_refund_items (
+      refund_id INT NOT NULL REFERENCES sale_refunds(id) ON DELETE CASCADE,
+      product_id INT NOT NULL REFERENCES products(id),
+      qty NUMERIC NOT NULL CHECK (qty > 0),
+      unit_cost NUMERIC,
+      PRIMARY KEY (refund_id, product_id)
+    )
+  `);
+
+  // menu_items + sale_lines (itemized sales)
+  await menuReady();
+
+  // every create / update / delete below writes an audit_log row
+  await auditReady();
+
+  // locked-through date: nothing on or before it changes (utils/periods.js)
+  await periodsReady();
+}
+
+router.use(async (req, res, next) => {
+  try {
+    if (!schemaReady) {
+      schemaReady = ensureSchema().catch((e) => {
+        schemaReady = null;
+        throw e;
+      });
+    }
+    await schemaReady;
+    next();
+  } catch (e) {
+    console.error("finance ensureSchema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+// ✅ Every finance call works on one branch (x-location-id), or all branches for reads
+router.use(resolveLocation);
 
 function cleanStr(v, fallback = "") { return String(v ?? fallback).trim(); }
 function toNumber(v, fallback = 0) { const n = Number(v); return Number.isFinite(n) ? n : fallback; }
-function csvEscape(value) {
-  const s = String(value ?? "");
-  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
-}
 
+// Named periods on the business clock (utils/time.js): today, last 7 days incl. today, this month, this year
 function periodWhere(period) {
+  const since = (startDateSql, span) =>
+    `created_at >= ${localMidnightSql(startDateSql)} AND created_at < ${localMidnightSql(`${startDateSql} + ${span}`)}`;
+
   switch (period) {
-    case "daily": return `created_at >= NOW() - INTERVAL '1 day'`;
-    case "weekly": return `created_at >= NOW() - INTERVAL '7 days'`;
-    case "monthly": return `date_trunc('month', created_at) = date_trunc('month', NOW())`;
-    case "yearly": return `date_trunc('year', created_at) = date_trunc('year', NOW())`;
+    case "daily": return since(TODAY_SQL, "1");
+    case "weekly": return since(`${TODAY_SQL} - 6`, "7");
+    case "monthly": return since(`date_trunc('month', ${TODAY_SQL})::date`, "INTERVAL '1 month'");
+    case "yearly": return since(`date_trunc('year', ${TODAY_SQL})::date`, "INTERVAL '1 year'");
     default: return null;
   }
 }
 
+// voided sales never happened: reports leave them out
+const LIVE_SALES = "status <> 'voided'";
+const SALE_STATUSES = ["completed", "voided", "partially_refunded", "refunded"];
+
+
+/**
+ * Report window from a query/body: a named period, or from/to dates (YYYY-MM-DD, inclusive).
+ * Either end of a date range may be left open. Throws 400 on bad input.
+ */
+function reportRange(src = {}) {
+  const from = cleanStr(src.from);
+  const to = cleanStr(src.to);
+
+  if (from || to) {
+    if (from && !isDate(from)) throw httpError(400, "from must be YYYY-MM-DD");
+    if (to && !isDate(to)) throw httpError(400, "to must be YYYY-MM-DD");
+    if (from && to && from > to) throw httpError(400, "from must be on or before to");
+
+    return {
+      period: null,
+      from: from || null,
+      to: to || null,
+      label: from && to ? (from === to ? from : `${from} to ${to}`) : from ? `from ${from}` : `up to ${to}`,
+      slug: [from || "start", to || "now"].join("_"),
+      // validated above, safe to inline
+      where: dateRangeSql(from, to),
+    };
+  }
+
+  const period = cleanStr(src.period).toLowerCase();
+  const where = periodWhere(period);
+  if (!where) throw httpError(400, "Invalid period (use daily, weekly, monthly, yearly or from/to dates)");
+  return { period, from: null, to: null, label: period.toUpperCase(), slug: period, where };
+}
+
 async function fetchSalesWithItems(whereSql) {
   const sales = await all(
-    `SELECT id, amount, description, created_at
-     FROM sales
-     ${whereSql ? `WHERE ${whereSql}` : ""}
-     ORDER BY created_at DESC, id DESC`
+    `SELECT s.id, s.receipt_no, s.amount, s.description, s.created_at, s.location_id, s.status,
+            s.subtotal, s.discount_type, s.discount_value, s.discount_amount, s.discount_reason,
+            s.service_charge_rate, s.service_charge, s.tax_rate, s.tax,
+            s.created_by, COALESCE(cu.display_name, cu.username) AS created_by_name,
+            s.updated_by, COALESCE(uu.display_name, uu.username) AS updated_by_name, s.updated_at,
+            s.void_reason, s.voided_at, COALESCE(vu.display_name, vu.username) AS voided_by_name
+     FROM (SELECT * FROM sales ${whereSql ? `WHERE ${whereSql}` : ""}) s
+     LEFT JOIN users cu ON cu.id = s.created_by
+     LEFT JOIN users uu ON uu.id = s.updated_by
+     LEFT JOIN users vu ON vu.id = s.voided_by
+     ORDER BY s.created_at DESC, s.id DESC`
   );
   if (!sales.length) return [];
 
@@ -40,8 +306,33 @@ async function fetchSalesWithItems(whereSql) {
     [ids]
   );
 
+  const payments = await all(
+    `SELECT sale_id, method, amount FROM sale_payments WHERE sale_id = ANY($1::int[]) ORDER BY id ASC`,
+    [ids]
+  );
+
+  const lines = await all(
+    `SELECT sale_id, menu_item_id, item_name, qty, unit_price, line_total
+     FROM sale_lines WHERE sale_id = ANY($1::int[]) ORDER BY id ASC`,
+    [ids]
+  );
+
+  const refunds = await all(
+    `SELECT r.id, r.sale_id, r.amount, r.method, r.reason, r.created_at,
+            COALESCE(u.display_name, u.username) AS created_by_name,
+            COALESCE((
+              SELECT json_agg(json_build_object('product_id', ri.product_id, 'qty', ri.qty) ORDER BY ri.product_id)
+              FROM sale_refund_items ri WHERE ri.refund_id = r.id
+            ), '[]') AS items
+     FROM sale_refunds r
+     LEFT JOIN users u ON u.id = r.created_by
+     WHERE r.sale_id = ANY($1::int[])
+     ORDER BY r.created_at ASC, r.id ASC`,
+    [ids]
+  );
+
   const map = new Map();
-  for (const s of sales) map.set(s.id, { ...s, items: [] });
+  for (const s of sales) map.set(s.id, { ...s, items: [], payments: [], lines: [], refunds: [], refunded: 0 });
   for (const it of items) {
     map.get(it.sale_id)?.items.push({
       product_id: it.product_id,
@@ -50,163 +341,786 @@ async function fetchSalesWithItems(whereSql) {
       product_unit: it.product_unit
     });
   }
+  for (const p of payments) {
+    map.get(p.sale_id)?.payments.push({ method: p.method, amount: Number(p.amount) });
+  }
+  for (const l of lines) map.get(l.sale_id)?.lines.push(saleLineOut(l));
+  for (const r of refunds) {
+    const sale = map.get(r.sale_id);
+    if (!sale) continue;
+    const { sale_id: _saleId, ...refund } = r;
+    sale.refunds.push({ ...refund, amount: Number(r.amount) });
+    sale.refunded = round2(sale.refunded + Number(r.amount));
+  }
   return Array.from(map.values());
 }
 
+function saleLineOut(l) {
+  return {
+    menu_item_id: l.menu_item_id,
+    item_name: l.item_name,
+    qty: Number(l.qty),
+    unit_price: Number(l.unit_price),
+    line_total: Number(l.line_total),
+  };
+}
+
+// Sale row + items as stored, read through `db` so it sees the open transaction (audit before/after)
+async function saleSnapshot(db, id) {
+  const { rows } = await db.query(`SELECT * FROM sales WHERE id=$1`, [id]);
+  if (!rows[0]) return null;
+
+  const { rows: items } = await db.query(
+    `SELECT product_id, qty_used, unit_cost FROM sale_items WHERE sale_id=$1 ORDER BY product_id ASC`,
+    [id]
+  );
+  const { rows: payments } = await db.query(
+    `SELECT method, amount FROM sale_payments WHERE sale_id=$1 ORDER BY method ASC`,
+    [id]
+  );
+  const { rows: lines } = await db.query(
+    `SELECT menu_item_id, item_name, qty, unit_price, line_total FROM sale_lines WHERE sale_id=$1 ORDER BY id ASC`,
+    [id]
+  );
+  const { rows: refunds } = await db.query(
+    `SELECT r.id, r.amount, r.method, r.reason,
+            COALESCE((
+              SELECT json_agg(json_build_object('product_id', ri.product_id, 'qty', ri.qty) ORDER BY ri.product_id)
+              FROM sale_refund_items ri WHERE ri.refund_id = r.id
+            ), '[]') AS items
+     FROM sale_refunds r WHERE r.sale_id=$1 ORDER BY r.id ASC`,
+    [id]
+  );
+  return {
+    ...rows[0],
+    items: items.map(it => ({
+      product_id: it.product_id,
+      qty_used: Number(it.qty_used),
+      unit_cost: it.unit_cost === null ? null : Number(it.unit_cost),
+    })),
+    payments: payments.map(p => ({ method: p.method, amount: Number(p.amount) })),
+    lines: lines.map(saleLineOut),
+    refunds: refunds.map(r => ({ ...r, amount: Number(r.amount) })),
+  };
+}
+
+async function fetchRefunds(whereSql) {
+  return all(
+    `SELECT r.id, r.sale_id, r.amount, r.method, r.reason, r.created_at, r.location_id,
+            COALESCE(u.display_name, u.username) AS created_by_name
+     FROM (SELECT * FROM sale_refunds ${whereSql ? `WHERE ${whereSql}` : ""}) r
+     LEFT JOIN users u ON u.id = r.created_by
+     ORDER BY r.created_at DESC, r.id DESC`
+  );
+}
+
+async function fetchExpenses(whereSql) {
+  return all(
+    `SELECT e.id, e.amount, e.description, e.created_at, e.location_id,
+            e.category_id, c.name AS category_name, e.recurring_id,
+            e.created_by, COALESCE(cu.display_name, cu.username) AS created_by_name,
+            e.updated_by, COALESCE(uu.display_name, uu.username) AS updated_by_name, e.updated_at
+     FROM (SELECT * FROM expenses ${whereSql ? `WHERE ${whereSql}` : ""}) e
+     LEFT JOIN expense_categories c ON c.id = e.category_id
+     LEFT JOIN users cu ON cu.id = e.created_by
+     LEFT JOIN users uu ON uu.id = e.updated_by
+     ORDER BY e.created_at DESC, e.id DESC`
+  );
+}
+
+// category_id from a request body: null/"" -> uncategorized, otherwise an active category
+async function resolveCategoryId(db, raw) {
+  if (raw === null || raw === undefined || raw === "") return null;
+
+  const id = Number(raw);
+  if (!Number.isInteger(id)) throw httpError(400, "Invalid expense category");
+
+  const { rows } = await db.query(`SELECT id FROM expense_categories WHERE id=$1 AND is_active`, [id]);
+  if (!rows[0]) throw httpError(400, "Unknown or inactive expense category");
+  return id;
+}
+
+// transaction_date from the body (null = now); any day other than today needs finance:backdate
+function requestedDate(req) {
+  const date = parseTransactionDate(req.body?.transaction_date);
+  if (date && date !== businessDate() && !requestCan(req, "finance:backdate")) {
+    throw httpError(403, "You are not allowed to backdate entries");
+  }
+  return date;
+}
+
+// new created_at for an update, or null to keep it (no date sent, or same business day)
+async function redatedTimestamp(db, req, currentCreatedAt) {
+  const date = requestedDate(req);
+  if (!date || date === businessDate(currentCreatedAt)) return null;
+  return transactionTimestamp(db, date);
+}
+
 // ---- Sales ----
+// ?status=completed|voided|partially_refunded|refunded narrows the list
 router.get("/sales", async (req, res) => {
   try {
-    res.json(await fetchSalesWithItems(null));
+    const status = cleanStr(req.query?.status).toLowerCase();
+    if (status && !SALE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${SALE_STATUSES.join(", ")}` });
+    }
+    res.json(await fetchSalesWithItems(andWhere(locationClause(req), status ? `status = '${status}'` : "")));
   } catch (e) {
     res.status(500).json({ error: e.message || "Failed to fetch sales" });
   }
 });
 
-router.post("/sales", async (req, res) => {
-  const amount = toNumber(req.body?.amount, 0);
-  const description = cleanStr(req.body?.description);
-  const items = Array.isArray(req.body?.items) ? req.body.items : [];
+// Printable receipt: HTML page, or plain text for a thermal printer (?paper=58|80, default 80)
+async function receiptParts(req) {
+  const id = toNumber(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) throw httpError(400, "Invalid sale id");
 
-  if (amount <= 0) return res.status(400).json({ error: "amount must be > 0" });
-  if (!description) return res.status(400).json({ error: "description is required" });
+  const [sale] = await fetchSalesWithItems(andWhere(`id = ${id}`, locationClause(req)));
+  if (!sale) throw httpError(404, "Sale not found");
 
-  const client = await pool.connect();
+  const location = await get(`SELECT id, name FROM locations WHERE id=$1`, [sale.location_id]);
+  return { sale, location, settings: await getSettings() };
+}
+
+router.get("/sales/:id/receipt", async (req, res) => {
   try {
-    await client.query("BEGIN");
+    const { sale, location, settings } = await receiptParts(req);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(renderReceiptHtml(sale, settings, location));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to render receipt" });
+  }
+});
 
-    // lock products for stock-out
-    for (const it of items) {
-      const pid = toNumber(it.product_id);
-      const qtyUsed = toNumber(it.qty_used);
-      if (!pid || qtyUsed <= 0) {
-        await client.query("ROLLBACK");
-        return res.status(400).json({ error: "Invalid sale items" });
-      }
+router.get("/sales/:id/receipt.txt", async (req, res) => {
+  try {
+    const paper = toNumber(req.query?.paper, 80);
+    if (!THERMAL_WIDTHS[paper]) throw httpError(400, "paper must be 58 or 80");
 
-      const p = await client.query(`SELECT id, qty FROM products WHERE id=$1 FOR UPDATE`, [pid]);
-      if (!p.rows[0]) {
-        await client.query("ROLLBACK");
-        return res.status(404).json({ error: `Product not found: ${pid}` });
-      }
+    const { sale, location, settings } = await receiptParts(req);
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="receipt-${receiptNumber(sale.receipt_no)}.txt"`);
+    res.send(renderReceiptText(sale, settings, location, paper));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to render receipt" });
+  }
+});
 
-      const currentQty = Number(p.rows[0].qty) || 0;
-      if (currentQty - qtyUsed < 0) {
-        await client.query("ROLLBACK");
-        return res.status(400).json({ error: `Insufficient stock for product ${pid}` });
-      }
+/**
+ * Stock used by a sale: recipe ingredients of its lines, then manual `items` on top.
+ * A manual entry replaces the recipe qty for that product (0 drops it) and adds
+ * products the recipes don't list. use_recipes: false stocks out manual items only.
+ * Returns Map(product_id -> qty_used) in product id order, so concurrent sales
+ * lock products in the same order.
+ */
+async function saleUsage(db, pricedLines, items, useRecipes) {
+  const usage = useRecipes ? await recipeUsage(db, pricedLines) : new Map();
+
+  const manual = new Map();
+  for (const it of items) {
+    const pid = toNumber(it.product_id);
+    manual.set(pid, (manual.get(pid) || 0) + toNumber(it.qty_used));
+  }
+  for (const [pid, qty] of manual) usage.set(pid, qty);
+
+  return new Map(
+    Array.from(usage)
+      .filter(([, qty]) => qty > 0)
+      .sort(([a], [b]) => a - b)
+  );
+}
+
+/**
+ * Bring a sale's stock usage to `items` (inside the caller's transaction): only the
+ * difference per product is moved. More used -> OUT at the current average cost
+ * (locked, insufficient stock -> 400, like a new sale); less used -> IN at the cost
+ * it went out at. Compensating movements carry the sale's id and time `at`.
+ */
+async function resaleItems(client, req, saleId, locationId, items, at, description) {
+  const { rows: current } = await client.query(
+    `SELECT product_id, qty_used, unit_cost, cost FROM sale_items WHERE sale_id=$1`,
+    [saleId]
+  );
+  // older edits could leave one product on several rows: work from the per-product total
+  const old = new Map();
+  for (const it of current) {
+    const pid = Number(it.product_id);
+    const was = old.get(pid) || { qty_used: 0, costed: 0, cost: 0 };
+    const qty = Number(it.qty_used);
+    was.qty_used += qty;
+    if (it.unit_cost !== null) {
+      was.costed += qty;
+      was.cost += Number(it.unit_cost) * qty;
+    }
+    old.set(pid, was);
+  }
+  for (const was of old.values()) was.unit_cost = was.costed ? was.cost / was.costed : null;
 
-      const newQty = currentQty - qtyUsed;
+  const wanted = new Map();
+  for (const it of items) {
+    const pid = toNumber(it.product_id);
+    wanted.set(pid, (wanted.get(pid) || 0) + toNumber(it.qty_used));
+  }
+
+  const pids = [...new Set([...old.keys(), ...wanted.keys()])].sort((a, b) => a - b);
+  for (const pid of pids) {
+    const was = old.get(pid);
+    const oldQty = was ? Number(was.qty_used) : 0;
+    const newQty = Math.round((wanted.get(pid) || 0) * 1e6) / 1e6;
+    const delta = Math.round((newQty - oldQty) * 1e6) / 1e6;
+    if (!delta) continue;
+
+    const oldUnitCost = was?.unit_cost ?? null;
+    const { product } = await adjustStock(client, { productId: pid, locationId, delta: -delta });
+
+    let unitCost;
+    let cost;
+    if (delta > 0) {
+      const addedCost = product.avg_cost === null ? oldUnitCost : Number(product.avg_cost);
+      await client.query(
+        `INSERT INTO stock_movements (product_id, type, qty, reason, note, created_by, location_id, sale_id, created_at, unit_cost)
+         VALUES ($1,'OUT',$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [pid, delta, "SALE", `Stock-out from edited sale: ${description}`, req.user.id, locationId, saleId, at, addedCost]
+      );
+      // the line's cost = what already went out + the extra at today's cost;
+      // if only one side has a cost, it is used for both
+      const oldCost = oldUnitCost === null ? null : oldUnitCost * oldQty;
+      unitCost = addedCost === null ? null
+        : Math.round((((oldCost ?? addedCost * oldQty) + addedCost * delta) / newQty) * 1e6) / 1e6;
+      cost = unitCost === null ? null : round2(unitCost * newQty);
+    } else {
+      if (oldUnitCost !== null) await applyCostIn(client, product, -delta, oldUnitCost);
+      await client.query(
+        `INSERT INTO stock_movements (product_id, type, qty, reason, note, created_by, location_id, sale_id, created_at, unit_cost)
+         VALUES ($1,'IN',$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [pid, -delta, "SALE_RESTORE", `Restore stock from edited sale: ${description}`, req.user.id, locationId, saleId, at, oldUnitCost]
+      );
+      unitCost = oldUnitCost;
+      cost = oldUnitCost === null ? null : round2(oldUnitCost * newQty);
+    }
 
+    await client.query(`DELETE FROM sale_items WHERE sale_id=$1 AND product_id=$2`, [saleId, pid]);
+    if (newQty > 0) {
       await client.query(
-        `INSERT INTO stock_movements (product_id, type, qty, reason, note, created_at)
-         VALUES ($1,'OUT',$2,$3,$4, NOW())`,
-        [pid, qtyUsed, "SALE", `Auto stock-out from sale: ${description}`]
+        `INSERT INTO sale_items (sale_id, product_id, qty_used, unit_cost, cost)
+         VALUES ($1,$2,$3,$4,$5)`,
+        [saleId, pid, newQty, unitCost, cost]
       );
+    }
+  }
+}
+
+// Itemized sale: `lines` priced from the menu set the subtotal (and a default description).
+// Lump-sum sale (no lines): typed subtotal, or `amount` as the total paid (older clients), + description.
+// discount / service_charge / VAT (utils/charges.js) are worked out here; amount is the total.
+router.post("/sales", async (req, res) => {
+  // only `amount` sent (older clients, API keys, queued offline sales): it is the total paid
+  const totalSent = req.body?.subtotal === undefined && req.body?.amount !== undefined;
+  let subtotal = toNumber(req.body?.subtotal ?? req.body?.amount, 0);
+  let description = cleanStr(req.body?.description);
+  const items = Array.isArray(req.body?.items) ? req.body.items : [];
+  const serviceCharge = req.body?.service_charge === true;
+
+  let lines;
+  let discount;
+  try {
+    lines = parseSaleLines(req.body?.lines);
+    discount = parseDiscount(req.body?.discount);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  if (lines && !lines.length) lines = null;
+
+  if (!lines && subtotal <= 0) return res.status(400).json({ error: "subtotal must be > 0" });
+  if (!lines && !description) return res.status(400).json({ error: "description is required" });
+  if (discount && !requestCan(req, "sales:discount")) {
+    return res.status(403).json({ error: "You are not allowed to give discounts" });
+  }
+
+  // qty_used 0 is allowed here: it drops that ingredient from the recipe stock-out
+  for (const it of items) {
+    if (!toNumber(it.product_id) || !(toNumber(it.qty_used, -1) >= 0)) {
+      return res.status(400).json({ error: "Invalid sale items" });
+    }
+  }
+  const useRecipes = req.body?.use_recipes !== false;
 
-      await client.query(`UPDATE products SET qty=$1, updated_at=NOW() WHERE id=$2`, [newQty, pid]);
+  const locationId = req.location.id;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    let priced = null;
+    if (lines) {
+      priced = await priceSaleLines(client, lines);
+      subtotal = priced.total;
+      if (!description) description = priced.lines.map(l => `${l.qty}x ${l.item_name}`).join(", ");
     }
 
-    // create sale
+    const settings = await getSettings(client);
+    const rates = { tax_rate: settings.vat_rate, service_charge_rate: settings.service_charge_rate };
+    const charges = totalSent && !priced
+      ? chargesFromTotal(subtotal, { discount, serviceCharge }, rates)
+      : saleCharges(subtotal, { discount, serviceCharge }, rates);
+    const amount = charges.total;
+    if (amount <= 0) throw httpError(400, "Sale total must be > 0");
+
+    // every new sale says how it was paid; only sales from before payment tracking are "unspecified"
+    const payments = parsePayments(req.body, amount);
+    if (!payments) throw httpError(400, "payment_method or payments is required");
+
+    // backdated sales and their stock-outs share the same effective time
+    const date = requestedDate(req);
+    await assertPeriodOpen(client, "sale", date);
+    const createdAt = await transactionTimestamp(client, date);
+
+    // create sale (the receipt number is only used up if the whole sale commits)
     const saleIns = await client.query(
-      `INSERT INTO sales (amount, description, created_at)
-       VALUES ($1,$2, NOW())
+      `INSERT INTO sales (amount, description, created_by, location_id, created_at,
+                          subtotal, discount_type, discount_value, discount_amount, discount_reason,
+                          service_charge_rate, service_charge, tax_rate, tax, receipt_no)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
        RETURNING id, amount, description, created_at`,
-      [amount, description]
+      [
+        amount, description, req.user.id, locationId, createdAt,
+        charges.subtotal, charges.discount_type, charges.discount_value, charges.discount_amount, charges.discount_reason,
+        charges.service_charge_rate, charges.service_charge, charges.tax_rate, charges.tax,
+        await nextReceiptNo(client),
+      ]
     );
     const sale = saleIns.rows[0];
 
-    // create sale items
-    for (const it of items) {
-      const pid = toNumber(it.product_id);
-      const qtyUsed = toNumber(it.qty_used);
+    await writeSalePayments(client, sale.id, payments);
+    if (priced) await writeSaleLines(client, sale.id, priced.lines);
+
+    const usage = await saleUsage(client, priced?.lines, items, useRecipes);
+
+    // stock-out at this location (locks product + location stock) and the
+    // sale items, costed at the product's average cost right now (COGS)
+    for (const [pid, qtyUsed] of usage) {
+      const { product } = await adjustStock(client, { productId: pid, locationId, delta: -qtyUsed });
+      const unitCost = product.avg_cost === null ? null : Number(product.avg_cost);
+      const cost = unitCost === null ? null : round2(unitCost * qtyUsed);
+
+      await client.query(
+        `INSERT INTO stock_movements (product_id, type, qty, reason, note, created_by, location_id, sale_id, created_at, unit_cost)
+         VALUES ($1,'OUT',$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [pid, qtyUsed, "SALE", `Auto stock-out from sale: ${description}`, req.user.id, locationId, sale.id, createdAt, unitCost]
+      );
+
       await client.query(
-        `INSERT INTO sale_items (sale_id, product_id, qty_used)
-         VALUES ($1,$2,$3)`,
-        [sale.id, pid, qtyUsed]
+        `INSERT INTO sale_items (sale_id, product_id, qty_used, unit_cost, cost)
+         VALUES ($1,$2,$3,$4,$5)`,
+        [sale.id, pid, qtyUsed, unitCost, cost]
       );
     }
 
+    await recordAudit(client, req, {
+      action: "create",
+      entity: "sale",
+      entityId: sale.id,
+      after: await saleSnapshot(client, sale.id),
+    });
+
     await client.query("COMMIT");
     const full = await fetchSalesWithItems(`id = ${sale.id}`);
     res.json(full[0]);
   } catch (e) {
     await client.query("ROLLBACK");
-    res.status(500).json({ error: e.message || "Failed to create sale" });
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("POST /sales error:", e);
+    res.status(500).json({ error: "Failed to create sale", detail: e.message });
   } finally {
     client.release();
   }
 });
 
+// lines: sent -> re-priced from the menu; [] -> back to a lump-sum sale; left out -> kept
+// items: sent -> the full new stock usage ([] puts everything back); left out -> kept,
+//        unless lines are sent: then the stock-out follows the new lines' recipes (use_recipes)
+// subtotal (or amount) / discount / service_charge: sent -> replaced; left out -> kept.
+// The sale keeps the VAT and service charge rates it was made with.
 router.put("/sales/:id", async (req, res) => {
+  const id = toNumber(req.params.id);
+  let description = cleanStr(req.body?.description);
+
+  const items = req.body?.items === undefined ? null : req.body.items;
+  if (items !== null && !Array.isArray(items)) return res.status(400).json({ error: "items must be a list" });
+  for (const it of items || []) {
+    if (!toNumber(it?.product_id) || !(toNumber(it?.qty_used, -1) >= 0)) {
+      return res.status(400).json({ error: "Invalid sale items" });
+    }
+  }
+
+  let lines;
+  let discount;
+  try {
+    lines = parseSaleLines(req.body?.lines);
+    discount = req.body?.discount === undefined ? undefined : parseDiscount(req.body.discount);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+
+  const client = await pool.connect();
   try {
-    const id = toNumber(req.params.id);
-    const amount = toNumber(req.body?.amount, 0);
-    const description = cleanStr(req.body?.description);
+    await client.query("BEGIN");
+
+    const found = await client.query(
+      `SELECT id, created_at, status FROM sales WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    if (!found.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Sale not found" });
+    }
+    if (found.rows[0].status !== "completed") {
+      throw httpError(400, `This sale is ${found.rows[0].status.replace("_", " ")} and can no longer be edited`);
+    }
 
-    if (amount <= 0) return res.status(400).json({ error: "amount must be > 0" });
-    if (!description) return res.status(400).json({ error: "description is required" });
+    // neither the sale's current date nor a new one may be in a locked period
+    await assertPeriodOpen(client, "sale", found.rows[0].created_at, requestedDate(req));
+
+    const before = await saleSnapshot(client, id);
+    const createdAt = await redatedTimestamp(client, req, found.rows[0].created_at);
+
+    // older sales (no subtotal) were recorded without VAT and stay that way
+    const beforeSubtotal = before.subtotal === null ? Number(before.amount) : Number(before.subtotal);
+    const sentSubtotal = req.body?.subtotal ?? req.body?.amount;
+
+    let subtotal;
+    let priced = null;
+    if (lines && lines.length) {
+      priced = await priceSaleLines(client, lines);
+      subtotal = priced.total;
+      if (!description) description = priced.lines.map(l => `${l.qty}x ${l.item_name}`).join(", ");
+    } else if (!lines && before.lines.length) {
+      // itemized sale: the subtotal follows its lines
+      const sentChanged = req.body?.subtotal !== undefined
+        ? Math.abs(toNumber(req.body.subtotal) - beforeSubtotal) > 0.009
+        : req.body?.amount !== undefined && Math.abs(toNumber(req.body.amount) - Number(before.amount)) > 0.009;
+      if (sentChanged) {
+        throw httpError(400, "This sale is itemized; change its lines instead of the amount");
+      }
+      subtotal = beforeSubtotal;
+      if (!description) description = before.description;
+    } else {
+      subtotal = sentSubtotal === undefined ? beforeSubtotal : toNumber(sentSubtotal, 0);
+    }
+
+    if (subtotal <= 0) throw httpError(400, "subtotal must be > 0");
+    if (!description) throw httpError(400, "description is required");
+
+    const keptDiscount = before.discount_type
+      ? { type: before.discount_type, value: Number(before.discount_value), reason: before.discount_reason || "" }
+      : null;
+    const nextDiscount = discount === undefined ? keptDiscount : discount;
+    const discountChanged = JSON.stringify(nextDiscount) !== JSON.stringify(keptDiscount);
+    if (discountChanged && nextDiscount && !requestCan(req, "sales:discount")) {
+      throw httpError(403, "You are not allowed to give discounts");
+    }
+
+    const serviceCharge = req.body?.service_charge === undefined
+      ? Number(before.service_charge) > 0
+      : req.body.service_charge === true;
+    const settings = serviceCharge && before.service_charge_rate === null ? await getSettings(client) : null;
+
+    const rates = {
+      tax_rate: before.subtotal === null ? 0 : Number(before.tax_rate) || 0,
+      service_charge_rate: before.service_charge_rate === null ? settings?.service_charge_rate : Number(before.service_charge_rate),
+    };
+    // a lump-sum sale sent with only `amount` keeps that as its total, charges included
+    const totalSent = !priced && !before.lines.length && req.body?.subtotal === undefined && req.body?.amount !== undefined;
+    const charges = totalSent
+      ? chargesFromTotal(subtotal, { discount: nextDiscount, serviceCharge }, rates)
+      : saleCharges(subtotal, { discount: nextDiscount, serviceCharge }, rates);
+    const amount = charges.total;
+    if (amount <= 0) throw httpError(400, "Sale total must be > 0");
+
+    // payments sent -> replace; not sent -> a one-method sale follows the new amount,
+    // a split sale must be re-split if the amount changed
+    let payments = parsePayments(req.body, amount);
+    if (!payments && before.payments.length === 1) {
+      payments = [{ method: before.payments[0].method, amount }];
+    } else if (!payments && before.payments.length > 1 && Math.abs(Number(before.amount) - amount) > 0.009) {
+      throw httpError(400, "This sale is split across payment methods; send payments for the new amount");
+    }
 
-    const row = await get(
+    await client.query(
       `UPDATE sales
-       SET amount=$1, description=$2
-       WHERE id=$3
-       RETURNING id, amount, description, created_at`,
-      [amount, description, id]
+       SET amount=$1, description=$2, created_at=COALESCE($3, created_at), updated_by=$4, updated_at=NOW(),
+           subtotal=$6, discount_type=$7, discount_value=$8, discount_amount=$9, discount_reason=$10,
+           service_charge_rate=$11, service_charge=$12, tax_rate=$13, tax=$14
+       WHERE id=$5`,
+      [
+        amount, description, createdAt, req.user.id, id,
+        charges.subtotal, charges.discount_type, charges.discount_value, charges.discount_amount, charges.discount_reason,
+        charges.service_charge_rate, charges.service_charge, charges.tax_rate, charges.tax,
+      ]
     );
 
-    if (!row) return res.status(404).json({ error: "Sale not found" });
+    if (payments) await writeSalePayments(client, id, payments);
+    if (lines) await writeSaleLines(client, id, priced ? priced.lines : []);
+
+    // the sale's stock-outs (and edit corrections) follow it to the new date
+    if (createdAt) {
+      await client.query(
+        `UPDATE stock_movements SET created_at=$1 WHERE sale_id=$2 AND reason IN ('SALE','SALE_RESTORE')`,
+        [createdAt, id]
+      );
+    }
+
+    let usage = items;
+    if (!usage && lines) {
+      const recipe = await saleUsage(client, priced?.lines, [], req.body?.use_recipes !== false);
+      usage = Array.from(recipe, ([product_id, qty_used]) => ({ product_id, qty_used }));
+    }
+    if (usage) {
+      await resaleItems(client, req, id, req.location.id, usage, createdAt || found.rows[0].created_at, description);
+    }
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "sale",
+      entityId: id,
+      before,
+      after: await saleSnapshot(client, id),
+    });
+
+    await client.query("COMMIT");
     const full = await fetchSalesWithItems(`id = ${id}`);
     res.json(full[0]);
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to update sale" });
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to update sale" });
+  } finally {
+    client.release();
   }
 });
 
-// Delete sale: restore stock back
-router.delete("/sales/:id", async (req, res) => {
+/**
+ * Put sale stock back at the sale's branch (inside the caller's transaction), at the cost
+ * it went out at. items: [{ product_id, qty, unit_cost }] in product id order.
+ */
+async function restockSaleItems(client, req, { saleId, locationId, items, reason, note }) {
+  for (const it of items) {
+    const { product } = await adjustStock(client, { productId: it.product_id, locationId, delta: it.qty });
+    if (it.unit_cost !== null) await applyCostIn(client, product, it.qty, it.unit_cost);
+
+    await client.query(
+      `INSERT INTO stock_movements (product_id, type, qty, reason, note, created_by, location_id, sale_id, created_at, unit_cost)
+       VALUES ($1,'IN',$2,$3,$4,$5,$6,$7, NOW(), $8)`,
+      [it.product_id, it.qty, reason, note, req.user.id, locationId, saleId, it.unit_cost]
+    );
+  }
+}
+
+// Stock on a sale not yet returned by a refund: Map(product_id -> { qty, unit_cost })
+async function returnableItems(db, saleId) {
+  const { rows } = await db.query(
+    `SELECT si.product_id, si.qty_used, si.unit_cost,
+            COALESCE((
+              SELECT SUM(ri.qty) FROM sale_refund_items ri
+              JOIN sale_refunds r ON r.id = ri.refund_id
+              WHERE r.sale_id = si.sale_id AND ri.product_id = si.product_id
+            ), 0) AS returned
+     FROM sale_items si
+     WHERE si.sale_id=$1
+     ORDER BY si.product_id ASC`,
+    [saleId]
+  );
+  return new Map(rows.map(r => [Number(r.product_id), {
+    qty: Math.round((Number(r.qty_used) - Number(r.returned)) * 1e6) / 1e6,
+    unit_cost: r.unit_cost === null ? null : Number(r.unit_cost),
+  }]));
+}
+
+/**
+ * Void a sale: it stays on record as voided (with who, when and why) and drops out of
+ * every report. body: { reason, restock } — restock: true puts its products back.
+ * Only a sale with no refunds can be voided; otherwise refund what is left.
+ * DELETE /sales/:id does the same (it used to erase the sale).
+ */
+async function voidSale(req, res) {
   const id = toNumber(req.params.id);
-  const client = await pool.connect();
+  const reason = cleanStr(req.body?.reason ?? req.query?.reason);
+  const restock = req.body?.restock === true || String(req.query?.restock || "") === "1";
+  if (!reason) return res.status(400).json({ error: "A reason is required to void a sale" });
 
+  const client = await pool.connect();
   try {
     await client.query("BEGIN");
 
-    const sale = await client.query(`SELECT id, description FROM sales WHERE id=$1`, [id]);
+    const sale = await client.query(
+      `SELECT id, description, location_id, status, created_at FROM sales WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
     if (!sale.rows[0]) {
       await client.query("ROLLBACK");
       return res.status(404).json({ error: "Sale not found" });
     }
-    const saleDesc = sale.rows[0].description;
+    const { description, location_id: locationId, status } = sale.rows[0];
+    await assertPeriodOpen(client, "sale", sale.rows[0].created_at);
+    if (status === "voided") throw httpError(400, "This sale is already voided");
+    if (status !== "completed") throw httpError(400, "This sale has refunds; refund the rest instead of voiding it");
+
+    const before = await saleSnapshot(client, id);
+
+    if (restock) {
+      const items = Array.from(await returnableItems(client, id))
+        .filter(([, it]) => it.qty > 0)
+        .map(([product_id, it]) => ({ product_id, ...it }));
+      await restockSaleItems(client, req, {
+        saleId: id,
+        locationId,
+        items,
+        reason: "SALE_VOID",
+        note: `Stock returned from voided sale: ${description}`,
+      });
+    }
 
-    const items = await client.query(
-      `SELECT product_id, qty_used FROM sale_items WHERE sale_id=$1`,
-      [id]
+    await client.query(
+      `UPDATE sales
+       SET status='voided', void_reason=$1, voided_by=$2, voided_at=NOW(), updated_by=$2, updated_at=NOW()
+       WHERE id=$3`,
+      [reason, req.user.id, id]
     );
 
-    for (const it of items.rows) {
-      const pid = Number(it.product_id);
-      const qtyUsed = Number(it.qty_used);
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "sale",
+      entityId: id,
+      before,
+      after: await saleSnapshot(client, id),
+    });
+
+    await client.query("COMMIT");
+    const full = await fetchSalesWithItems(`id = ${id}`);
+    res.json(full[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to void sale" });
+  } finally {
+    client.release();
+  }
+}
+
+router.post("/sales/:id/void", voidSale);
+router.delete("/sales/:id", voidSale);
+
+/**
+ * Refund part or all of a sale.
+ * body: { amount, reason, method, restock, items: [{ product_id, qty }] }
+ * amount defaults to what is left to refund; method defaults to the sale's payment method
+ * when it was paid one way. restock: true with no items returns all stock not yet returned.
+ */
+router.post("/sales/:id/refunds", async (req, res) => {
+  const id = toNumber(req.params.id);
+  const reason = cleanStr(req.body?.reason);
+  if (!reason) return res.status(400).json({ error: "A reason is required for a refund" });
+
+  const rawItems = req.body?.items;
+  if (rawItems !== undefined && rawItems !== null && !Array.isArray(rawItems)) {
+    return res.status(400).json({ error: "items must be a list" });
+  }
+  for (const it of rawItems || []) {
+    if (!toNumber(it?.product_id) || !(toNumber(it?.qty ?? it?.qty_used, 0) > 0)) {
+      return res.status(400).json({ error: "Invalid refund items" });
+    }
+  }
 
-      const p = await client.query(`SELECT id, qty FROM products WHERE id=$1 FOR UPDATE`, [pid]);
-      if (p.rows[0]) {
-        const currentQty = Number(p.rows[0].qty) || 0;
-        const newQty = currentQty + qtyUsed;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-        await client.query(
-          `INSERT INTO stock_movements (product_id, type, qty, reason, note, created_at)
-           VALUES ($1,'IN',$2,$3,$4, NOW())`,
-          [pid, qtyUsed, "SALE_RESTORE", `Restore stock from deleted sale: ${saleDesc}`]
-        );
+    const sale = await client.query(
+      `SELECT id, amount, description, location_id, status FROM sales WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    if (!sale.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Sale not found" });
+    }
+    const { description, location_id: locationId, status } = sale.rows[0];
+    if (status === "voided") throw httpError(400, "This sale is voided");
+    if (status === "refunded") throw httpError(400, "This sale is already fully refunded");
+
+    const before = await saleSnapshot(client, id);
+    const refunded = round2(before.refunds.reduce((sum, r) => sum + r.amount, 0));
+    const remaining = round2(Number(before.amount) - refunded);
+
+    const amount = req.body?.amount === undefined || req.body?.amount === "" ? remaining : round2(toNumber(req.body.amount, NaN));
+    if (!Number.isFinite(amount) || amount <= 0) throw httpError(400, "amount must be > 0");
+    if (amount > remaining) throw httpError(400, `Refund is more than what is left on the sale (${remaining})`);
+
+    let method = cleanStr(req.body?.method).toLowerCase();
+    if (!method && before.payments.length === 1) method = before.payments[0].method;
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw httpError(400, `method must be one of: ${PAYMENT_METHODS.join(", ")}`);
+    }
 
-        await client.query(`UPDATE products SET qty=$1, updated_at=NOW() WHERE id=$2`, [newQty, pid]);
+    // stock coming back: the items sent, or everything still out when restock is true
+    const returnable = await returnableItems(client, id);
+    let restock = [];
+    if (rawItems?.length) {
+      const wanted = new Map();
+      for (const it of rawItems) {
+        const pid = toNumber(it.product_id);
+        wanted.set(pid, (wanted.get(pid) || 0) + toNumber(it.qty ?? it.qty_used));
+      }
+      for (const [pid, qty] of Array.from(wanted).sort(([a], [b]) => a - b)) {
+        const left = returnable.get(pid);
+        if (!left) throw httpError(400, `Product ${pid} was not used on this sale`);
+        if (qty > left.qty + 1e-9) throw httpError(400, `Only ${left.qty} of product ${pid} can still be returned`);
+        restock.push({ product_id: pid, qty: Math.round(qty * 1e6) / 1e6, unit_cost: left.unit_cost });
       }
+    } else if (req.body?.restock === true) {
+      restock = Array.from(returnable)
+        .filter(([, it]) => it.qty > 0)
+        .map(([product_id, it]) => ({ product_id, ...it }));
+    }
+
+    const { rows: refundRows } = await client.query(
+      `INSERT INTO sale_refunds (sale_id, location_id, amount, method, reason, created_by)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       RETURNING id`,
+      [id, locationId, amount, method, reason, req.user.id]
+    );
+    const refundId = refundRows[0].id;
+
+    for (const it of restock) {
+      await client.query(
+        `INSERT INTO sale_refund_items (refund_id, product_id, qty, unit_cost) VALUES ($1,$2,$3,$4)`,
+        [refundId, it.product_id, it.qty, it.unit_cost]
+      );
     }
+    await restockSaleItems(client, req, {
+      saleId: id,
+      locationId,
+      items: restock,
+      reason: "SALE_REFUND",
+      note: `Stock returned from refunded sale: ${description}`,
+    });
+
+    const nextStatus = amount >= remaining - 0.009 ? "refunded" : "partially_refunded";
+    await client.query(
+      `UPDATE sales SET status=$1, updated_by=$2, updated_at=NOW() WHERE id=$3`,
+      [nextStatus, req.user.id, id]
+    );
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "sale",
+      entityId: id,
+      before,
+      after: await saleSnapshot(client, id),
+    });
 
-    await client.query(`DELETE FROM sales WHERE id=$1`, [id]);
     await client.query("COMMIT");
-    res.json({ ok: true });
+    const full = await fetchSalesWithItems(`id = ${id}`);
+    res.json(full[0]);
   } catch (e) {
     await client.query("ROLLBACK");
-    res.status(500).json({ error: e.message || "Failed to delete sale" });
+    res.status(e.status || 500).json({ error: e.message || "Failed to refund sale" });
   } finally {
     client.release();
   }
@@ -215,193 +1129,1457 @@ router.delete("/sales/:id", async (req, res) => {
 // ---- Expenses ----
 router.get("/expenses", async (req, res) => {
   try {
-    const rows = await all(
-      `SELECT id, amount, description, created_at
-       FROM expenses
-       ORDER BY created_at DESC, id DESC`
-    );
-    res.json(rows);
+    res.json(await fetchExpenses(locationClause(req)));
   } catch (e) {
     res.status(500).json({ error: e.message || "Failed to fetch expenses" });
   }
 });
 
 router.post("/expenses", async (req, res) => {
+  const amount = toNumber(req.body?.amount, 0);
+  const description = cleanStr(req.body?.description);
+
+  if (amount <= 0) return res.status(400).json({ error: "amount must be > 0" });
+  if (!description) return res.status(400).json({ error: "description is required" });
+
+  const client = await pool.connect();
   try {
-    const amount = toNumber(req.body?.amount, 0);
-    const description = cleanStr(req.body?.description);
+    await client.query("BEGIN");
 
-    if (amount <= 0) return res.status(400).json({ error: "amount must be > 0" });
-    if (!description) return res.status(400).json({ error: "description is required" });
+    const categoryId = await resolveCategoryId(client, req.body?.category_id);
+    const date = requestedDate(req);
+    await assertPeriodOpen(client, "expense", date);
+    const createdAt = await transactionTimestamp(client, date);
 
-    const row = await get(
-      `INSERT INTO expenses (amount, description, created_at)
-       VALUES ($1,$2, NOW())
-       RETURNING id, amount, description, created_at`,
-      [amount, description]
+    const { rows } = await client.query(
+      `INSERT INTO expenses (amount, description, category_id, created_by, location_id, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       RETURNING *`,
+      [amount, description, categoryId, req.user.id, req.location.id, createdAt]
     );
+    const row = rows[0];
+
+    await recordAudit(client, req, { action: "create", entity: "expense", entityId: row.id, after: row });
 
+    await client.query("COMMIT");
     res.json(row);
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to create expense" });
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to create expense" });
+  } finally {
+    client.release();
   }
 });
 
 router.put("/expenses/:id", async (req, res) => {
+  const id = toNumber(req.params.id);
+  const amount = toNumber(req.body?.amount, 0);
+  const description = cleanStr(req.body?.description);
+
+  if (amount <= 0) return res.status(400).json({ error: "amount must be > 0" });
+  if (!description) return res.status(400).json({ error: "description is required" });
+
+  const client = await pool.connect();
   try {
-    const id = toNumber(req.params.id);
-    const amount = toNumber(req.body?.amount, 0);
-    const description = cleanStr(req.body?.description);
+    await client.query("BEGIN");
+
+    const found = await client.query(
+      `SELECT * FROM expenses WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    const before = found.rows[0];
+    if (!before) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Expense not found" });
+    }
+
+    await assertPeriodOpen(client, "expense", before.created_at, requestedDate(req));
 
-    if (amount <= 0) return res.status(400).json({ error: "amount must be > 0" });
-    if (!description) return res.status(400).json({ error: "description is required" });
+    // category_id left out -> keep; an existing (even since-deactivated) category may stay as is
+    const rawCategory = req.body?.category_id;
+    const categoryId = rawCategory === undefined || String(rawCategory) === String(before.category_id)
+      ? before.category_id
+      : await resolveCategoryId(client, rawCategory);
+    const createdAt = await redatedTimestamp(client, req, before.created_at);
 
-    const row = await get(
+    const { rows } = await client.query(
       `UPDATE expenses
-       SET amount=$1, description=$2
-       WHERE id=$3
-       RETURNING id, amount, description, created_at`,
-      [amount, description, id]
+       SET amount=$1, description=$2, category_id=$3, created_at=COALESCE($4, created_at), updated_by=$5, updated_at=NOW()
+       WHERE id=$6
+       RETURNING *`,
+      [amount, description, categoryId, createdAt, req.user.id, id]
     );
+    const row = rows[0];
 
-    if (!row) return res.status(404).json({ error: "Expense not found" });
+    await recordAudit(client, req, { action: "update", entity: "expense", entityId: id, before, after: row });
+
+    await client.query("COMMIT");
     res.json(row);
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to update expense" });
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to update expense" });
+  } finally {
+    client.release();
   }
 });
 
 router.delete("/expenses/:id", async (req, res) => {
+  const id = toNumber(req.params.id);
+  const client = await pool.connect();
   try {
-    const id = toNumber(req.params.id);
-    const row = await get(`SELECT id FROM expenses WHERE id=$1`, [id]);
-    if (!row) return res.status(404).json({ error: "Expense not found" });
+    await client.query("BEGIN");
 
-    await query(`DELETE FROM expenses WHERE id=$1`, [id]);
+    const found = await client.query(
+      `SELECT * FROM expenses WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    const before = found.rows[0];
+    if (!before) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Expense not found" });
+    }
+
+    await assertPeriodOpen(client, "expense", before.created_at);
+
+    await client.query(`DELETE FROM expenses WHERE id=$1`, [id]);
+    await recordAudit(client, req, { action: "delete", entity: "expense", entityId: id, before });
+
+    await client.query("COMMIT");
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to delete expense" });
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to delete expense" });
+  } finally {
+    client.release();
+  }
+});
+
+// ---- Recurring expenses ----
+// templates the scheduler posts into expenses when due (utils/recurring.js)
+const RECURRING_COLUMNS = `id, location_id, amount, description, category_id, frequency, anchor_day,
+  next_due::text AS next_due, is_active, last_error`;
+
+async function fetchRecurring(whereSql, params = []) {
+  return all(
+    `SELECT r.id, r.location_id, l.name AS location_name, r.amount, r.description,
+            r.category_id, c.name AS category_name, r.frequency, r.next_due::text AS next_due,
+            r.is_active, r.last_error,
+            (SELECT MAX(e.recurring_due)::text FROM expenses e WHERE e.recurring_id = r.id) AS last_posted,
+            (SELECT COUNT(*)::int FROM expenses e WHERE e.recurring_id = r.id) AS posted_count,
+            r.created_by, COALESCE(u.display_name, u.username) AS created_by_name, r.created_at
+     FROM recurring_expenses r
+     JOIN locations l ON l.id = r.location_id
+     LEFT JOIN expense_categories c ON c.id = r.category_id
+     LEFT JOIN users u ON u.id = r.created_by
+     ${whereSql ? `WHERE ${whereSql}` : ""}
+     ORDER BY r.is_active DESC, r.next_due ASC, r.id ASC`,
+    params
+  );
+}
+
+// once a template is saved (committed): post anything already due, then return it as it now stands.
+// Never throws: the save stands either way, and the scheduler retries what didn't post.
+async function recurringAfterChange(saved) {
+  try {
+    await postDueTemplate(saved.id);
+    return (await fetchRecurring("r.id = $1", [saved.id]))[0] || saved;
+  } catch (e) {
+    console.error("recurring expenses error:", e.message);
+    return saved;
+  }
+}
+
+router.get("/recurring-expenses", async (req, res) => {
+  try {
+    res.json(await fetchRecurring(locationClause(req, "r.location_id")));
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch recurring expenses" });
+  }
+});
+
+// body: { amount, description, category_id?, frequency, next_due } (next_due today posts straight away)
+router.post("/recurring-expenses", async (req, res) => {
+  const amount = toNumber(req.body?.amount, 0);
+  const description = cleanStr(req.body?.description);
+
+  if (amount <= 0) return res.status(400).json({ error: "amount must be > 0" });
+  if (!description) return res.status(400).json({ error: "description is required" });
+
+  const client = await pool.connect();
+  try {
+    const frequency = parseFrequency(req.body?.frequency);
+    const nextDue = parseNextDue(req.body?.next_due);
+
+    await client.query("BEGIN");
+
+    const categoryId = await resolveCategoryId(client, req.body?.category_id);
+
+    const { rows } = await client.query(
+      `INSERT INTO recurring_expenses (location_id, amount, description, category_id, frequency, anchor_day, next_due, created_by)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+       RETURNING ${RECURRING_COLUMNS}`,
+      [req.location.id, amount, description, categoryId, frequency, Number(nextDue.slice(8)), nextDue, req.user.id]
+    );
+    const row = rows[0];
+
+    await recordAudit(client, req, { action: "create", entity: "recurring_expense", entityId: row.id, after: row });
+
+    await client.query("COMMIT");
+    res.json(await recurringAfterChange(row));
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to create recurring expense" });
+  } finally {
+    client.release();
+  }
+});
+
+// any of { amount, description, category_id, frequency, next_due, is_active }; is_active false pauses.
+// Resuming moves next_due past the occurrences that fell due while paused (they are not posted).
+router.put("/recurring-expenses/:id", async (req, res) => {
+  const id = toNumber(req.params.id);
+  const body = req.body || {};
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const found = await client.query(
+      `SELECT ${RECURRING_COLUMNS} FROM recurring_expenses WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    const before = found.rows[0];
+    if (!before) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Recurring expense not found" });
+    }
+
+    const amount = body.amount === undefined ? Number(before.amount) : toNumber(body.amount, 0);
+    const description = body.description === undefined ? before.description : cleanStr(body.description);
+    if (amount <= 0) throw httpError(400, "amount must be > 0");
+    if (!description) throw httpError(400, "description is required");
+
+    const categoryId = body.category_id === undefined || String(body.category_id) === String(before.category_id)
+      ? before.category_id
+      : await resolveCategoryId(client, body.category_id);
+    const frequency = body.frequency === undefined ? before.frequency : parseFrequency(body.frequency);
+    const isActive = body.is_active === undefined ? before.is_active : Boolean(body.is_active);
+
+    let nextDue = before.next_due;
+    let anchorDay = before.anchor_day;
+    if (body.next_due !== undefined && cleanStr(body.next_due) !== before.next_due) {
+      nextDue = parseNextDue(body.next_due);
+      anchorDay = Number(nextDue.slice(8));
+    } else if (isActive && !before.is_active) {
+      nextDue = occurrenceFrom(nextDue, frequency, anchorDay, businessDate());
+    }
+
+    const { rows } = await client.query(
+      `UPDATE recurring_expenses
+       SET amount=$1, description=$2, category_id=$3, frequency=$4, anchor_day=$5, next_due=$6, is_active=$7,
+           last_error=NULL, updated_by=$8, updated_at=NOW()
+       WHERE id=$9
+       RETURNING ${RECURRING_COLUMNS}`,
+      [amount, description, categoryId, frequency, anchorDay, nextDue, isActive, req.user.id, id]
+    );
+    const row = rows[0];
+
+    await recordAudit(client, req, { action: "update", entity: "recurring_expense", entityId: id, before, after: row });
+
+    await client.query("COMMIT");
+    res.json(await recurringAfterChange(row));
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to update recurring expense" });
+  } finally {
+    client.release();
+  }
+});
+
+// skip the next occurrence (e.g. no rent this month): next_due moves on one step and nothing is posted
+router.post("/recurring-expenses/:id/skip", async (req, res) => {
+  const id = toNumber(req.params.id);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const found = await client.query(
+      `SELECT ${RECURRING_COLUMNS} FROM recurring_expenses WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    const before = found.rows[0];
+    if (!before) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Recurring expense not found" });
+    }
+
+    const { rows } = await client.query(
+      `UPDATE recurring_expenses
+       SET next_due=$1, last_error=NULL, updated_by=$2, updated_at=NOW()
+       WHERE id=$3
+       RETURNING ${RECURRING_COLUMNS}`,
+      [nextOccurrence(before.next_due, before.frequency, before.anchor_day), req.user.id, id]
+    );
+    const row = rows[0];
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "recurring_expense",
+      entityId: id,
+      before,
+      after: { ...row, skipped: before.next_due },
+    });
+
+    await client.query("COMMIT");
+    res.json(await recurringAfterChange(row));
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to skip the occurrence" });
+  } finally {
+    client.release();
+  }
+});
+
+// ---- Expense categories & budgets ----
+// monthly_budget is the branch's standing budget (summed across branches when viewing all)
+router.get("/expense-categories", async (req, res) => {
+  try {
+    const includeInactive = String(req.query?.include_inactive || "") === "1";
+    const rows = await all(
+      `SELECT c.id, c.name, c.is_active, c.created_at,
+              COALESCE((
+                SELECT SUM(b.amount) FROM expense_budgets b
+                WHERE ${andWhere("b.category_id = c.id", locationClause(req, "b.location_id"))}
+              ), 0) AS monthly_budget
+       FROM expense_categories c
+       ${includeInactive ? "" : "WHERE c.is_active"}
+       ORDER BY c.name ASC`
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch expense categories" });
+  }
+});
+
+router.post("/expense-categories", async (req, res) => {
+  const name = cleanStr(req.body?.name);
+  if (!name) return res.status(400).json({ error: "name is required" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `INSERT INTO expense_categories (name)
+       VALUES ($1)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [name]
+    );
+    if (!rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "An expense category with this name already exists" });
+    }
+
+    await recordAudit(client, req, {
+      action: "create",
+      entity: "expense_category",
+      entityId: rows[0].id,
+      after: rows[0],
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(rows[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: e.message || "Failed to create expense category" });
+  } finally {
+    client.release();
+  }
+});
+
+// rename / deactivate (deactivated categories stay on old expenses but cannot be picked)
+router.put("/expense-categories/:id", async (req, res) => {
+  const id = toNumber(req.params.id);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const found = await client.query(`SELECT * FROM expense_categories WHERE id=$1 FOR UPDATE`, [id]);
+    const before = found.rows[0];
+    if (!before) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Expense category not found" });
+    }
+
+    const name = cleanStr(req.body?.name ?? before.name);
+    const isActive = req.body?.is_active === undefined ? before.is_active : Boolean(req.body.is_active);
+    if (!name) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const { rows } = await client.query(
+      `UPDATE expense_categories SET name=$1, is_active=$2 WHERE id=$3 RETURNING *`,
+      [name, isActive, id]
+    );
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "expense_category",
+      entityId: id,
+      before,
+      after: rows[0],
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(rows[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.code === "23505") return res.status(409).json({ error: "An expense category with this name already exists" });
+    res.status(500).json({ error: e.message || "Failed to update expense category" });
+  } finally {
+    client.release();
+  }
+});
+
+// standing monthly budget for this category at the current branch (0 = no budget)
+router.put("/expense-categories/:id/budget", async (req, res) => {
+  const id = toNumber(req.params.id);
+  const amount = toNumber(req.body?.amount, NaN);
+  if (!Number.isFinite(amount) || amount < 0) return res.status(400).json({ error: "amount must be 0 or more" });
+
+  const locationId = req.location.id;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const found = await client.query(`SELECT id FROM expense_categories WHERE id=$1`, [id]);
+    if (!found.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Expense category not found" });
+    }
+
+    const prev = await client.query(
+      `SELECT * FROM expense_budgets WHERE category_id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, locationId]
+    );
+
+    const { rows } = await client.query(
+      `INSERT INTO expense_budgets (category_id, location_id, amount, updated_by, updated_at)
+       VALUES ($1,$2,$3,$4, NOW())
+       ON CONFLICT (category_id, location_id)
+       DO UPDATE SET amount=EXCLUDED.amount, updated_by=EXCLUDED.updated_by, updated_at=NOW()
+       RETURNING *`,
+      [id, locationId, amount, req.user.id]
+    );
+
+    await recordAudit(client, req, {
+      action: prev.rows[0] ? "update" : "create",
+      entity: "expense_budget",
+      entityId: `${id}:${locationId}`,
+      before: prev.rows[0] || null,
+      after: rows[0],
+    });
+
+    await client.query("COMMIT");
+    res.json(rows[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: e.message || "Failed to set budget" });
+  } finally {
+    client.release();
   }
 });
 
 // ---- Reports ----
+// Sales totals per payment method for sales matching `whereSql` (unspecified = recorded before payment tracking)
+async function paymentTotals(whereSql, { byDay = false } = {}) {
+  return all(
+    `SELECT ${byDay ? `${localDateSql("s.created_at")}::text AS day,` : ""}
+            COALESCE(p.method, 'unspecified') AS method,
+            COALESCE(SUM(COALESCE(p.amount, s.amount)),0) AS total,
+            COUNT(DISTINCT s.id)::int AS sales_count
+     FROM (SELECT * FROM sales ${whereSql ? `WHERE ${whereSql}` : ""}) s
+     LEFT JOIN sale_payments p ON p.sale_id = s.id
+     GROUP BY ${byDay ? "1, 2" : "1"}
+     ORDER BY ${byDay ? "1, 2" : "1"}`
+  );
+}
+
+/**
+ * Refunds given in a report window (by refund date, at the refunding branch).
+ * `whereSql` is the same created_at / location_id filter the sales use.
+ * restocked_cost: cost of stock that came back, which comes off COGS.
+ */
+async function refundTotals(whereSql, { byDay = false } = {}) {
+  const rows = await all(
+    `SELECT ${byDay ? `${localDateSql("r.created_at")}::text AS day,` : ""}
+            r.method, COALESCE(SUM(r.amount),0) AS total, COUNT(*)::int AS refunds_count
+     FROM (SELECT * FROM sale_refunds ${whereSql ? `WHERE ${whereSql}` : ""}) r
+     GROUP BY ${byDay ? "1, 2" : "1"}
+     ORDER BY ${byDay ? "1, 2" : "1"}`
+  );
+  const cost = await get(
+    `SELECT COALESCE(SUM(ri.qty * ri.unit_cost),0) AS total
+     FROM (SELECT id FROM sale_refunds ${whereSql ? `WHERE ${whereSql}` : ""}) r
+     JOIN sale_refund_items ri ON ri.refund_id = r.id`
+  );
+
+  const byMethod = Object.fromEntries(PAYMENT_METHODS.map(m => [m, 0]));
+  for (const r of rows) byMethod[r.method] = round2(byMethod[r.method] + Number(r.total));
+
+  return {
+    rows,
+    byMethod,
+    total: round2(rows.reduce((sum, r) => sum + Number(r.total), 0)),
+    count: rows.reduce((sum, r) => sum + r.refunds_count, 0),
+    restocked_cost: round2(cost.total),
+  };
+}
+
+// { cash, pos, transfer, unspecified } from paymentTotals rows
+function methodBreakdown(rows) {
+  const out = Object.fromEntries([...PAYMENT_METHODS, "unspecified"].map(m => [m, 0]));
+  for (const r of rows) out[r.method] = (out[r.method] || 0) + (Number(r.total) || 0);
+  return out;
+}
+
 router.get("/report", async (req, res) => {
   try {
-    const period = cleanStr(req.query?.period).toLowerCase();
-    const where = periodWhere(period);
-    if (!where) return res.status(400).json({ error: "Invalid period" });
+    const range = reportRange(req.query);
+    const where = andWhere(range.where, locationClause(req));
 
-    const salesSum = await get(`SELECT COALESCE(SUM(amount),0) AS total FROM sales WHERE ${where}`);
+    const liveWhere = andWhere(where, LIVE_SALES);
+
+    const salesSum = await get(
+      `SELECT COALESCE(SUM(amount),0) AS total, COALESCE(SUM(discount_amount),0) AS discounts,
+              COALESCE(SUM(service_charge),0) AS service_charge, COALESCE(SUM(tax),0) AS vat
+       FROM sales WHERE ${liveWhere}`
+    );
     const expSum = await get(`SELECT COALESCE(SUM(amount),0) AS total FROM expenses WHERE ${where}`);
+    const refunds = await refundTotals(where);
+    const voids = await get(
+      `SELECT COUNT(*)::int AS count, COALESCE(SUM(amount),0) AS amount
+       FROM sales WHERE ${andWhere(where, "status = 'voided'")}`
+    );
 
-    const totalSales = Number(salesSum.total) || 0;
+    // cost of the stock those sales used, less stock that came back on refunds
+    // (see /report/margin for the breakdown)
+    const cogsSum = await get(
+      `SELECT COALESCE(SUM(si.cost),0) AS total
+       FROM (SELECT id FROM sales WHERE ${liveWhere}) s
+       JOIN sale_items si ON si.sale_id = s.id`
+    );
+
+    const grossSales = Number(salesSum.total) || 0;
+    const totalSales = round2(grossSales - refunds.total);
     const totalExpenses = Number(expSum.total) || 0;
+    const cogs = round2((Number(cogsSum.total) || 0) - refunds.restocked_cost);
+    const byMethod = methodBreakdown(await paymentTotals(liveWhere));
 
     res.json({
-      period,
-      totals: { totalSales, totalExpenses, profit: totalSales - totalExpenses }
+      period: range.period,
+      from: range.from,
+      to: range.to,
+      label: range.label,
+      location: req.location ? { id: req.location.id, name: req.location.name } : null,
+      totals: {
+        // totalSales is net of refunds; voided sales are in none of these
+        grossSales,
+        refunds: refunds.total,
+        netSales: totalSales,
+        totalSales,
+        totalExpenses,
+        profit: round2(totalSales - totalExpenses),
+        cogs,
+        grossProfit: round2(totalSales - cogs),
+        byMethod,
+        refundsByMethod: refunds.byMethod,
+        voided: { count: voids.count, amount: Number(voids.amount) || 0 },
+        // included in grossSales (see /report/tax for VAT net of refunds)
+        discounts: Number(salesSum.discounts) || 0,
+        serviceCharge: Number(salesSum.service_charge) || 0,
+        vat: Number(salesSum.vat) || 0,
+      }
     });
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to generate report" });
+    res.status(e.status || 500).json({ error: e.message || "Failed to generate report" });
   }
 });
 
-// Export finance CSV
-router.get("/export/finance.csv", async (req, res) => {
+// Sales and losses by staff member
+router.get("/report/staff", async (req, res) => {
   try {
-    const period = cleanStr(req.query?.period).toLowerCase();
-    const where = periodWhere(period);
-    if (!where) return res.status(400).json({ error: "Invalid period" });
+    const range = reportRange(req.query);
+    const where = andWhere(range.where, locationClause(req));
+
+    const users = await all(`SELECT id, username, display_name, role FROM users ORDER BY id ASC`);
+
+    const salesByUser = await all(
+      `SELECT created_by, COUNT(*)::int AS sales_count, COALESCE(SUM(amount),0) AS sales_total
+       FROM sales
+       WHERE ${andWhere(where, LIVE_SALES)}
+       GROUP BY created_by`
+    );
+
+    // losses table is created by the inventory router; treat as empty until then
+    const hasLosses = (await get(`SELECT to_regclass('public.losses') AS reg`))?.reg;
+    const lossesByUser = hasLosses
+      ? await all(
+          `SELECT created_by, product_id, product_name, product_unit,
+                  COUNT(*)::int AS losses_count, COALESCE(SUM(qty),0) AS qty
+           FROM losses
+           WHERE ${where}
+           GROUP BY created_by, product_id, product_name, product_unit
+           ORDER BY product_name ASC`
+        )
+      : [];
+
+    const staff = new Map();
+    const entry = (userId) => {
+      const key = userId == null ? "none" : String(userId);
+      if (!staff.has(key)) {
+        const u = users.find((x) => String(x.id) === key);
+        staff.set(key, {
+          user_id: u ? u.id : null,
+          name: u ? (u.display_name || u.username) : "Unattributed",
+          role: u ? u.role : null,
+          sales_count: 0,
+          sales_total: 0,
+          losses_count: 0,
+          losses: [],
+        });
+      }
+      return staff.get(key);
+    };
+
+    for (const r of salesByUser) {
+      const s = entry(r.created_by);
+      s.sales_count = r.sales_count;
+      s.sales_total = Number(r.sales_total) || 0;
+    }
 
-    const sales = await fetchSalesWithItems(where);
-    const expenses = await all(
-      `SELECT id, amount, description, created_at FROM expenses
-       WHERE ${where}
+    for (const r of lossesByUser) {
+      const s = entry(r.created_by);
+      s.losses_count += r.losses_count;
+      s.losses.push({
+        product_id: r.product_id,
+        product_name: r.product_name,
+        product_unit: r.product_unit || "",
+        qty: Number(r.qty) || 0,
+      });
+    }
+
+    res.json({
+      period: range.period,
+      from: range.from,
+      to: range.to,
+      label: range.label,
+      location: req.location ? { id: req.location.id, name: req.location.name } : null,
+      staff: Array.from(staff.values()).sort((a, b) => b.sales_total - a.sales_total),
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to generate staff report" });
+  }
+});
+
+// Budget vs actual for one month (?month=YYYY-MM, default this month)
+router.get("/report/budget", async (req, res) => {
+  try {
+    const month = cleanStr(req.query?.month) || businessDate().slice(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return res.status(400).json({ error: "month must be YYYY-MM" });
+    const monthStart = `${month}-01`;
+
+    const rows = await all(
+      `WITH actual AS (
+         SELECT category_id, COALESCE(SUM(amount),0) AS actual, COUNT(*)::int AS expense_count
+         FROM expenses
+         WHERE ${andWhere(
+           `created_at >= ${localMidnightSql("$1::date")}`,
+           `created_at < ${localMidnightSql("$1::date + INTERVAL '1 month'")}`,
+           locationClause(req)
+         )}
+         GROUP BY category_id
+       ),
+       budget AS (
+         SELECT category_id, SUM(amount) AS budget
+         FROM expense_budgets
+         ${req.location ? `WHERE ${locationClause(req)}` : ""}
+         GROUP BY category_id
+       )
+       SELECT c.id AS category_id, c.name, c.is_active,
+              COALESCE(b.budget, 0) AS budget,
+              COALESCE(a.actual, 0) AS actual,
+              COALESCE(a.expense_count, 0) AS expense_count
+       FROM expense_categories c
+       LEFT JOIN actual a ON a.category_id = c.id
+       LEFT JOIN budget b ON b.category_id = c.id
+       WHERE c.is_active OR a.actual IS NOT NULL OR b.budget > 0
+
+       UNION ALL
+
+       SELECT NULL, 'Uncategorized', TRUE, 0, a.actual, a.expense_count
+       FROM actual a
+       WHERE a.category_id IS NULL
+
+       ORDER BY 2 ASC`,
+      [monthStart]
+    );
+
+    const categories = rows.map((r) => {
+      const budget = Number(r.budget) || 0;
+      const actual = Number(r.actual) || 0;
+      return {
+        category_id: r.category_id,
+        name: r.name,
+        is_active: r.is_active,
+        expense_count: r.expense_count,
+        budget,
+        actual,
+        remaining: budget - actual,
+        used_pct: budget > 0 ? Math.round((actual / budget) * 1000) / 10 : null,
+        over_budget: budget > 0 && actual > budget,
+      };
+    });
+
+    const totalBudget = categories.reduce((s, c) => s + c.budget, 0);
+    const totalActual = categories.reduce((s, c) => s + c.actual, 0);
+
+    res.json({
+      month,
+      location: req.location ? { id: req.location.id, name: req.location.name } : null,
+      totals: {
+        budget: totalBudget,
+        actual: totalActual,
+        remaining: totalBudget - totalActual,
+        over_budget_count: categories.filter((c) => c.over_budget).length,
+      },
+      categories,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to generate budget report" });
+  }
+});
+
+// Revenue per menu item; lump-sum sales (no lines) are grouped as "Unitemized"
+router.get("/report/menu-items", async (req, res) => {
+  try {
+    const range = reportRange(req.query);
+    const where = andWhere(range.where, locationClause(req), LIVE_SALES);
+
+    const rows = await all(
+      `SELECT l.menu_item_id, COALESCE(m.name, l.item_name) AS name, COALESCE(m.category, '') AS category,
+              COALESCE(SUM(l.qty),0) AS qty, COALESCE(SUM(l.line_total),0) AS revenue,
+              COUNT(DISTINCT l.sale_id)::int AS sales_count
+       FROM (SELECT * FROM sales WHERE ${where}) s
+       JOIN sale_lines l ON l.sale_id = s.id
+       LEFT JOIN menu_items m ON m.id = l.menu_item_id
+       GROUP BY l.menu_item_id, COALESCE(m.name, l.item_name), COALESCE(m.category, '')
+       ORDER BY revenue DESC, name ASC`
+    );
+
+    const lump = await get(
+      `SELECT COALESCE(SUM(s.amount),0) AS revenue, COUNT(*)::int AS sales_count
+       FROM (SELECT * FROM sales WHERE ${where}) s
+       WHERE NOT EXISTS (SELECT 1 FROM sale_lines l WHERE l.sale_id = s.id)`
+    );
+
+    const items = rows.map(r => ({
+      menu_item_id: r.menu_item_id,
+      name: r.name,
+      category: r.category,
+      qty: Number(r.qty) || 0,
+      revenue: Number(r.revenue) || 0,
+      sales_count: r.sales_count,
+    }));
+    const itemized = items.reduce((s, i) => s + i.revenue, 0);
+    const unitemized = Number(lump.revenue) || 0;
+
+    res.json({
+      period: range.period,
+      from: range.from,
+      to: range.to,
+      label: range.label,
+      location: req.location ? { id: req.location.id, name: req.location.name } : null,
+      items,
+      unitemized: { revenue: unitemized, sales_count: lump.sales_count },
+      totals: { itemized, unitemized, revenue: itemized + unitemized },
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to generate menu item report" });
+  }
+});
+
+function marginPct(revenue, grossProfit) {
+  return revenue > 0 ? Math.round((grossProfit / revenue) * 1000) / 10 : null;
+}
+
+/**
+ * Gross margin (sales minus cost of goods sold) per sale, per product and per business day.
+ * COGS is what sale_items cost at the average cost when sold. Refunds on a sale come off
+ * its revenue, and stock they returned off its COGS; voided sales are left out. For the product view a sale's
+ * revenue is shared across its products in proportion to their cost. Items sold before a
+ * product had a cost count as uncosted; sales with no products used have no COGS.
+ */
+router.get("/report/margin", async (req, res) => {
+  try {
+    const range = reportRange(req.query);
+    const where = andWhere(range.where, locationClause(req), LIVE_SALES);
+
+    const salesRows = await all(
+      `SELECT id, created_at, description, amount
+       FROM sales WHERE ${where}
        ORDER BY created_at DESC, id DESC`
     );
+    const itemRows = await all(
+      `SELECT si.sale_id, si.product_id, p.name AS product_name, p.unit AS product_unit,
+              si.qty_used, si.cost
+       FROM (SELECT id FROM sales WHERE ${where}) s
+       JOIN sale_items si ON si.sale_id = s.id
+       JOIN products p ON p.id = si.product_id`
+    );
+
+    // refunded money and returned stock per sale (whenever the refund happened)
+    const refundRows = await all(
+      `SELECT r.sale_id, ri.product_id, ri.qty, ri.qty * ri.unit_cost AS cost, NULL AS amount
+       FROM (SELECT id FROM sales WHERE ${where}) s
+       JOIN sale_refunds r ON r.sale_id = s.id
+       JOIN sale_refund_items ri ON ri.refund_id = r.id
+       UNION ALL
+       SELECT r.sale_id, NULL, NULL, NULL, r.amount
+       FROM (SELECT id FROM sales WHERE ${where}) s
+       JOIN sale_refunds r ON r.sale_id = s.id`
+    );
+    const refundedBySale = new Map();
+    const returned = new Map(); // "sale:product" -> { qty, cost }
+    for (const r of refundRows) {
+      if (r.amount !== null) {
+        refundedBySale.set(r.sale_id, (refundedBySale.get(r.sale_id) || 0) + Number(r.amount));
+        continue;
+      }
+      const key = `${r.sale_id}:${r.product_id}`;
+      const prev = returned.get(key) || { qty: 0, cost: 0 };
+      returned.set(key, { qty: prev.qty + Number(r.qty), cost: prev.cost + (Number(r.cost) || 0) });
+    }
+
+    const itemsBySale = new Map();
+    for (const it of itemRows) {
+      const back = returned.get(`${it.sale_id}:${it.product_id}`);
+      if (back) {
+        it.qty_used = Number(it.qty_used) - back.qty;
+        if (it.cost !== null) it.cost = Number(it.cost) - back.cost;
+      }
+      if (!itemsBySale.has(it.sale_id)) itemsBySale.set(it.sale_id, []);
+      itemsBySale.get(it.sale_id).push(it);
+    }
 
-    const totalSales = sales.reduce((s, x) => s + (Number(x.amount) || 0), 0);
-    const totalExpenses = expenses.reduce((s, x) => s + (Number(x.amount) || 0), 0);
-    const profit = totalSales - totalExpenses;
+    const products = new Map();
+    const days = new Map();
+    const totals = { sales: 0, cogs: 0, gross_profit: 0, margin_pct: null, uncosted_sales: 0, sales_without_items: 0 };
+
+    const bySale = salesRows.map(s => {
+      const refunded = round2(refundedBySale.get(s.id) || 0);
+      const amount = round2((Number(s.amount) || 0) - refunded);
+      const items = itemsBySale.get(s.id) || [];
+      const cogs = round2(items.reduce((sum, it) => sum + (Number(it.cost) || 0), 0));
+      const uncosted = items.filter(it => it.cost === null).length;
+
+      for (const it of items) {
+        if (!products.has(it.product_id)) {
+          products.set(it.product_id, {
+            product_id: it.product_id,
+            name: it.product_name,
+            unit: it.product_unit,
+            qty_used: 0,
+            revenue: 0,
+            cogs: 0,
+            uncosted_qty: 0,
+          });
+        }
+        const p = products.get(it.product_id);
+        p.qty_used += Number(it.qty_used) || 0;
+        if (it.cost === null) {
+          p.uncosted_qty += Number(it.qty_used) || 0;
+        } else {
+          p.cogs += Number(it.cost) || 0;
+          if (cogs > 0) p.revenue += amount * (Number(it.cost) || 0) / cogs;
+        }
+      }
+
+      const day = businessDate(s.created_at);
+      if (!days.has(day)) days.set(day, { date: day, sales: 0, cogs: 0 });
+      days.get(day).sales += amount;
+      days.get(day).cogs += cogs;
+
+      totals.sales += amount;
+      totals.cogs += cogs;
+      if (uncosted) totals.uncosted_sales += 1;
+      if (!items.length) totals.sales_without_items += 1;
+
+      const grossProfit = round2(amount - cogs);
+      return {
+        id: s.id,
+        created_at: s.created_at,
+        description: s.description,
+        amount,
+        refunded,
+        cogs,
+        gross_profit: grossProfit,
+        margin_pct: marginPct(amount, grossProfit),
+        uncosted_items: uncosted,
+      };
+    });
+
+    const byProduct = Array.from(products.values())
+      .map(p => {
+        const revenue = round2(p.revenue);
+        const cogs = round2(p.cogs);
+        return {
+          ...p,
+          qty_used: Math.round(p.qty_used * 1e6) / 1e6,
+          uncosted_qty: Math.round(p.uncosted_qty * 1e6) / 1e6,
+          revenue,
+          cogs,
+          gross_profit: round2(revenue - cogs),
+          margin_pct: marginPct(revenue, revenue - cogs),
+        };
+      })
+      .sort((a, b) => b.gross_profit - a.gross_profit || String(a.name).localeCompare(String(b.name)));
+
+    const byDay = Array.from(days.values())
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(d => {
+        const grossProfit = round2(d.sales - d.cogs);
+        return { date: d.date, sales: round2(d.sales), cogs: round2(d.cogs), gross_profit: grossProfit, margin_pct: marginPct(d.sales, grossProfit) };
+      });
+
+    totals.sales = round2(totals.sales);
+    totals.cogs = round2(totals.cogs);
+    totals.gross_profit = round2(totals.sales - totals.cogs);
+    totals.margin_pct = marginPct(totals.sales, totals.gross_profit);
+
+    res.json({
+      period: range.period,
+      from: range.from,
+      to: range.to,
+      label: range.label,
+      location: req.location ? { id: req.location.id, name: req.location.name } : null,
+      totals,
+      bySale,
+      byProduct,
+      byDay,
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to generate margin report" });
+  }
+});
+
+// Takings per payment method per business day, to check against POS settlements and bank alerts
+// Refunds paid out come off each day's takings (net); voided sales are left out
+async function reconciliation(req) {
+  const range = reportRange(req.query);
+  const where = andWhere(range.where, locationClause(req));
+  const liveWhere = andWhere(where, LIVE_SALES);
+  const rows = await paymentTotals(liveWhere, { byDay: true });
+  const refundRows = (await refundTotals(where, { byDay: true })).rows;
+
+  const days = new Map();
+  const day = (date) => {
+    if (!days.has(date)) {
+      days.set(date, {
+        date,
+        ...methodBreakdown([]),
+        total: 0,
+        sales_count: 0,
+        refunds: Object.fromEntries(PAYMENT_METHODS.map(m => [m, 0])),
+        refunds_total: 0,
+        net_total: 0,
+      });
+    }
+    return days.get(date);
+  };
+  for (const r of rows) {
+    const d = day(r.day);
+    d[r.method] += Number(r.total) || 0;
+    d.total += Number(r.total) || 0;
+  }
+  for (const r of refundRows) {
+    const d = day(r.day);
+    d.refunds[r.method] = round2(d.refunds[r.method] + Number(r.total));
+    d.refunds_total = round2(d.refunds_total + Number(r.total));
+  }
+
+  // a split sale shows under each of its methods; count it once per day
+  const counts = await all(
+    `SELECT ${localDateSql()}::text AS day, COUNT(*)::int AS n FROM sales WHERE ${liveWhere} GROUP BY 1`
+  );
+  for (const c of counts) if (days.has(c.day)) days.get(c.day).sales_count = c.n;
+
+  const list = Array.from(days.values()).sort((a, b) => b.date.localeCompare(a.date));
+  const totals = {
+    ...methodBreakdown([]),
+    total: 0,
+    sales_count: 0,
+    refunds: Object.fromEntries(PAYMENT_METHODS.map(m => [m, 0])),
+    refunds_total: 0,
+    net_total: 0,
+  };
+  for (const d of list) {
+    d.net_total = round2(d.total - d.refunds_total);
+    for (const m of [...PAYMENT_METHODS, "unspecified"]) totals[m] += d[m];
+    for (const m of PAYMENT_METHODS) totals.refunds[m] = round2(totals.refunds[m] + d.refunds[m]);
+    totals.total += d.total;
+    totals.sales_count += d.sales_count;
+    totals.refunds_total = round2(totals.refunds_total + d.refunds_total);
+  }
+  totals.net_total = round2(totals.total - totals.refunds_total);
+
+  return { range, methods: [...PAYMENT_METHODS, "unspecified"], days: list, totals };
+}
+
+router.get("/report/payments", async (req, res) => {
+  try {
+    const { range, methods, days, totals } = await reconciliation(req);
+    res.json({
+      period: range.period,
+      from: range.from,
+      to: range.to,
+      label: range.label,
+      location: req.location ? { id: req.location.id, name: req.location.name } : null,
+      methods,
+      days,
+      totals,
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to generate payments report" });
+  }
+});
+
+router.get("/export/payments.csv", async (req, res) => {
+  try {
+    const { range, methods, days, totals } = await reconciliation(req);
 
     let csv = "";
-    csv += "BUSINESS REPORT\n";
-    csv += `Report Type,${csvEscape(period.toUpperCase())}\n`;
-    csv += `Generated On,${csvEscape(new Date().toLocaleString())}\n\n`;
+    csv += "PAYMENT RECONCILIATION\n";
+    csv += `Report Type,${csvEscape(range.label)}\n`;
+    csv += `Location,${csvEscape(req.location ? req.location.name : "All locations")}\n`;
+    csv += `Generated On,${csvEscape(formatBusinessDateTime(new Date()))}\n\n`;
+
+    csv += ["Date", ...methods.map(m => `${PAYMENT_LABELS[m]} (NGN)`), "Total (NGN)", "Sales", "Refunds (NGN)", "Net (NGN)"].join(",") + "\n";
+    for (const d of days) {
+      csv += [d.date, ...methods.map(m => d[m]), d.total, d.sales_count, d.refunds_total, d.net_total].join(",") + "\n";
+    }
+    csv += ["TOTAL", ...methods.map(m => totals[m]), totals.total, totals.sales_count, totals.refunds_total, totals.net_total].join(",") + "\n";
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="payments-${range.slug}-${businessDate()}.csv"`);
+    res.send(csv);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to export payments CSV" });
+  }
+});
+
+// VAT collected per day or month, for filing. Refunds give back their share of the sale's
+// VAT (refund x tax / amount), counted when the refund was made; voided sales are left out.
+const TAX_GROUPS = { day: "YYYY-MM-DD", month: "YYYY-MM" };
 
-    csv += "SUMMARY\n";
-    csv += "Total Sales (NGN),Total Expenses (NGN),Profit (NGN)\n";
-    csv += `${totalSales},${totalExpenses},${profit}\n\n`;
+async function taxSummary(req) {
+  const range = reportRange(req.query);
+  const group = String(req.query?.group || "day").trim().toLowerCase();
+  if (!TAX_GROUPS[group]) throw httpError(400, "group must be day or month");
 
-    csv += "DETAILED RECORDS\n";
-    csv += "Type,Amount (NGN),Description,Products Used,Date\n";
+  const where = andWhere(range.where, locationClause(req));
+  const bucket = (col) => `to_char(${localDateSql(col)}, '${TAX_GROUPS[group]}')`;
+
+  const sales = await all(
+    `SELECT ${bucket("created_at")} AS period, COUNT(*)::int AS sales_count,
+            COALESCE(SUM(amount - tax),0) AS taxable, COALESCE(SUM(tax),0) AS vat,
+            COALESCE(SUM(service_charge),0) AS service_charge, COALESCE(SUM(discount_amount),0) AS discounts
+     FROM sales WHERE ${andWhere(where, LIVE_SALES)}
+     GROUP BY 1`
+  );
+  const refunds = await all(
+    `SELECT ${bucket("r.created_at")} AS period,
+            COALESCE(SUM(CASE WHEN s.amount > 0 THEN r.amount * s.tax / s.amount ELSE 0 END),0) AS vat
+     FROM (SELECT * FROM sale_refunds ${where ? `WHERE ${where}` : ""}) r
+     JOIN sales s ON s.id = r.sale_id
+     GROUP BY 1`
+  );
 
-    for (const s of sales) {
-      const used = (s.items || [])
-        .map(it => `${it.product_name} x${it.qty_used}${it.product_unit ? " " + it.product_unit : ""}`)
-        .join("; ");
-      csv += `Sale,${s.amount},${csvEscape(s.description)},${csvEscape(used)},${csvEscape(new Date(s.created_at).toLocaleString())}\n`;
+  const periods = new Map();
+  const row = (period) => {
+    if (!periods.has(period)) {
+      periods.set(period, { period, sales_count: 0, taxable: 0, vat: 0, vat_refunded: 0, net_vat: 0, service_charge: 0, discounts: 0 });
     }
+    return periods.get(period);
+  };
+  for (const r of sales) {
+    Object.assign(row(r.period), {
+      sales_count: r.sales_count,
+      taxable: round2(r.taxable),
+      vat: round2(r.vat),
+      service_charge: round2(r.service_charge),
+      discounts: round2(r.discounts),
+    });
+  }
+  for (const r of refunds) row(r.period).vat_refunded = round2(r.vat);
+
+  const list = Array.from(periods.values()).sort((a, b) => a.period.localeCompare(b.period));
+  const totals = { sales_count: 0, taxable: 0, vat: 0, vat_refunded: 0, net_vat: 0, service_charge: 0, discounts: 0 };
+  for (const p of list) {
+    p.net_vat = round2(p.vat - p.vat_refunded);
+    for (const k of Object.keys(totals)) totals[k] = round2(totals[k] + p[k]);
+  }
+
+  return { range, group, periods: list, totals, settings: await getSettings() };
+}
+
+router.get("/report/tax", async (req, res) => {
+  try {
+    const { range, group, periods, totals, settings } = await taxSummary(req);
+    res.json({
+      period: range.period,
+      from: range.from,
+      to: range.to,
+      label: range.label,
+      location: req.location ? { id: req.location.id, name: req.location.name } : null,
+      group,
+      vat_rate: settings.vat_rate,
+      periods,
+      totals,
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to generate tax report" });
+  }
+});
+
+router.get("/export/tax.csv", async (req, res) => {
+  try {
+    const { range, group, periods, totals, settings } = await taxSummary(req);
 
-    for (const e of expenses) {
-      csv += `Expense,${e.amount},${csvEscape(e.description)},,${csvEscape(new Date(e.created_at).toLocaleString())}\n`;
+    let csv = "";
+    csv += "TAX SUMMARY (VAT)\n";
+    csv += `Report Type,${csvEscape(range.label)}\n`;
+    csv += `Location,${csvEscape(req.location ? req.location.name : "All locations")}\n`;
+    csv += `Current VAT Rate (%),${settings.vat_rate}\n`;
+    csv += `Generated On,${csvEscape(formatBusinessDateTime(new Date()))}\n\n`;
+
+    csv += [group === "month" ? "Month" : "Date", "Sales", "Taxable (NGN)", "VAT Collected (NGN)", "VAT Refunded (NGN)", "Net VAT (NGN)", "Service Charge (NGN)", "Discounts (NGN)"].join(",") + "\n";
+    for (const p of periods) {
+      csv += [p.period, p.sales_count, p.taxable, p.vat, p.vat_refunded, p.net_vat, p.service_charge, p.discounts].join(",") + "\n";
     }
+    csv += ["TOTAL", totals.sales_count, totals.taxable, totals.vat, totals.vat_refunded, totals.net_vat, totals.service_charge, totals.discounts].join(",") + "\n";
 
     res.setHeader("Content-Type", "text/csv; charset=utf-8");
-    res.setHeader("Content-Disposition", `attachment; filename="finance-${period}-${new Date().toISOString().slice(0,10)}.csv"`);
+    res.setHeader("Content-Disposition", `attachment; filename="tax-${range.slug}-${businessDate()}.csv"`);
     res.send(csv);
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to export finance CSV" });
+    res.status(e.status || 500).json({ error: e.message || "Failed to export tax CSV" });
   }
 });
 
-// Email finance CSV
-router.post("/email/finance", async (req, res) => {
+// -----------------------
+// END-OF-DAY CLOSING (Z-REPORT)
+// One per branch per business day; the figures are frozen when the day is closed.
+// -----------------------
+function closingDate(raw) {
+  const date = cleanStr(raw) || businessDate();
+  if (!isDate(date)) throw httpError(400, "date must be YYYY-MM-DD");
+  if (date > businessDate()) throw httpError(400, "A day can't be closed before it has started");
+  return date;
+}
+
+async function fetchClosings(whereSql) {
+  const closings = await all(
+    `SELECT dc.id, dc.location_id, l.name AS location_name, dc.business_date::text AS business_date,
+            dc.sales_count, dc.voided_count, dc.gross_sales, dc.refunds, dc.net_sales, dc.unspecified,
+            dc.expected_total, dc.counted_total, dc.variance, dc.note,
+            dc.closed_by, COALESCE(u.display_name, u.username) AS closed_by_name, dc.closed_at
+     FROM day_closings dc
+     JOIN locations l ON l.id = dc.location_id
+     LEFT JOIN users u ON u.id = dc.closed_by
+     ${whereSql ? `WHERE ${whereSql}` : ""}
+     ORDER BY dc.business_date DESC, l.name ASC`
+  );
+  if (!closings.length) return [];
+
+  const methods = await all(
+    `SELECT closing_id, method, sales, refunds, expected, counted, variance
+     FROM day_closing_methods WHERE closing_id = ANY($1::int[])`,
+    [closings.map(c => c.id)]
+  );
+
+  const money = ["gross_sales", "refunds", "net_sales", "unspecified", "expected_total", "counted_total", "variance"];
+  return closings.map(c => ({
+    ...c,
+    ...Object.fromEntries(money.map(k => [k, Number(c[k])])),
+    methods: PAYMENT_METHODS.map(method => {
+      const m = methods.find(x => x.closing_id === c.id && x.method === method) || {};
+      return {
+        method,
+        sales: Number(m.sales) || 0,
+        refunds: Number(m.refunds) || 0,
+        expected: Number(m.expected) || 0,
+        counted: Number(m.counted) || 0,
+        variance: Number(m.variance) || 0,
+      };
+    }),
+  }));
+}
+
+async function fetchClosing(req) {
+  const id = toNumber(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) throw httpError(400, "Invalid closing id");
+
+  const [closing] = await fetchClosings(andWhere(`dc.id = ${id}`, locationClause(req, "dc.location_id")));
+  if (!closing) throw httpError(404, "Closing not found");
+  return closing;
+}
+
+// closings history (?from=&to= business dates)
+router.get("/closings", async (req, res) => {
   try {
-    const to = cleanStr(req.body?.to);
-    const period = cleanStr(req.body?.period).toLowerCase();
-    const where = periodWhere(period);
+    const from = cleanStr(req.query?.from);
+    const to = cleanStr(req.query?.to);
+    if ((from && !isDate(from)) || (to && !isDate(to))) throw httpError(400, "from / to must be YYYY-MM-DD");
+
+    res.json(await fetchClosings(andWhere(
+      locationClause(req, "dc.location_id"),
+      from ? `dc.business_date >= DATE '${from}'` : "",
+      to ? `dc.business_date <= DATE '${to}'` : ""
+    )));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to fetch closings" });
+  }
+});
 
-    if (!to) return res.status(400).json({ error: "Recipient email is required" });
-    if (!where) return res.status(400).json({ error: "Invalid period" });
+// what the branch should have taken on ?date= (default today), before counting
+router.get("/closings/expected", async (req, res) => {
+  try {
+    if (!req.location) throw httpError(400, "Pick a single location to cash up");
+    const date = closingDate(req.query?.date);
 
-    const sales = await fetchSalesWithItems(where);
-    const expenses = await all(
-      `SELECT id, amount, description, created_at FROM expenses
-       WHERE ${where}
-       ORDER BY created_at DESC, id DESC`
+    const closed = await get(
+      `SELECT id FROM day_closings WHERE location_id=$1 AND business_date=$2`,
+      [req.location.id, date]
     );
+    res.json({
+      location: { id: req.location.id, name: req.location.name },
+      closing_id: closed ? closed.id : null,
+      ...(await expectedTakings(pool, req.location.id, date)),
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to work out expected takings" });
+  }
+});
 
-    const totalSales = sales.reduce((s, x) => s + (Number(x.amount) || 0), 0);
-    const totalExpenses = expenses.reduce((s, x) => s + (Number(x.amount) || 0), 0);
-    const profit = totalSales - totalExpenses;
+// close the day: { date?, counted: { cash, pos, transfer }, note? }
+router.post("/closings", async (req, res) => {
+  let date;
+  let counted;
+  try {
+    date = closingDate(req.body?.date);
+    counted = parseCounted(req.body?.counted);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const note = cleanStr(req.body?.note);
 
-    let csv = "";
-    csv += "BUSINESS REPORT\n";
-    csv += `Report Type,${csvEscape(period.toUpperCase())}\n`;
-    csv += `Generated On,${csvEscape(new Date().toLocaleString())}\n\n`;
-    csv += "SUMMARY\n";
-    csv += "Total Sales (NGN),Total Expenses (NGN),Profit (NGN)\n";
-    csv += `${totalSales},${totalExpenses},${profit}\n\n`;
-    csv += "DETAILED RECORDS\n";
-    csv += "Type,Amount (NGN),Description,Products Used,Date\n";
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-    for (const s of sales) {
-      const used = (s.items || [])
-        .map(it => `${it.product_name} x${it.qty_used}${it.product_unit ? " " + it.product_unit : ""}`)
-        .join("; ");
-      csv += `Sale,${s.amount},${csvEscape(s.description)},${csvEscape(used)},${csvEscape(new Date(s.created_at).toLocaleString())}\n`;
+    const expected = await expectedTakings(client, req.location.id, date);
+    const methods = expected.methods.map(m => ({
+      ...m,
+      counted: counted[m.method],
+      variance: round2(counted[m.method] - m.expected),
+    }));
+    const countedTotal = round2(methods.reduce((sum, m) => sum + m.counted, 0));
+
+    const { rows } = await client.query(
+      `INSERT INTO day_closings (location_id, business_date, sales_count, voided_count, gross_sales, refunds,
+                                 net_sales, unspecified, expected_total, counted_total, variance, note, closed_by)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+       ON CONFLICT (location_id, business_date) DO NOTHING
+       RETURNING id`,
+      [
+        req.location.id, date, expected.sales_count, expected.voided_count, expected.gross_sales, expected.refunds,
+        expected.net_sales, expected.unspecified, expected.expected_total, countedTotal,
+        round2(countedTotal - expected.expected_total), note, req.user.id,
+      ]
+    );
+    if (!rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: `${date} is already closed for ${req.location.name}` });
     }
+    const id = rows[0].id;
 
-    for (const e of expenses) {
-      csv += `Expense,${e.amount},${csvEscape(e.description)},,${csvEscape(new Date(e.created_at).toLocaleString())}\n`;
+    for (const m of methods) {
+      await client.query(
+        `INSERT INTO day_closing_methods (closing_id, method, sales, refunds, expected, counted, variance)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+        [id, m.method, m.sales, m.refunds, m.expected, m.counted, m.variance]
+      );
     }
 
-    const filename = `finance-${period}-${new Date().toISOString().slice(0,10)}.csv`;
+    await recordAudit(client, req, {
+      action: "create",
+      entity: "day_closing",
+      entityId: id,
+      after: { business_date: date, ...expected, methods, counted_total: countedTotal, note },
+    });
+
+    await client.query("COMMIT");
+    res.json((await fetchClosings(`dc.id = ${id}`))[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || "Failed to close the day" });
+  } finally {
+    client.release();
+  }
+});
+
+router.get("/closings/:id", async (req, res) => {
+  try {
+    res.json(await fetchClosing(req));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to fetch closing" });
+  }
+});
+
+router.get("/closings/:id/zreport", async (req, res) => {
+  try {
+    const closing = await fetchClosing(req);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(renderZReportHtml(closing, await getSettings()));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to render Z-report" });
+  }
+});
+
+router.get("/closings/:id/zreport.csv", async (req, res) => {
+  try {
+    const closing = await fetchClosing(req);
+    const slug = String(closing.location_name).toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="z-report-${slug}-${closing.business_date}.csv"`);
+    res.send(zReportCsv(closing));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to export Z-report" });
+  }
+});
+
+// "cash 2000; pos 3000" for a sale's payments
+function paymentsText(payments) {
+  return (payments || []).map(p => `${PAYMENT_LABELS[p.method] || p.method} ${p.amount}`).join("; ");
+}
+
+// Finance CSV body shared by the download and the email
+// sales: every sale in the window (voided ones are listed but not counted); refunds: given in the window
+function buildFinanceCsv({ label, locationName, sales, expenses, refunds }) {
+  const live = sales.filter(s => s.status !== "voided");
+  const grossSales = round2(live.reduce((s, x) => s + (Number(x.amount) || 0), 0));
+  const totalRefunds = round2(refunds.reduce((s, x) => s + (Number(x.amount) || 0), 0));
+  const totalSales = round2(grossSales - totalRefunds);
+  const totalExpenses = expenses.reduce((s, x) => s + (Number(x.amount) || 0), 0);
+  const profit = round2(totalSales - totalExpenses);
+
+  let csv = "";
+  csv += "BUSINESS REPORT\n";
+  csv += `Report Type,${csvEscape(label)}\n`;
+  csv += `Location,${csvEscape(locationName)}\n`;
+  csv += `Generated On,${csvEscape(formatBusinessDateTime(new Date()))}\n\n`;
+
+  csv += "SUMMARY\n";
+  csv += "Gross Sales (NGN),Refunds (NGN),Net Sales (NGN),Total Expenses (NGN),Profit (NGN)\n";
+  csv += `${grossSales},${totalRefunds},${totalSales},${totalExpenses},${profit}\n\n`;
+
+  const byMethod = methodBreakdown(
+    live.flatMap(s => (s.payments?.length ? s.payments : [{ method: "unspecified", amount: s.amount }])
+      .map(p => ({ method: p.method, total: p.amount })))
+  );
+  csv += "SALES BY PAYMENT METHOD\n";
+  csv += Object.keys(byMethod).map(m => `${PAYMENT_LABELS[m]} (NGN)`).join(",") + "\n";
+  csv += Object.values(byMethod).join(",") + "\n\n";
+
+  csv += "DETAILED RECORDS\n";
+  csv += "Type,Amount (NGN),Subtotal (NGN),Discount (NGN),Service Charge (NGN),VAT (NGN),Description,Category,Payment,Items Sold,Products Used,Date,Status\n";
+
+  for (const s of sales) {
+    const used = (s.items || [])
+      .map(it => `${it.product_name} x${it.qty_used}${it.product_unit ? " " + it.product_unit : ""}`)
+      .join("; ");
+    const sold = (s.lines || []).map(l => `${l.item_name} x${l.qty} @ ${l.unit_price}`).join("; ");
+    const status = s.status === "voided"
+      ? `voided: ${s.void_reason || ""}${s.voided_by_name ? ` (${s.voided_by_name})` : ""}`
+      : (s.status || "completed");
+    const charges = s.subtotal === null
+      ? ",,,"
+      : [s.subtotal, s.discount_amount, s.service_charge, s.tax].map(Number).join(",");
+    csv += `Sale,${s.amount},${charges},${csvEscape(s.description)},,${csvEscape(paymentsText(s.payments))},${csvEscape(sold)},${csvEscape(used)},${csvEscape(formatBusinessDateTime(s.created_at))},${csvEscape(status)}\n`;
+  }
+
+  for (const r of refunds) {
+    csv += `Refund,-${r.amount},,,,,${csvEscape(`Sale #${r.sale_id}: ${r.reason}`)},,${csvEscape(PAYMENT_LABELS[r.method] || r.method)},,,${csvEscape(formatBusinessDateTime(r.created_at))},\n`;
+  }
+
+  for (const e of expenses) {
+    csv += `Expense,${e.amount},,,,,${csvEscape(e.description)},${csvEscape(e.category_name || "Uncategorized")},,,,${csvEscape(formatBusinessDateTime(e.created_at))},\n`;
+  }
+
+  return csv;
+}
+
+// Export finance CSV
+router.get("/export/finance.csv", async (req, res) => {
+  try {
+    const range = reportRange(req.query);
+    const where = andWhere(range.where, locationClause(req));
+
+    const csv = buildFinanceCsv({
+      label: range.label,
+      locationName: req.location ? req.location.name : "All locations",
+      sales: await fetchSalesWithItems(where),
+      expenses: await fetchExpenses(where),
+      refunds: await fetchRefunds(where),
+    });
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="finance-${range.slug}-${businessDate()}.csv"`);
+    res.send(csv);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to export finance CSV" });
+  }
+});
+
+// Email finance CSV
+router.post("/email/finance", async (req, res) => {
+  try {
+    // body: { to, period } or { to, from, until }; `to` is the recipient, so the range ends at `until`
+    const to = cleanStr(req.body?.to);
+    if (!to) return res.status(400).json({ error: "Recipient email is required" });
+
+    const until = cleanStr(req.body?.until);
+    if (until && !isDate(until)) throw httpError(400, "until must be YYYY-MM-DD");
+    const range = reportRange({ period: req.body?.period, from: req.body?.from, to: until });
+    const where = andWhere(range.where, locationClause(req));
+
+    const csv = buildFinanceCsv({
+      label: range.label,
+      locationName: req.location ? req.location.name : "All locations",
+      sales: await fetchSalesWithItems(where),
+      expenses: await fetchExpenses(where),
+      refunds: await fetchRefunds(where),
+    });
+
+    const filename = `finance-${range.slug}-${businessDate()}.csv`;
 
     await sendMailWithAttachment({
       to,
-      subject: "Finance Report (CSV)",
+      subject: `Finance Report (CSV) - ${range.label}`,
       text: "Attached is your finance report in CSV format.",
       filename,
       content: csv,
@@ -410,7 +2588,7 @@ router.post("/email/finance", async (req, res) => {
 
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: e.message || "Failed to send finance email" });
+    res.status(e.status || 500).json({ error: e.message || "Failed to send finance email" });
   }
 });
 
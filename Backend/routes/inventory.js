@@ -2,6 +2,13 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../db");
+const { permit } = require("../utils/permissions");
+const { usersReady } = require("../utils/auth");
+const { locationsReady, resolveLocation, locationClause } = require("../utils/locations");
+const { lockProduct, adjustStock, costingReady, parseUnitCost, applyCostIn } = require("../utils/stock");
+const { auditReady, recordAudit } = require("../utils/audit");
+const { ensureTimestamptz, formatBusinessDateTime } = require("../utils/time");
+const { assertPeriodOpen } = require("../utils/periods");
 
 /**
  * ✅ This file is aligned with your REAL production DB schema:
@@ -54,6 +61,9 @@ async function ensureSchema() {
     ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()
   `);
 
+  // migrate.js created this as plain TIMESTAMP
+  await ensureTimestamptz("products", "updated_at");
+
   await pool.query(`
     ALTER TABLE products
     ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE
@@ -187,9 +197,63 @@ async function ensureSchema() {
       ALTER TABLE stock_movements
       ALTER COLUMN qty SET DEFAULT 0
     `);
+
+    // migrate.js created this as plain TIMESTAMP
+    await ensureTimestamptz("stock_movements", "created_at");
   }
+
+  // -----------------------
+  // ✅ STAFF ATTRIBUTION
+  // -----------------------
+  await usersReady();
+
+  await pool.query(`
+    ALTER TABLE stock_movements
+    ADD COLUMN IF NOT EXISTS created_by INT REFERENCES users(id) ON DELETE SET NULL
+  `);
+
+  await pool.query(`
+    ALTER TABLE losses
+    ADD COLUMN IF NOT EXISTS created_by INT REFERENCES users(id) ON DELETE SET NULL
+  `);
+
+  // -----------------------
+  // ✅ COSTING (avg_cost + unit_cost)
+  // -----------------------
+  await costingReady();
+
+  // -----------------------
+  // ✅ BRANCHES (product_stock + location_id)
+  // -----------------------
+  await locationsReady();
+
+  await pool.query(`
+    ALTER TABLE losses
+    ADD COLUMN IF NOT EXISTS location_id INT REFERENCES locations(id)
+  `);
+
+  // -----------------------
+  // ✅ AUDIT TRAIL
+  // -----------------------
+  await auditReady();
 }
 
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /debug/ping": "inventory:read",
+  "GET /debug/schema": "inventory:read",
+  "GET /products": "inventory:read",
+  "POST /products": "products:create",
+  "PUT /products/:id": "products:update",
+  "DELETE /products/:id": "products:delete",
+  "POST /products/:id/move": (req) =>
+    String(req.body?.type || "").trim().toUpperCase() === "OUT" ? "stock:out" : "stock:in",
+  "POST /products/:id/loss": "losses:create",
+  "GET /export/inventory.csv": "inventory:read",
+  "GET /losses": "inventory:read",
+  "DELETE /losses/:id": "losses:delete",
+}));
+
 // ✅ Ensure schema before every request
 router.use(async (req, res, next) => {
   try {
@@ -201,6 +265,9 @@ router.use(async (req, res, next) => {
   }
 });
 
+// ✅ Stock is held per branch (x-location-id), or summed across branches for reads
+router.use(resolveLocation);
+
 // -----------------------
 // Helpers
 // -----------------------
@@ -239,20 +306,45 @@ router.get("/debug/schema", async (req, res) => {
   }
 });
 
+// -----------------------
+// Product row helpers
+// qty = stock at the request's location (or the all-branch total when viewing all)
+// -----------------------
+function productSelect(req) {
+  const qtyExpr = req.location ? "COALESCE(ps.qty, 0)" : "COALESCE(p.qty, 0)";
+  const join = req.location
+    ? `LEFT JOIN product_stock ps ON ps.product_id = p.id AND ${locationClause(req, "ps.location_id")}`
+    : "";
+
+  return `
+    SELECT
+      p.id, p.name, p.sku, p.unit,
+      ${qtyExpr} AS qty,
+      COALESCE(p.qty, 0) AS total_qty,
+      p.reorder_level,
+      COALESCE(UPPER(p.category), 'KITCHEN') AS category,
+      p.portion_size,
+      p.avg_cost,
+      p.updated_at,
+      p.created_at
+    FROM products p
+    ${join}
+  `;
+}
+
+async function fetchProduct(req, id) {
+  const { rows } = await pool.query(`${productSelect(req)} WHERE p.id=$1`, [id]);
+  return rows[0] || null;
+}
+
 // -----------------------
 // GET PRODUCTS
 // -----------------------
 router.get("/products", async (req, res) => {
   try {
     const { rows } = await pool.query(`
-      SELECT
-        id, name, sku, unit, qty, reorder_level,
-        COALESCE(UPPER(category), 'KITCHEN') AS category,
-        portion_size,
-        updated_at,
-        created_at
-      FROM products
-      ORDER BY updated_at DESC NULLS LAST, id DESC
+      ${productSelect(req)}
+      ORDER BY p.updated_at DESC NULLS LAST, p.id DESC
     `);
     res.json(rows);
   } catch (e) {
@@ -263,8 +355,10 @@ router.get("/products", async (req, res) => {
 
 // -----------------------
 // CREATE PRODUCT
+// initial stock goes to the current location
 // -----------------------
 router.post("/products", async (req, res) => {
+  const client = await pool.connect();
   try {
     const name = String(req.body.name || "").trim();
     const sku = String(req.body.sku || "").trim();
@@ -275,6 +369,9 @@ router.post("/products", async (req, res) => {
     if (!name) return res.status(400).json({ error: "Product name is required" });
     if (initial_qty < 0) return res.status(400).json({ error: "Initial quantity must be 0 or more" });
 
+    // cost per base unit of the initial stock (optional)
+    const unit_cost = parseUnitCost(req.body.unit_cost);
+
     let unit = String(req.body.unit || "").trim() || "pcs";
     let portion_size = req.body.portion_size;
 
@@ -290,36 +387,48 @@ router.post("/products", async (req, res) => {
       unit = unit || "pcs";
     }
 
-    const { rows } = await pool.query(
+    const locationId = req.location.id;
+
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
       `
       INSERT INTO products
-        (name, sku, unit, qty, reorder_level, category, portion_size, updated_at)
+        (name, sku, unit, qty, reorder_level, category, portion_size, avg_cost, updated_at)
       VALUES
-        ($1,$2,$3,$4,$5,$6,$7,NOW())
-      RETURNING
-        id, name, sku, unit, qty, reorder_level,
-        COALESCE(UPPER(category), 'KITCHEN') AS category,
-        portion_size,
-        updated_at,
-        created_at
+        ($1,$2,$3,$4,$5,$6,$7,$8,NOW())
+      RETURNING *
       `,
-      [name, sku || null, unit, initial_qty, reorder_level, category, portion_size]
+      [name, sku || null, unit, initial_qty, reorder_level, category, portion_size, unit_cost]
+    );
+    const productId = rows[0].id;
+
+    await client.query(
+      `INSERT INTO product_stock (product_id, location_id, qty) VALUES ($1,$2,$3)`,
+      [productId, locationId, initial_qty]
     );
 
     if (initial_qty > 0) {
-      await pool.query(
+      await client.query(
         `
-        INSERT INTO stock_movements (product_id, type, qty, mode, note, reason)
-        VALUES ($1, 'IN', $2, 'QTY', $3, '')
+        INSERT INTO stock_movements (product_id, type, qty, mode, note, reason, created_by, location_id, unit_cost)
+        VALUES ($1, 'IN', $2, 'QTY', $3, '', $4, $5, $6)
         `,
-        [rows[0].id, initial_qty, "Initial stock in"]
+        [productId, initial_qty, "Initial stock in", req.user.id, locationId, unit_cost]
       );
     }
 
-    res.json(rows[0]);
+    await recordAudit(client, req, { action: "create", entity: "product", entityId: productId, after: rows[0] });
+
+    await client.query("COMMIT");
+    res.json(await fetchProduct(req, productId));
   } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("POST /products error:", e);
     res.status(500).json({ error: "Failed to create product", detail: e.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -327,14 +436,18 @@ router.post("/products", async (req, res) => {
 // UPDATE PRODUCT
 // -----------------------
 router.put("/products/:id", async (req, res) => {
+  const client = await pool.connect();
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid product id" });
 
-    const { rows: found } = await pool.query(`SELECT * FROM products WHERE id=$1`, [id]);
-    if (!found.length) return res.status(404).json({ error: "Not found" });
+    await client.query("BEGIN");
 
-    const prev = found[0];
+    const prev = await lockProduct(client, id);
+    if (!prev) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Not found" });
+    }
 
     const name = String(req.body.name ?? prev.name).trim();
     const sku = String(req.body.sku ?? prev.sku ?? "").trim();
@@ -346,7 +459,10 @@ router.put("/products/:id", async (req, res) => {
 
     if (category === "SEAFOOD") {
       const ps = toNumber(portion_size ?? prev.portion_size, 0);
-      if (!isPositive(ps)) return res.status(400).json({ error: "Seafood requires portion_size > 0" });
+      if (!isPositive(ps)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Seafood requires portion_size > 0" });
+      }
       portion_size = ps;
       unit = unit || "qty";
     } else {
@@ -354,26 +470,35 @@ router.put("/products/:id", async (req, res) => {
       unit = unit || "pcs";
     }
 
-    const { rows } = await pool.query(
+    const { rows } = await client.query(
       `
       UPDATE products
       SET name=$1, sku=$2, unit=$3, reorder_level=$4,
           category=$5, portion_size=$6, updated_at=NOW()
       WHERE id=$7
-      RETURNING
-        id, name, sku, unit, qty, reorder_level,
-        COALESCE(UPPER(category), 'KITCHEN') AS category,
-        portion_size,
-        updated_at,
-        created_at
+      RETURNING *
       `,
       [name, sku || null, unit, reorder_level, category, portion_size, id]
     );
 
-    res.json(rows[0]);
+    // product details are shared by every branch
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "product",
+      entityId: id,
+      before: prev,
+      after: rows[0],
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(await fetchProduct(req, id));
   } catch (e) {
+    await client.query("ROLLBACK");
     console.error("PUT /products/:id error:", e);
     res.status(500).json({ error: "Failed to update product", detail: e.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -381,24 +506,67 @@ router.put("/products/:id", async (req, res) => {
 // DELETE PRODUCT
 // -----------------------
 router.delete("/products/:id", async (req, res) => {
+  const client = await pool.connect();
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid product id" });
 
-    const { rowCount } = await pool.query(`DELETE FROM products WHERE id=$1`, [id]);
-    if (!rowCount) return res.status(404).json({ error: "Not found" });
+    await client.query("BEGIN");
+
+    const prev = await lockProduct(client, id);
+    if (!prev) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    // its movements, losses and transfers go with it (ON DELETE CASCADE): refuse if any is in a locked period.
+    // stock_transfers is created by the transfers router; treat as empty until then
+    const hasTransfers = await tableExists("stock_transfers");
+    const { rows: [history] } = await client.query(
+      `SELECT LEAST(
+         (SELECT MIN(created_at) FROM stock_movements WHERE product_id=$1),
+         (SELECT MIN(created_at) FROM losses WHERE product_id=$1)
+         ${hasTransfers ? ", (SELECT MIN(created_at) FROM stock_transfers WHERE product_id=$1)" : ""}
+       ) AS first_at`,
+      [id]
+    );
+    await assertPeriodOpen(client, "product's history", history.first_at);
+
+    // per-branch stock is removed with the product (ON DELETE CASCADE); keep it in the snapshot
+    const { rows: stock } = await client.query(
+      `SELECT location_id, qty FROM product_stock WHERE product_id=$1 ORDER BY location_id ASC`,
+      [id]
+    );
+
+    await client.query(`DELETE FROM products WHERE id=$1`, [id]);
+
+    await recordAudit(client, req, {
+      action: "delete",
+      entity: "product",
+      entityId: id,
+      before: { ...prev, stock },
+      locationId: null,
+    });
 
+    await client.query("COMMIT");
     res.json({ ok: true });
   } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("DELETE /products/:id error:", e);
     res.status(500).json({ error: "Failed to delete product", detail: e.message });
+  } finally {
+    client.release();
   }
 });
 
 // -----------------------
-// STOCK MOVE (IN/OUT)
+// STOCK MOVE (IN/OUT) at the current location
+// unit_cost (IN only, optional): per unit of qty sent, i.e. per portion in PORTION mode.
+// A costed IN updates the product's weighted-average cost.
 // -----------------------
 router.post("/products/:id/move", async (req, res) => {
+  const client = await pool.connect();
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid product id" });
@@ -412,57 +580,75 @@ router.post("/products/:id/move", async (req, res) => {
     const qtyIn = toNumber(req.body.qty, NaN);
     if (!isPositive(qtyIn)) return res.status(400).json({ error: "qty must be > 0" });
 
-    const { rows: found } = await pool.query(`SELECT * FROM products WHERE id=$1`, [id]);
-    if (!found.length) return res.status(404).json({ error: "Not found" });
+    const unitCostIn = parseUnitCost(req.body.unit_cost);
+    if (unitCostIn !== null && typeRaw !== "IN") {
+      return res.status(400).json({ error: "unit_cost is only accepted on stock IN" });
+    }
+
+    const locationId = req.location.id;
+
+    await client.query("BEGIN");
+
+    const product = await lockProduct(client, id);
+    if (!product) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Not found" });
+    }
 
-    const product = found[0];
     const category = normCategory(product.category);
 
     let qtyDelta = qtyIn;
 
     if (category === "SEAFOOD" && modeRaw === "PORTION") {
       const ps = effectivePortionSize(product);
-      if (ps <= 0) return res.status(400).json({ error: "Seafood portion_size is not set properly" });
+      if (ps <= 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Seafood portion_size is not set properly" });
+      }
       qtyDelta = qtyIn * ps;
     }
 
+    // cost per base unit: costed INs at their price, OUTs at the current average
+    let unitCost = product.avg_cost === null ? null : Number(product.avg_cost);
+    if (typeRaw === "IN") {
+      unitCost = unitCostIn === null ? null : unitCostIn * (qtyIn / qtyDelta);
+      if (unitCost !== null) await applyCostIn(client, product, qtyDelta, unitCost);
+    }
+
     if (typeRaw === "OUT") qtyDelta = -qtyDelta;
 
-    const newQty = toNumber(product.qty, 0) + qtyDelta;
-    if (newQty < 0) return res.status(400).json({ error: "Insufficient stock" });
+    await adjustStock(client, { productId: id, locationId, delta: qtyDelta });
 
-    const { rows: updated } = await pool.query(
+    const { rows: moveRows } = await client.query(
       `
-      UPDATE products
-      SET qty=$1, updated_at=NOW()
-      WHERE id=$2
-      RETURNING
-        id, name, sku, unit, qty, reorder_level,
-        COALESCE(UPPER(category), 'KITCHEN') AS category,
-        portion_size,
-        updated_at,
-        created_at
+      INSERT INTO stock_movements (product_id, type, qty, mode, note, reason, created_by, location_id, unit_cost)
+      VALUES ($1, $2, $3, $4, $5, '', $6, $7, $8)
+      RETURNING *
       `,
-      [newQty, id]
+      [id, typeRaw, qtyDelta, (category === "SEAFOOD" ? modeRaw : "QTY"), note, req.user.id, locationId, unitCost]
     );
 
-    await pool.query(
-      `
-      INSERT INTO stock_movements (product_id, type, qty, mode, note, reason)
-      VALUES ($1, $2, $3, $4, $5, '')
-      `,
-      [id, typeRaw, qtyDelta, (category === "SEAFOOD" ? modeRaw : "QTY"), note]
-    );
+    await recordAudit(client, req, {
+      action: "create",
+      entity: "stock_movement",
+      entityId: moveRows[0].id,
+      after: moveRows[0],
+    });
 
-    res.json(updated[0]);
+    await client.query("COMMIT");
+    res.json(await fetchProduct(req, id));
   } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("POST /products/:id/move error:", e);
     res.status(500).json({ error: "Move failed", detail: e.message });
+  } finally {
+    client.release();
   }
 });
 
 // -----------------------
-// ✅ LOSS RECORD (FIXED FOR product_name NOT NULL)
+// ✅ LOSS RECORD (FIXED FOR product_name NOT NULL) at the current location
 // -----------------------
 router.post("/products/:id/loss", async (req, res) => {
   const client = await pool.connect();
@@ -481,15 +667,16 @@ router.post("/products/:id/loss", async (req, res) => {
     const qtyIn = toNumber(req.body.qty, NaN);
     if (!isPositive(qtyIn)) return res.status(400).json({ error: "qty must be > 0" });
 
+    const locationId = req.location.id;
+
     await client.query("BEGIN");
 
-    const { rows: found } = await client.query(`SELECT * FROM products WHERE id=$1 FOR UPDATE`, [id]);
-    if (!found.length) {
+    const product = await lockProduct(client, id);
+    if (!product) {
       await client.query("ROLLBACK");
       return res.status(404).json({ error: "Not found" });
     }
 
-    const product = found[0];
     const category = normCategory(product.category);
 
     let lossQty = qtyIn;
@@ -503,22 +690,14 @@ router.post("/products/:id/loss", async (req, res) => {
       lossQty = qtyIn * ps;
     }
 
-    const currentQty = toNumber(product.qty, 0);
-    if (currentQty - lossQty < 0) {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ error: "Insufficient stock" });
-    }
-
-    const newQty = currentQty - lossQty;
-
-    // update product qty
-    await client.query(`UPDATE products SET qty=$1, updated_at=NOW() WHERE id=$2`, [newQty, id]);
+    // update location + total qty (fails with 400 when stock would go negative)
+    await adjustStock(client, { productId: id, locationId, delta: -lossQty });
 
     // ✅ insert into losses WITH product_name + product_unit + mode (prevents NOT NULL violation)
     const { rows: lossRows } = await client.query(
       `
-      INSERT INTO losses (product_id, product_name, product_unit, qty, reason, note, mode)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO losses (product_id, product_name, product_unit, qty, reason, note, mode, created_by, location_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *
       `,
       [
@@ -529,22 +708,27 @@ router.post("/products/:id/loss", async (req, res) => {
         reason,
         note,
         category === "SEAFOOD" ? modeRaw : "QTY",
+        req.user.id,
+        locationId,
       ]
     );
 
     // ✅ insert stock movement type LOSS (allowed by constraint)
     await client.query(
       `
-      INSERT INTO stock_movements (product_id, type, qty, mode, note, reason)
-      VALUES ($1, 'LOSS', $2, $3, $4, $5)
+      INSERT INTO stock_movements (product_id, type, qty, mode, note, reason, created_by, location_id)
+      VALUES ($1, 'LOSS', $2, $3, $4, $5, $6, $7)
       `,
-      [id, -lossQty, category === "SEAFOOD" ? modeRaw : "QTY", note || reason, reason]
+      [id, -lossQty, category === "SEAFOOD" ? modeRaw : "QTY", note || reason, reason, req.user.id, locationId]
     );
 
+    await recordAudit(client, req, { action: "create", entity: "loss", entityId: lossRows[0].id, after: lossRows[0] });
+
     await client.query("COMMIT");
     res.json({ ok: true, loss: lossRows[0] });
   } catch (e) {
     await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("POST /products/:id/loss error:", e);
     res.status(500).json({ error: "Loss failed", detail: e.message });
   } finally {
@@ -553,7 +737,6 @@ router.post("/products/:id/loss", async (req, res) => {
 });
 
 
-
 // -----------------------
 // EXPORT INVENTORY CSV
 // -----------------------
@@ -561,26 +744,30 @@ router.get("/export/inventory.csv", async (req, res) => {
   try {
     const { rows } = await pool.query(`
       SELECT
-        id,
-        name,
-        COALESCE(sku, '') AS sku,
-        COALESCE(UPPER(category), 'KITCHEN') AS category,
-        COALESCE(unit, '') AS unit,
-        COALESCE(qty, 0) AS qty,
-        COALESCE(reorder_level, 0) AS reorder_level,
-        COALESCE(portion_size, 0) AS portion_size,
-        updated_at,
-        created_at
-      FROM products
-      ORDER BY name ASC, id ASC
+        p.id,
+        p.name,
+        COALESCE(p.sku, '') AS sku,
+        COALESCE(UPPER(p.category), 'KITCHEN') AS category,
+        COALESCE(p.unit, '') AS unit,
+        ${req.location ? "COALESCE(ps.qty, 0)" : "COALESCE(p.qty, 0)"} AS qty,
+        COALESCE(p.reorder_level, 0) AS reorder_level,
+        COALESCE(p.portion_size, 0) AS portion_size,
+        p.updated_at,
+        p.created_at
+      FROM products p
+      ${req.location ? `LEFT JOIN product_stock ps ON ps.product_id = p.id AND ${locationClause(req, "ps.location_id")}` : ""}
+      ORDER BY p.name ASC, p.id ASC
     `);
 
+    const locationName = req.location ? req.location.name : "All locations";
+
     const esc = (v) => {
       const s = String(v ?? "");
       return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
     };
 
     const header = [
+      'Location',
       'ID',
       'Name',
       'SKU',
@@ -597,6 +784,7 @@ router.get("/export/inventory.csv", async (req, res) => {
 
     for (const row of rows) {
       lines.push([
+        esc(locationName),
         row.id,
         esc(row.name),
         esc(row.sku),
@@ -605,8 +793,8 @@ router.get("/export/inventory.csv", async (req, res) => {
         row.qty,
         row.reorder_level,
         row.portion_size,
-        esc(row.updated_at ? new Date(row.updated_at).toISOString() : ''),
-        esc(row.created_at ? new Date(row.created_at).toISOString() : '')
+        esc(formatBusinessDateTime(row.updated_at)),
+        esc(formatBusinessDateTime(row.created_at))
       ].join(','));
     }
 
@@ -632,9 +820,12 @@ router.get("/losses", async (req, res) => {
       SELECT
         l.*,
         COALESCE(UPPER(p.category), 'KITCHEN', 'KITCHEN') AS category,
-        p.portion_size
+        p.portion_size,
+        COALESCE(u.display_name, u.username) AS created_by_name
       FROM losses l
       LEFT JOIN products p ON p.id = l.product_id
+      LEFT JOIN users u ON u.id = l.created_by
+      ${req.location ? `WHERE ${locationClause(req, "l.location_id")}` : ""}
       ORDER BY l.created_at DESC, l.id DESC
       `
     );
@@ -649,17 +840,36 @@ router.get("/losses", async (req, res) => {
 // DELETE LOSS
 // -----------------------
 router.delete("/losses/:id", async (req, res) => {
+  const client = await pool.connect();
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid loss id" });
 
-    const { rowCount } = await pool.query(`DELETE FROM losses WHERE id=$1`, [id]);
-    if (!rowCount) return res.status(404).json({ error: "Loss not found" });
+    await client.query("BEGIN");
 
+    const { rows } = await client.query(
+      `SELECT * FROM losses WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    if (!rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Loss not found" });
+    }
+    await assertPeriodOpen(client, "loss", rows[0].created_at);
+
+    await client.query(`DELETE FROM losses WHERE id=$1`, [id]);
+
+    await recordAudit(client, req, { action: "delete", entity: "loss", entityId: id, before: rows[0] });
+
+    await client.query("COMMIT");
     res.json({ ok: true });
   } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("DELETE /losses/:id error:", e);
     res.status(500).json({ error: "Failed to delete loss", detail: e.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,107 @@
+// Backend/routes/locations.js
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const { permit } = require("../utils/permissions");
+const { locationsReady } = require("../utils/locations");
+
+function cleanStr(v, fallback = "") { return String(v ?? fallback).trim(); }
+
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /": "locations:read",
+  "POST /": "locations:manage",
+  "PUT /:id": "locations:manage",
+}));
+
+router.use(async (req, res, next) => {
+  try {
+    await locationsReady();
+    next();
+  } catch (e) {
+    console.error("locations schema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+// -----------------------
+// LIST LOCATIONS
+// -----------------------
+router.get("/", async (req, res) => {
+  try {
+    const includeInactive = String(req.query?.include_inactive || "") === "1";
+    const { rows } = await pool.query(
+      `SELECT id, name, address, is_active, created_at
+       FROM locations
+       ${includeInactive ? "" : "WHERE is_active"}
+       ORDER BY id ASC`
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch locations" });
+  }
+});
+
+// -----------------------
+// CREATE LOCATION
+// -----------------------
+router.post("/", async (req, res) => {
+  try {
+    const name = cleanStr(req.body?.name);
+    const address = cleanStr(req.body?.address);
+    if (!name) return res.status(400).json({ error: "name is required" });
+
+    const { rows } = await pool.query(
+      `INSERT INTO locations (name, address)
+       VALUES ($1,$2)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING id, name, address, is_active, created_at`,
+      [name, address]
+    );
+
+    if (!rows[0]) return res.status(409).json({ error: "A location with this name already exists" });
+    res.json(rows[0]);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to create location" });
+  }
+});
+
+// -----------------------
+// UPDATE / DEACTIVATE LOCATION
+// -----------------------
+router.put("/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid location id" });
+
+    const { rows: found } = await pool.query(`SELECT * FROM locations WHERE id=$1`, [id]);
+    const prev = found[0];
+    if (!prev) return res.status(404).json({ error: "Location not found" });
+
+    const name = cleanStr(req.body?.name ?? prev.name);
+    const address = cleanStr(req.body?.address ?? prev.address);
+    const is_active = req.body?.is_active === undefined ? prev.is_active : Boolean(req.body.is_active);
+    if (!name) return res.status(400).json({ error: "name is required" });
+
+    if (prev.is_active && !is_active) {
+      const { rows: active } = await pool.query(
+        `SELECT COUNT(*)::int AS n FROM locations WHERE is_active AND id<>$1`,
+        [id]
+      );
+      if (!active[0].n) return res.status(400).json({ error: "At least one active location is required" });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE locations SET name=$1, address=$2, is_active=$3
+       WHERE id=$4
+       RETURNING id, name, address, is_active, created_at`,
+      [name, address, is_active, id]
+    );
+    res.json(rows[0]);
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ error: "A location with this name already exists" });
+    res.status(500).json({ error: e.message || "Failed to update location" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+// Backend/routes/menu.js
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const { permit } = require("../utils/permissions");
+const { menuReady, fetchRecipe, parseRecipe } = require("../utils/menu");
+const { auditReady, recordAudit } = require("../utils/audit");
+
+function cleanStr(v, fallback = "") { return String(v ?? fallback).trim(); }
+
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /": "menu:read",
+  "POST /": "menu:manage",
+  "PUT /:id": "menu:manage",
+  "GET /:id/recipe": "menu:read",
+  "PUT /:id/recipe": "menu:manage",
+}));
+
+router.use(async (req, res, next) => {
+  try {
+    await menuReady();
+    await auditReady();
+    next();
+  } catch (e) {
+    console.error("menu schema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+// price must be a number >= 0
+function parsePrice(v) {
+  const n = Number(v);
+  return v !== "" && v !== null && Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : null;
+}
+
+// -----------------------
+// LIST MENU ITEMS
+// -----------------------
+router.get("/", async (req, res) => {
+  try {
+    const includeInactive = String(req.query?.include_inactive || "") === "1";
+    const { rows } = await pool.query(
+      `SELECT m.id, m.name, m.category, m.price, m.is_active, m.created_at, m.updated_at,
+              COALESCE((
+                SELECT json_agg(json_build_object('product_id', r.product_id, 'qty', r.qty) ORDER BY r.product_id)
+                FROM menu_recipes r WHERE r.menu_item_id = m.id
+              ), '[]') AS recipe
+       FROM menu_items m
+       ${includeInactive ? "" : "WHERE m.is_active"}
+       ORDER BY m.category ASC, m.name ASC`
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch menu" });
+  }
+});
+
+// -----------------------
+// CREATE MENU ITEM
+// -----------------------
+router.post("/", async (req, res) => {
+  const name = cleanStr(req.body?.name);
+  const category = cleanStr(req.body?.category);
+  const price = parsePrice(req.body?.price);
+  if (!name) return res.status(400).json({ error: "name is required" });
+  if (price === null) return res.status(400).json({ error: "price must be 0 or more" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `INSERT INTO menu_items (name, category, price, created_by, updated_by)
+       VALUES ($1,$2,$3,$4,$4)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [name, category, price, req.user.id]
+    );
+    if (!rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "A menu item with this name already exists" });
+    }
+
+    await recordAudit(client, req, {
+      action: "create",
+      entity: "menu_item",
+      entityId: rows[0].id,
+      after: rows[0],
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(rows[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: e.message || "Failed to create menu item" });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------
+// UPDATE / REPRICE / DEACTIVATE MENU ITEM
+// (old sales keep the price they were charged)
+// -----------------------
+router.put("/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid menu item id" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const found = await client.query(`SELECT * FROM menu_items WHERE id=$1 FOR UPDATE`, [id]);
+    const before = found.rows[0];
+    if (!before) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const name = cleanStr(req.body?.name ?? before.name);
+    const category = cleanStr(req.body?.category ?? before.category);
+    const price = req.body?.price === undefined ? Number(before.price) : parsePrice(req.body.price);
+    const isActive = req.body?.is_active === undefined ? before.is_active : Boolean(req.body.is_active);
+
+    if (!name || price === null) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: !name ? "name is required" : "price must be 0 or more" });
+    }
+
+    const { rows } = await client.query(
+      `UPDATE menu_items
+       SET name=$1, category=$2, price=$3, is_active=$4, updated_by=$5, updated_at=NOW()
+       WHERE id=$6
+       RETURNING *`,
+      [name, category, price, isActive, req.user.id, id]
+    );
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "menu_item",
+      entityId: id,
+      before,
+      after: rows[0],
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(rows[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.code === "23505") return res.status(409).json({ error: "A menu item with this name already exists" });
+    res.status(500).json({ error: e.message || "Failed to update menu item" });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------
+// RECIPE (ingredients stocked out when the item is sold)
+// qty: portions for SEAFOOD, base units for KITCHEN
+// -----------------------
+router.get("/:id/recipe", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid menu item id" });
+
+  try {
+    const found = await pool.query(`SELECT id, name FROM menu_items WHERE id=$1`, [id]);
+    if (!found.rows[0]) return res.status(404).json({ error: "Menu item not found" });
+
+    res.json({ menu_item_id: id, name: found.rows[0].name, ingredients: await fetchRecipe(pool, id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch recipe" });
+  }
+});
+
+// replaces the whole ingredient list; [] clears the recipe
+router.put("/:id/recipe", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid menu item id" });
+
+  let ingredients;
+  try {
+    ingredients = parseRecipe(req.body?.ingredients);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const found = await client.query(`SELECT id, name FROM menu_items WHERE id=$1 FOR UPDATE`, [id]);
+    if (!found.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const { rows: products } = await client.query(
+      `SELECT id, name, category, portion_size FROM products WHERE id = ANY($1::int[])`,
+      [ingredients.map((i) => i.product_id)]
+    );
+    const byId = new Map(products.map((p) => [p.id, p]));
+    for (const i of ingredients) {
+      const p = byId.get(i.product_id);
+      if (!p) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: `Product not found: ${i.product_id}` });
+      }
+      if (String(p.category || "").toUpperCase() === "SEAFOOD" && !(Number(p.portion_size) > 0)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: `Set a portion size for ${p.name} before using it in a recipe` });
+      }
+    }
+
+    const before = await fetchRecipe(client, id);
+
+    await client.query(`DELETE FROM menu_recipes WHERE menu_item_id=$1`, [id]);
+    for (const i of ingredients) {
+      await client.query(
+        `INSERT INTO menu_recipes (menu_item_id, product_id, qty) VALUES ($1,$2,$3)`,
+        [id, i.product_id, i.qty]
+      );
+    }
+    await client.query(`UPDATE menu_items SET updated_by=$1, updated_at=NOW() WHERE id=$2`, [req.user.id, id]);
+
+    const after = await fetchRecipe(client, id);
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "menu_recipe",
+      entityId: id,
+      before,
+      after,
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json({ menu_item_id: id, name: found.rows[0].name, ingredients: after });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: e.message || "Failed to save recipe" });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+// Backend/routes/periods.js
+const express = require("express");
+const router = express.Router();
+const { pool, all } = require("../db");
+const { permit } = require("../utils/permissions");
+const { periodsReady, lockedThrough, holdPeriodLockExclusive } = require("../utils/periods");
+const { auditReady, recordAudit } = require("../utils/audit");
+const { isDate, businessDate } = require("../utils/time");
+
+function cleanStr(v, fallback = "") { return String(v ?? fallback).trim(); }
+
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /lock": "finance:read",
+  "POST /lock": "periods:lock",
+  "POST /unlock": "periods:unlock",
+}));
+
+router.use(async (req, res, next) => {
+  try {
+    await periodsReady();
+    await auditReady();
+    next();
+  } catch (e) {
+    console.error("periods schema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+async function lockState() {
+  const history = await all(
+    `SELECT p.id, p.action, p.locked_through::text AS locked_through, p.previous::text AS previous,
+            p.reason, COALESCE(u.display_name, u.username) AS created_by_name, p.created_at
+     FROM period_locks p
+     LEFT JOIN users u ON u.id = p.created_by
+     ORDER BY p.id DESC`
+  );
+  return { locked_through: history[0]?.locked_through || null, today: businessDate(), history };
+}
+
+// writes one lock/unlock row (and its audit entry) holding the period lock exclusively, so neither
+// another change nor a dated write checked against the old date can interleave
+async function changeLock(req, res, { action, to, reason, check }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await holdPeriodLockExclusive(client);
+
+    const from = await lockedThrough(client);
+    const problem = check(from);
+    if (problem) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: problem });
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO period_locks (locked_through, previous, action, reason, created_by)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING id`,
+      [to, from, action, reason, req.user.id]
+    );
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "period_lock",
+      entityId: rows[0].id,
+      before: { locked_through: from },
+      after: { locked_through: to, action, reason },
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(await lockState());
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(e.status || 500).json({ error: e.message || `Failed to ${action} the period` });
+  } finally {
+    client.release();
+  }
+}
+
+// -----------------------
+// CURRENT LOCK + HISTORY
+// -----------------------
+router.get("/lock", async (req, res) => {
+  try {
+    res.json(await lockState());
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch the period lock" });
+  }
+});
+
+// -----------------------
+// LOCK THROUGH A DATE (only ever moves forward; a closed day, never today)
+// body: { locked_through, reason? }
+// -----------------------
+router.post("/lock", async (req, res) => {
+  const to = cleanStr(req.body?.locked_through);
+  if (!isDate(to)) return res.status(400).json({ error: "locked_through must be YYYY-MM-DD" });
+  if (to >= businessDate()) return res.status(400).json({ error: "Only days before today can be locked" });
+
+  await changeLock(req, res, {
+    action: "lock",
+    to,
+    reason: cleanStr(req.body?.reason),
+    check: (from) => (from && to <= from
+      ? `The books are already locked through ${from}; only the owner can move the lock back`
+      : null),
+  });
+});
+
+// -----------------------
+// UNLOCK (owner): move the lock back to an earlier date, or clear it (locked_through: null)
+// body: { locked_through, reason }
+// -----------------------
+router.post("/unlock", async (req, res) => {
+  const raw = req.body?.locked_through;
+  const to = raw === null || raw === undefined || cleanStr(raw) === "" ? null : cleanStr(raw);
+  const reason = cleanStr(req.body?.reason);
+  if (to !== null && !isDate(to)) return res.status(400).json({ error: "locked_through must be YYYY-MM-DD or null" });
+  if (!reason) return res.status(400).json({ error: "A reason is required to unlock a period" });
+
+  await changeLock(req, res, {
+    action: "unlock",
+    to,
+    reason,
+    check: (from) => {
+      if (!from) return "Nothing is locked";
+      if (to && to >= from) return `Unlocking must move the lock back from ${from}`;
+      return null;
+    },
+  });
+});
+
+module.exports = router;
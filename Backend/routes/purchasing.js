@@ -0,0 +1,1255 @@
+// Backend/routes/purchasing.js
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const { permit, requestCan } = require("../utils/permissions");
+const { locationsReady, resolveLocation, locationClause } = require("../utils/locations");
+const { adjustStock, costingReady, applyCostIn } = require("../utils/stock");
+const { auditReady, recordAudit } = require("../utils/audit");
+const { httpError } = require("../utils/errors");
+const { round2, csvEscape } = require("../utils/format");
+const { PAYMENT_METHODS } = require("../utils/payments");
+const { isDate, businessDate, localMidnightSql, parseTransactionDate, transactionTimestamp } = require("../utils/time");
+const { assertPeriodOpen } = require("../utils/periods");
+
+/**
+ * ✅ Suppliers + purchase orders
+ *
+ * A PO is raised for the current branch (where it will be delivered) and moves
+ * draft -> sent -> partially_received -> received.
+ * Quantities are in each product's base unit; unit_price is per base unit.
+ *
+ * Receiving is one transaction: stock IN at the PO's branch for every line delivered
+ * (stock_movements reason PURCHASE, linked by purchase_order_id), costed at the agreed
+ * price. A delivery below what was outstanding is recorded as short on the receipt;
+ * close: true means the rest is not coming and the PO is marked received.
+ *
+ * Supplier bills are what the branch owes (often for a delivery on credit), optionally
+ * linked to a receipt. Payments reduce the balance and can post the matching expense.
+ */
+
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /suppliers": "purchasing:read",
+  "POST /suppliers": "suppliers:manage",
+  "PUT /suppliers/:id": "suppliers:manage",
+  "GET /orders": "purchasing:read",
+  "GET /orders/:id": "purchasing:read",
+  "POST /orders": "purchase_orders:manage",
+  "PUT /orders/:id": "purchase_orders:manage",
+  "POST /orders/:id/send": "purchase_orders:manage",
+  "POST /orders/:id/receive": "purchase_orders:receive",
+  "GET /receipts": "purchasing:read",
+  "GET /bills": "purchasing:read",
+  "GET /bills/:id": "purchasing:read",
+  "POST /bills": "bills:manage",
+  "PUT /bills/:id": "bills:manage",
+  "POST /bills/:id/payments": "bills:pay",
+  "GET /report/payables": "reports:read",
+  "GET /export/payables.csv": "reports:read",
+}));
+
+async function ensureSchema() {
+  await locationsReady();
+  await costingReady();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS suppliers (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      contact_name TEXT DEFAULT '',
+      phone TEXT DEFAULT '',
+      email TEXT DEFAULT '',
+      address TEXT DEFAULT '',
+      note TEXT DEFAULT '',
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      id SERIAL PRIMARY KEY,
+      supplier_id INT NOT NULL REFERENCES suppliers(id),
+      location_id INT NOT NULL REFERENCES locations(id),
+      status TEXT NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft','sent','partially_received','received')),
+      note TEXT DEFAULT '',
+      expected_date DATE,
+      total NUMERIC NOT NULL DEFAULT 0,
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      sent_at TIMESTAMPTZ,
+      received_at TIMESTAMPTZ
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS purchase_orders_location_idx ON purchase_orders (location_id, status)`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS purchase_order_lines (
+      id SERIAL PRIMARY KEY,
+      purchase_order_id INT NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+      product_id INT NOT NULL REFERENCES products(id),
+      product_name TEXT NOT NULL,
+      product_unit TEXT DEFAULT '',
+      qty_ordered NUMERIC NOT NULL CHECK (qty_ordered > 0),
+      unit_price NUMERIC NOT NULL CHECK (unit_price >= 0),
+      qty_received NUMERIC NOT NULL DEFAULT 0,
+      qty_short NUMERIC NOT NULL DEFAULT 0
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS purchase_order_lines_po_idx ON purchase_order_lines (purchase_order_id)`);
+
+  // one row per delivery; lines say what came against each PO line
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS purchase_receipts (
+      id SERIAL PRIMARY KEY,
+      purchase_order_id INT NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+      location_id INT NOT NULL REFERENCES locations(id),
+      note TEXT DEFAULT '',
+      closed BOOLEAN NOT NULL DEFAULT FALSE,
+      received_by INT REFERENCES users(id) ON DELETE SET NULL,
+      received_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS purchase_receipt_lines (
+      id SERIAL PRIMARY KEY,
+      receipt_id INT NOT NULL REFERENCES purchase_receipts(id) ON DELETE CASCADE,
+      purchase_order_line_id INT NOT NULL REFERENCES purchase_order_lines(id) ON DELETE CASCADE,
+      product_id INT NOT NULL REFERENCES products(id),
+      qty_expected NUMERIC NOT NULL,
+      qty_received NUMERIC NOT NULL,
+      qty_short NUMERIC NOT NULL DEFAULT 0
+    )
+  `);
+
+  await pool.query(`
+    ALTER TABLE stock_movements
+    ADD COLUMN IF NOT EXISTS purchase_order_id INT REFERENCES purchase_orders(id) ON DELETE SET NULL
+  `);
+
+  // what we owe suppliers; balance = amount - payments
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS supplier_bills (
+      id SERIAL PRIMARY KEY,
+      supplier_id INT NOT NULL REFERENCES suppliers(id),
+      location_id INT NOT NULL REFERENCES locations(id),
+      receipt_id INT UNIQUE REFERENCES purchase_receipts(id) ON DELETE SET NULL,
+      bill_number TEXT DEFAULT '',
+      bill_date DATE NOT NULL,
+      due_date DATE NOT NULL,
+      amount NUMERIC NOT NULL CHECK (amount > 0),
+      note TEXT DEFAULT '',
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      CHECK (due_date >= bill_date)
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS supplier_bills_location_idx ON supplier_bills (location_id, due_date)`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS supplier_bill_payments (
+      id SERIAL PRIMARY KEY,
+      bill_id INT NOT NULL REFERENCES supplier_bills(id) ON DELETE CASCADE,
+      amount NUMERIC NOT NULL CHECK (amount > 0),
+      method TEXT NOT NULL CHECK (method IN ('cash','pos','transfer')),
+      note TEXT DEFAULT '',
+      expense_id INT REFERENCES expenses(id) ON DELETE SET NULL,
+      paid_at TIMESTAMPTZ DEFAULT NOW(),
+      created_by INT REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS supplier_bill_payments_bill_idx ON supplier_bill_payments (bill_id)`);
+
+  await auditReady();
+}
+
+let schemaReady = null;
+
+router.use(async (req, res, next) => {
+  try {
+    if (!schemaReady) {
+      schemaReady = ensureSchema().catch((e) => {
+        schemaReady = null;
+        throw e;
+      });
+    }
+    await schemaReady;
+    next();
+  } catch (e) {
+    console.error("purchasing ensureSchema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+// current branch = where POs are delivered and received
+router.use(resolveLocation);
+
+// -----------------------
+// Helpers
+// -----------------------
+function cleanStr(v, fallback = "") { return String(v ?? fallback).trim(); }
+function toNumber(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+// keep float noise out of stock quantities
+function roundQty(n) { return Math.round((Number(n) || 0) * 1e6) / 1e6; }
+
+const PO_STATUSES = ["draft", "sent", "partially_received", "received"];
+
+function supplierFields(body, prev = {}) {
+  return {
+    name: cleanStr(body?.name ?? prev.name),
+    contact_name: cleanStr(body?.contact_name ?? prev.contact_name),
+    phone: cleanStr(body?.phone ?? prev.phone),
+    email: cleanStr(body?.email ?? prev.email),
+    address: cleanStr(body?.address ?? prev.address),
+    note: cleanStr(body?.note ?? prev.note),
+    is_active: body?.is_active === undefined ? (prev.is_active ?? true) : Boolean(body.is_active),
+  };
+}
+
+/**
+ * Shape-check PO `lines` from a request body.
+ * Returns [{ product_id, qty, unit_price }], one per product. Throws 400.
+ */
+function parseOrderLines(raw) {
+  if (!Array.isArray(raw) || !raw.length) throw httpError(400, "lines must be a non-empty list");
+
+  const byProduct = new Map();
+  for (const l of raw) {
+    const productId = Number(l?.product_id);
+    const qty = Number(l?.qty);
+    const unitPrice = Number(l?.unit_price);
+    if (!Number.isInteger(productId) || productId <= 0) throw httpError(400, "Each line needs a product_id");
+    if (!Number.isFinite(qty) || qty <= 0) throw httpError(400, "Each line needs a qty > 0");
+    if (l?.unit_price === undefined || l?.unit_price === "" || !Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw httpError(400, "Each line needs a unit_price of 0 or more");
+    }
+    if (byProduct.has(productId)) throw httpError(400, "Each product can only appear once on a purchase order");
+    byProduct.set(productId, { product_id: productId, qty, unit_price: unitPrice });
+  }
+  return Array.from(byProduct.values());
+}
+
+function parseExpectedDate(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const d = String(raw).trim();
+  if (!isDate(d)) {
+    throw httpError(400, "expected_date must be YYYY-MM-DD");
+  }
+  return d;
+}
+
+async function activeSupplier(db, id) {
+  const supplierId = Number(id);
+  if (!Number.isInteger(supplierId)) throw httpError(400, "supplier_id is required");
+  const { rows } = await db.query(`SELECT id FROM suppliers WHERE id=$1 AND is_active`, [supplierId]);
+  if (!rows[0]) throw httpError(400, "Supplier not found or inactive");
+  return supplierId;
+}
+
+// Replace a draft PO's lines (inside the caller's transaction); returns the PO total
+async function writeOrderLines(db, poId, lines) {
+  const { rows: products } = await db.query(
+    `SELECT id, name, unit FROM products WHERE id = ANY($1::int[])`,
+    [lines.map((l) => l.product_id)]
+  );
+  const byId = new Map(products.map((p) => [p.id, p]));
+
+  await db.query(`DELETE FROM purchase_order_lines WHERE purchase_order_id=$1`, [poId]);
+
+  let total = 0;
+  for (const l of lines) {
+    const p = byId.get(l.product_id);
+    if (!p) throw httpError(400, `Product not found: ${l.product_id}`);
+    await db.query(
+      `INSERT INTO purchase_order_lines (purchase_order_id, product_id, product_name, product_unit, qty_ordered, unit_price)
+       VALUES ($1,$2,$3,$4,$5,$6)`,
+      [poId, p.id, p.name, p.unit || "", l.qty, l.unit_price]
+    );
+    total += l.qty * l.unit_price;
+  }
+  return round2(total);
+}
+
+function orderSelect() {
+  return `
+    SELECT
+      po.*,
+      po.expected_date::text AS expected_date, -- plain YYYY-MM-DD, not a UTC midnight
+      s.name AS supplier_name,
+      l.name AS location_name,
+      COALESCE(cu.display_name, cu.username) AS created_by_name
+    FROM purchase_orders po
+    JOIN suppliers s ON s.id = po.supplier_id
+    JOIN locations l ON l.id = po.location_id
+    LEFT JOIN users cu ON cu.id = po.created_by
+  `;
+}
+
+function lineOut(l) {
+  const ordered = Number(l.qty_ordered);
+  const received = Number(l.qty_received);
+  const short = Number(l.qty_short);
+  return {
+    id: l.id,
+    product_id: l.product_id,
+    product_name: l.product_name,
+    product_unit: l.product_unit,
+    qty_ordered: ordered,
+    unit_price: Number(l.unit_price),
+    line_total: round2(ordered * Number(l.unit_price)),
+    qty_received: received,
+    qty_short: short,
+    qty_outstanding: roundQty(Math.max(ordered - received - short, 0)),
+  };
+}
+
+// PO + lines + receipts, read through `db` so it sees the open transaction
+async function fetchOrder(db, id) {
+  const { rows } = await db.query(`${orderSelect()} WHERE po.id=$1`, [id]);
+  if (!rows[0]) return null;
+
+  const { rows: lines } = await db.query(
+    `SELECT * FROM purchase_order_lines WHERE purchase_order_id=$1 ORDER BY id ASC`,
+    [id]
+  );
+  const { rows: receipts } = await db.query(
+    `SELECT r.id, r.note, r.closed, r.received_at, COALESCE(u.display_name, u.username) AS received_by_name,
+            COALESCE(json_agg(json_build_object(
+              'purchase_order_line_id', rl.purchase_order_line_id,
+              'product_id', rl.product_id,
+              'qty_expected', rl.qty_expected,
+              'qty_received', rl.qty_received,
+              'qty_short', rl.qty_short
+            ) ORDER BY rl.id) FILTER (WHERE rl.id IS NOT NULL), '[]') AS lines
+     FROM purchase_receipts r
+     LEFT JOIN purchase_receipt_lines rl ON rl.receipt_id = r.id
+     LEFT JOIN users u ON u.id = r.received_by
+     WHERE r.purchase_order_id=$1
+     GROUP BY r.id, u.display_name, u.username
+     ORDER BY r.received_at ASC, r.id ASC`,
+    [id]
+  );
+
+  return { ...rows[0], total: Number(rows[0].total), lines: lines.map(lineOut), receipts };
+}
+
+function parseDay(raw, field) {
+  const d = String(raw ?? "").trim();
+  if (!isDate(d)) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return d;
+}
+
+// whole days from `from` to `to` (YYYY-MM-DD)
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// -----------------------
+// SUPPLIERS
+// -----------------------
+router.get("/suppliers", async (req, res) => {
+  try {
+    const includeInactive = String(req.query?.include_inactive || "") === "1";
+    const { rows } = await pool.query(`
+      SELECT * FROM suppliers
+      ${includeInactive ? "" : "WHERE is_active"}
+      ORDER BY name ASC
+    `);
+    res.json(rows);
+  } catch (e) {
+    console.error("GET /suppliers error:", e);
+    res.status(500).json({ error: "Failed to load suppliers", detail: e.message });
+  }
+});
+
+router.post("/suppliers", async (req, res) => {
+  const fields = supplierFields(req.body);
+  if (!fields.name) return res.status(400).json({ error: "name is required" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `INSERT INTO suppliers (name, contact_name, phone, email, address, note)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [fields.name, fields.contact_name, fields.phone, fields.email, fields.address, fields.note]
+    );
+    if (!rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "A supplier with this name already exists" });
+    }
+
+    await recordAudit(client, req, {
+      action: "create",
+      entity: "supplier",
+      entityId: rows[0].id,
+      after: rows[0],
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(rows[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("POST /suppliers error:", e);
+    res.status(500).json({ error: "Failed to create supplier", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// edit details / deactivate (suppliers on old POs are kept, never deleted)
+router.put("/suppliers/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid supplier id" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const found = await client.query(`SELECT * FROM suppliers WHERE id=$1 FOR UPDATE`, [id]);
+    const before = found.rows[0];
+    if (!before) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Supplier not found" });
+    }
+
+    const fields = supplierFields(req.body, before);
+    if (!fields.name) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const { rows } = await client.query(
+      `UPDATE suppliers
+       SET name=$1, contact_name=$2, phone=$3, email=$4, address=$5, note=$6, is_active=$7, updated_at=NOW()
+       WHERE id=$8
+       RETURNING *`,
+      [fields.name, fields.contact_name, fields.phone, fields.email, fields.address, fields.note, fields.is_active, id]
+    );
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "supplier",
+      entityId: id,
+      before,
+      after: rows[0],
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(rows[0]);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.code === "23505") return res.status(409).json({ error: "A supplier with this name already exists" });
+    console.error("PUT /suppliers/:id error:", e);
+    res.status(500).json({ error: "Failed to update supplier", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------
+// PURCHASE ORDERS
+// -----------------------
+router.get("/orders", async (req, res) => {
+  try {
+    const parts = [];
+    if (req.location) parts.push(locationClause(req, "po.location_id"));
+    const status = String(req.query?.status || "").toLowerCase();
+    if (PO_STATUSES.includes(status)) parts.push(`po.status = '${status}'`);
+    const supplierId = Number(req.query?.supplier_id);
+    if (Number.isInteger(supplierId) && supplierId > 0) parts.push(`po.supplier_id = ${supplierId}`);
+
+    const { rows } = await pool.query(`
+      ${orderSelect()}
+      ${parts.length ? `WHERE ${parts.join(" AND ")}` : ""}
+      ORDER BY po.created_at DESC, po.id DESC
+    `);
+    if (!rows.length) return res.json([]);
+
+    const { rows: lines } = await pool.query(
+      `SELECT * FROM purchase_order_lines WHERE purchase_order_id = ANY($1::int[]) ORDER BY id ASC`,
+      [rows.map((r) => r.id)]
+    );
+    const byOrder = new Map(rows.map((r) => [r.id, { ...r, total: Number(r.total), lines: [] }]));
+    for (const l of lines) byOrder.get(l.purchase_order_id)?.lines.push(lineOut(l));
+
+    res.json(Array.from(byOrder.values()));
+  } catch (e) {
+    console.error("GET /orders error:", e);
+    res.status(500).json({ error: "Failed to load purchase orders", detail: e.message });
+  }
+});
+
+router.get("/orders/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid purchase order id" });
+
+    const order = await fetchOrder(pool, id);
+    if (!order || (req.location && order.location_id !== req.location.id)) {
+      return res.status(404).json({ error: "Purchase order not found" });
+    }
+    res.json(order);
+  } catch (e) {
+    console.error("GET /orders/:id error:", e);
+    res.status(500).json({ error: "Failed to load purchase order", detail: e.message });
+  }
+});
+
+// new PO for the current branch, as a draft
+router.post("/orders", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const lines = parseOrderLines(req.body?.lines);
+    const expectedDate = parseExpectedDate(req.body?.expected_date);
+    const note = cleanStr(req.body?.note);
+
+    await client.query("BEGIN");
+
+    const supplierId = await activeSupplier(client, req.body?.supplier_id);
+
+    const { rows } = await client.query(
+      `INSERT INTO purchase_orders (supplier_id, location_id, note, expected_date, created_by)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING id`,
+      [supplierId, req.location.id, note, expectedDate, req.user.id]
+    );
+    const poId = rows[0].id;
+
+    const total = await writeOrderLines(client, poId, lines);
+    await client.query(`UPDATE purchase_orders SET total=$1 WHERE id=$2`, [total, poId]);
+
+    const after = await fetchOrder(client, poId);
+    await recordAudit(client, req, { action: "create", entity: "purchase_order", entityId: poId, after });
+
+    await client.query("COMMIT");
+    res.json(after);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("POST /orders error:", e);
+    res.status(500).json({ error: "Failed to create purchase order", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// drafts only: supplier, lines, note, expected date
+router.put("/orders/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid purchase order id" });
+
+    const lines = req.body?.lines === undefined ? null : parseOrderLines(req.body.lines);
+
+    await client.query("BEGIN");
+
+    const { rows: found } = await client.query(
+      `SELECT * FROM purchase_orders WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    const po = found[0];
+    if (!po) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Purchase order not found" });
+    }
+    if (po.status !== "draft") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: `Only draft purchase orders can be edited (this one is ${po.status})` });
+    }
+
+    const before = await fetchOrder(client, id);
+
+    const supplierId = req.body?.supplier_id === undefined ? po.supplier_id : await activeSupplier(client, req.body.supplier_id);
+    const note = cleanStr(req.body?.note ?? po.note);
+    const expectedDate = req.body?.expected_date === undefined ? po.expected_date : parseExpectedDate(req.body.expected_date);
+    const total = lines ? await writeOrderLines(client, id, lines) : Number(po.total);
+
+    await client.query(
+      `UPDATE purchase_orders
+       SET supplier_id=$1, note=$2, expected_date=$3, total=$4, updated_at=NOW()
+       WHERE id=$5`,
+      [supplierId, note, expectedDate, total, id]
+    );
+
+    const after = await fetchOrder(client, id);
+    await recordAudit(client, req, { action: "update", entity: "purchase_order", entityId: id, before, after });
+
+    await client.query("COMMIT");
+    res.json(after);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("PUT /orders/:id error:", e);
+    res.status(500).json({ error: "Failed to update purchase order", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// draft -> sent (lines are fixed from here on)
+router.post("/orders/:id/send", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid purchase order id" });
+
+    await client.query("BEGIN");
+
+    const { rows: found } = await client.query(
+      `SELECT * FROM purchase_orders WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    const po = found[0];
+    if (!po) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Purchase order not found" });
+    }
+    if (po.status !== "draft") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: `Purchase order already ${po.status}` });
+    }
+
+    const { rows } = await client.query(
+      `UPDATE purchase_orders SET status='sent', sent_at=NOW(), updated_at=NOW() WHERE id=$1 RETURNING *`,
+      [id]
+    );
+
+    await recordAudit(client, req, { action: "update", entity: "purchase_order", entityId: id, before: po, after: rows[0] });
+
+    await client.query("COMMIT");
+    res.json(await fetchOrder(pool, id));
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("POST /orders/:id/send error:", e);
+    res.status(500).json({ error: "Failed to send purchase order", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------
+// RECEIVE (at the PO's branch)
+// body: { lines: [{ line_id, qty_received }], note, close }
+// Lines left out receive nothing this time. Without `lines`, everything outstanding arrived.
+// -----------------------
+router.post("/orders/:id/receive", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid purchase order id" });
+
+    const note = cleanStr(req.body?.note);
+    const close = req.body?.close === true;
+
+    await client.query("BEGIN");
+
+    const { rows: found } = await client.query(`SELECT * FROM purchase_orders WHERE id=$1 FOR UPDATE`, [id]);
+    const po = found[0];
+    if (!po) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Purchase order not found" });
+    }
+    if (po.location_id !== req.location.id) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Purchase orders can only be received at the location they were raised for" });
+    }
+    if (!["sent", "partially_received"].includes(po.status)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: po.status === "draft" ? "Send the purchase order before receiving it" : `Purchase order already ${po.status}`,
+      });
+    }
+
+    const before = await fetchOrder(client, id);
+    const open = before.lines.filter((l) => l.qty_outstanding > 0);
+
+    // what arrived per PO line
+    const arrived = new Map();
+    if (req.body?.lines === undefined) {
+      for (const l of open) arrived.set(l.id, l.qty_outstanding);
+    } else {
+      if (!Array.isArray(req.body.lines)) throw httpError(400, "lines must be a list");
+      for (const r of req.body.lines) {
+        const lineId = Number(r?.line_id);
+        const qty = toNumber(r?.qty_received, NaN);
+        const line = before.lines.find((l) => l.id === lineId);
+        if (!line) throw httpError(400, `Line ${r?.line_id} is not on this purchase order`);
+        if (!Number.isFinite(qty) || qty < 0) throw httpError(400, "qty_received must be 0 or more");
+        if (qty > line.qty_outstanding + 1e-9) {
+          throw httpError(400, `${line.product_name}: only ${line.qty_outstanding} ${line.product_unit || ""} outstanding`.trim());
+        }
+        arrived.set(lineId, qty);
+      }
+    }
+
+    const totalArrived = Array.from(arrived.values()).reduce((s, q) => s + q, 0);
+    if (!(totalArrived > 0) && !close) throw httpError(400, "Nothing received");
+
+    const { rows: receiptRows } = await client.query(
+      `INSERT INTO purchase_receipts (purchase_order_id, location_id, note, closed, received_by)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING id`,
+      [id, po.location_id, note, close, req.user.id]
+    );
+    const receiptId = receiptRows[0].id;
+
+    // lock order follows product id, like sales
+    for (const line of [...open].sort((a, b) => a.product_id - b.product_id)) {
+      const qty = roundQty(arrived.get(line.id) || 0);
+      const short = roundQty(line.qty_outstanding - qty);
+      const closedShort = close ? short : 0;
+
+      if (qty > 0) {
+        const { product } = await adjustStock(client, { productId: line.product_id, locationId: po.location_id, delta: qty });
+        await applyCostIn(client, product, qty, line.unit_price);
+
+        await client.query(
+          `INSERT INTO stock_movements
+             (product_id, type, qty, mode, note, reason, created_by, location_id, unit_cost, purchase_order_id)
+           VALUES ($1,'IN',$2,'QTY',$3,'PURCHASE',$4,$5,$6,$7)`,
+          [line.product_id, qty, note || `PO #${id} from ${before.supplier_name}`, req.user.id, po.location_id, line.unit_price, id]
+        );
+      }
+
+      if (qty > 0 || short > 0) {
+        await client.query(
+          `INSERT INTO purchase_receipt_lines
+             (receipt_id, purchase_order_line_id, product_id, qty_expected, qty_received, qty_short)
+           VALUES ($1,$2,$3,$4,$5,$6)`,
+          [receiptId, line.id, line.product_id, line.qty_outstanding, qty, short]
+        );
+      }
+
+      await client.query(
+        `UPDATE purchase_order_lines SET qty_received = qty_received + $1, qty_short = qty_short + $2 WHERE id=$3`,
+        [qty, closedShort, line.id]
+      );
+    }
+
+    const { rows: remaining } = await client.query(
+      `SELECT COUNT(*)::int AS n FROM purchase_order_lines
+       WHERE purchase_order_id=$1 AND qty_received + qty_short < qty_ordered - 1e-9`,
+      [id]
+    );
+    const status = remaining[0].n ? "partially_received" : "received";
+
+    await client.query(
+      `UPDATE purchase_orders
+       SET status=$1, updated_at=NOW(), received_at=CASE WHEN $1 = 'received' THEN NOW() ELSE received_at END
+       WHERE id=$2`,
+      [status, id]
+    );
+
+    const after = await fetchOrder(client, id);
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "purchase_order",
+      entityId: id,
+      before,
+      after,
+      locationId: po.location_id,
+    });
+
+    await client.query("COMMIT");
+    res.json(after);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("POST /orders/:id/receive error:", e);
+    res.status(500).json({ error: "Receive failed", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------
+// RECEIPTS (deliveries), for linking a bill to what arrived
+// value = qty received x agreed price
+// -----------------------
+router.get("/receipts", async (req, res) => {
+  try {
+    const parts = [];
+    if (req.location) parts.push(locationClause(req, "r.location_id"));
+    if (String(req.query?.unbilled || "") === "1") {
+      parts.push(`NOT EXISTS (SELECT 1 FROM supplier_bills b WHERE b.receipt_id = r.id)`);
+    }
+
+    const { rows } = await pool.query(`
+      SELECT r.id, r.purchase_order_id, r.location_id, r.received_at, r.note,
+             po.supplier_id, s.name AS supplier_name,
+             COALESCE(SUM(rl.qty_received * pol.unit_price), 0) AS value
+      FROM purchase_receipts r
+      JOIN purchase_orders po ON po.id = r.purchase_order_id
+      JOIN suppliers s ON s.id = po.supplier_id
+      LEFT JOIN purchase_receipt_lines rl ON rl.receipt_id = r.id
+      LEFT JOIN purchase_order_lines pol ON pol.id = rl.purchase_order_line_id
+      ${parts.length ? `WHERE ${parts.join(" AND ")}` : ""}
+      GROUP BY r.id, po.supplier_id, s.name
+      ORDER BY r.received_at DESC, r.id DESC
+    `);
+    res.json(rows.map((r) => ({ ...r, value: round2(r.value) })));
+  } catch (e) {
+    console.error("GET /receipts error:", e);
+    res.status(500).json({ error: "Failed to load receipts", detail: e.message });
+  }
+});
+
+// -----------------------
+// SUPPLIER BILLS (accounts payable)
+// -----------------------
+const BILL_STATUSES = ["open", "partially_paid", "paid"];
+
+function billSelect() {
+  return `
+    SELECT
+      b.id, b.supplier_id, b.location_id, b.receipt_id, b.bill_number, b.amount, b.note,
+      b.created_by, b.created_at, b.updated_at,
+      b.bill_date::text AS bill_date,
+      b.due_date::text AS due_date,
+      s.name AS supplier_name,
+      l.name AS location_name,
+      r.purchase_order_id,
+      COALESCE(p.paid, 0) AS paid,
+      b.amount - COALESCE(p.paid, 0) AS balance,
+      CASE
+        WHEN COALESCE(p.paid, 0) >= b.amount THEN 'paid'
+        WHEN COALESCE(p.paid, 0) > 0 THEN 'partially_paid'
+        ELSE 'open'
+      END AS status
+    FROM supplier_bills b
+    JOIN suppliers s ON s.id = b.supplier_id
+    JOIN locations l ON l.id = b.location_id
+    LEFT JOIN purchase_receipts r ON r.id = b.receipt_id
+    LEFT JOIN (
+      SELECT bill_id, SUM(amount) AS paid FROM supplier_bill_payments GROUP BY bill_id
+    ) p ON p.bill_id = b.id
+  `;
+}
+
+function billOut(b) {
+  return { ...b, amount: Number(b.amount), paid: Number(b.paid), balance: round2(b.balance) };
+}
+
+async function fetchBill(db, id) {
+  const { rows } = await db.query(`${billSelect()} WHERE b.id=$1`, [id]);
+  if (!rows[0]) return null;
+
+  const { rows: payments } = await db.query(
+    `SELECT bp.id, bp.amount, bp.method, bp.note, bp.expense_id, bp.paid_at,
+            COALESCE(u.display_name, u.username) AS created_by_name
+     FROM supplier_bill_payments bp
+     LEFT JOIN users u ON u.id = bp.created_by
+     WHERE bp.bill_id=$1
+     ORDER BY bp.paid_at ASC, bp.id ASC`,
+    [id]
+  );
+  return { ...billOut(rows[0]), payments: payments.map((p) => ({ ...p, amount: Number(p.amount) })) };
+}
+
+// bills for the current branch (or all); ?status=open|partially_paid|paid|unpaid, ?supplier_id=
+router.get("/bills", async (req, res) => {
+  try {
+    const parts = [];
+    if (req.location) parts.push(locationClause(req, "x.location_id"));
+    const status = String(req.query?.status || "").toLowerCase();
+    if (BILL_STATUSES.includes(status)) parts.push(`x.status = '${status}'`);
+    if (status === "unpaid") parts.push(`x.status <> 'paid'`);
+    const supplierId = Number(req.query?.supplier_id);
+    if (Number.isInteger(supplierId) && supplierId > 0) parts.push(`x.supplier_id = ${supplierId}`);
+
+    const { rows } = await pool.query(`
+      SELECT * FROM (${billSelect()}) x
+      ${parts.length ? `WHERE ${parts.join(" AND ")}` : ""}
+      ORDER BY x.due_date ASC, x.id ASC
+    `);
+    res.json(rows.map(billOut));
+  } catch (e) {
+    console.error("GET /bills error:", e);
+    res.status(500).json({ error: "Failed to load bills", detail: e.message });
+  }
+});
+
+router.get("/bills/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid bill id" });
+
+    const bill = await fetchBill(pool, id);
+    if (!bill || (req.location && bill.location_id !== req.location.id)) {
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    res.json(bill);
+  } catch (e) {
+    console.error("GET /bills/:id error:", e);
+    res.status(500).json({ error: "Failed to load bill", detail: e.message });
+  }
+});
+
+/**
+ * New bill for the current branch.
+ * body: { supplier_id, amount, bill_date, due_date, bill_number, note, receipt_id }
+ * With receipt_id the supplier comes from its PO and amount defaults to the receipt's value.
+ */
+router.post("/bills", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const billDate = req.body?.bill_date ? parseDay(req.body.bill_date, "bill_date") : businessDate();
+    const dueDate = req.body?.due_date ? parseDay(req.body.due_date, "due_date") : billDate;
+    if (dueDate < billDate) throw httpError(400, "due_date cannot be before bill_date");
+
+    await client.query("BEGIN");
+    await assertPeriodOpen(client, "bill", billDate);
+
+    let supplierId = null;
+    let amount = req.body?.amount === undefined || req.body?.amount === "" ? null : toNumber(req.body.amount, NaN);
+    let receiptId = null;
+
+    if (req.body?.receipt_id !== undefined && req.body?.receipt_id !== null && req.body?.receipt_id !== "") {
+      receiptId = Number(req.body.receipt_id);
+      if (!Number.isInteger(receiptId) || receiptId <= 0) throw httpError(400, "Invalid receipt_id");
+      const { rows } = await client.query(
+        `SELECT r.id, r.location_id, po.supplier_id,
+                COALESCE((SELECT SUM(rl.qty_received * pol.unit_price)
+                          FROM purchase_receipt_lines rl
+                          JOIN purchase_order_lines pol ON pol.id = rl.purchase_order_line_id
+                          WHERE rl.receipt_id = r.id), 0) AS value
+         FROM purchase_receipts r
+         JOIN purchase_orders po ON po.id = r.purchase_order_id
+         WHERE r.id=$1`,
+        [receiptId]
+      );
+      const receipt = rows[0];
+      if (!receipt || receipt.location_id !== req.location.id) throw httpError(400, "Receipt not found at this location");
+      if (req.body?.supplier_id !== undefined && Number(req.body.supplier_id) !== receipt.supplier_id) {
+        throw httpError(400, "That receipt is from a different supplier");
+      }
+      supplierId = receipt.supplier_id;
+      if (amount === null) amount = round2(receipt.value);
+    } else {
+      supplierId = await activeSupplier(client, req.body?.supplier_id);
+    }
+
+    if (!Number.isFinite(amount) || amount <= 0) throw httpError(400, "amount must be > 0");
+
+    const { rows } = await client.query(
+      `INSERT INTO supplier_bills
+         (supplier_id, location_id, receipt_id, bill_number, bill_date, due_date, amount, note, created_by)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       RETURNING id`,
+      [supplierId, req.location.id, receiptId, cleanStr(req.body?.bill_number), billDate, dueDate, round2(amount), cleanStr(req.body?.note), req.user.id]
+    );
+
+    const after = await fetchBill(client, rows[0].id);
+    await recordAudit(client, req, { action: "create", entity: "supplier_bill", entityId: after.id, after });
+
+    await client.query("COMMIT");
+    res.json(after);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.code === "23505") return res.status(409).json({ error: "That receipt already has a bill" });
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("POST /bills error:", e);
+    res.status(500).json({ error: "Failed to create bill", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// amount (not below what's been paid), dates, bill number, note
+router.put("/bills/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid bill id" });
+
+    await client.query("BEGIN");
+
+    const { rows: found } = await client.query(
+      `SELECT id FROM supplier_bills WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    if (!found[0]) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Bill not found" });
+    }
+
+    const before = await fetchBill(client, id);
+
+    const amount = req.body?.amount === undefined ? before.amount : toNumber(req.body.amount, NaN);
+    const billDate = req.body?.bill_date === undefined ? before.bill_date : parseDay(req.body.bill_date, "bill_date");
+    const dueDate = req.body?.due_date === undefined ? before.due_date : parseDay(req.body.due_date, "due_date");
+    if (!Number.isFinite(amount) || amount <= 0) throw httpError(400, "amount must be > 0");
+    if (amount < before.paid) throw httpError(400, `amount cannot be less than what has been paid (${before.paid})`);
+    if (dueDate < billDate) throw httpError(400, "due_date cannot be before bill_date");
+
+    // neither the bill's current date nor a new one may be in a locked period
+    await assertPeriodOpen(client, "bill", billDate, before.bill_date);
+
+    await client.query(
+      `UPDATE supplier_bills
+       SET amount=$1, bill_date=$2, due_date=$3, bill_number=$4, note=$5, updated_at=NOW()
+       WHERE id=$6`,
+      [round2(amount), billDate, dueDate, cleanStr(req.body?.bill_number ?? before.bill_number), cleanStr(req.body?.note ?? before.note), id]
+    );
+
+    const after = await fetchBill(client, id);
+    await recordAudit(client, req, { action: "update", entity: "supplier_bill", entityId: id, before, after });
+
+    await client.query("COMMIT");
+    res.json(after);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("PUT /bills/:id error:", e);
+    res.status(500).json({ error: "Failed to update bill", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Pay some or all of a bill.
+ * body: { amount, method, note, transaction_date, create_expense, category_id }
+ * create_expense posts the same amount to expenses at the bill's branch, dated like the payment
+ * (needs expenses:create; a transaction_date other than today needs finance:backdate).
+ */
+router.post("/bills/:id/payments", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid bill id" });
+
+    const amount = toNumber(req.body?.amount, NaN);
+    const method = cleanStr(req.body?.method || "transfer").toLowerCase();
+    const note = cleanStr(req.body?.note);
+    const createExpense = req.body?.create_expense === true;
+
+    if (!Number.isFinite(amount) || amount <= 0) throw httpError(400, "amount must be > 0");
+    if (!PAYMENT_METHODS.includes(method)) throw httpError(400, `method must be one of: ${PAYMENT_METHODS.join(", ")}`);
+    if (createExpense && !requestCan(req, "expenses:create")) throw httpError(403, "You are not allowed to record expenses");
+
+    const paidDate = parseTransactionDate(req.body?.transaction_date);
+    if (paidDate && paidDate !== businessDate() && !requestCan(req, "finance:backdate")) {
+      throw httpError(403, "You are not allowed to backdate entries");
+    }
+
+    await client.query("BEGIN");
+
+    const { rows: found } = await client.query(
+      `SELECT id FROM supplier_bills WHERE id=$1 AND location_id=$2 FOR UPDATE`,
+      [id, req.location.id]
+    );
+    if (!found[0]) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Bill not found" });
+    }
+
+    const before = await fetchBill(client, id);
+    if (before.balance <= 0) throw httpError(400, "This bill is already paid");
+    if (round2(amount) > before.balance) throw httpError(400, `Payment is more than the balance (${before.balance})`);
+
+    await assertPeriodOpen(client, "payment", paidDate);
+    const paidAt = await transactionTimestamp(client, paidDate);
+
+    let expenseId = null;
+    if (createExpense) {
+      let categoryId = null;
+      if (req.body?.category_id !== undefined && req.body?.category_id !== null && req.body?.category_id !== "") {
+        const { rows } = await client.query(
+          `SELECT id FROM expense_categories WHERE id=$1 AND is_active`,
+          [Number(req.body.category_id) || 0]
+        );
+        if (!rows[0]) throw httpError(400, "Unknown or inactive expense category");
+        categoryId = rows[0].id;
+      }
+
+      const description = `Payment to ${before.supplier_name}${before.bill_number ? ` (bill ${before.bill_number})` : ` (bill #${id})`}`;
+      const { rows } = await client.query(
+        `INSERT INTO expenses (amount, description, category_id, created_by, location_id, created_at)
+         VALUES ($1,$2,$3,$4,$5,$6)
+         RETURNING *`,
+        [round2(amount), description, categoryId, req.user.id, before.location_id, paidAt]
+      );
+      expenseId = rows[0].id;
+      await recordAudit(client, req, {
+        action: "create",
+        entity: "expense",
+        entityId: expenseId,
+        after: rows[0],
+        locationId: before.location_id,
+      });
+    }
+
+    await client.query(
+      `INSERT INTO supplier_bill_payments (bill_id, amount, method, note, expense_id, paid_at, created_by)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [id, round2(amount), method, note, expenseId, paidAt, req.user.id]
+    );
+
+    const after = await fetchBill(client, id);
+    await recordAudit(client, req, { action: "update", entity: "supplier_bill", entityId: id, before, after });
+
+    await client.query("COMMIT");
+    res.json(after);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("POST /bills/:id/payments error:", e);
+    res.status(500).json({ error: "Payment failed", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------
+// AGED PAYABLES
+// Unpaid balances by supplier, bucketed by days past due as of ?as_of (default today)
+// -----------------------
+const AGING_BUCKETS = [
+  { key: "current", label: "Current" },
+  { key: "d1_30", label: "1-30 days" },
+  { key: "d31_60", label: "31-60 days" },
+  { key: "d61_90", label: "61-90 days" },
+  { key: "d90_plus", label: "90+ days" },
+];
+
+function agingBucket(daysOverdue) {
+  if (daysOverdue <= 0) return "current";
+  if (daysOverdue <= 30) return "d1_30";
+  if (daysOverdue <= 60) return "d31_60";
+  if (daysOverdue <= 90) return "d61_90";
+  return "d90_plus";
+}
+
+async function agedPayables(req) {
+  const asOf = req.query?.as_of ? parseDay(req.query.as_of, "as_of") : businessDate();
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+
+  // bills dated after as_of are not owed yet; payments after as_of don't count
+  const where = [`b.bill_date <= DATE '${asOf}'`];
+  if (req.location) where.push(locationClause(req, "b.location_id"));
+
+  const { rows } = await pool.query(`
+    SELECT b.id, b.supplier_id, s.name AS supplier_name, b.bill_number,
+           b.bill_date::text AS bill_date, b.due_date::text AS due_date, b.amount,
+           b.amount - COALESCE((
+             SELECT SUM(bp.amount) FROM supplier_bill_payments bp
+             WHERE bp.bill_id = b.id AND bp.paid_at < ${localMidnightSql(`DATE '${asOf}' + 1`)}
+           ), 0) AS balance
+    FROM supplier_bills b
+    JOIN suppliers s ON s.id = b.supplier_id
+    WHERE ${where.join(" AND ")}
+    ORDER BY s.name ASC, b.due_date ASC, b.id ASC
+  `);
+
+  const suppliersMap = new Map();
+  const totals = { ...emptyBuckets(), total: 0 };
+  const bills = [];
+
+  for (const r of rows) {
+    const balance = round2(r.balance);
+    if (balance <= 0) continue;
+
+    const daysOverdue = daysBetween(r.due_date, asOf);
+    const bucket = agingBucket(daysOverdue);
+
+    if (!suppliersMap.has(r.supplier_id)) {
+      suppliersMap.set(r.supplier_id, { supplier_id: r.supplier_id, supplier_name: r.supplier_name, ...emptyBuckets(), total: 0 });
+    }
+    const row = suppliersMap.get(r.supplier_id);
+    row[bucket] = round2(row[bucket] + balance);
+    row.total = round2(row.total + balance);
+    totals[bucket] = round2(totals[bucket] + balance);
+    totals.total = round2(totals.total + balance);
+
+    bills.push({
+      id: r.id,
+      supplier_id: r.supplier_id,
+      supplier_name: r.supplier_name,
+      bill_number: r.bill_number,
+      bill_date: r.bill_date,
+      due_date: r.due_date,
+      amount: Number(r.amount),
+      balance,
+      days_overdue: Math.max(daysOverdue, 0),
+      bucket,
+    });
+  }
+
+  return {
+    as_of: asOf,
+    location: req.location ? { id: req.location.id, name: req.location.name } : null,
+    buckets: AGING_BUCKETS,
+    suppliers: Array.from(suppliersMap.values()),
+    bills,
+    totals,
+  };
+}
+
+router.get("/report/payables", async (req, res) => {
+  try {
+    res.json(await agedPayables(req));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("GET /report/payables error:", e);
+    res.status(500).json({ error: "Failed to generate payables report", detail: e.message });
+  }
+});
+
+router.get("/export/payables.csv", async (req, res) => {
+  try {
+    const report = await agedPayables(req);
+
+    const lines = [
+      `AGED PAYABLES AS OF ${report.as_of}${report.location ? ` - ${csvEscape(report.location.name)}` : ""}`,
+      "",
+      ["Supplier", ...AGING_BUCKETS.map((b) => b.label), "Total (NGN)"].join(","),
+    ];
+    for (const s of report.suppliers) {
+      lines.push([csvEscape(s.supplier_name), ...AGING_BUCKETS.map((b) => s[b.key]), s.total].join(","));
+    }
+    lines.push(["TOTAL", ...AGING_BUCKETS.map((b) => report.totals[b.key]), report.totals.total].join(","));
+
+    lines.push("", "OPEN BILLS");
+    lines.push(["Bill ID", "Supplier", "Bill Number", "Bill Date", "Due Date", "Amount", "Balance", "Days Overdue", "Bucket"].join(","));
+    for (const b of report.bills) {
+      lines.push([
+        b.id,
+        csvEscape(b.supplier_name),
+        csvEscape(b.bill_number),
+        b.bill_date,
+        b.due_date,
+        b.amount,
+        b.balance,
+        b.days_overdue,
+        csvEscape(AGING_BUCKETS.find((x) => x.key === b.bucket)?.label || b.bucket),
+      ].join(","));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="aged-payables-${report.as_of}.csv"`);
+    res.status(200).send(lines.join("\n"));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("GET /export/payables.csv error:", e);
+    res.status(500).json({ error: "Failed to export payables CSV", detail: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// Backend/routes/settings.js
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const { permit } = require("../utils/permissions");
+const { settingsReady, getSettings, parseSettings, writeSettings } = require("../utils/settings");
+const { auditReady, recordAudit } = require("../utils/audit");
+
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /": "settings:read",
+  "PUT /": "settings:manage",
+}));
+
+router.use(async (req, res, next) => {
+  try {
+    await settingsReady();
+    await auditReady();
+    next();
+  } catch (e) {
+    console.error("settings schema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+// -----------------------
+// READ SETTINGS (saved values, or defaults)
+// -----------------------
+router.get("/", async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to fetch settings" });
+  }
+});
+
+// -----------------------
+// SAVE SETTINGS (only the keys sent change)
+// -----------------------
+router.put("/", async (req, res) => {
+  let values;
+  try {
+    values = parseSettings(req.body);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await getSettings(client);
+    await writeSettings(client, values, req.user.id);
+    const after = await getSettings(client);
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "settings",
+      entityId: null,
+      before,
+      after,
+      locationId: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(after);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: e.message || "Failed to save settings" });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,402 @@
+// Backend/routes/transfers.js
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const { permit } = require("../utils/permissions");
+const { locationsReady, resolveLocation, locationClause } = require("../utils/locations");
+const { lockProduct, adjustStock } = require("../utils/stock");
+const { auditReady, recordAudit } = require("../utils/audit");
+const { businessDate, formatBusinessDateTime } = require("../utils/time");
+const { csvEscape } = require("../utils/format");
+
+/**
+ * ✅ Stock transfers between branches
+ *
+ * Sending is one transaction: OUT at the source (stock_movements, linked by transfer_id).
+ * The stock is then in transit and counted at neither branch.
+ * Receiving credits the destination with the qty that actually arrived (TRANSFER_IN);
+ * if it differs from qty_sent the transfer is marked disputed.
+ * Transfers sent before this credited the destination on send: receiving those corrects
+ * the destination by the difference (TRANSFER_SHORT / TRANSFER_OVER) instead.
+ */
+
+// ✅ Who can call what (see utils/permissions.js for role grants)
+router.use(permit({
+  "GET /": "transfers:read",
+  "GET /export/transfers.csv": "transfers:read",
+  "POST /": "transfers:create",
+  "POST /:id/receive": "transfers:receive",
+}));
+
+async function ensureSchema() {
+  await locationsReady();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS stock_transfers (
+      id SERIAL PRIMARY KEY,
+      product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      product_name TEXT NOT NULL,
+      product_unit TEXT DEFAULT '',
+      from_location_id INT NOT NULL REFERENCES locations(id),
+      to_location_id INT NOT NULL REFERENCES locations(id),
+      qty_sent NUMERIC NOT NULL,
+      qty_received NUMERIC,
+      mode TEXT DEFAULT 'QTY',
+      status TEXT NOT NULL DEFAULT 'sent' CHECK (status IN ('sent','received','disputed')),
+      note TEXT DEFAULT '',
+      receive_note TEXT DEFAULT '',
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      received_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      received_at TIMESTAMPTZ
+    )
+  `);
+
+  await pool.query(`
+    ALTER TABLE stock_movements
+    ADD COLUMN IF NOT EXISTS transfer_id INT REFERENCES stock_transfers(id) ON DELETE SET NULL
+  `);
+
+  await auditReady();
+}
+
+let schemaReady = null;
+
+router.use(async (req, res, next) => {
+  try {
+    if (!schemaReady) {
+      schemaReady = ensureSchema().catch((e) => {
+        schemaReady = null;
+        throw e;
+      });
+    }
+    await schemaReady;
+    next();
+  } catch (e) {
+    console.error("transfers ensureSchema error:", e);
+    res.status(500).json({ error: "Database schema not ready", detail: e.message });
+  }
+});
+
+// current branch = source when sending, destination when receiving
+router.use(resolveLocation);
+
+// -----------------------
+// Helpers
+// -----------------------
+function toNumber(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+function isPositive(n) {
+  return Number.isFinite(n) && n > 0;
+}
+const TRANSFER_STATUSES = ["sent", "received", "disputed"];
+
+function transferSelect() {
+  return `
+    SELECT
+      t.*,
+      fl.name AS from_location_name,
+      tl.name AS to_location_name,
+      COALESCE(cu.display_name, cu.username) AS created_by_name,
+      COALESCE(ru.display_name, ru.username) AS received_by_name
+    FROM stock_transfers t
+    JOIN locations fl ON fl.id = t.from_location_id
+    JOIN locations tl ON tl.id = t.to_location_id
+    LEFT JOIN users cu ON cu.id = t.created_by
+    LEFT JOIN users ru ON ru.id = t.received_by
+  `;
+}
+
+// transfers touching the current branch (either side), plus optional status filter
+function historyWhere(req) {
+  const parts = [];
+  if (req.location) {
+    const direction = String(req.query?.direction || "").toLowerCase();
+    if (direction === "out") parts.push(locationClause(req, "t.from_location_id"));
+    else if (direction === "in") parts.push(locationClause(req, "t.to_location_id"));
+    else parts.push(`(${locationClause(req, "t.from_location_id")} OR ${locationClause(req, "t.to_location_id")})`);
+  }
+
+  const status = String(req.query?.status || "").toLowerCase();
+  if (TRANSFER_STATUSES.includes(status)) parts.push(`t.status = '${status}'`);
+
+  return parts.length ? `WHERE ${parts.join(" AND ")}` : "";
+}
+
+async function fetchTransfer(id) {
+  const { rows } = await pool.query(`${transferSelect()} WHERE t.id=$1`, [id]);
+  return rows[0] || null;
+}
+
+// -----------------------
+// HISTORY
+// -----------------------
+router.get("/", async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      ${transferSelect()}
+      ${historyWhere(req)}
+      ORDER BY t.created_at DESC, t.id DESC
+    `);
+    res.json(rows);
+  } catch (e) {
+    console.error("GET /transfers error:", e);
+    res.status(500).json({ error: "Failed to load transfers", detail: e.message });
+  }
+});
+
+router.get("/export/transfers.csv", async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      ${transferSelect()}
+      ${historyWhere(req)}
+      ORDER BY t.created_at DESC, t.id DESC
+    `);
+
+    const header = [
+      "ID",
+      "Product",
+      "Unit",
+      "From",
+      "To",
+      "Qty Sent",
+      "Qty Received",
+      "Status",
+      "Sent By",
+      "Sent At",
+      "Received By",
+      "Received At",
+      "Note",
+      "Receive Note",
+    ];
+
+    const lines = [header.join(",")];
+    for (const t of rows) {
+      lines.push([
+        t.id,
+        csvEscape(t.product_name),
+        csvEscape(t.product_unit),
+        csvEscape(t.from_location_name),
+        csvEscape(t.to_location_name),
+        t.qty_sent,
+        t.qty_received ?? "",
+        csvEscape(t.status),
+        csvEscape(t.created_by_name || ""),
+        csvEscape(formatBusinessDateTime(t.created_at)),
+        csvEscape(t.received_by_name || ""),
+        csvEscape(formatBusinessDateTime(t.received_at)),
+        csvEscape(t.note),
+        csvEscape(t.receive_note),
+      ].join(","));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="transfers-${businessDate()}.csv"`);
+    res.status(200).send(lines.join("\n"));
+  } catch (e) {
+    console.error("GET /transfers/export error:", e);
+    res.status(500).json({ error: "Failed to export transfers CSV", detail: e.message });
+  }
+});
+
+// -----------------------
+// SEND (OUT at source; in transit until received)
+// -----------------------
+router.post("/", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const productId = Number(req.body?.product_id);
+    const toLocationId = Number(req.body?.to_location_id);
+    const modeRaw = String(req.body?.mode || "QTY").trim().toUpperCase();
+    const note = String(req.body?.note || "").trim();
+    const qtyIn = toNumber(req.body?.qty, NaN);
+
+    if (!Number.isInteger(productId)) return res.status(400).json({ error: "Invalid product id" });
+    if (!Number.isInteger(toLocationId)) return res.status(400).json({ error: "to_location_id is required" });
+    if (!isPositive(qtyIn)) return res.status(400).json({ error: "qty must be > 0" });
+
+    const fromLocationId = req.location.id;
+    if (toLocationId === fromLocationId) {
+      return res.status(400).json({ error: "Destination must be a different location" });
+    }
+
+    const { rows: dest } = await pool.query(`SELECT id FROM locations WHERE id=$1 AND is_active`, [toLocationId]);
+    if (!dest[0]) return res.status(404).json({ error: "Destination location not found" });
+
+    await client.query("BEGIN");
+
+    const product = await lockProduct(client, productId);
+    if (!product) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const isSeafood = String(product.category || "").toUpperCase() === "SEAFOOD";
+    const mode = isSeafood && modeRaw === "PORTION" ? "PORTION" : "QTY";
+
+    let qty = qtyIn;
+    if (mode === "PORTION") {
+      const ps = toNumber(product.portion_size, 0);
+      if (ps <= 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Seafood portion_size is not set properly" });
+      }
+      qty = qtyIn * ps;
+    }
+
+    const { rows } = await client.query(
+      `
+      INSERT INTO stock_transfers
+        (product_id, product_name, product_unit, from_location_id, to_location_id, qty_sent, mode, note, created_by)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+      RETURNING *
+      `,
+      [productId, product.name, product.unit || "", fromLocationId, toLocationId, qty, mode, note, req.user.id]
+    );
+    const transferId = rows[0].id;
+
+    await adjustStock(client, { productId, locationId: fromLocationId, delta: -qty });
+
+    await client.query(
+      `
+      INSERT INTO stock_movements (product_id, type, qty, mode, note, reason, created_by, location_id, transfer_id)
+      VALUES ($1, 'OUT', $2, $3, $4, 'TRANSFER_OUT', $5, $6, $7)
+      `,
+      [productId, -qty, mode, note || `Transfer #${transferId}`, req.user.id, fromLocationId, transferId]
+    );
+
+    await recordAudit(client, req, {
+      action: "create",
+      entity: "transfer",
+      entityId: transferId,
+      after: rows[0],
+      locationId: fromLocationId,
+    });
+
+    await client.query("COMMIT");
+    res.json(await fetchTransfer(transferId));
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("POST /transfers error:", e);
+    res.status(500).json({ error: "Transfer failed", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------
+// RECEIVE (at the destination)
+// -----------------------
+router.post("/:id/receive", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid transfer id" });
+
+    const receiveNote = String(req.body?.note || "").trim();
+
+    await client.query("BEGIN");
+
+    const { rows: found } = await client.query(`SELECT * FROM stock_transfers WHERE id=$1 FOR UPDATE`, [id]);
+    const transfer = found[0];
+    if (!transfer) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Transfer not found" });
+    }
+    if (transfer.to_location_id !== req.location.id) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Transfers can only be received at their destination location" });
+    }
+    if (transfer.status !== "sent") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: `Transfer already ${transfer.status}` });
+    }
+
+    const qtySent = Number(transfer.qty_sent) || 0;
+    const qtyReceived = req.body?.qty_received === undefined ? qtySent : toNumber(req.body.qty_received, NaN);
+    if (!Number.isFinite(qtyReceived) || qtyReceived < 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "qty_received must be 0 or more" });
+    }
+
+    const diff = qtyReceived - qtySent;
+
+    // older transfers credited the destination on send: only the difference is booked
+    const { rows: credited } = await client.query(
+      `SELECT 1 FROM stock_movements WHERE transfer_id=$1 AND reason='TRANSFER_IN' LIMIT 1`,
+      [id]
+    );
+
+    if (!credited[0] && qtyReceived > 0) {
+      await adjustStock(client, { productId: transfer.product_id, locationId: transfer.to_location_id, delta: qtyReceived });
+
+      await client.query(
+        `
+        INSERT INTO stock_movements (product_id, type, qty, mode, note, reason, created_by, location_id, transfer_id)
+        VALUES ($1, 'IN', $2, 'QTY', $3, 'TRANSFER_IN', $4, $5, $6)
+        `,
+        [
+          transfer.product_id,
+          qtyReceived,
+          receiveNote || (diff === 0 ? `Transfer #${id}` : `Transfer #${id}: sent ${qtySent}, received ${qtyReceived}`),
+          req.user.id,
+          transfer.to_location_id,
+          id,
+        ]
+      );
+    } else if (credited[0] && diff !== 0) {
+      await adjustStock(client, { productId: transfer.product_id, locationId: transfer.to_location_id, delta: diff });
+
+      await client.query(
+        `
+        INSERT INTO stock_movements (product_id, type, qty, mode, note, reason, created_by, location_id, transfer_id)
+        VALUES ($1, $2, $3, 'QTY', $4, $5, $6, $7, $8)
+        `,
+        [
+          transfer.product_id,
+          diff < 0 ? "OUT" : "IN",
+          diff,
+          receiveNote || `Transfer #${id}: sent ${qtySent}, received ${qtyReceived}`,
+          diff < 0 ? "TRANSFER_SHORT" : "TRANSFER_OVER",
+          req.user.id,
+          transfer.to_location_id,
+          id,
+        ]
+      );
+    }
+
+    const { rows: updated } = await client.query(
+      `
+      UPDATE stock_transfers
+      SET qty_received=$1, status=$2, receive_note=$3, received_by=$4, received_at=NOW()
+      WHERE id=$5
+      RETURNING *
+      `,
+      [qtyReceived, diff === 0 ? "received" : "disputed", receiveNote, req.user.id, id]
+    );
+
+    await recordAudit(client, req, {
+      action: "update",
+      entity: "transfer",
+      entityId: id,
+      before: transfer,
+      after: updated[0],
+      locationId: transfer.to_location_id,
+    });
+
+    await client.query("COMMIT");
+    res.json(await fetchTransfer(id));
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("POST /transfers/:id/receive error:", e);
+    res.status(500).json({ error: "Receive failed", detail: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
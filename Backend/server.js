@@ -7,8 +7,21 @@ const cors = require("cors");
 const { pool } = require("./db");
 
 // Routes
+const authRoutes = require("./routes/auth");
 const financeRoutes = require("./routes/finance");
 const inventoryRoutes = require("./routes/inventory");
+const locationRoutes = require("./routes/locations");
+const transferRoutes = require("./routes/transfers");
+const auditRoutes = require("./routes/audit");
+const menuRoutes = require("./routes/menu");
+const purchasingRoutes = require("./routes/purchasing");
+const settingsRoutes = require("./routes/settings");
+const periodsRoutes = require("./routes/periods");
+
+const { requireAuth } = require("./utils/auth");
+const { requirePermission } = require("./utils/permissions");
+const { BUSINESS_TZ } = require("./utils/time");
+const { startRecurringScheduler } = require("./utils/recurring");
 
 const app = express();
 
@@ -53,7 +66,7 @@ const corsOptions = {
     return cb(new Error(`CORS blocked for origin: ${origin}`));
   },
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "x-admin-reset-token"],
+  allowedHeaders: ["Content-Type", "Authorization", "x-admin-reset-token", "x-location-id", "x-api-key"],
   maxAge: 86400,
 };
 
@@ -82,9 +95,18 @@ app.get("/", (req, res) => {
   res.json({
     ok: true,
     message: "SeaBite Express API is running",
+    timezone: BUSINESS_TZ,
     health: "/health",
+    login: "/api/auth/login",
     inventory: "/api/inventory/products",
     finance: "/api/finance/sales",
+    locations: "/api/locations",
+    transfers: "/api/transfers",
+    audit: "/api/audit",
+    menu: "/api/menu",
+    purchasing: "/api/purchasing/orders",
+    settings: "/api/settings",
+    periodLock: "/api/periods/lock",
     adminReset: "/api/admin/reset",
     debugPing: "/api/debug/ping",
     debugSchema: "/api/debug/schema",
@@ -127,23 +149,18 @@ app.get("/api/debug/schema", async (req, res) => {
 
 /**
  * -----------------------
- * Admin Reset (TOKEN)
+ * Admin Reset (owner login + TOKEN)
+ * Authorization carries the login token, so the reset token
+ * comes from x-admin-reset-token or the body.
  * -----------------------
  */
 function readResetToken(req) {
   const h1 = String(req.headers["x-admin-reset-token"] || "").trim();
-
-  const auth = String(req.headers["authorization"] || "").trim();
-  const bearer = auth.toLowerCase().startsWith("bearer ")
-    ? auth.slice(7).trim()
-    : "";
-
   const bodyToken = String(req.body?.token || "").trim();
-
-  return h1 || bearer || bodyToken;
+  return h1 || bodyToken;
 }
 
-app.post("/api/admin/reset", async (req, res) => {
+app.post("/api/admin/reset", requireAuth, requirePermission("admin:reset"), async (req, res) => {
   try {
     const provided = readResetToken(req);
     const expected = String(process.env.ADMIN_RESET_TOKEN || "").trim();
@@ -175,6 +192,7 @@ app.post("/api/admin/reset", async (req, res) => {
       "stock_movements",
       "losses",
       "inventory_losses",
+      "receipt_counter",
     ];
 
     const truncated = [];
@@ -201,9 +219,21 @@ app.post("/api/admin/reset", async (req, res) => {
 
 /**
  * API routes
+ * - /api/auth handles login (public) and user + API key management (owner)
+ * - finance + inventory + locations + transfers + audit + menu + purchasing + settings + periods require a logged-in user
+ *   or an API key (x-api-key header, limited to the key's scopes)
+ * - finance + inventory are scoped to a branch via x-location-id
  */
-app.use("/api/finance", financeRoutes);
-app.use("/api/inventory", inventoryRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/finance", requireAuth, financeRoutes);
+app.use("/api/inventory", requireAuth, inventoryRoutes);
+app.use("/api/locations", requireAuth, locationRoutes);
+app.use("/api/transfers", requireAuth, transferRoutes);
+app.use("/api/audit", requireAuth, auditRoutes);
+app.use("/api/menu", requireAuth, menuRoutes);
+app.use("/api/purchasing", requireAuth, purchasingRoutes);
+app.use("/api/settings", requireAuth, settingsRoutes);
+app.use("/api/periods", requireAuth, periodsRoutes);
 
 /**
  * 404 handler
@@ -221,4 +251,9 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => {
+  console.log(`✅ Server running on port ${PORT}`);
+
+  // posts due recurring expenses now and on a timer (utils/recurring.js)
+  startRecurringScheduler();
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Backend/utils/audit.js
+const { pool } = require("../db");
+const { usersReady } = require("./auth");
+const { locationsReady } = require("./locations");
+
+/**
+ * ✅ Audit trail
+ *
+ * audit_log : one row per create / update / delete in finance + inventory,
+ *             with the record as it was (before) and as it became (after).
+ *
+ * Call recordAudit with the same client as the change so the audit row
+ * commits or rolls back together with it.
+ */
+const AUDIT_ACTIONS = ["create", "update", "delete"];
+
+async function ensureAuditSchema() {
+  await usersReady();
+  await locationsReady();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor_id INT REFERENCES users(id) ON DELETE SET NULL,
+      actor_name TEXT DEFAULT '',
+      action TEXT NOT NULL CHECK (action IN ('create','update','delete')),
+      entity TEXT NOT NULL,
+      entity_id TEXT,
+      location_id INT REFERENCES locations(id) ON DELETE SET NULL,
+      before JSONB,
+      after JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity, entity_id)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at DESC)`);
+}
+
+let auditSchemaReady = null;
+
+function auditReady() {
+  if (!auditSchemaReady) {
+    auditSchemaReady = ensureAuditSchema().catch((e) => {
+      auditSchemaReady = null;
+      throw e;
+    });
+  }
+  return auditSchemaReady;
+}
+
+/**
+ * Write one audit row.
+ * db       : pg client inside the route's transaction (or pool)
+ * req      : supplies the actor (req.user) and default location (req.location)
+ * before / after : plain row objects (null for create / delete respectively)
+ */
+async function recordAudit(db, req, { action, entity, entityId, before = null, after = null, locationId }) {
+  if (!AUDIT_ACTIONS.includes(action)) throw new Error(`Unknown audit action: ${action}`);
+
+  const actor = req.user || null;
+  const location = locationId !== undefined
+    ? locationId
+    : (after?.location_id ?? before?.location_id ?? req.location?.id ?? null);
+
+  await db.query(
+    `
+    INSERT INTO audit_log (actor_id, actor_name, action, entity, entity_id, location_id, before, after)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    `,
+    [
+      actor ? actor.id : null,
+      actor ? (actor.display_name || actor.username || "") : "",
+      action,
+      entity,
+      entityId == null ? null : String(entityId),
+      location,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+    ]
+  );
+}
+
+module.exports = { AUDIT_ACTIONS, auditReady, recordAudit };
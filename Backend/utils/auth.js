@@ -0,0 +1,287 @@
+// Backend/utils/auth.js
+const crypto = require("crypto");
+const { pool } = require("../db");
+
+const ROLES = ["owner", "manager", "cashier"];
+const TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS || 12);
+
+// PIN switching on a shared tablet: short numeric PIN, locked after repeated misses
+const PIN_PATTERN = /^\d{4,6}$/;
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 5;
+
+function authSecret() {
+  const secret = String(process.env.AUTH_SECRET || "").trim();
+  if (!secret) {
+    const err = new Error("AUTH_SECRET not set on server");
+    err.code = "AUTH_CONFIG_MISSING";
+    throw err;
+  }
+  return secret;
+}
+
+function normRole(v) {
+  const s = String(v || "").trim().toLowerCase();
+  return ROLES.includes(s) ? s : null;
+}
+
+/**
+ * Passwords: scrypt with a per-user salt, stored as "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function isValidPin(pin) {
+  return PIN_PATTERN.test(String(pin ?? ""));
+}
+
+function verifyPassword(password, stored) {
+  const [algo, salt, hash] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Signed token: base64url(payload).base64url(hmac-sha256)
+ * Stateless, so the server does not need a sessions table.
+ */
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: user.id,
+    role: user.role,
+    iat: now,
+    exp: now + Math.round(TOKEN_TTL_HOURS * 3600),
+  };
+  const body = b64url(JSON.stringify(payload));
+  const sig = b64url(crypto.createHmac("sha256", authSecret()).update(body).digest());
+  return { token: `${body}.${sig}`, expires_at: new Date(payload.exp * 1000).toISOString() };
+}
+
+function verifyToken(token) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+
+  const expected = b64url(crypto.createHmac("sha256", authSecret()).update(body).digest());
+  const a = Buffer.from(sig);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload?.sub || !payload?.exp) return null;
+    if (payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function readBearer(req) {
+  const auth = String(req.headers["authorization"] || "").trim();
+  return auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : "";
+}
+
+/**
+ * ✅ Users table (created on first use, like inventory's ensureSchema)
+ * If there are no users yet, an owner is seeded from OWNER_USERNAME / OWNER_PASSWORD.
+ */
+let usersSchemaReady = null;
+
+async function ensureUsersSchema() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      display_name TEXT NOT NULL DEFAULT '',
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner','manager','cashier')),
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+
+  // quick cashier switching (see POST /api/auth/pin-login)
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_hash TEXT`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_failed_attempts INT NOT NULL DEFAULT 0`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_locked_until TIMESTAMPTZ`);
+
+  const { rows } = await pool.query(`SELECT COUNT(*)::int AS n FROM users`);
+  if (rows[0].n > 0) return;
+
+  const username = String(process.env.OWNER_USERNAME || "").trim().toLowerCase();
+  const password = String(process.env.OWNER_PASSWORD || "");
+  if (!username || !password) {
+    console.warn("⚠️ No users exist. Set OWNER_USERNAME and OWNER_PASSWORD to seed the owner account.");
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO users (username, display_name, password_hash, role)
+     VALUES ($1, $2, $3, 'owner')
+     ON CONFLICT (username) DO NOTHING`,
+    [username, username, hashPassword(password)]
+  );
+  console.log(`✅ Seeded owner account: ${username}`);
+}
+
+function usersReady() {
+  if (!usersSchemaReady) {
+    usersSchemaReady = ensureUsersSchema().catch((e) => {
+      usersSchemaReady = null;
+      throw e;
+    });
+  }
+  return usersSchemaReady;
+}
+
+/**
+ * ✅ API keys for integrations (spreadsheet sync, delivery importers)
+ * Sent in the x-api-key header. Only a sha256 of the key is stored;
+ * the key itself is returned once, when it is created.
+ */
+const API_KEY_HEADER = "x-api-key";
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function generateApiKey() {
+  const key = `sbk_${crypto.randomBytes(24).toString("base64url")}`;
+  return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) };
+}
+
+let apiKeysSchemaReady = null;
+
+async function ensureApiKeysSchema() {
+  await usersReady();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT[] NOT NULL DEFAULT '{}',
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ,
+      revoked_by INT REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+}
+
+function apiKeysReady() {
+  if (!apiKeysSchemaReady) {
+    apiKeysSchemaReady = ensureApiKeysSchema().catch((e) => {
+      apiKeysSchemaReady = null;
+      throw e;
+    });
+  }
+  return apiKeysSchemaReady;
+}
+
+function publicUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    display_name: row.display_name || row.username,
+    role: row.role,
+    is_active: row.is_active,
+  };
+}
+
+/**
+ * Middleware: require a valid token from an active user, or an unrevoked API key.
+ * Sets req.user = { id, username, display_name, role, is_active }
+ * API keys also set req.apiKey = { id, name, scopes }; their req.user has id null
+ * so created_by stays empty and the audit log names the key.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const bearer = readBearer(req);
+    const apiKey = String(req.headers[API_KEY_HEADER] || "").trim();
+
+    if (!bearer && apiKey) {
+      await apiKeysReady();
+      const { rows } = await pool.query(
+        `UPDATE api_keys SET last_used_at=NOW()
+         WHERE key_hash=$1 AND revoked_at IS NULL
+         RETURNING id, name, scopes`,
+        [hashApiKey(apiKey)]
+      );
+      const key = rows[0];
+      if (!key) return res.status(401).json({ error: "Invalid or revoked API key" });
+
+      req.apiKey = { id: key.id, name: key.name, scopes: key.scopes || [] };
+      req.user = {
+        id: null,
+        username: `api-key-${key.id}`,
+        display_name: `API key: ${key.name}`,
+        role: "api",
+        is_active: true,
+      };
+      return next();
+    }
+
+    const payload = verifyToken(bearer);
+    if (!payload) return res.status(401).json({ error: "Login required" });
+
+    await usersReady();
+    const { rows } = await pool.query(
+      `SELECT id, username, display_name, role, is_active FROM users WHERE id=$1`,
+      [payload.sub]
+    );
+
+    const user = rows[0];
+    if (!user || !user.is_active) return res.status(401).json({ error: "Account disabled or removed" });
+
+    req.user = publicUser(user);
+    next();
+  } catch (e) {
+    console.error("requireAuth error:", e);
+    res.status(500).json({ error: e.message || "Auth failed" });
+  }
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Login required" });
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(" or ")}` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  PIN_MAX_ATTEMPTS,
+  PIN_LOCK_MINUTES,
+  normRole,
+  hashPassword,
+  verifyPassword,
+  isValidPin,
+  signToken,
+  verifyToken,
+  usersReady,
+  API_KEY_HEADER,
+  generateApiKey,
+  apiKeysReady,
+  publicUser,
+  requireAuth,
+  requireRole,
+};
@@ -0,0 +1,115 @@
+// Backend/utils/charges.js
+const { httpError } = require("./errors");
+const { round2 } = require("./format");
+
+/**
+ * ✅ Sale charges
+ *
+ * subtotal - discount + service charge + VAT = total (sales.amount)
+ *   discount       : percent of the subtotal, or a fixed amount (never more than the subtotal)
+ *   service charge : service_charge_rate % of the discounted subtotal, only when asked for
+ *   VAT            : tax_rate % of the discounted subtotal plus service charge
+ *
+ * Rates are copied onto the sale so later rate changes don't rewrite old sales.
+ * A sale sent with only `amount` (no subtotal) is taken as the total paid, charges included.
+ * Sales from before this have no subtotal (NULL): their amount is the whole story.
+ */
+const DISCOUNT_TYPES = ["percent", "fixed"];
+
+async function ensureChargesSchema(db) {
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS subtotal NUMERIC`);
+  await db.query(`
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_type TEXT
+    CHECK (discount_type IN ('percent','fixed'))
+  `);
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_value NUMERIC`);
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_amount NUMERIC NOT NULL DEFAULT 0`);
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_reason TEXT`);
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS service_charge_rate NUMERIC`);
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS service_charge NUMERIC NOT NULL DEFAULT 0`);
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS tax_rate NUMERIC`);
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS tax NUMERIC NOT NULL DEFAULT 0`);
+}
+
+/**
+ * `discount` from a request body: { type: "percent" | "fixed", value, reason }.
+ * Returns null for no discount (null, or a value of 0). Throws 400.
+ */
+function parseDiscount(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  if (typeof raw !== "object") throw httpError(400, "discount must be { type, value }");
+
+  const type = String(raw.type ?? "").trim().toLowerCase();
+  const value = Number(raw.value);
+  if (!DISCOUNT_TYPES.includes(type)) throw httpError(400, `discount type must be one of: ${DISCOUNT_TYPES.join(", ")}`);
+  if (!Number.isFinite(value) || value < 0) throw httpError(400, "discount value must be 0 or more");
+  if (type === "percent" && value > 100) throw httpError(400, "A percentage discount cannot be more than 100");
+  if (value === 0) return null;
+
+  return { type, value, reason: String(raw.reason ?? "").trim() };
+}
+
+/**
+ * Work out a sale's charges.
+ * opts: { discount (from parseDiscount), serviceCharge (boolean) }
+ * rates: { tax_rate, service_charge_rate } in percent
+ * Returns the sales columns, with total = what the customer pays.
+ */
+function saleCharges(subtotal, { discount = null, serviceCharge = false } = {}, rates) {
+  const sub = round2(subtotal);
+
+  let discountAmount = 0;
+  if (discount?.type === "percent") discountAmount = round2(sub * discount.value / 100);
+  if (discount?.type === "fixed") discountAmount = round2(discount.value);
+  if (discountAmount > sub) throw httpError(400, "The discount is more than the subtotal");
+
+  const afterDiscount = round2(sub - discountAmount);
+  const serviceRate = Number(rates.service_charge_rate) || 0;
+  const service = serviceCharge ? round2(afterDiscount * serviceRate / 100) : 0;
+  const taxRate = Number(rates.tax_rate) || 0;
+  const tax = round2((afterDiscount + service) * taxRate / 100);
+
+  return {
+    subtotal: sub,
+    discount_type: discount ? discount.type : null,
+    discount_value: discount ? discount.value : null,
+    discount_amount: discountAmount,
+    discount_reason: discount?.reason || null,
+    service_charge_rate: serviceCharge ? serviceRate : null,
+    service_charge: service,
+    tax_rate: taxRate,
+    tax,
+    total: round2(afterDiscount + service + tax),
+  };
+}
+
+/**
+ * Charges for a sale whose `total` is already known: older clients, API keys and queued
+ * offline sales send `amount` as what the customer paid, VAT and service charge included.
+ * The subtotal is worked back from it, and VAT takes up any rounding cent so the total
+ * stays exactly as sent. Same opts / rates / result as saleCharges.
+ */
+function chargesFromTotal(total, opts = {}, rates) {
+  const serviceRate = opts.serviceCharge ? Number(rates.service_charge_rate) || 0 : 0;
+  const taxRate = Number(rates.tax_rate) || 0;
+  const afterDiscount = Number(total) / ((1 + serviceRate / 100) * (1 + taxRate / 100));
+
+  let sub = afterDiscount;
+  if (opts.discount?.type === "percent") {
+    if (opts.discount.value >= 100) throw httpError(400, "A 100% discount leaves nothing to pay");
+    sub = afterDiscount / (1 - opts.discount.value / 100);
+  }
+  if (opts.discount?.type === "fixed") sub = afterDiscount + opts.discount.value;
+
+  const charges = saleCharges(sub, opts, rates);
+  const tax = round2(Number(total) - (charges.subtotal - charges.discount_amount) - charges.service_charge);
+  return { ...charges, tax, total: round2(total) };
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  ensureChargesSchema,
+  parseDiscount,
+  saleCharges,
+  chargesFromTotal,
+};
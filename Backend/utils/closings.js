@@ -0,0 +1,242 @@
+// Backend/utils/closings.js
+const { httpError } = require("./errors");
+const { PAYMENT_METHODS, PAYMENT_LABELS } = require("./payments");
+const { dateRangeSql, formatBusinessDateTime } = require("./time");
+const { round2, money, escapeHtml, csvEscape } = require("./format");
+
+/**
+ * ✅ End-of-day closing (Z-report)
+ *
+ * day_closings        : one per branch per business day; who closed it and the day's totals
+ *                       as they stood at closing time (later edits don't rewrite it).
+ * day_closing_methods : expected vs counted per payment method; variance = counted - expected
+ *                       (positive = over, negative = short).
+ *
+ * Expected takings = payments on the day's sales (voided ones left out) less refunds paid
+ * out that day, per method. Sales from before payment tracking have no method and are shown
+ * as "unspecified"; they can't be counted against a drawer.
+ */
+async function ensureClosingsSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS day_closings (
+      id SERIAL PRIMARY KEY,
+      location_id INT NOT NULL REFERENCES locations(id),
+      business_date DATE NOT NULL,
+      sales_count INT NOT NULL DEFAULT 0,
+      voided_count INT NOT NULL DEFAULT 0,
+      gross_sales NUMERIC NOT NULL DEFAULT 0,
+      refunds NUMERIC NOT NULL DEFAULT 0,
+      net_sales NUMERIC NOT NULL DEFAULT 0,
+      unspecified NUMERIC NOT NULL DEFAULT 0,
+      expected_total NUMERIC NOT NULL DEFAULT 0,
+      counted_total NUMERIC NOT NULL DEFAULT 0,
+      variance NUMERIC NOT NULL DEFAULT 0,
+      note TEXT DEFAULT '',
+      closed_by INT REFERENCES users(id) ON DELETE SET NULL,
+      closed_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (location_id, business_date)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS day_closing_methods (
+      closing_id INT NOT NULL REFERENCES day_closings(id) ON DELETE CASCADE,
+      method TEXT NOT NULL CHECK (method IN ('cash','pos','transfer')),
+      sales NUMERIC NOT NULL DEFAULT 0,
+      refunds NUMERIC NOT NULL DEFAULT 0,
+      expected NUMERIC NOT NULL DEFAULT 0,
+      counted NUMERIC NOT NULL DEFAULT 0,
+      variance NUMERIC NOT NULL DEFAULT 0,
+      PRIMARY KEY (closing_id, method)
+    )
+  `);
+}
+
+/**
+ * What the drawer and terminals should hold for one branch on one business day (YYYY-MM-DD).
+ * Read through `db` so a closing sees its own transaction.
+ */
+async function expectedTakings(db, locationId, date) {
+  const inDay = (col) => dateRangeSql(date, date, col);
+
+  const { rows: paid } = await db.query(
+    `SELECT sp.method, COALESCE(SUM(sp.amount),0) AS total
+     FROM sales s JOIN sale_payments sp ON sp.sale_id = s.id
+     WHERE s.location_id=$1 AND s.status <> 'voided' AND ${inDay("s.created_at")}
+     GROUP BY sp.method`,
+    [locationId]
+  );
+  const { rows: refunded } = await db.query(
+    `SELECT method, COALESCE(SUM(amount),0) AS total
+     FROM sale_refunds WHERE location_id=$1 AND ${inDay("created_at")}
+     GROUP BY method`,
+    [locationId]
+  );
+  const { rows: [sums] } = await db.query(
+    `SELECT COUNT(*) FILTER (WHERE status <> 'voided')::int AS sales_count,
+            COUNT(*) FILTER (WHERE status = 'voided')::int AS voided_count,
+            COALESCE(SUM(amount) FILTER (WHERE status <> 'voided'),0) AS gross_sales,
+            COALESCE(SUM(amount) FILTER (
+              WHERE status <> 'voided' AND NOT EXISTS (SELECT 1 FROM sale_payments sp WHERE sp.sale_id = sales.id)
+            ),0) AS unspecified
+     FROM sales WHERE location_id=$1 AND ${inDay("created_at")}`,
+    [locationId]
+  );
+
+  const methods = PAYMENT_METHODS.map((method) => {
+    const sales = round2(paid.find((r) => r.method === method)?.total);
+    const refunds = round2(refunded.find((r) => r.method === method)?.total);
+    return { method, sales, refunds, expected: round2(sales - refunds) };
+  });
+  const refunds = round2(methods.reduce((s, m) => s + m.refunds, 0));
+  const grossSales = round2(sums.gross_sales);
+
+  return {
+    business_date: date,
+    sales_count: sums.sales_count,
+    voided_count: sums.voided_count,
+    gross_sales: grossSales,
+    refunds,
+    net_sales: round2(grossSales - refunds),
+    unspecified: round2(sums.unspecified),
+    expected_total: round2(methods.reduce((s, m) => s + m.expected, 0)),
+    methods,
+  };
+}
+
+/**
+ * `counted` from a request body: { cash, pos, transfer }, every method required
+ * (0 when nothing came in that way). Throws 400.
+ */
+function parseCounted(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw httpError(400, `counted must be { ${PAYMENT_METHODS.join(", ")} }`);
+  }
+  const out = {};
+  for (const method of PAYMENT_METHODS) {
+    const v = raw[method];
+    const n = Number(v);
+    if (v === undefined || v === null || v === "" || !Number.isFinite(n) || n < 0) {
+      throw httpError(400, `Enter the ${PAYMENT_LABELS[method]} counted (0 or more)`);
+    }
+    out[method] = round2(n);
+  }
+  return out;
+}
+
+function varianceText(n) {
+  const v = round2(n);
+  if (v > 0) return `${money(v)} over`;
+  if (v < 0) return `${money(-v)} short`;
+  return "balanced";
+}
+
+// closing: as returned by the finance routes (methods[], closed_by_name, location_name)
+function renderZReportHtml(closing, settings) {
+  const methodRows = closing.methods.map((m) => `
+      <tr>
+        <td>${escapeHtml(PAYMENT_LABELS[m.method] || m.method)}</td>
+        <td class="amt">${money(m.sales)}</td>
+        <td class="amt">${money(m.refunds)}</td>
+        <td class="amt">${money(m.expected)}</td>
+        <td class="amt">${money(m.counted)}</td>
+        <td class="amt ${m.variance < 0 ? "short" : ""}">${escapeHtml(varianceText(m.variance))}</td>
+      </tr>`).join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>Z-Report ${escapeHtml(closing.business_date)} — ${escapeHtml(closing.location_name)}</title>
+<style>
+  body { font-family: Arial, sans-serif; background: #f3f4f6; margin: 0; padding: 16px; color: #111; }
+  .report { max-width: 720px; margin: 0 auto; background: #fff; padding: 24px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 15px; margin: 20px 0 8px; }
+  .muted { color: #555; font-size: 13px; margin: 2px 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { padding: 6px 4px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  .amt { text-align: right; white-space: nowrap; }
+  tfoot td { font-weight: bold; }
+  .short { color: #b42318; font-weight: bold; }
+  .actions { text-align: center; margin-top: 20px; }
+  @media print {
+    body { background: #fff; padding: 0; }
+    .report { max-width: none; padding: 0; }
+    .actions { display: none; }
+  }
+</style>
+</head>
+<body>
+<div class="report">
+  <h1>${escapeHtml(settings.business_name)} — Z-Report</h1>
+  <p class="muted">Branch: ${escapeHtml(closing.location_name)} · Business day: ${escapeHtml(closing.business_date)}</p>
+  <p class="muted">Closed by ${escapeHtml(closing.closed_by_name || "—")} on ${escapeHtml(formatBusinessDateTime(closing.closed_at))}</p>
+
+  <h2>Sales</h2>
+  <table>
+    <tr><td>Sales</td><td class="amt">${closing.sales_count}</td></tr>
+    <tr><td>Gross sales (NGN)</td><td class="amt">${money(closing.gross_sales)}</td></tr>
+    <tr><td>Refunds (NGN)</td><td class="amt">${money(closing.refunds)}</td></tr>
+    <tr><td><b>Net sales (NGN)</b></td><td class="amt"><b>${money(closing.net_sales)}</b></td></tr>
+    ${closing.voided_count ? `<tr><td>Voided sales (not counted)</td><td class="amt">${closing.voided_count}</td></tr>` : ""}
+    ${Number(closing.unspecified) ? `<tr><td>Sales with no payment method (not in the count)</td><td class="amt">${money(closing.unspecified)}</td></tr>` : ""}
+  </table>
+
+  <h2>Cash-up</h2>
+  <table>
+    <thead>
+      <tr><th>Method</th><th class="amt">Sales</th><th class="amt">Refunds</th><th class="amt">Expected</th><th class="amt">Counted</th><th class="amt">Over / Short</th></tr>
+    </thead>
+    <tbody>${methodRows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td>Total</td><td></td><td></td>
+        <td class="amt">${money(closing.expected_total)}</td>
+        <td class="amt">${money(closing.counted_total)}</td>
+        <td class="amt ${closing.variance < 0 ? "short" : ""}">${escapeHtml(varianceText(closing.variance))}</td>
+      </tr>
+    </tfoot>
+  </table>
+
+  ${closing.note ? `<h2>Note</h2><p>${escapeHtml(closing.note)}</p>` : ""}
+
+  <div class="actions"><button type="button" onclick="window.print()">Print</button></div>
+</div>
+</body>
+</html>
+`;
+}
+
+function zReportCsv(closing) {
+  let csv = "";
+  csv += "Z-REPORT (END OF DAY)\n";
+  csv += `Location,${csvEscape(closing.location_name)}\n`;
+  csv += `Business Day,${closing.business_date}\n`;
+  csv += `Closed By,${csvEscape(closing.closed_by_name || "")}\n`;
+  csv += `Closed At,${csvEscape(formatBusinessDateTime(closing.closed_at))}\n\n`;
+
+  csv += "SALES\n";
+  csv += "Sales,Voided,Gross Sales (NGN),Refunds (NGN),Net Sales (NGN),No Payment Method (NGN)\n";
+  csv += [closing.sales_count, closing.voided_count, closing.gross_sales, closing.refunds, closing.net_sales, closing.unspecified].join(",") + "\n\n";
+
+  csv += "CASH-UP\n";
+  csv += "Method,Sales (NGN),Refunds (NGN),Expected (NGN),Counted (NGN),Variance (NGN)\n";
+  for (const m of closing.methods) {
+    csv += [PAYMENT_LABELS[m.method] || m.method, m.sales, m.refunds, m.expected, m.counted, m.variance].join(",") + "\n";
+  }
+  csv += ["TOTAL", "", "", closing.expected_total, closing.counted_total, closing.variance].join(",") + "\n";
+
+  if (closing.note) csv += `\nNote,${csvEscape(closing.note)}\n`;
+  return csv;
+}
+
+module.exports = {
+  ensureClosingsSchema,
+  expectedTakings,
+  parseCounted,
+  renderZReportHtml,
+  zReportCsv,
+};
@@ -0,0 +1,13 @@
+// Backend/utils/errors.js
+
+/**
+ * Error with an HTTP status, for helpers that run inside route transactions.
+ * Routes answer with: res.status(e.status || 500).json({ error: e.message })
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { httpError };
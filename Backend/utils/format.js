@@ -0,0 +1,26 @@
+// Backend/utils/format.js
+
+// Money rounding and text formatting shared by the routes, receipts, Z-reports and CSV exports.
+
+function round2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
+
+function money(n) {
+  return (Number(n) || 0).toLocaleString("en-NG", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function csvEscape(value) {
+  const s = String(value ?? "");
+  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+module.exports = {
+  round2,
+  money,
+  escapeHtml,
+  csvEscape,
+};
@@ -0,0 +1,145 @@
+// Backend/utils/locations.js
+const { pool } = require("../db");
+
+/**
+ * ✅ Branches (locations) + per-location stock
+ *
+ * locations      : one row per outlet ("Main" is seeded for existing data)
+ * product_stock  : qty of each product at each location
+ * products.qty   : kept as the total across all locations
+ *
+ * sales, expenses, stock_movements and losses carry location_id.
+ */
+const LOCATION_TABLES = ["sales", "expenses", "stock_movements", "losses"];
+
+async function tableExists(name) {
+  const { rows } = await pool.query(`SELECT to_regclass($1) AS reg`, [`public.${name}`]);
+  return !!rows?.[0]?.reg;
+}
+
+async function ensureLocationsSchema() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS locations (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      address TEXT DEFAULT '',
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    INSERT INTO locations (name)
+    SELECT 'Main'
+    WHERE NOT EXISTS (SELECT 1 FROM locations)
+  `);
+
+  const mainId = await defaultLocationId();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS product_stock (
+      product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      location_id INT NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+      qty NUMERIC NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (product_id, location_id)
+    )
+  `);
+
+  // products from before branches: their qty lives at the default location
+  await pool.query(
+    `
+    INSERT INTO product_stock (product_id, location_id, qty)
+    SELECT p.id, $1, COALESCE(p.qty, 0)
+    FROM products p
+    WHERE NOT EXISTS (SELECT 1 FROM product_stock ps WHERE ps.product_id = p.id)
+    `,
+    [mainId]
+  );
+
+  for (const table of LOCATION_TABLES) {
+    if (!(await tableExists(table))) continue;
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS location_id INT REFERENCES locations(id)`);
+    await pool.query(`UPDATE ${table} SET location_id=$1 WHERE location_id IS NULL`, [mainId]);
+  }
+}
+
+let locationsSchemaReady = null;
+
+function locationsReady() {
+  if (!locationsSchemaReady) {
+    locationsSchemaReady = ensureLocationsSchema().catch((e) => {
+      locationsSchemaReady = null;
+      throw e;
+    });
+  }
+  return locationsSchemaReady;
+}
+
+async function defaultLocationId() {
+  const { rows } = await pool.query(
+    `SELECT id FROM locations WHERE is_active ORDER BY id ASC LIMIT 1`
+  );
+  return rows[0]?.id ?? null;
+}
+
+/**
+ * Middleware: pick the location for this request.
+ * - x-location-id header (or ?location_id=) selects a branch
+ * - "all" is allowed for reads only (lists/reports across every branch)
+ * - missing -> default (first active) location
+ *
+ * Sets req.location = { id, name, ... } or null for "all".
+ */
+async function resolveLocation(req, res, next) {
+  try {
+    await locationsReady();
+
+    const raw = String(req.headers["x-location-id"] || req.query?.location_id || "").trim().toLowerCase();
+
+    if (raw === "all") {
+      if (req.method !== "GET") {
+        return res.status(400).json({ error: "Pick a single location for this action" });
+      }
+      req.location = null;
+      return next();
+    }
+
+    let id = null;
+    if (raw) {
+      id = Number(raw);
+      if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: "Invalid location id" });
+    } else {
+      id = await defaultLocationId();
+    }
+
+    const { rows } = await pool.query(`SELECT * FROM locations WHERE id=$1 AND is_active`, [id]);
+    if (!rows[0]) return res.status(404).json({ error: "Location not found" });
+
+    req.location = rows[0];
+    next();
+  } catch (e) {
+    console.error("resolveLocation error:", e);
+    res.status(500).json({ error: e.message || "Failed to resolve location" });
+  }
+}
+
+/**
+ * SQL condition for the request's location ("" when viewing all locations).
+ * The id comes from the locations table, so it is safe to inline.
+ */
+function locationClause(req, column = "location_id") {
+  return req.location ? `${column} = ${Number(req.location.id)}` : "";
+}
+
+function andWhere(...parts) {
+  return parts.filter(Boolean).join(" AND ");
+}
+
+module.exports = {
+  locationsReady,
+  defaultLocationId,
+  resolveLocation,
+  locationClause,
+  andWhere,
+};
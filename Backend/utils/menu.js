@@ -0,0 +1,213 @@
+// Backend/utils/menu.js
+const { pool } = require("../db");
+const { usersReady } = require("./auth");
+const { httpError } = require("./errors");
+const { round2 } = require("./format");
+
+/**
+ * ✅ Menu (sellable items) + itemized sale lines
+ *
+ * menu_items : price list, shared by all branches; deactivate instead of deleting.
+ * sale_lines : what was sold on a sale (item, qty, unit price, line total).
+ *              Name and price are copied onto the line so old sales keep what was charged.
+ *
+ * menu_recipes : ingredients per menu item (bill of materials). qty is in portions for
+ *                SEAFOOD products and in the product's base unit for KITCHEN products.
+ *
+ * A sale with lines gets its amount from the lines (server-side). Sales without
+ * lines are the older lump-sum kind (amount typed in) and still work.
+ * Selling an item with a recipe stocks its ingredients out automatically.
+ */
+async function ensureMenuSchema() {
+  await usersReady();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS menu_items (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      category TEXT DEFAULT '',
+      price NUMERIC NOT NULL CHECK (price >= 0),
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      updated_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sale_lines (
+      id SERIAL PRIMARY KEY,
+      sale_id INT NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+      menu_item_id INT REFERENCES menu_items(id) ON DELETE SET NULL,
+      item_name TEXT NOT NULL,
+      qty NUMERIC NOT NULL CHECK (qty > 0),
+      unit_price NUMERIC NOT NULL CHECK (unit_price >= 0),
+      line_total NUMERIC NOT NULL
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS sale_lines_sale_idx ON sale_lines (sale_id)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS sale_lines_menu_item_idx ON sale_lines (menu_item_id)`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS menu_recipes (
+      menu_item_id INT NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+      product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      qty NUMERIC NOT NULL CHECK (qty > 0),
+      PRIMARY KEY (menu_item_id, product_id)
+    )
+  `);
+}
+
+let menuSchemaReady = null;
+
+function menuReady() {
+  if (!menuSchemaReady) {
+    menuSchemaReady = ensureMenuSchema().catch((e) => {
+      menuSchemaReady = null;
+      throw e;
+    });
+  }
+  return menuSchemaReady;
+}
+
+/**
+ * Shape-check `lines` from a request body before opening a transaction.
+ * Returns [{ menu_item_id, qty }] or null when no lines were sent. Throws 400.
+ */
+function parseSaleLines(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (!Array.isArray(raw)) throw httpError(400, "lines must be a list");
+
+  return raw.map((l) => {
+    const menuItemId = Number(l?.menu_item_id);
+    const qty = Number(l?.qty);
+    if (!Number.isInteger(menuItemId) || menuItemId <= 0) throw httpError(400, "Each line needs a menu_item_id");
+    if (!Number.isFinite(qty) || qty <= 0) throw httpError(400, "Each line needs a qty > 0");
+    return { menu_item_id: menuItemId, qty };
+  });
+}
+
+/**
+ * Price lines from the current menu (inside the caller's transaction).
+ * Returns { lines: [{ menu_item_id, item_name, qty, unit_price, line_total }], total }.
+ */
+async function priceSaleLines(db, lines) {
+  const ids = [...new Set(lines.map((l) => l.menu_item_id))];
+  const { rows } = await db.query(
+    `SELECT id, name, price FROM menu_items WHERE id = ANY($1::int[]) AND is_active`,
+    [ids]
+  );
+  const byId = new Map(rows.map((r) => [r.id, r]));
+
+  const priced = lines.map((l) => {
+    const item = byId.get(l.menu_item_id);
+    if (!item) throw httpError(400, `Menu item ${l.menu_item_id} not found or inactive`);
+    const unitPrice = Number(item.price);
+    return {
+      menu_item_id: item.id,
+      item_name: item.name,
+      qty: l.qty,
+      unit_price: unitPrice,
+      line_total: round2(unitPrice * l.qty),
+    };
+  });
+
+  return { lines: priced, total: round2(priced.reduce((s, l) => s + l.line_total, 0)) };
+}
+
+// Replace a sale's lines (inside the caller's transaction)
+async function writeSaleLines(db, saleId, lines) {
+  await db.query(`DELETE FROM sale_lines WHERE sale_id=$1`, [saleId]);
+  for (const l of lines || []) {
+    await db.query(
+      `INSERT INTO sale_lines (sale_id, menu_item_id, item_name, qty, unit_price, line_total)
+       VALUES ($1,$2,$3,$4,$5,$6)`,
+      [saleId, l.menu_item_id, l.item_name, l.qty, l.unit_price, l.line_total]
+    );
+  }
+}
+
+function isSeafood(product) {
+  return String(product?.category || "").trim().toUpperCase() === "SEAFOOD";
+}
+
+// Recipe rows for one menu item, with the product details the UI needs
+async function fetchRecipe(db, menuItemId) {
+  const { rows } = await db.query(
+    `SELECT r.product_id, r.qty, p.name AS product_name, p.category, p.unit, p.portion_size
+     FROM menu_recipes r
+     JOIN products p ON p.id = r.product_id
+     WHERE r.menu_item_id=$1
+     ORDER BY p.name ASC`,
+    [menuItemId]
+  );
+  return rows.map((r) => ({
+    ...r,
+    qty: Number(r.qty),
+    recipe_unit: isSeafood(r) ? "portion" : (r.unit || "pcs"),
+  }));
+}
+
+/**
+ * Shape-check recipe `ingredients` from a request body.
+ * Returns [{ product_id, qty }] merged per product. Throws 400.
+ */
+function parseRecipe(raw) {
+  if (!Array.isArray(raw)) throw httpError(400, "ingredients must be a list");
+
+  const byProduct = new Map();
+  for (const i of raw) {
+    const productId = Number(i?.product_id);
+    const qty = Number(i?.qty);
+    if (!Number.isInteger(productId) || productId <= 0) throw httpError(400, "Each ingredient needs a product_id");
+    if (!Number.isFinite(qty) || qty <= 0) throw httpError(400, "Each ingredient needs a qty > 0");
+    byProduct.set(productId, (byProduct.get(productId) || 0) + qty);
+  }
+  return Array.from(byProduct, ([product_id, qty]) => ({ product_id, qty }));
+}
+
+/**
+ * Base-unit stock used by priced sale lines, from their recipes (inside the caller's transaction).
+ * SEAFOOD portions are converted with the product's current portion_size.
+ * Returns Map(product_id -> qty_used).
+ */
+async function recipeUsage(db, lines) {
+  const usage = new Map();
+  if (!lines?.length) return usage;
+
+  const ids = [...new Set(lines.map((l) => l.menu_item_id))];
+  const { rows } = await db.query(
+    `SELECT r.menu_item_id, r.product_id, r.qty, p.name, p.category, p.portion_size
+     FROM menu_recipes r
+     JOIN products p ON p.id = r.product_id
+     WHERE r.menu_item_id = ANY($1::int[])`,
+    [ids]
+  );
+
+  for (const l of lines) {
+    for (const r of rows.filter((x) => x.menu_item_id === l.menu_item_id)) {
+      let perDish = Number(r.qty);
+      if (isSeafood(r)) {
+        const portionSize = Number(r.portion_size);
+        if (!(portionSize > 0)) throw httpError(400, `Portion size is not set for ${r.name}`);
+        perDish *= portionSize;
+      }
+      usage.set(r.product_id, (usage.get(r.product_id) || 0) + perDish * l.qty);
+    }
+  }
+
+  // keep float noise (0.2 * 3) out of stock quantities
+  for (const [pid, qty] of usage) usage.set(pid, Math.round(qty * 1e6) / 1e6);
+  return usage;
+}
+
+module.exports = {
+  menuReady,
+  parseSaleLines,
+  priceSaleLines,
+  writeSaleLines,
+  fetchRecipe,
+  parseRecipe,
+  recipeUsage,
+};
@@ -0,0 +1,83 @@
+// Backend/utils/payments.js
+const { httpError } = require("./errors");
+const { round2 } = require("./format");
+
+/**
+ * ✅ Sale payment methods
+ *
+ * sale_payments : one row per method used on a sale (split payments = several rows).
+ * Sales recorded before payment tracking have no rows and report as "unspecified";
+ * new sales must say how they were paid (POST /sales rejects a sale without a method).
+ */
+const PAYMENT_METHODS = ["cash", "pos", "transfer"];
+const PAYMENT_LABELS = { cash: "Cash", pos: "POS", transfer: "Transfer", unspecified: "Unspecified" };
+
+async function ensurePaymentsSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sale_payments (
+      id SERIAL PRIMARY KEY,
+      sale_id INT NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+      method TEXT NOT NULL CHECK (method IN ('cash','pos','transfer')),
+      amount NUMERIC NOT NULL CHECK (amount > 0)
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS sale_payments_sale_idx ON sale_payments (sale_id)`);
+}
+
+/**
+ * Payments from a request body for a sale of `amount`:
+ *   payments: [{ method, amount }, ...]  (split; must add up to the sale amount)
+ *   payment_method: "cash"               (shorthand: the whole amount by one method)
+ * Returns [{ method, amount }] merged per method, or null when neither was sent.
+ * Throws 400 on unknown methods or totals that don't match.
+ */
+function parsePayments(body, amount) {
+  if (Array.isArray(body?.payments)) {
+    const byMethod = new Map();
+
+    for (const p of body.payments) {
+      const method = String(p?.method ?? "").trim().toLowerCase();
+      const value = Number(p?.amount);
+      if (!PAYMENT_METHODS.includes(method)) {
+        throw httpError(400, `payment method must be one of: ${PAYMENT_METHODS.join(", ")}`);
+      }
+      if (!Number.isFinite(value) || value <= 0) throw httpError(400, "payment amounts must be > 0");
+      byMethod.set(method, round2((byMethod.get(method) || 0) + value));
+    }
+
+    if (!byMethod.size) throw httpError(400, "payments cannot be empty");
+
+    const total = round2(Array.from(byMethod.values()).reduce((s, v) => s + v, 0));
+    if (Math.abs(total - round2(amount)) > 0.009) {
+      throw httpError(400, `payments add up to ${total} but the sale amount is ${round2(amount)}`);
+    }
+
+    return Array.from(byMethod, ([method, value]) => ({ method, amount: value }));
+  }
+
+  const single = String(body?.payment_method ?? "").trim().toLowerCase();
+  if (!single) return null;
+  if (!PAYMENT_METHODS.includes(single)) {
+    throw httpError(400, `payment_method must be one of: ${PAYMENT_METHODS.join(", ")}`);
+  }
+  return [{ method: single, amount: round2(amount) }];
+}
+
+// Replace a sale's payment rows (inside the caller's transaction)
+async function writeSalePayments(db, saleId, payments) {
+  await db.query(`DELETE FROM sale_payments WHERE sale_id=$1`, [saleId]);
+  for (const p of payments || []) {
+    await db.query(
+      `INSERT INTO sale_payments (sale_id, method, amount) VALUES ($1,$2,$3)`,
+      [saleId, p.method, p.amount]
+    );
+  }
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_LABELS,
+  ensurePaymentsSchema,
+  parsePayments,
+  writeSalePayments,
+};
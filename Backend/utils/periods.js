@@ -0,0 +1,102 @@
+// Backend/utils/periods.js
+const { pool } = require("../db");
+const { usersReady } = require("./auth");
+const { httpError } = require("./errors");
+const { businessDate } = require("./time");
+
+/**
+ * ✅ Period locking (shared by all branches)
+ *
+ * period_locks : every lock and unlock, newest last; the latest row is the current
+ *                locked-through date (NULL = nothing locked). Unlocks need a reason.
+ *
+ * Sales, expenses, supplier bills and their payments, and losses dated on or before the
+ * locked-through date can't be created, changed, voided or deleted, nor can a product
+ * whose stock history reaches into the locked period be deleted. The lock is
+ * always in the past, so entries dated now (stock moves, losses, refunds) are never
+ * blocked; what it stops is backdating into a filed period and editing old records.
+ */
+async function ensurePeriodsSchema() {
+  await usersReady();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS period_locks (
+      id SERIAL PRIMARY KEY,
+      locked_through DATE,
+      previous DATE,
+      action TEXT NOT NULL CHECK (action IN ('lock','unlock')),
+      reason TEXT DEFAULT '',
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+let periodsSchemaReady = null;
+
+function periodsReady() {
+  if (!periodsSchemaReady) {
+    periodsSchemaReady = ensurePeriodsSchema().catch((e) => {
+      periodsSchemaReady = null;
+      throw e;
+    });
+  }
+  return periodsSchemaReady;
+}
+
+/**
+ * Advisory lock key serializing the lock date with writes that check it: every
+ * assertPeriodOpen holds it shared until its transaction ends, a lock change holds it
+ * exclusively. So a change waits for writes already checked against the old date,
+ * and writes that come after read the new one.
+ */
+const PERIOD_LOCK_KEY = 7024;
+
+// inside a lock change's transaction, before reading the current date
+async function holdPeriodLockExclusive(db) {
+  await db.query(`SELECT pg_advisory_xact_lock($1)`, [PERIOD_LOCK_KEY]);
+}
+
+// current locked-through date (YYYY-MM-DD) or null; read through `db` to see an open transaction
+async function lockedThrough(db = pool) {
+  await periodsReady();
+  const { rows } = await db.query(
+    `SELECT locked_through::text AS locked_through FROM period_locks ORDER BY id DESC LIMIT 1`
+  );
+  return rows[0]?.locked_through || null;
+}
+
+// business date of a timestamp, or a YYYY-MM-DD date as it is
+function dayOf(value) {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  return businessDate(value);
+}
+
+/**
+ * Throw 409 when any of `dates` (timestamps or YYYY-MM-DD; nulls skipped) falls in the
+ * locked period. `what` names the record for the message ("sale", "expense", ...).
+ * Call it with the transaction's client: the shared lock it takes lasts until COMMIT.
+ */
+async function assertPeriodOpen(db, what, ...dates) {
+  await db.query(`SELECT pg_advisory_xact_lock_shared($1)`, [PERIOD_LOCK_KEY]);
+  const lock = await lockedThrough(db);
+  if (!lock) return;
+
+  for (const d of dates) {
+    if (!d) continue;
+    const day = dayOf(d);
+    if (day <= lock) {
+      throw httpError(
+        409,
+        `The books are locked through ${lock}, so this ${what} dated ${day} can't be added, changed or deleted. Ask the owner to unlock the period.`
+      );
+    }
+  }
+}
+
+module.exports = {
+  periodsReady,
+  lockedThrough,
+  holdPeriodLockExclusive,
+  assertPeriodOpen,
+};
@@ -0,0 +1,192 @@
+// Backend/utils/permissions.js
+
+/**
+ * ✅ Role -> permission grants
+ * "*" means every permission (owner).
+ */
+const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  manager: [
+    "finance:read",
+    "sales:create",
+    "sales:update",
+    "sales:void",
+    "sales:refund",
+    "sales:discount",
+    "expenses:create",
+    "expenses:update",
+    "expenses:delete",
+    "expense_categories:manage",
+    "budgets:manage",
+    "finance:backdate",
+    "settings:read",
+    "menu:read",
+    "menu:manage",
+    "reports:read",
+    "inventory:read",
+    "products:create",
+    "products:update",
+    "products:delete",
+    "stock:in",
+    "stock:out",
+    "losses:create",
+    "losses:delete",
+    "locations:read",
+    "transfers:read",
+    "transfers:create",
+    "transfers:receive",
+    "purchasing:read",
+    "suppliers:manage",
+    "purchase_orders:manage",
+    "purchase_orders:receive",
+    "bills:manage",
+    "bills:pay",
+    "closings:read",
+    "closings:manage",
+    "periods:lock",
+    "recurring_expenses:manage",
+  ],
+  cashier: [
+    "finance:read",
+    "sales:create",
+    "settings:read",
+    "menu:read",
+    "inventory:read",
+    "stock:out",
+    "losses:create",
+    "locations:read",
+    "transfers:read",
+  ],
+};
+
+/**
+ * ✅ API key scopes -> permission grants
+ * Integrations get data access only: no users, API keys, locations setup, audit or admin reset.
+ */
+const API_KEY_SCOPES = {
+  "finance:read": ["finance:read", "menu:read", "settings:read", "locations:read", "closings:read"],
+  "finance:write": [
+    "sales:create",
+    "sales:update",
+    "sales:void",
+    "sales:refund",
+    "sales:discount",
+    "expenses:create",
+    "expenses:update",
+    "expenses:delete",
+    "finance:backdate",
+    "bills:manage",
+    "bills:pay",
+  ],
+  "inventory:read": ["inventory:read", "transfers:read", "purchasing:read", "locations:read"],
+  "inventory:write": [
+    "products:create",
+    "products:update",
+    "products:delete",
+    "stock:in",
+    "stock:out",
+    "losses:create",
+    "losses:delete",
+    "transfers:create",
+    "transfers:receive",
+    "suppliers:manage",
+    "purchase_orders:manage",
+    "purchase_orders:receive",
+  ],
+  "reports:read": ["reports:read"],
+};
+
+function scopePermissions(scopes) {
+  const granted = new Set();
+  for (const scope of scopes || []) {
+    for (const permission of API_KEY_SCOPES[scope] || []) granted.add(permission);
+  }
+  return Array.from(granted);
+}
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes("*") || granted.includes(permission);
+}
+
+// Requests authenticated with an API key are limited to the key's scopes, not a role
+function requestPermissions(req) {
+  return req.apiKey ? scopePermissions(req.apiKey.scopes) : permissionsFor(req.user?.role);
+}
+
+function requestCan(req, permission) {
+  if (req.apiKey) return scopePermissions(req.apiKey.scopes).includes(permission);
+  return hasPermission(req.user?.role, permission);
+}
+
+function deniedMessage(req, permission) {
+  return req.apiKey
+    ? `This API key's scopes do not allow this (${permission})`
+    : `Your role (${req.user.role}) cannot do this (${permission})`;
+}
+
+/**
+ * Compile "METHOD /path/:param" keys into matchers.
+ * Values are a permission name, or a function (req) => permission name
+ * for routes whose permission depends on the request (e.g. stock IN vs OUT).
+ */
+function compileRules(map) {
+  return Object.entries(map).map(([key, permission]) => {
+    const [method, path] = key.trim().split(/\s+/);
+    const pattern = path
+      .split("/")
+      .map((part) => (part.startsWith(":") ? "[^/]+" : part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")))
+      .join("/");
+    return { method: method.toUpperCase(), regex: new RegExp(`^${pattern}/?$`), permission };
+  });
+}
+
+/**
+ * Router-level middleware: every route in the router must appear in the map.
+ * Routes without a rule are denied so new endpoints cannot be left open by accident.
+ */
+function permit(map) {
+  const rules = compileRules(map);
+
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Login required" });
+
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    const rule = rules.find((r) => r.method === method && r.regex.test(req.path));
+    if (!rule) return res.status(403).json({ error: `No permission rule for ${method} ${req.path}` });
+
+    const permission = typeof rule.permission === "function" ? rule.permission(req) : rule.permission;
+    if (!requestCan(req, permission)) {
+      return res.status(403).json({ error: deniedMessage(req, permission) });
+    }
+
+    next();
+  };
+}
+
+// Single-route middleware for endpoints outside a mapped router
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Login required" });
+    if (!requestCan(req, permission)) {
+      return res.status(403).json({ error: deniedMessage(req, permission) });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  permissionsFor,
+  hasPermission,
+  scopePermissions,
+  requestPermissions,
+  requestCan,
+  permit,
+  requirePermission,
+};
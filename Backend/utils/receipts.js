@@ -0,0 +1,227 @@
+// Backend/utils/receipts.js
+const { PAYMENT_LABELS } = require("./payments");
+const { formatBusinessDateTime } = require("./time");
+const { money, escapeHtml } = require("./format");
+
+/**
+ * ✅ Receipts
+ *
+ * sales.receipt_no : sequential number shared by all branches, handed out inside the
+ *                    sale's own transaction, so a failed sale never uses one up (no gaps).
+ * receipt_counter  : one row holding the last number given. Voided sales keep theirs.
+ *
+ * A receipt is rendered from a sale as fetched by the finance routes (lines, charges,
+ * payments, refunds) plus the business settings: printable HTML, or plain text laid
+ * out for 58mm / 80mm thermal printers.
+ */
+async function ensureReceiptsSchema(db) {
+  await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS receipt_no INT`);
+  await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS sales_receipt_no_idx ON sales (receipt_no)`);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS receipt_counter (
+      id INT PRIMARY KEY CHECK (id = 1),
+      last_no INT NOT NULL
+    )
+  `);
+
+  // sales from before receipts: numbered oldest first, after any numbers already given
+  await db.query(`
+    WITH n AS (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY created_at ASC, id ASC) AS rn
+      FROM sales WHERE receipt_no IS NULL
+    )
+    UPDATE sales s
+    SET receipt_no = (SELECT COALESCE(MAX(receipt_no),0) FROM sales) + n.rn
+    FROM n WHERE s.id = n.id
+  `);
+  await db.query(`
+    INSERT INTO receipt_counter (id, last_no)
+    SELECT 1, COALESCE(MAX(receipt_no),0) FROM sales
+    ON CONFLICT (id) DO UPDATE SET last_no = GREATEST(receipt_counter.last_no, EXCLUDED.last_no)
+  `);
+}
+
+// Next receipt number (inside the sale's transaction; the counter row stays locked until it ends)
+async function nextReceiptNo(db) {
+  const { rows } = await db.query(
+    `INSERT INTO receipt_counter (id, last_no)
+     SELECT 1, COALESCE(MAX(receipt_no),0) + 1 FROM sales
+     ON CONFLICT (id) DO UPDATE SET last_no = receipt_counter.last_no + 1
+     RETURNING last_no`
+  );
+  return rows[0].last_no;
+}
+
+function receiptNumber(n) {
+  return String(n ?? "").padStart(6, "0");
+}
+
+function qtyText(n) {
+  return String(Math.round((Number(n) || 0) * 1000) / 1000);
+}
+
+/**
+ * What a receipt shows, in print order:
+ * { number, header, meta, items: [{ label, amount }], totals: [{ label, amount, strong }],
+ *   payments: [...], notes: [...] }
+ */
+function receiptContent(sale, settings, location) {
+  const hasCharges = sale.subtotal !== null && sale.subtotal !== undefined;
+
+  const items = (sale.lines || []).length
+    ? sale.lines.map((l) => ({ label: `${qtyText(l.qty)} x ${l.item_name}`, amount: l.line_total }))
+    : [{ label: sale.description, amount: hasCharges ? sale.subtotal : sale.amount }];
+
+  const totals = [];
+  if (hasCharges) {
+    totals.push({ label: "Subtotal", amount: sale.subtotal });
+    if (Number(sale.discount_amount)) {
+      const pct = sale.discount_type === "percent" ? ` (${qtyText(sale.discount_value)}%)` : "";
+      totals.push({ label: `Discount${pct}`, amount: -Number(sale.discount_amount) });
+    }
+    if (Number(sale.service_charge)) {
+      totals.push({ label: `Service charge (${qtyText(sale.service_charge_rate)}%)`, amount: sale.service_charge });
+    }
+    if (sale.tax_rate !== null && sale.tax_rate !== undefined) {
+      totals.push({ label: `VAT (${qtyText(sale.tax_rate)}%)`, amount: sale.tax });
+    }
+  }
+  totals.push({ label: "TOTAL (NGN)", amount: sale.amount, strong: true });
+
+  const payments = (sale.payments || []).map((p) => ({ label: `Paid by ${PAYMENT_LABELS[p.method] || p.method}`, amount: p.amount }));
+
+  const notes = [];
+  if (sale.status === "voided") notes.push(`VOIDED: ${sale.void_reason || ""}`);
+  for (const r of sale.refunds || []) {
+    notes.push(`Refunded ${money(r.amount)} (${PAYMENT_LABELS[r.method] || r.method}) on ${formatBusinessDateTime(r.created_at)}: ${r.reason}`);
+  }
+  if (sale.discount_reason) notes.push(`Discount: ${sale.discount_reason}`);
+
+  return {
+    number: receiptNumber(sale.receipt_no),
+    header: [settings.business_name, ...String(settings.business_address || "").split(/\r?\n/)].map((x) => x.trim()).filter(Boolean),
+    meta: [
+      `Receipt #${receiptNumber(sale.receipt_no)}`,
+      formatBusinessDateTime(sale.created_at),
+      location ? `Branch: ${location.name}` : "",
+      sale.created_by_name ? `Served by: ${sale.created_by_name}` : "",
+    ].filter(Boolean),
+    items,
+    totals,
+    payments,
+    notes,
+  };
+}
+
+function renderReceiptHtml(sale, settings, location) {
+  const r = receiptContent(sale, settings, location);
+  const row = (x) => `<tr${x.strong ? ` class="strong"` : ""}><td>${escapeHtml(x.label)}</td><td class="amt">${money(x.amount)}</td></tr>`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>Receipt #${r.number}</title>
+<style>
+  body { font-family: "Courier New", monospace; background: #f3f4f6; margin: 0; padding: 16px; color: #111; }
+  .receipt { max-width: 340px; margin: 0 auto; background: #fff; padding: 16px; }
+  h1 { font-size: 18px; text-align: center; margin: 0 0 4px; }
+  .center { text-align: center; margin: 0; font-size: 12px; }
+  .meta { margin: 12px 0; font-size: 12px; }
+  .meta p { margin: 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  td { padding: 2px 0; vertical-align: top; }
+  .amt { text-align: right; white-space: nowrap; padding-left: 8px; }
+  .rule { border-top: 1px dashed #111; margin: 8px 0; }
+  .strong td { font-weight: bold; font-size: 15px; }
+  .notes { font-size: 12px; margin: 8px 0 0; }
+  .voided { color: #b42318; font-weight: bold; }
+  .actions { text-align: center; margin-top: 16px; }
+  @media print {
+    body { background: #fff; padding: 0; }
+    .receipt { max-width: none; padding: 0; }
+    .actions { display: none; }
+  }
+</style>
+</head>
+<body>
+<div class="receipt">
+  <h1>${escapeHtml(r.header[0])}</h1>
+  ${r.header.slice(1).map((x) => `<p class="center">${escapeHtml(x)}</p>`).join("\n  ")}
+  <div class="meta">${r.meta.map((x) => `<p>${escapeHtml(x)}</p>`).join("")}</div>
+  <div class="rule"></div>
+  <table>${r.items.map(row).join("")}</table>
+  <div class="rule"></div>
+  <table>${r.totals.map(row).join("")}</table>
+  ${r.payments.length ? `<div class="rule"></div><table>${r.payments.map(row).join("")}</table>` : ""}
+  ${r.notes.map((x) => `<p class="notes${x.startsWith("VOIDED") ? " voided" : ""}">${escapeHtml(x)}</p>`).join("\n  ")}
+  <div class="rule"></div>
+  <p class="center">Thank you!</p>
+  <div class="actions"><button type="button" onclick="window.print()">Print</button></div>
+</div>
+</body>
+</html>
+`;
+}
+
+// characters per line on common thermal rolls (Font A)
+const THERMAL_WIDTHS = { 58: 32, 80: 48 };
+
+// printable ASCII only, so the default ESC/POS code page prints it as-is
+function ascii(v) {
+  return String(v ?? "").normalize("NFKD").replace(/[^\x20-\x7E]/g, "");
+}
+
+function wrap(text, width) {
+  const out = [];
+  let line = "";
+  for (const word of ascii(text).split(/\s+/).filter(Boolean)) {
+    for (let w = word; w.length; w = w.slice(width)) {
+      const part = w.slice(0, width);
+      if (!line) line = part;
+      else if (line.length + 1 + part.length <= width) line += ` ${part}`;
+      else { out.push(line); line = part; }
+    }
+  }
+  if (line) out.push(line);
+  return out.length ? out : [""];
+}
+
+function renderReceiptText(sale, settings, location, paperMm = 80) {
+  const width = THERMAL_WIDTHS[paperMm] || THERMAL_WIDTHS[80];
+  const r = receiptContent(sale, settings, location);
+  const rule = "-".repeat(width);
+  const center = (x) => wrap(x, width).map((l) => " ".repeat(Math.floor((width - l.length) / 2)) + l);
+  const row = (x) => {
+    const amount = money(x.amount);
+    const lines = wrap(x.label, width - amount.length - 1);
+    const last = lines.pop();
+    return [...lines, last + " ".repeat(width - last.length - amount.length) + amount];
+  };
+
+  return [
+    ...center(r.header[0].toUpperCase()),
+    ...r.header.slice(1).flatMap(center),
+    "",
+    ...r.meta.flatMap((x) => wrap(x, width)),
+    rule,
+    ...r.items.flatMap(row),
+    rule,
+    ...r.totals.flatMap(row),
+    ...(r.payments.length ? [rule, ...r.payments.flatMap(row)] : []),
+    ...(r.notes.length ? ["", ...r.notes.flatMap((x) => wrap(x, width))] : []),
+    rule,
+    ...center("Thank you!"),
+    "", "", "",
+  ].join("\n");
+}
+
+module.exports = {
+  THERMAL_WIDTHS,
+  ensureReceiptsSchema,
+  nextReceiptNo,
+  receiptNumber,
+  renderReceiptHtml,
+  renderReceiptText,
+};
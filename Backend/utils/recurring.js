@@ -0,0 +1,214 @@
+// Backend/utils/recurring.js
+const { pool } = require("../db");
+const { recordAudit } = require("./audit");
+const { httpError } = require("./errors");
+const { assertPeriodOpen } = require("./periods");
+const { isDate, businessDate, transactionTimestamp } = require("./time");
+
+/**
+ * ✅ Recurring expenses (rent, salaries, diesel, subscriptions)
+ *
+ * recurring_expenses : one template per branch: amount, description, category, frequency and
+ *                      the next day it falls due. Paused templates post nothing; skipping moves
+ *                      next_due on one occurrence without posting it.
+ * expenses.recurring_id + recurring_due : the template and occurrence an expense was posted for.
+ *                      Unique together, so an occurrence is posted at most once no matter how
+ *                      often (or on how many servers) the scheduler runs.
+ *
+ * The scheduler posts every due occurrence dated on its due day, catching up on days the
+ * server was down. An occurrence inside a locked period isn't posted: the template keeps
+ * the reason in last_error until it is skipped or the owner unlocks the period.
+ */
+const FREQUENCIES = ["daily", "weekly", "monthly", "quarterly", "yearly"];
+
+async function ensureRecurringSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS recurring_expenses (
+      id SERIAL PRIMARY KEY,
+      location_id INT NOT NULL REFERENCES locations(id),
+      amount NUMERIC NOT NULL CHECK (amount > 0),
+      description TEXT NOT NULL,
+      category_id INT REFERENCES expense_categories(id),
+      frequency TEXT NOT NULL CHECK (frequency IN ('daily','weekly','monthly','quarterly','yearly')),
+      anchor_day INT NOT NULL CHECK (anchor_day BETWEEN 1 AND 31),
+      next_due DATE NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      last_error TEXT,
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_by INT REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ
+    )
+  `);
+
+  await db.query(`ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_id INT REFERENCES recurring_expenses(id) ON DELETE SET NULL`);
+  await db.query(`ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_due DATE`);
+  await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS expenses_recurring_due_idx ON expenses (recurring_id, recurring_due)`);
+}
+
+/**
+ * The occurrence after `date` (YYYY-MM-DD). Monthly and longer keep to anchor_day, the day of
+ * the month the template was set up on, so the 31st runs 31 Jan -> 28 Feb -> 31 Mar.
+ */
+function nextOccurrence(date, frequency, anchorDay) {
+  const d = new Date(`${date}T00:00:00Z`);
+  if (frequency === "daily" || frequency === "weekly") {
+    d.setUTCDate(d.getUTCDate() + (frequency === "daily" ? 1 : 7));
+    return d.toISOString().slice(0, 10);
+  }
+
+  const months = { monthly: 1, quarterly: 3, yearly: 12 }[frequency];
+  const next = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(anchorDay || d.getUTCDate(), lastDay));
+  return next.toISOString().slice(0, 10);
+}
+
+// first occurrence on or after `day`, stepping on from `date`
+function occurrenceFrom(date, frequency, anchorDay, day) {
+  let due = date;
+  while (due < day) due = nextOccurrence(due, frequency, anchorDay);
+  return due;
+}
+
+function parseFrequency(raw) {
+  const frequency = String(raw ?? "").trim().toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) throw httpError(400, `frequency must be one of: ${FREQUENCIES.join(", ")}`);
+  return frequency;
+}
+
+// next_due from a request body: a real YYYY-MM-DD, today or later (past occurrences are never back-posted)
+function parseNextDue(raw) {
+  const date = String(raw ?? "").trim();
+  if (!isDate(date)) {
+    throw httpError(400, "next_due must be YYYY-MM-DD");
+  }
+  if (date < businessDate()) throw httpError(400, "next_due cannot be in the past");
+  return date;
+}
+
+// the actor recorded in the audit log for expenses the scheduler posts
+const SCHEDULER = { user: { id: null, display_name: "Recurring expenses" } };
+
+/**
+ * Post one template's due occurrences (up to today) in one transaction.
+ * The row is locked (SKIP LOCKED: another run already has it), and the unique
+ * (recurring_id, recurring_due) index makes a repeat of an occurrence a no-op.
+ * Returns how many expenses were posted.
+ */
+async function postDueTemplate(id) {
+  const today = businessDate();
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT id, amount, description, category_id, location_id, frequency, anchor_day, next_due::text AS next_due
+       FROM recurring_expenses
+       WHERE id=$1 AND is_active AND next_due <= $2
+       FOR UPDATE SKIP LOCKED`,
+      [id, today]
+    );
+    const t = rows[0];
+    if (!t) {
+      await client.query("ROLLBACK");
+      return 0;
+    }
+
+    let due = t.next_due;
+    let posted = 0;
+    let lastError = null;
+    try {
+      while (due <= today) {
+        await assertPeriodOpen(client, "expense", due);
+
+        const createdAt = await transactionTimestamp(client, due);
+        const { rows: inserted } = await client.query(
+          `INSERT INTO expenses (amount, description, category_id, location_id, created_at, recurring_id, recurring_due)
+           VALUES ($1,$2,$3,$4,$5,$6,$7)
+           ON CONFLICT (recurring_id, recurring_due) DO NOTHING
+           RETURNING *`,
+          [t.amount, t.description, t.category_id, t.location_id, createdAt, t.id, due]
+        );
+        if (inserted[0]) {
+          await recordAudit(client, SCHEDULER, { action: "create", entity: "expense", entityId: inserted[0].id, after: inserted[0] });
+          posted += 1;
+        }
+
+        due = nextOccurrence(due, t.frequency, t.anchor_day);
+      }
+    } catch (e) {
+      if (!e.status) throw e;
+      lastError = e.message;
+    }
+
+    await client.query(
+      `UPDATE recurring_expenses SET next_due=$1, last_error=$2 WHERE id=$3`,
+      [due, lastError, t.id]
+    );
+
+    await client.query("COMMIT");
+    return posted;
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Post everything due on every branch. Returns how many expenses were posted.
+async function postDueRecurring() {
+  // the table comes with the finance schema, set up on the first finance request
+  const { rows: [schema] } = await pool.query(`SELECT to_regclass('recurring_expenses') AS t`);
+  if (!schema.t) return 0;
+
+  const { rows } = await pool.query(
+    `SELECT id FROM recurring_expenses WHERE is_active AND next_due <= $1 ORDER BY id`,
+    [businessDate()]
+  );
+
+  let posted = 0;
+  for (const { id } of rows) posted += await postDueTemplate(id);
+  return posted;
+}
+
+/**
+ * ✅ Scheduler: checks for due templates at start-up and then every
+ * RECURRING_INTERVAL_MINUTES (default 15). Runs never overlap in one process.
+ */
+const intervalEnv = Number.parseInt(process.env.RECURRING_INTERVAL_MINUTES, 10);
+const RECURRING_INTERVAL_MINUTES = Number.isFinite(intervalEnv) && intervalEnv > 0 ? intervalEnv : 15;
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+async function runScheduler() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  try {
+    const posted = await postDueRecurring();
+    if (posted) console.log(`🔁 Posted ${posted} recurring expense(s)`);
+  } catch (e) {
+    console.error("recurring expenses error:", e.message);
+  } finally {
+    schedulerRunning = false;
+  }
+}
+
+function startRecurringScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(runScheduler, RECURRING_INTERVAL_MINUTES * 60 * 1000);
+  runScheduler();
+}
+
+module.exports = {
+  FREQUENCIES,
+  ensureRecurringSchema,
+  nextOccurrence,
+  occurrenceFrom,
+  parseFrequency,
+  parseNextDue,
+  postDueTemplate,
+  startRecurringScheduler,
+};
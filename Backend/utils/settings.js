@@ -0,0 +1,109 @@
+// Backend/utils/settings.js
+const { pool } = require("../db");
+const { usersReady } = require("./auth");
+const { httpError } = require("./errors");
+
+/**
+ * ✅ Business settings (shared by all branches)
+ *
+ * settings : one row per key; keys not saved yet use the defaults below.
+ *
+ * vat_rate            : VAT % added to every sale (0 turns it off)
+ * service_charge_rate : % added to sales that ask for a service charge (large tables)
+ * business_name       : printed at the top of receipts
+ * business_address    : printed under the name (new lines kept)
+ */
+function percent(key, v) {
+  const n = Number(v);
+  if (v === "" || v === null || !Number.isFinite(n) || n < 0 || n > 100) {
+    throw httpError(400, `${key} must be a percentage between 0 and 100`);
+  }
+  return Math.round(n * 1000) / 1000;
+}
+
+function text(maxLength, { required = false } = {}) {
+  return (key, v) => {
+    const str = String(v ?? "").trim();
+    if (required && !str) throw httpError(400, `${key} is required`);
+    if (str.length > maxLength) throw httpError(400, `${key} must be at most ${maxLength} characters`);
+    return str;
+  };
+}
+
+const SETTINGS = {
+  vat_rate: { default: 7.5, parse: percent },
+  service_charge_rate: { default: 10, parse: percent },
+  business_name: { default: "SeaBite", parse: text(80, { required: true }) },
+  business_address: { default: "", parse: text(300) },
+};
+
+async function ensureSettingsSchema() {
+  await usersReady();
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by INT REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+let settingsSchemaReady = null;
+
+function settingsReady() {
+  if (!settingsSchemaReady) {
+    settingsSchemaReady = ensureSettingsSchema().catch((e) => {
+      settingsSchemaReady = null;
+      throw e;
+    });
+  }
+  return settingsSchemaReady;
+}
+
+// Every setting, saved value or default (read through `db` to see an open transaction)
+async function getSettings(db = pool) {
+  await settingsReady();
+  const { rows } = await db.query(`SELECT key, value FROM settings WHERE key = ANY($1::text[])`, [Object.keys(SETTINGS)]);
+  const saved = new Map(rows.map((r) => [r.key, r.value]));
+  return Object.fromEntries(
+    Object.entries(SETTINGS).map(([key, s]) => [key, saved.has(key) ? saved.get(key) : s.default])
+  );
+}
+
+/**
+ * Known keys from a request body, validated. Unknown keys are a 400 so typos don't
+ * look saved. Returns { key: value } for the keys sent.
+ */
+function parseSettings(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw httpError(400, "Send settings as an object");
+
+  const out = {};
+  for (const [key, value] of Object.entries(body)) {
+    const s = SETTINGS[key];
+    if (!s) throw httpError(400, `Unknown setting: ${key}`);
+    out[key] = s.parse(key, value);
+  }
+  if (!Object.keys(out).length) throw httpError(400, "No settings to save");
+  return out;
+}
+
+// Save parsed settings (inside the caller's transaction)
+async function writeSettings(db, values, userId) {
+  for (const [key, value] of Object.entries(values)) {
+    await db.query(
+      `INSERT INTO settings (key, value, updated_by, updated_at)
+       VALUES ($1, $2::jsonb, $3, NOW())
+       ON CONFLICT (key) DO UPDATE SET value=EXCLUDED.value, updated_by=EXCLUDED.updated_by, updated_at=NOW()`,
+      [key, JSON.stringify(value), userId]
+    );
+  }
+}
+
+module.exports = {
+  settingsReady,
+  getSettings,
+  parseSettings,
+  writeSettings,
+};
@@ -0,0 +1,114 @@
+// Backend/utils/stock.js
+const { pool } = require("../db");
+const { httpError } = require("./errors");
+
+/**
+ * ✅ Per-location stock changes (call inside a BEGIN/COMMIT on `client`)
+ *
+ * Lock order is always products row -> product_stock row, so concurrent
+ * sales, moves and losses on the same product queue up instead of deadlocking.
+ */
+async function lockProduct(client, productId) {
+  const { rows } = await client.query(`SELECT * FROM products WHERE id=$1 FOR UPDATE`, [productId]);
+  return rows[0] || null;
+}
+
+async function lockStock(client, productId, locationId) {
+  await client.query(
+    `INSERT INTO product_stock (product_id, location_id, qty)
+     VALUES ($1,$2,0)
+     ON CONFLICT (product_id, location_id) DO NOTHING`,
+    [productId, locationId]
+  );
+
+  const { rows } = await client.query(
+    `SELECT qty FROM product_stock WHERE product_id=$1 AND location_id=$2 FOR UPDATE`,
+    [productId, locationId]
+  );
+  return Number(rows[0]?.qty) || 0;
+}
+
+/**
+ * Apply a signed qty change at one location and keep products.qty as the total.
+ * Throws 404 for an unknown product and 400 when stock would go negative.
+ * Returns { product, qty } where qty is the new qty at the location.
+ */
+async function adjustStock(client, { productId, locationId, delta }) {
+  const product = await lockProduct(client, productId);
+  if (!product) throw httpError(404, `Product not found: ${productId}`);
+
+  const current = await lockStock(client, productId, locationId);
+  const next = current + delta;
+  if (next < 0) {
+    throw httpError(400, `Insufficient stock for ${product.name || `product ${productId}`}`);
+  }
+
+  await client.query(
+    `UPDATE product_stock SET qty=$1, updated_at=NOW() WHERE product_id=$2 AND location_id=$3`,
+    [next, productId, locationId]
+  );
+  await client.query(
+    `UPDATE products SET qty=COALESCE(qty,0)+$1, updated_at=NOW() WHERE id=$2`,
+    [delta, productId]
+  );
+
+  return { product, qty: next };
+}
+
+/**
+ * ✅ Costing (weighted average, per base unit, shared by all branches)
+ *
+ * products.avg_cost        : current average cost; NULL until a costed stock-in
+ * stock_movements.unit_cost: cost per base unit of the movement
+ * sale_items.unit_cost/cost: cost at the moment of sale (COGS); NULL = not costed
+ */
+async function ensureCostingSchema() {
+  await pool.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS avg_cost NUMERIC CHECK (avg_cost >= 0)`);
+  await pool.query(`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS unit_cost NUMERIC`);
+  await pool.query(`ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS unit_cost NUMERIC`);
+  await pool.query(`ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS cost NUMERIC`);
+}
+
+let costingSchemaReady = null;
+
+function costingReady() {
+  if (!costingSchemaReady) {
+    costingSchemaReady = ensureCostingSchema().catch((e) => {
+      costingSchemaReady = null;
+      throw e;
+    });
+  }
+  return costingSchemaReady;
+}
+
+// unit_cost from a request body: undefined/"" -> null, otherwise a number >= 0 (throws 400)
+function parseUnitCost(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) throw httpError(400, "unit_cost must be 0 or more");
+  return n;
+}
+
+/**
+ * Fold a costed stock-in into products.avg_cost. `product` is the locked row as it was
+ * before the stock-in (its qty is the all-branch total). Stock on hand with no cost yet
+ * is taken at the incoming cost.
+ */
+async function applyCostIn(client, product, qtyIn, unitCost) {
+  const onHand = Math.max(Number(product.qty) || 0, 0);
+  const current = product.avg_cost === null || product.avg_cost === undefined ? unitCost : Number(product.avg_cost);
+  const next = onHand + qtyIn > 0 ? (onHand * current + qtyIn * unitCost) / (onHand + qtyIn) : unitCost;
+
+  const avgCost = Math.round(next * 1e6) / 1e6;
+  await client.query(`UPDATE products SET avg_cost=$1 WHERE id=$2`, [avgCost, product.id]);
+  return avgCost;
+}
+
+module.exports = {
+  lockProduct,
+  lockStock,
+  adjustStock,
+  costingReady,
+  parseUnitCost,
+  applyCostIn,
+};
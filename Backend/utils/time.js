@@ -0,0 +1,154 @@
+// Backend/utils/time.js
+const { pool } = require("../db");
+const { httpError } = require("./errors");
+
+/**
+ * ✅ Business timezone
+ *
+ * Report periods ("today", "this month"), from/to dates and CSV timestamps follow
+ * the business clock, not the database or Node server clock.
+ * Set BUSINESS_TIMEZONE to an IANA zone (default Africa/Lagos).
+ */
+function resolveTimezone(tz) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: tz }).resolvedOptions().timeZone;
+  } catch {
+    console.warn(`⚠️ Unknown BUSINESS_TIMEZONE "${tz}", using Africa/Lagos`);
+    return "Africa/Lagos";
+  }
+}
+
+const BUSINESS_TZ = resolveTimezone(process.env.BUSINESS_TIMEZONE || "Africa/Lagos");
+
+// validated IANA name (letters, digits, / _ + -), safe to inline in SQL
+const TZ_SQL = `'${BUSINESS_TZ.replace(/'/g, "")}'`;
+
+// business-local midnight of a SQL date expression, as a timestamptz
+function localMidnightSql(dateExpr) {
+  return `((${dateExpr})::timestamp AT TIME ZONE ${TZ_SQL})`;
+}
+
+// today's date on the business clock, as a SQL date expression
+const TODAY_SQL = `(NOW() AT TIME ZONE ${TZ_SQL})::date`;
+
+// business-local calendar date of a timestamptz column
+function localDateSql(column = "created_at") {
+  return `(${column} AT TIME ZONE ${TZ_SQL})::date`;
+}
+
+/**
+ * created_at between two business-local dates (YYYY-MM-DD, inclusive; either may be null).
+ * Callers validate the dates first.
+ */
+function dateRangeSql(from, to, column = "created_at") {
+  return [
+    from && `${column} >= ${localMidnightSql(`DATE '${from}'`)}`,
+    to && `${column} < ${localMidnightSql(`DATE '${to}' + 1`)}`,
+  ].filter(Boolean).join(" AND ");
+}
+
+const dateTimeFormat = new Intl.DateTimeFormat("en-NG", {
+  timeZone: BUSINESS_TZ,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hour12: false,
+});
+
+function formatBusinessDateTime(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? String(value) : dateTimeFormat.format(d);
+}
+
+// a real calendar day as YYYY-MM-DD (Date.parse alone lets "2024-02-30" through)
+function isDate(v) {
+  if (typeof v !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const t = Date.parse(`${v}T00:00:00Z`);
+  return !Number.isNaN(t) && new Date(t).toISOString().slice(0, 10) === v;
+}
+
+// YYYY-MM-DD on the business clock
+function businessDate(value = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: BUSINESS_TZ }).format(new Date(value));
+}
+
+/**
+ * ✅ Backdated entries
+ * Sales / expenses may carry a transaction_date (business-local YYYY-MM-DD) up to
+ * BACKDATE_MAX_DAYS in the past (default 30). Returns the date, or null when none was sent.
+ */
+const backdateEnv = Number.parseInt(process.env.BACKDATE_MAX_DAYS, 10);
+const BACKDATE_MAX_DAYS = Number.isFinite(backdateEnv) && backdateEnv >= 0 ? backdateEnv : 30;
+
+function parseTransactionDate(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+
+  const date = String(raw).trim();
+  if (!isDate(date)) {
+    throw httpError(400, "transaction_date must be YYYY-MM-DD");
+  }
+
+  const today = businessDate();
+  if (date > today) throw httpError(400, "transaction_date cannot be in the future");
+
+  const oldest = new Date(`${today}T00:00:00Z`);
+  oldest.setUTCDate(oldest.getUTCDate() - BACKDATE_MAX_DAYS);
+  if (date < oldest.toISOString().slice(0, 10)) {
+    throw httpError(400, `transaction_date cannot be more than ${BACKDATE_MAX_DAYS} days back`);
+  }
+
+  return date;
+}
+
+/**
+ * Timestamp for an entry dated `date` (or now when null): that business day at the
+ * current business time of day, so same-day entries keep the order they were keyed in.
+ */
+async function transactionTimestamp(db, date) {
+  const { rows } = await db.query(
+    `SELECT CASE WHEN $1::date IS NULL THEN NOW()
+                 ELSE ($1::date + (NOW() AT TIME ZONE ${TZ_SQL})::time) AT TIME ZONE ${TZ_SQL}
+            END AS at`,
+    [date]
+  );
+  return rows[0].at;
+}
+
+/**
+ * Older databases created by migrate.js have plain TIMESTAMP columns written with NOW()
+ * in the database session zone. Convert them once to TIMESTAMPTZ, reading the old values
+ * in that same zone so no instant moves.
+ */
+async function ensureTimestamptz(table, column) {
+  const { rows } = await pool.query(
+    `SELECT data_type FROM information_schema.columns
+     WHERE table_schema='public' AND table_name=$1 AND column_name=$2`,
+    [table, column]
+  );
+  if (rows[0]?.data_type !== "timestamp without time zone") return;
+
+  await pool.query(
+    `ALTER TABLE ${table}
+     ALTER COLUMN ${column} TYPE TIMESTAMPTZ USING ${column} AT TIME ZONE current_setting('TimeZone')`
+  );
+  console.log(`✅ ${table}.${column} converted to TIMESTAMPTZ`);
+}
+
+module.exports = {
+  BUSINESS_TZ,
+  TODAY_SQL,
+  localMidnightSql,
+  localDateSql,
+  dateRangeSql,
+  formatBusinessDateTime,
+  isDate,
+  businessDate,
+  ensureTimestamptz,
+  BACKDATE_MAX_DAYS,
+  parseTransactionDate,
+  transactionTimestamp,
+};
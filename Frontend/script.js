@@ -30,11 +30,19 @@ function formatCurrency(amount) {
   return new Intl.NumberFormat("en-NG", { style: "currency", currency: "NGN" }).format(Number(amount) || 0);
 }
 
+// business timezone comes from the API root (GET /), cached for offline use
+const TIMEZONE_KEY = "seabite_timezone";
+function businessTimezone() { return localStorage.getItem(TIMEZONE_KEY) || "Africa/Lagos"; }
+
 function formatDateTime(value) {
   if (!value) return "";
   const d = new Date(value);
   if (Number.isNaN(d.getTime())) return String(value);
-  return d.toLocaleString();
+  try {
+    return d.toLocaleString(undefined, { timeZone: businessTimezone() });
+  } catch {
+    return d.toLocaleString();
+  }
 }
 
 function isValidAmount(n) { return Number.isFinite(n) && n > 0; }
@@ -315,6 +323,476 @@ async function queueAdd(action) {
 async function queueAll() { return idbGetAll("queue"); }
 async function queueClearItem(qid) { return idbDelete("queue", qid); }
 
+/***********************
+ * AUTH
+ ***********************/
+const AUTH_KEY = "seabite_auth";
+let currentUser = getAuth()?.user || null;
+
+function getAuth() {
+  try { return JSON.parse(localStorage.getItem(AUTH_KEY) || "null"); } catch { return null; }
+}
+
+function setAuth(auth) {
+  localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+  currentUser = auth?.user || null;
+  renderCurrentUser();
+}
+
+function clearAuth() {
+  localStorage.removeItem(AUTH_KEY);
+  currentUser = null;
+  renderCurrentUser();
+}
+
+function authToken() {
+  return getAuth()?.token || "";
+}
+
+// Mirrors the server permission map; the server still enforces every call.
+function can(permission) {
+  const perms = currentUser?.permissions || [];
+  return perms.includes("*") || perms.includes(permission);
+}
+
+function applyPermissionUI() {
+  document.querySelectorAll("[data-perm]").forEach(el => {
+    el.classList.toggle("perm-hidden", !can(el.getAttribute("data-perm")));
+  });
+}
+
+function renderCurrentUser() {
+  applyPermissionUI();
+
+  const el = $("currentUser");
+  if (!el) return;
+  el.textContent = currentUser
+    ? `${currentUser.display_name || currentUser.username} (${currentUser.role})`
+    : "Not signed in";
+}
+
+function showLogin(message = "Use your staff username and password.") {
+  const screen = $("loginScreen");
+  if (!screen) return;
+  const text = screen.querySelector("p");
+  if (text) text.textContent = message;
+  setVal("loginPassword", "");
+  screen.classList.add("show");
+  screen.setAttribute("aria-hidden", "false");
+  hideAppLoading();
+  $("loginUsername")?.focus();
+}
+
+function hideLogin() {
+  const screen = $("loginScreen");
+  if (!screen) return;
+  screen.classList.remove("show");
+  screen.setAttribute("aria-hidden", "true");
+}
+
+async function login() {
+  const username = getVal("loginUsername").trim();
+  const password = getVal("loginPassword");
+  const status = $("loginStatus");
+
+  if (!username || !password) {
+    if (status) status.textContent = "Enter username and password.";
+    return;
+  }
+  if (!navigator.onLine) {
+    if (status) status.textContent = "You must be online to sign in.";
+    return;
+  }
+
+  if (status) status.textContent = "Signing in...";
+
+  try {
+    const resp = await api("/api/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ username, password })
+    });
+
+    setAuth(resp);
+    rememberSession(resp);
+    unlockApp();
+    if (status) status.textContent = "";
+    hideLogin();
+
+    // flushQueue reloads data itself when there is something to sync
+    if ((await queueAll()).length) await flushQueue();
+    else await bootApp();
+  } catch (e) {
+    if (status) status.textContent = `❌ ${e.message}`;
+  }
+}
+
+function logout() {
+  if (!confirm("Log out of SeaBite Express?")) return;
+  clearAuth();
+  // signs the whole tablet out; queued actions keep the token they were made with
+  localStorage.removeItem(SESSIONS_KEY);
+  unlockApp();
+  showLogin();
+}
+
+function initAuth() {
+  renderCurrentUser();
+
+  $("loginForm")?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    await login();
+  });
+
+  $("logoutBtn")?.addEventListener("click", logout);
+}
+
+/***********************
+ * LOCK SCREEN / PIN SWITCHING (shared tablet)
+ * - every staff member who unlocks here keeps a session on this tablet
+ * - online: PIN is checked by the server, which issues that person's token
+ * - offline: the token kept for that person is sealed (AES-GCM) with a key derived
+ *   from their PIN, so only the right PIN opens it; without a PIN nothing is kept
+ ***********************/
+const SESSIONS_KEY = "seabite_sessions";
+const PIN_USERS_KEY = "seabite_pin_users";
+const LOCKED_KEY = "seabite_locked";
+const AUTO_LOCK_MINUTES = 5;
+
+let lastActivityAt = Date.now();
+let lockSelectedUserId = null;
+
+function getSessions() {
+  try { return JSON.parse(localStorage.getItem(SESSIONS_KEY) || "{}"); } catch { return {}; }
+}
+
+function isSessionValid(session) {
+  return !!session?.token && new Date(session.expires_at || 0).getTime() > Date.now();
+}
+
+// a sealed token that can still be used offline
+function isSealValid(sealed) {
+  return !!sealed?.data && new Date(sealed.expires_at || 0).getTime() > Date.now();
+}
+
+function bytesToHex(buf) {
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array((String(hex).match(/../g) || []).map(h => parseInt(h, 16)));
+}
+
+async function pinKey(pin, salt) {
+  const enc = new TextEncoder();
+  const base = await crypto.subtle.importKey("raw", enc.encode(String(pin)), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: enc.encode(salt), iterations: 100000 },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function sealToken(auth, pin) {
+  const salt = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await pinKey(pin, salt), new TextEncoder().encode(auth.token));
+  return { salt, iv: bytesToHex(iv), data: bytesToHex(data), expires_at: auth.expires_at };
+}
+
+// the token, or null when the PIN is wrong (AES-GCM rejects the wrong key)
+async function openSealedToken(sealed, pin) {
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: hexToBytes(sealed.iv) },
+      await pinKey(pin, sealed.salt),
+      hexToBytes(sealed.data)
+    );
+    return new TextDecoder().decode(plain);
+  } catch {
+    return null;
+  }
+}
+
+// keep (or refresh) this person's entry on the tablet: who they are, and their token sealed with their PIN.
+// pin: undefined keeps the sealed token, null removes it, a string seals the new token with it
+async function rememberSession(auth, pin = undefined) {
+  const id = auth?.user?.id;
+  if (id === undefined || id === null) return;
+
+  const sessions = getSessions();
+  let sealed = pin === null ? null : (sessions[id]?.sealed || null);
+  if (pin && auth.token && window.crypto?.subtle) sealed = await sealToken(auth, pin);
+
+  sessions[id] = { user: auth.user, sealed };
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+}
+
+// entries written before tokens were sealed held them in plain text: drop those tokens
+function scrubSessions() {
+  const sessions = getSessions();
+  for (const id of Object.keys(sessions)) {
+    const { user, sealed } = sessions[id];
+    sessions[id] = { user, sealed: sealed || null };
+  }
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+}
+
+// the signed-in person's token (pin-login must be called by a signed-in device)
+function deviceToken() {
+  const active = getAuth();
+  return isSessionValid(active) ? active.token : "";
+}
+
+function cachedPinUsers() {
+  try { return JSON.parse(localStorage.getItem(PIN_USERS_KEY) || "[]"); } catch { return []; }
+}
+
+async function loadPinUsers() {
+  const list = await api("/api/auth/pin-users");
+  localStorage.setItem(PIN_USERS_KEY, JSON.stringify(list));
+}
+
+function isLocked() {
+  return localStorage.getItem(LOCKED_KEY) === "1";
+}
+
+function renderLockStaff() {
+  const box = $("lockStaffList");
+  if (!box) return;
+
+  const staff = cachedPinUsers();
+  box.innerHTML = staff.length
+    ? staff.map(u => `
+        <button type="button" class="${String(u.id) === String(lockSelectedUserId) ? "selected" : ""}"
+          onclick="selectLockUser('${u.id}')">${escapeHtml(u.display_name || u.username)}</button>
+      `).join("")
+    : `<p class="hint">No staff PINs set yet. Sign in with a password, then use “My PIN”.</p>`;
+}
+
+function selectLockUser(id) {
+  lockSelectedUserId = id;
+  renderLockStaff();
+  const status = $("lockStatus");
+  if (status) status.textContent = "";
+  setVal("lockPinInput", "");
+  $("lockPinInput")?.focus();
+}
+
+function lockApp(message = "Tap your name and enter your PIN.") {
+  if (!authToken()) return;
+
+  localStorage.setItem(LOCKED_KEY, "1");
+  lockSelectedUserId = null;
+  renderLockStaff();
+
+  const text = $("lockMessage");
+  if (text) text.textContent = message;
+  setVal("lockPinInput", "");
+  const status = $("lockStatus");
+  if (status) status.textContent = "";
+
+  $("lockScreen")?.classList.add("show");
+  $("lockScreen")?.setAttribute("aria-hidden", "false");
+}
+
+function unlockApp() {
+  localStorage.removeItem(LOCKED_KEY);
+  lastActivityAt = Date.now();
+  $("lockScreen")?.classList.remove("show");
+  $("lockScreen")?.setAttribute("aria-hidden", "true");
+}
+
+async function submitPin() {
+  const status = $("lockStatus");
+  const pin = getVal("lockPinInput").trim();
+  const userId = lockSelectedUserId;
+
+  if (!userId) {
+    if (status) status.textContent = "Tap your name first.";
+    return;
+  }
+  if (!pin) {
+    if (status) status.textContent = "Enter your PIN.";
+    return;
+  }
+
+  const previousUserId = currentUser?.id;
+
+  try {
+    if (navigator.onLine) {
+      if (!deviceToken()) {
+        showLogin("This tablet's session has expired. Sign in with a password first.");
+        return;
+      }
+      if (status) status.textContent = "Checking PIN...";
+      const resp = await api("/api/auth/pin-login", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${deviceToken()}` },
+        body: JSON.stringify({ user_id: Number(userId), pin })
+      });
+      setAuth(resp);
+      await rememberSession(resp, pin);
+    } else {
+      const session = getSessions()[userId];
+      if (!isSealValid(session?.sealed) || !window.crypto?.subtle) {
+        if (status) status.textContent = "Go online to unlock as this person on this tablet.";
+        return;
+      }
+      const token = await openSealedToken(session.sealed, pin);
+      if (!token) {
+        if (status) status.textContent = "❌ Wrong PIN";
+        setVal("lockPinInput", "");
+        return;
+      }
+      setAuth({ token, expires_at: session.sealed.expires_at, user: session.user });
+    }
+  } catch (e) {
+    if (status) status.textContent = `❌ ${e.message}`;
+    setVal("lockPinInput", "");
+    return;
+  }
+
+  if (status) status.textContent = "";
+  unlockApp();
+
+  // buttons depend on the person's permissions
+  if (String(previousUserId) === String(currentUser?.id)) return;
+  if (navigator.onLine) {
+    await bootApp();
+  } else {
+    renderFinanceTable();
+    renderProductsTables();
+    renderLossTables();
+    renderTransfersTable();
+    renderPurchasing();
+  }
+}
+
+async function setMyPin() {
+  if (!navigator.onLine) return alert("You must be online to set your PIN.");
+
+  const pin = prompt("New PIN (4 to 6 digits). Leave empty to remove your PIN:", "");
+  if (pin === null) return;
+  const password = prompt("Confirm with your password:", "");
+  if (password === null) return;
+
+  try {
+    await api("/api/auth/me/pin", {
+      method: "PUT",
+      body: JSON.stringify({ pin: pin.trim() || null, current_password: password })
+    });
+    await rememberSession(getAuth(), pin.trim() || null);
+    await loadPinUsers();
+    alert(pin.trim() ? "✅ PIN saved. Use it on the lock screen." : "✅ PIN removed.");
+  } catch (e) {
+    alert(`Setting PIN failed: ${e.message}`);
+  }
+}
+
+function initLockScreen() {
+  scrubSessions();
+  const existing = getAuth();
+  if (existing?.token) rememberSession(existing);
+
+  const touch = () => { lastActivityAt = Date.now(); };
+  for (const evt of ["pointerdown", "keydown", "touchstart", "scroll"]) {
+    document.addEventListener(evt, touch, { passive: true });
+  }
+
+  setInterval(() => {
+    if (isLocked() || !authToken()) return;
+    if (Date.now() - lastActivityAt >= AUTO_LOCK_MINUTES * 60 * 1000) {
+      lockApp("Locked after inactivity. Tap your name and enter your PIN.");
+    }
+  }, 30000);
+
+  $("lockPinForm")?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    await submitPin();
+  });
+  $("lockPasswordBtn")?.addEventListener("click", () => showLogin());
+  $("lockBtn")?.addEventListener("click", () => lockApp());
+  $("setPinBtn")?.addEventListener("click", setMyPin);
+
+  if (isLocked()) lockApp();
+}
+
+/***********************
+ * LOCATION (BRANCH)
+ ***********************/
+const LOCATION_KEY = "seabite_location";
+const LOCATIONS_CACHE_KEY = "seabite_locations";
+
+function currentLocationId() {
+  return localStorage.getItem(LOCATION_KEY) || "";
+}
+
+function cachedLocations() {
+  try { return JSON.parse(localStorage.getItem(LOCATIONS_CACHE_KEY) || "[]"); } catch { return []; }
+}
+
+function renderLocationSelect(list) {
+  const select = $("locationSelect");
+  if (!select) return;
+
+  const current = currentLocationId();
+  select.innerHTML = list.length
+    ? list.map(l => `<option value="${l.id}" ${String(l.id) === current ? "selected" : ""}>${escapeHtml(l.name)}</option>`).join("")
+    : `<option value="">Main</option>`;
+}
+
+async function loadLocations() {
+  let list = cachedLocations();
+
+  if (navigator.onLine) {
+    list = await api("/api/locations");
+    localStorage.setItem(LOCATIONS_CACHE_KEY, JSON.stringify(list));
+  }
+
+  // keep the saved branch if it still exists, otherwise fall back to the first one
+  if (list.length && !list.some(l => String(l.id) === currentLocationId())) {
+    localStorage.setItem(LOCATION_KEY, String(list[0].id));
+  }
+
+  renderLocationSelect(list);
+}
+
+async function switchLocation(id) {
+  if (!navigator.onLine) {
+    renderLocationSelect(cachedLocations());
+    return alert("Go online to switch location.");
+  }
+
+  localStorage.setItem(LOCATION_KEY, String(id));
+
+  // local caches hold the previous branch's data
+  for (const store of ["sales", "expenses", "products", "losses"]) {
+    try { await idbClear(store); } catch {}
+  }
+  pendingUsage = [];
+  pendingLines = [];
+  transfers = [];
+  purchaseOrders = [];
+  pendingPoLines = [];
+  supplierBills = [];
+  unbilledReceipts = [];
+  auditRows = [];
+  lastReportType = null;
+  const result = $("reportResult");
+  if (result) result.innerHTML = "";
+  const payables = $("payablesResult");
+  if (payables) payables.innerHTML = "";
+
+  await bootApp();
+}
+
+function initLocationSwitcher() {
+  renderLocationSelect(cachedLocations());
+  $("locationSelect")?.addEventListener("change", (e) => switchLocation(e.target.value));
+}
+
 /***********************
  * API
  ***********************/
@@ -324,6 +802,12 @@ async function api(path, options = {}) {
   const hasBody = options.body !== undefined && options.body !== null;
   if (hasBody && !headers["Content-Type"]) headers["Content-Type"] = "application/json";
 
+  const token = authToken();
+  if (token && !headers["Authorization"]) headers["Authorization"] = `Bearer ${token}`;
+
+  const locationId = currentLocationId();
+  if (locationId && !headers["x-location-id"]) headers["x-location-id"] = locationId;
+
   let res;
   try {
     res = await fetch(url, { ...options, headers });
@@ -352,13 +836,71 @@ async function api(path, options = {}) {
     const err = new Error(msg);
     err.data = data;
     err.status = res.status;
+
+    // session expired / account disabled -> back to login (login failures are shown in the form).
+    // Queued actions replay with their own staff token; their 401s must not sign out whoever is here now.
+    const usedActiveToken = headers["Authorization"] === `Bearer ${authToken()}`;
+    if (res.status === 401 && usedActiveToken && !path.startsWith("/api/auth/login") && !path.startsWith("/api/auth/pin-login")) {
+      clearAuth();
+      showLogin("Your session has expired. Please sign in again.");
+    }
+
     throw err;
   }
 
   return data;
 }
 
+// Authenticated file download (window.open cannot send the Authorization header)
+// GET a non-JSON response (CSV, receipts) with the login token; returns the Response
+async function apiRaw(path) {
+  const token = authToken();
+  const locationId = currentLocationId();
+  const headers = {};
+  if (token) headers["Authorization"] = `Bearer ${token}`;
+  if (locationId) headers["x-location-id"] = locationId;
+
+  let res;
+  try {
+    res = await fetch(`${API_BASE}${path}`, { headers });
+  } catch (e) {
+    throw new Error(`Network error: Backend unreachable (${API_BASE})`);
+  }
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) {
+      clearAuth();
+      showLogin("Your session has expired. Please sign in again.");
+    }
+    throw new Error(data?.error || `Download failed (${res.status})`);
+  }
+  return res;
+}
+
+async function apiDownload(path, filename) {
+  const res = await apiRaw(path);
+  const text = await res.text();
+  downloadTextFile(filename, text, res.headers.get("content-type") || "text/csv;charset=utf-8");
+}
+
 async function apiOrQueue(action) {
+  // pin the branch and the staff member now, so a queued action syncs as who / where it was made
+  const pinned = {};
+  const locationId = currentLocationId();
+  const token = authToken();
+  if (locationId) pinned["x-location-id"] = locationId;
+  if (token) pinned["Authorization"] = `Bearer ${token}`;
+
+  action = {
+    ...action,
+    actor_id: currentUser?.id ?? null,
+    options: {
+      ...(action.options || {}),
+      headers: { ...pinned, ...(action.options?.headers || {}) }
+    }
+  };
+
   try {
     if (!navigator.onLine) throw Object.assign(new Error("offline"), { isOffline: true });
     const data = await api(action.path, action.options);
@@ -381,13 +923,23 @@ async function apiOrQueue(action) {
  * STATE
  ***********************/
 let deferredPrompt;
-let lastReportType = null;
+let lastReportType = null;  // "daily" | "weekly" | "monthly" | "yearly" | "range"
+let lastReportRange = null; // { from, to } when lastReportType is "range"
 
 let sales = [];
 let expenses = [];
 let products = [];
 let losses = [];
+let transfers = [];
+let suppliers = [];
+let purchaseOrders = [];
+let pendingPoLines = []; // new PO: [{ product_id, qty, unit_price }]
+let supplierBills = [];
+let unbilledReceipts = [];
+let expenseCategories = [];
+let menuItems = [];
 let pendingUsage = [];
+let pendingLines = []; // itemized sale: [{ menu_item_id, qty }]
 
 /***********************
  * MINI CHART
@@ -509,10 +1061,20 @@ async function loadAll() {
 
     if (navigator.onLine) {
       try {
+        await loadLocations();
+        await loadPinUsers();
+        await loadExpenseCategories();
+        await loadMenu();
+        await loadSettings();
+        await loadPeriodLock();
+        await loadRecurringExpenses();
+
         const srvSales = await api("/api/finance/sales");
         const srvExpenses = await api("/api/finance/expenses");
         const srvProducts = normalizeProducts(await api("/api/inventory/products"));
         const srvLossesRaw = await api("/api/inventory/losses");
+        transfers = can("transfers:read") ? await api("/api/transfers") : [];
+        await loadPurchasing();
 
         const srvKeys = new Set(srvProducts.map(productMatchKey));
         const unsyncedTmpProducts = localProducts.filter(p => isTmpId(p.id) && !srvKeys.has(productMatchKey(p)));
@@ -545,12 +1107,18 @@ async function loadAll() {
       expenses = await idbGetAll("expenses");
       products = dedupeProducts(normalizeProducts(await idbGetAll("products")));
       losses = enrichLosses(await idbGetAll("losses"));
+      await loadExpenseCategories();
+      await loadMenu();
+      await loadSettings();
+      await loadPeriodLock();
     }
 
     renderFinanceTable();
     renderProductsTables();
     renderUsageSummary();
     renderLossTables();
+    renderTransfersTable();
+    renderPurchasing();
   } finally {
     hideAppLoading();
   }
@@ -565,9 +1133,10 @@ function openUsageModal() {
     return;
   }
 
+  const recipe = recipeUsageFor(pendingLines);
   const usable = products
     .filter(p => !isTmpId(p.id))
-    .filter(p => Number(p.qty) > 0)
+    .filter(p => Number(p.qty) > 0 || recipe.has(Number(p.id)))
     .sort((a, b) => String(a.name).localeCompare(String(b.name)));
 
   if (!usable.length) {
@@ -586,7 +1155,11 @@ function openUsageModal() {
     const isSeafood = normalizeCategory(p.category) === "SEAFOOD";
     const availablePortion = isSeafood ? round2(calcPortionFromQty(toNumber(p.qty, 0), toNumber(p.portion_size, 0))) : null;
 
-    const val = existing ? Number(existing.display_qty || existing.qty_used || 0) : 0;
+    // prefilled from the sale's recipes until overridden here
+    const fromRecipe = recipe.get(Number(p.id)) || 0;
+    const val = existing
+      ? Number(existing.display_qty || existing.qty_used || 0)
+      : round2(isSeafood ? calcPortionFromQty(fromRecipe, p.portion_size) : fromRecipe);
 
     const meta = isSeafood
       ? `Available: ${availablePortion} portion  •  (${round2(p.qty)} ${escapeHtml(p.unit || "qty")})`
@@ -634,18 +1207,30 @@ function saveUsage() {
   if (!list) return;
 
   const inputs = Array.from(list.querySelectorAll("input[data-pid]"));
+  const recipe = recipeUsageFor(pendingLines);
   const next = [];
 
   for (const inp of inputs) {
     const pid = Number(inp.getAttribute("data-pid"));
     const raw = Number(inp.value || 0);
-    if (!(raw > 0)) continue;
 
     const p = products.find(x => Number(x.id) === pid);
     if (!p) continue;
 
     const isSeafood = normalizeCategory(p.category) === "SEAFOOD";
 
+    if (recipe.has(pid)) {
+      // same as the recipe -> leave it to the recipe; 0 -> not used this time
+      const fromRecipe = recipe.get(pid);
+      const recipeShown = round2(isSeafood ? calcPortionFromQty(fromRecipe, p.portion_size) : fromRecipe);
+      if (raw === recipeShown) continue;
+      if (!(raw > 0)) {
+        next.push({ product_id: pid, qty_used: 0, display_qty: 0, display_unit: isSeafood ? "portion" : (p.unit || "pcs") });
+        continue;
+      }
+    }
+    if (!(raw > 0)) continue;
+
     let qty_used_base = raw;
     let display_qty = raw;
     let display_unit = isSeafood ? "portion" : (p.unit || "pcs");
@@ -680,22 +1265,57 @@ function renderUsageSummary() {
   const box = $("usageSummary");
   if (!box) return;
 
-  if (!pendingUsage.length) {
+  const usage = saleStockUsage();
+  if (!usage.length) {
     box.textContent = "No products selected.";
     return;
   }
 
-  const lines = pendingUsage.map(it => {
+  const lines = usage.map(it => {
     const p = products.find(x => Number(x.id) === Number(it.product_id));
     const name = p ? p.name : `Product#${it.product_id}`;
-    const qtyShow = it.display_qty ?? it.qty_used;
-    const unitShow = it.display_unit ?? (p?.unit || "");
-    return `${name} x${round2(qtyShow)} ${unitShow}`.trim();
+    const manual = pendingUsage.find(x => Number(x.product_id) === Number(it.product_id));
+    const isSeafood = normalizeCategory(p?.category) === "SEAFOOD";
+    const qtyShow = manual
+      ? (manual.display_qty ?? manual.qty_used)
+      : (isSeafood ? calcPortionFromQty(it.qty_used, p?.portion_size) : it.qty_used);
+    const unitShow = manual?.display_unit ?? (isSeafood ? "portion" : (p?.unit || ""));
+    return `${name} x${round2(qtyShow)} ${unitShow}${manual ? "" : " (recipe)"}`.trim();
   });
 
   box.textContent = lines.join(" • ");
 }
 
+/**
+ * Base-unit stock used by itemized lines, from the cached menu recipes
+ * (recipe qty is portions for SEAFOOD, base units otherwise). Mirrors the server.
+ */
+function recipeUsageFor(lines) {
+  const usage = new Map();
+  for (const l of lines || []) {
+    const m = menuItems.find(x => Number(x.id) === Number(l.menu_item_id));
+    for (const r of m?.recipe || []) {
+      const p = products.find(x => Number(x.id) === Number(r.product_id));
+      const perDish = normalizeCategory(p?.category) === "SEAFOOD"
+        ? calcQtyFromPortion(Number(r.qty), p?.portion_size)
+        : Number(r.qty);
+      const pid = Number(r.product_id);
+      usage.set(pid, (usage.get(pid) || 0) + perDish * Number(l.qty));
+    }
+  }
+  return usage;
+}
+
+// recipe usage with the Products Used entries on top (they replace a product's recipe qty)
+function saleStockUsage() {
+  const usage = recipeUsageFor(pendingLines);
+  for (const it of pendingUsage) usage.set(Number(it.product_id), Number(it.qty_used));
+
+  return Array.from(usage)
+    .filter(([, qty]) => qty > 0)
+    .map(([product_id, qty]) => ({ product_id, qty_used: Math.round(qty * 1e6) / 1e6 }));
+}
+
 /***********************
  * FINANCE TABLE
  ***********************/
@@ -715,9 +1335,15 @@ function renderFinanceTable() {
     ...sales.map(s => ({
       id: s.id,
       type: "Sale",
+      receiptNo: s.receipt_no,
       amount: s.amount,
+      payment: formatPayments(s.payments),
       desc: s.description,
+      status: s.status || "completed",
+      charges: saleChargesNote(s),
+      statusNote: saleStatusNote(s),
       used: formatProductsUsed(s.items),
+      by: s.created_by_name || "",
       date: s.created_at
     })),
     ...expenses.map(e => ({
@@ -725,23 +1351,55 @@ function renderFinanceTable() {
       type: "Expense",
       amount: e.amount,
       desc: e.description,
+      category: e.category_name || "",
+      recurring: Boolean(e.recurring_id),
       used: "",
+      by: e.created_by_name || "",
       date: e.created_at
     }))
   ].sort((a, b) => new Date(b.date) - new Date(a.date));
 
   allRecords.forEach(item => {
+    const isSale = item.type === "Sale";
+    const area = isSale ? "sales" : "expenses";
+    const locked = isPeriodLocked(item.date);
+    // a sale is only edited while completed; after that it is voided or refunded, never deleted
+    const editBtn = !locked && can(`${area}:update`) && (!isSale || item.status === "completed")
+      ? `<button class="edit-btn" type="button" onclick="editRecord('${item.id}','${item.type}')">Edit</button>`
+      : "";
+    const deleteBtn = !locked && !isSale && can("expenses:delete")
+      ? `<button class="delete-btn" type="button" onclick="deleteRecord('${item.id}','${item.type}')">Delete</button>`
+      : "";
+    const voidBtn = !locked && isSale && item.status === "completed" && can("sales:void")
+      ? `<button class="delete-btn" type="button" onclick="voidSale('${item.id}')">Void</button>`
+      : "";
+    const refundBtn = isSale && !isTmpId(item.id) && ["completed", "partially_refunded"].includes(item.status) && can("sales:refund")
+      ? `<button class="edit-btn" type="button" onclick="refundSale('${item.id}')">Refund</button>`
+      : "";
+    const receiptBtn = isSale && !isTmpId(item.id)
+      ? `<button class="edit-btn" type="button" onclick="openReceipt('${item.id}')">Receipt</button>`
+      : "";
+    const statusTag = isSale && item.status !== "completed"
+      ? ` <span class="record-status ${item.status}">${escapeHtml(SALE_STATUS_LABELS[item.status] || item.status)}</span>`
+      : "";
+    const lockTag = locked ? ` <span class="record-category" title="In a locked period">🔒 Locked</span>` : "";
+    const recurringTag = item.recurring ? ` <span class="record-category" title="Posted by a recurring expense">🔁 Recurring</span>` : "";
+
     table.innerHTML += `
-      <tr>
-        <td>${item.type}</td>
-        <td>${formatCurrency(item.amount)}</td>
-        <td>${escapeHtml(item.desc)}</td>
+      <tr class="${item.status === "voided" ? "voided" : ""}">
+        <td>${item.type}${item.receiptNo ? ` <span class="record-category">#${receiptNumber(item.receiptNo)}</span>` : ""}${statusTag}${recurringTag}${lockTag}</td>
+        <td>${formatCurrency(item.amount)}${item.charges ? `<span class="record-payment">${escapeHtml(item.charges)}</span>` : ""}${item.payment ? `<span class="record-payment">${escapeHtml(item.payment)}</span>` : ""}${item.statusNote ? `<span class="record-payment">${escapeHtml(item.statusNote)}</span>` : ""}</td>
+        <td>${escapeHtml(item.desc)}${item.category ? ` <span class="record-category">${escapeHtml(item.category)}</span>` : ""}</td>
         <td>${escapeHtml(item.used)}</td>
+        <td>${escapeHtml(item.by)}</td>
         <td>${formatDateTime(item.date)}</td>
         <td>
           <div class="action-buttons">
-            <button class="edit-btn" type="button" onclick="editRecord('${item.id}','${item.type}')">Edit</button>
-            <button class="delete-btn" type="button" onclick="deleteRecord('${item.id}','${item.type}')">Delete</button>
+            ${receiptBtn}
+            ${editBtn}
+            ${refundBtn}
+            ${voidBtn}
+            ${deleteBtn}
           </div>
         </td>
       </tr>
@@ -752,40 +1410,203 @@ function renderFinanceTable() {
 /***********************
  * FINANCE CRUD
  ***********************/
-async function addSale() {
-  const amount = parseFloat(getVal("saleAmount"));
-  const description = getVal("saleDesc").trim();
+const PAYMENT_LABELS = { cash: "Cash", pos: "POS", transfer: "Transfer", unspecified: "Unspecified" };
 
-  if (!isValidAmount(amount) || !description) {
-    alert("Enter valid sale amount and description.");
-    return;
-  }
+function toggleSplitPayment() {
+  const box = $("splitPayments");
+  if (box) box.style.display = getVal("salePayment") === "split" ? "" : "none";
+}
 
-  if (products.length && pendingUsage.length === 0) {
-    const ok = confirm("Do you want to record products used for this sale? (Recommended)");
-    if (ok) {
-      openUsageModal();
-      return;
-    }
+// payments for the add-sale form: one method for the whole amount, or the split boxes
+function salePaymentsFromForm(amount) {
+  const method = getVal("salePayment") || "cash";
+  if (method !== "split") return [{ method, amount }];
+
+  const payments = [
+    { method: "cash", amount: toNumber(getVal("splitCash")) },
+    { method: "pos", amount: toNumber(getVal("splitPos")) },
+    { method: "transfer", amount: toNumber(getVal("splitTransfer")) },
+  ].filter(p => p.amount > 0);
+
+  const total = round2(payments.reduce((s, p) => s + p.amount, 0));
+  if (!payments.length || total !== round2(amount)) {
+    alert(`Split payments add up to ${formatCurrency(total)} but the sale is ${formatCurrency(amount)}.`);
+    return null;
   }
+  return payments;
+}
 
-  if (navigator.onLine) {
-    for (const it of pendingUsage) {
-      const p = products.find(x => Number(x.id) === Number(it.product_id));
-      if (p && isTmpId(p.id)) {
-        alert("Some selected products are not yet saved on the server. Click Sync Now, then try again.");
-        return;
-      }
-    }
+const SALE_STATUS_LABELS = {
+  completed: "Completed",
+  voided: "Voided",
+  partially_refunded: "Part refunded",
+  refunded: "Refunded"
+};
+
+function receiptNumber(n) {
+  return String(n ?? "").padStart(6, "0");
+}
+
+// printable server page (receipt, Z-report) in a new tab; fetched with the login token,
+// so it can't be a plain link
+async function openPrintable(path, label) {
+  if (!navigator.onLine) return alert(`You must be online to open the ${label}.`);
+
+  const win = window.open("", "_blank");
+  if (!win) return alert(`Allow pop-ups for this app to open the ${label}.`);
+
+  try {
+    const html = await (await apiRaw(path)).text();
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+  } catch (e) {
+    win.close();
+    alert(`Opening the ${label} failed: ${e.message}`);
   }
+}
 
-  const tempId = `tmp-${Date.now()}`;
-  const saleTemp = {
-    id: tempId,
-    amount,
+function openReceipt(id) {
+  return openPrintable(`/api/finance/sales/${id}/receipt`, "receipt");
+}
+
+// "Refunded ₦3,000 · cold fish" / "Voided by Ada: wrong table"
+function saleStatusNote(s) {
+  if (s.status === "voided") return `Voided${s.voided_by_name ? ` by ${s.voided_by_name}` : ""}: ${s.void_reason || ""}`;
+  if (!(s.refunds || []).length) return "";
+  return `Refunded ${formatCurrency(s.refunded)} · ${s.refunds.map(r => r.reason).join("; ")}`;
+}
+
+// what a sale still counts for in totals: nothing once voided, less any refunds
+function saleNetAmount(s) {
+  if (s.status === "voided") return 0;
+  return (Number(s.amount) || 0) - (Number(s.refunded) || 0);
+}
+
+function formatPayments(payments) {
+  return (payments || []).map(p => `${PAYMENT_LABELS[p.method] || p.method} ${formatCurrency(p.amount)}`).join(" · ");
+}
+
+// "cash=2000, pos=3000" -> [{ method, amount }] (null when it can't be read)
+function parseSplitText(text) {
+  const payments = [];
+  for (const part of String(text).split(",")) {
+    const [method, value] = part.split("=").map(x => cleanStr(x).toLowerCase());
+    if (!method) continue;
+    if (!PAYMENT_LABELS[method] || method === "unspecified" || !(Number(value) > 0)) return null;
+    payments.push({ method, amount: Number(value) });
+  }
+  return payments.length ? payments : null;
+}
+
+// "Tilapia=2, Rice=0.5" -> [{ product_id, qty_used }] in base units; null if a name or qty can't be read
+function parseUsageText(text) {
+  const items = [];
+  for (const part of String(text).split(",")) {
+    if (!cleanStr(part)) continue;
+    const [name, value] = part.split("=").map(x => cleanStr(x));
+    const p = products.find(x => !isTmpId(x.id) && normKey(x.name) === normKey(name));
+    const qty = Number(value);
+    if (!p || !Number.isFinite(qty) || qty < 0) return null;
+    const existing = items.find(it => it.product_id === Number(p.id));
+    if (existing) existing.qty_used += qty;
+    else items.push({ product_id: Number(p.id), qty_used: qty });
+  }
+  return items.filter(it => it.qty_used > 0);
+}
+
+function usageText(items) {
+  return (items || []).map(it => `${it.product_name}=${round2(it.qty_used)}`).join(", ");
+}
+
+// date picked on a sale / expense form; only sent when it isn't today (backdated entry)
+function pickedTransactionDate(inputId) {
+  const date = getVal(inputId);
+  return date && date !== localDateKey(new Date()) ? date : null;
+}
+
+// optimistic created_at for a backdated local record (midday, so it lands on the right day)
+function transactionCreatedAt(date) {
+  return date ? new Date(`${date}T12:00:00`).toISOString() : new Date().toISOString();
+}
+
+// ask for a new date when editing; undefined = keep the current one
+function promptTransactionDate(rec) {
+  if (!can("finance:backdate")) return undefined;
+
+  const current = localDateKey(rec.created_at);
+  const raw = prompt("Edit Date (YYYY-MM-DD):", current);
+  if (raw === null) return null;
+
+  const date = cleanStr(raw);
+  if (!date || date === current) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    alert("Date must be YYYY-MM-DD.");
+    return null;
+  }
+  return date;
+}
+async function addSale() {
+  // the server prices the lines and adds discount, service charge and VAT;
+  // the local total is for the payment split and the offline copy
+  const lines = pendingLines.map(l => ({ ...l }));
+  const subtotal = lines.length ? saleLinesTotal() : parseFloat(getVal("saleAmount"));
+  const description = getVal("saleDesc").trim()
+    || (lines.length ? lines.map(l => `${l.qty}x ${menuItemName(l.menu_item_id)}`).join(", ") : "");
+
+  if (!isValidAmount(subtotal) || !description) {
+    alert(lines.length ? "Add at least one priced menu item." : "Enter valid sale amount and description.");
+    return;
+  }
+
+  const discount = saleDiscountFromForm();
+  const service_charge = Boolean($("saleServiceCharge")?.checked);
+  const charges = saleFormCharges(subtotal);
+  if (charges.discount_amount > charges.subtotal) return alert("The discount is more than the subtotal.");
+  const amount = charges.total;
+  if (!isValidAmount(amount)) return alert("The sale total must be more than zero.");
+
+  // the server applies the same recipes; only the manual overrides are sent
+  const stockUsage = saleStockUsage();
+  const manualItems = pendingUsage.map(it => ({ product_id: it.product_id, qty_used: it.qty_used }));
+
+  if (products.length && stockUsage.length === 0 && pendingUsage.length === 0) {
+    const ok = confirm("Do you want to record products used for this sale? (Recommended)");
+    if (ok) {
+      openUsageModal();
+      return;
+    }
+  }
+
+  if (navigator.onLine) {
+    for (const it of pendingUsage) {
+      const p = products.find(x => Number(x.id) === Number(it.product_id));
+      if (p && isTmpId(p.id)) {
+        alert("Some selected products are not yet saved on the server. Click Sync Now, then try again.");
+        return;
+      }
+    }
+  }
+
+  const transaction_date = pickedTransactionDate("saleDate");
+  const payments = salePaymentsFromForm(amount);
+  if (!payments) return;
+
+  const tempId = `tmp-${Date.now()}`;
+  const saleTemp = {
+    id: tempId,
+    amount,
+    ...charges,
     description,
-    created_at: new Date().toISOString(),
-    items: pendingUsage.map(it => {
+    payments,
+    lines: lines.map(l => {
+      const m = menuItems.find(x => Number(x.id) === Number(l.menu_item_id));
+      const unit_price = Number(m?.price) || 0;
+      return { ...l, item_name: m?.name || "", unit_price, line_total: round2(unit_price * l.qty) };
+    }),
+    created_at: transactionCreatedAt(transaction_date),
+    created_by_name: currentUser?.display_name || "",
+    items: stockUsage.map(it => {
       const p = products.find(x => Number(x.id) === Number(it.product_id));
       return {
         product_id: it.product_id,
@@ -799,7 +1620,7 @@ async function addSale() {
   sales.unshift(saleTemp);
   await idbPut("sales", saleTemp);
 
-  for (const it of pendingUsage) {
+  for (const it of stockUsage) {
     const p = products.find(x => Number(x.id) === Number(it.product_id));
     if (p) {
       p.qty = Number(p.qty) - Number(it.qty_used);
@@ -816,6 +1637,14 @@ async function addSale() {
 
   setVal("saleAmount", "");
   setVal("saleDesc", "");
+  setVal("saleDate", "");
+  ["saleDiscountType", "saleDiscountValue", "saleDiscountReason"].forEach(id => setVal(id, ""));
+  if ($("saleServiceCharge")) $("saleServiceCharge").checked = false;
+  pendingLines = [];
+  renderSaleLines();
+  setVal("salePayment", "cash");
+  ["splitCash", "splitPos", "splitTransfer"].forEach(id => setVal(id, ""));
+  toggleSplitPayment();
   pendingUsage = [];
   renderUsageSummary();
 
@@ -825,9 +1654,14 @@ async function addSale() {
     options: {
       method: "POST",
       body: JSON.stringify({
-        amount,
+        subtotal,
         description,
-        items: saleTemp.items.map(x => ({ product_id: x.product_id, qty_used: x.qty_used }))
+        ...(discount ? { discount } : {}),
+        ...(service_charge ? { service_charge } : {}),
+        ...(transaction_date ? { transaction_date } : {}),
+        payments,
+        ...(lines.length ? { lines } : {}),
+        items: manualItems
       })
     }
   });
@@ -848,13 +1682,24 @@ async function addSale() {
 async function addExpense() {
   const amount = parseFloat(getVal("expenseAmount"));
   const description = getVal("expenseDesc").trim();
+  const category = expenseCategories.find(c => String(c.id) === getVal("expenseCategory"));
+  const category_id = category ? category.id : null;
+  const transaction_date = pickedTransactionDate("expenseDate");
 
   if (!isValidAmount(amount) || !description) {
     alert("Enter valid expense amount and description.");
     return;
   }
 
-  const temp = { id: `tmp-${Date.now()}`, amount, description, created_at: new Date().toISOString() };
+  const temp = {
+    id: `tmp-${Date.now()}`,
+    amount,
+    description,
+    category_id,
+    category_name: category?.name || "",
+    created_at: transactionCreatedAt(transaction_date),
+    created_by_name: currentUser?.display_name || ""
+  };
 
   expenses.unshift(temp);
   await idbPut("expenses", temp);
@@ -862,11 +1707,13 @@ async function addExpense() {
 
   setVal("expenseAmount", "");
   setVal("expenseDesc", "");
+  setVal("expenseCategory", "");
+  setVal("expenseDate", "");
 
   const result = await apiOrQueue({
     kind: "expense_create",
     path: "/api/finance/expenses",
-    options: { method: "POST", body: JSON.stringify({ amount, description }) }
+    options: { method: "POST", body: JSON.stringify({ amount, description, category_id, ...(transaction_date ? { transaction_date } : {}) }) }
   });
 
   if (!result.ok && result.queued) {
@@ -882,28 +1729,79 @@ async function addExpense() {
   }
 }
 
-async function deleteRecord(id, type) {
-  if (!confirm(`Delete this ${type.toLowerCase()} record?`)) return;
+// Sales stay on record: voiding keeps the row (with the reason) and takes it out of the totals
+async function voidSale(id) {
+  const rec = sales.find(x => String(x.id) === String(id));
+  if (!rec) return alert("Record not found.");
 
-  if (type === "Sale") {
-    sales = sales.filter(s => String(s.id) !== String(id));
-    await idbDelete("sales", id);
-    renderFinanceTable();
+  const reasonRaw = prompt(`Void this sale of ${formatCurrency(rec.amount)}?\nReason (required):`, "");
+  if (reasonRaw === null) return;
+  const reason = cleanStr(reasonRaw);
+  if (!reason) return alert("A reason is required to void a sale.");
 
-    const result = await apiOrQueue({
-      kind: "sale_delete",
-      path: `/api/finance/sales/${id}`,
-      options: { method: "DELETE" }
-    });
+  const restock = (rec.items || []).length > 0
+    && confirm(`Return the products used to stock?\n${formatProductsUsed(rec.items)}\nOK: return them. Cancel: they were used up.`);
 
-    if (navigator.onLine && !result.ok && !result.queued) {
-      alert(`Delete failed: ${result.error}`);
-      await bootApp();
-    } else if (navigator.onLine && result.ok) {
-      await bootApp();
-    }
-    return;
+  rec.status = "voided";
+  rec.void_reason = reason;
+  rec.voided_by_name = currentUser?.display_name || "";
+  await idbPut("sales", rec);
+  renderFinanceTable();
+
+  const result = await apiOrQueue({
+    kind: "sale_void",
+    path: `/api/finance/sales/${id}/void`,
+    options: { method: "POST", body: JSON.stringify({ reason, restock }) }
+  });
+
+  if (navigator.onLine && !result.ok && !result.queued) {
+    alert(`Void failed: ${result.error}`);
+    await bootApp();
+  } else if (navigator.onLine && result.ok) {
+    await bootApp();
+  }
+}
+
+// Refunds need the server (what is left to refund and return depends on earlier refunds)
+async function refundSale(id) {
+  const rec = sales.find(x => String(x.id) === String(id));
+  if (!rec) return alert("Record not found.");
+  if (!navigator.onLine) return alert("You must be online to refund a sale.");
+
+  const left = round2((Number(rec.amount) || 0) - (Number(rec.refunded) || 0));
+  const amountRaw = prompt(`Refund on sale of ${formatCurrency(rec.amount)} (${formatCurrency(left)} left).\nAmount to refund:`, String(left));
+  if (amountRaw === null) return;
+  const amount = toNumber(amountRaw, NaN);
+  if (!isValidAmount(amount)) return alert("Enter a valid amount.");
+  if (round2(amount) > left) return alert(`Only ${formatCurrency(left)} can still be refunded.`);
+
+  const reasonRaw = prompt("Reason for the refund (required):", "");
+  if (reasonRaw === null) return;
+  const reason = cleanStr(reasonRaw);
+  if (!reason) return alert("A reason is required for a refund.");
+
+  const paidWith = rec.payments || [];
+  const methodRaw = prompt("Refunded by (cash, pos, transfer):", paidWith.length === 1 ? paidWith[0].method : "cash");
+  if (methodRaw === null) return;
+  const method = cleanStr(methodRaw).toLowerCase();
+  if (!["cash", "pos", "transfer"].includes(method)) return alert("Payment method must be cash, pos or transfer.");
+
+  const restock = (rec.items || []).length > 0
+    && confirm(`Return the products used to stock?\n${formatProductsUsed(rec.items)}\nOK: return what has not come back yet. Cancel: no stock back.`);
+
+  try {
+    await api(`/api/finance/sales/${id}/refunds`, {
+      method: "POST",
+      body: JSON.stringify({ amount, reason, method, restock })
+    });
+  } catch (e) {
+    return alert(`Refund failed: ${e.message}`);
   }
+  await bootApp();
+}
+
+async function deleteRecord(id, type) {
+  if (!confirm(`Delete this ${type.toLowerCase()} record?`)) return;
 
   expenses = expenses.filter(e => String(e.id) !== String(id));
   await idbDelete("expenses", id);
@@ -928,24 +1826,112 @@ async function editRecord(id, type) {
     const rec = sales.find(x => String(x.id) === String(id));
     if (!rec) return alert("Record not found.");
 
-    const newAmountRaw = prompt("Edit Amount:", rec.amount);
+    // itemized sales are priced from their lines; discount, service charge and VAT
+    // are worked out again on the new subtotal at the rates the sale was made with
+    const itemized = (rec.lines || []).length > 0;
+    const legacy = rec.subtotal === null || rec.subtotal === undefined;
+    const oldSubtotal = legacy ? Number(rec.amount) : Number(rec.subtotal);
+    const newSubtotalRaw = itemized ? String(oldSubtotal) : prompt("Edit Amount (before discount, service charge and VAT):", oldSubtotal);
     const newDescRaw = prompt("Edit Description:", rec.description);
-    if (newAmountRaw === null || newDescRaw === null) return;
+    if (newSubtotalRaw === null || newDescRaw === null) return;
+
+    const transaction_date = promptTransactionDate(rec);
+    if (transaction_date === null) return;
 
-    const amount = parseFloat(newAmountRaw);
+    const subtotal = parseFloat(newSubtotalRaw);
     const description = String(newDescRaw).trim();
-    if (!isValidAmount(amount) || !description) return alert("Invalid inputs");
+    if (!isValidAmount(subtotal) || !description) return alert("Invalid inputs");
+
+    const charges = saleCharges(
+      subtotal,
+      {
+        discount: rec.discount_type ? { type: rec.discount_type, value: Number(rec.discount_value) } : null,
+        serviceCharge: Number(rec.service_charge) > 0
+      },
+      {
+        tax_rate: legacy ? 0 : Number(rec.tax_rate) || 0,
+        service_charge_rate: rec.service_charge_rate ?? businessSettings.service_charge_rate
+      }
+    );
+    if (charges.discount_amount > charges.subtotal) return alert("The sale's discount is more than the new amount.");
+    const amount = charges.total;
+
+    // products used, in each product's base unit (pcs, kg…); the server moves only the difference
+    const currentUsage = usageText(rec.items);
+    const usageRaw = prompt("Products used (e.g. Tilapia=2, Rice=0.5 in pcs/kg; blank = none):", currentUsage);
+    if (usageRaw === null) return;
+    let items;
+    if (cleanStr(usageRaw) !== currentUsage) {
+      items = parseUsageText(usageRaw);
+      if (!items) return alert("Could not read the products used. Use product name=qty, separated by commas.");
+    }
+
+    // one method: ask which; split: re-split only when the amount changed
+    const current = rec.payments || [];
+    let payments;
+    if (current.length > 1) {
+      if (round2(amount) !== round2(rec.amount)) {
+        const raw = prompt(
+          "This sale was split. Enter the new split (e.g. cash=2000, pos=3000):",
+          current.map(p => `${p.method}=${p.amount}`).join(", ")
+        );
+        if (raw === null) return;
+        payments = parseSplitText(raw);
+        if (!payments) return alert("Could not read that split. Use cash=…, pos=…, transfer=…");
+      }
+    } else {
+      const raw = prompt("Payment method (cash, pos, transfer):", current[0]?.method || "cash");
+      if (raw === null) return;
+      const method = cleanStr(raw).toLowerCase();
+      if (!["cash", "pos", "transfer"].includes(method)) return alert("Payment method must be cash, pos or transfer.");
+      payments = [{ method, amount }];
+    }
+    if (payments && round2(payments.reduce((s, p) => s + p.amount, 0)) !== round2(amount)) {
+      return alert("Payments must add up to the sale amount.");
+    }
+
+    if (items) {
+      // local stock follows the change until the server confirms it
+      for (const p of products) {
+        const was = (rec.items || []).filter(it => Number(it.product_id) === Number(p.id)).reduce((s, it) => s + Number(it.qty_used), 0);
+        const now = items.filter(it => it.product_id === Number(p.id)).reduce((s, it) => s + it.qty_used, 0);
+        if (Math.abs(now - was) < 1e-9) continue;
+        p.qty = Number(p.qty) - (now - was);
+        if (normalizeCategory(p.category) === "SEAFOOD") {
+          p.portion = round2(calcPortionFromQty(p.qty, p.portion_size));
+        }
+        p.updated_at = new Date().toISOString();
+        await idbPut("products", p);
+      }
+      rec.items = items.map(it => {
+        const p = products.find(x => Number(x.id) === it.product_id);
+        return { ...it, product_name: p?.name || "", product_unit: p?.unit || "" };
+      });
+    }
 
+    Object.assign(rec, charges);
     rec.amount = amount;
     rec.description = description;
+    if (payments) rec.payments = payments;
+    if (transaction_date) rec.created_at = transactionCreatedAt(transaction_date);
 
     await idbPut("sales", rec);
     renderFinanceTable();
+    if (items) renderProductsTables();
 
     const result = await apiOrQueue({
       kind: "sale_update",
       path: `/api/finance/sales/${id}`,
-      options: { method: "PUT", body: JSON.stringify({ amount, description }) }
+      options: {
+        method: "PUT",
+        body: JSON.stringify({
+          ...(itemized ? {} : { subtotal }),
+          description,
+          ...(transaction_date ? { transaction_date } : {}),
+          ...(payments ? { payments } : {}),
+          ...(items ? { items } : {})
+        })
+      }
     });
 
     if (navigator.onLine && !result.ok && !result.queued) {
@@ -964,12 +1950,32 @@ async function editRecord(id, type) {
   const newDescRaw = prompt("Edit Description:", rec.description);
   if (newAmountRaw === null || newDescRaw === null) return;
 
+  const names = expenseCategories.map(c => c.name).join(", ");
+  const newCategoryRaw = prompt(`Category (${names || "none set up"}; leave blank for none):`, rec.category_name || "");
+  if (newCategoryRaw === null) return;
+
+  const transaction_date = promptTransactionDate(rec);
+  if (transaction_date === null) return;
+
   const amount = parseFloat(newAmountRaw);
   const description = String(newDescRaw).trim();
   if (!isValidAmount(amount) || !description) return alert("Invalid inputs");
 
+  const categoryName = cleanStr(newCategoryRaw);
+  let category_id = null;
+  if (categoryName) {
+    const category = expenseCategories.find(c => normKey(c.name) === normKey(categoryName));
+    // an old, since-deactivated category can stay as it is
+    if (category) category_id = category.id;
+    else if (normKey(categoryName) === normKey(rec.category_name)) category_id = rec.category_id;
+    else return alert(`Unknown category "${categoryName}".`);
+  }
+
   rec.amount = amount;
   rec.description = description;
+  rec.category_id = category_id;
+  rec.category_name = categoryName && category_id ? (expenseCategories.find(c => c.id === category_id)?.name || rec.category_name) : "";
+  if (transaction_date) rec.created_at = transactionCreatedAt(transaction_date);
 
   await idbPut("expenses", rec);
   renderFinanceTable();
@@ -977,7 +1983,7 @@ async function editRecord(id, type) {
   const result = await apiOrQueue({
     kind: "expense_update",
     path: `/api/finance/expenses/${id}`,
-    options: { method: "PUT", body: JSON.stringify({ amount, description }) }
+    options: { method: "PUT", body: JSON.stringify({ amount, description, category_id, ...(transaction_date ? { transaction_date } : {}) }) }
   });
 
   if (navigator.onLine && !result.ok && !result.queued) {
@@ -991,16 +1997,51 @@ async function editRecord(id, type) {
 /***********************
  * REPORTS / CSV
  ***********************/
+// query string for the current report window (named period or from/to range)
+function reportQuery(type = lastReportType) {
+  if (type !== "range") return `period=${encodeURIComponent(type)}`;
+
+  const params = new URLSearchParams();
+  if (lastReportRange?.from) params.set("from", lastReportRange.from);
+  if (lastReportRange?.to) params.set("to", lastReportRange.to);
+  return params.toString();
+}
+
+function reportLabel(type = lastReportType) {
+  if (type !== "range") return type.toUpperCase();
+  const { from, to } = lastReportRange || {};
+  return from && to ? (from === to ? from : `${from} to ${to}`) : from ? `FROM ${from}` : `UP TO ${to}`;
+}
+
+// business-day date (YYYY-MM-DD) of a record, for offline range filtering
+function localDateKey(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return "";
+  return new Intl.DateTimeFormat("en-CA", { timeZone: businessTimezone() }).format(d);
+}
+
 async function generateReport(type) {
+  if (type === "range") {
+    const from = getVal("reportFrom");
+    const to = getVal("reportTo");
+    if (!from && !to) return alert("Pick a From and/or To date.");
+    if (from && to && from > to) return alert("From must be on or before To.");
+    lastReportRange = { from, to };
+  }
   lastReportType = type;
 
   if (!navigator.onLine) {
-    const totalSales = sales.reduce((sum, s) => sum + (Number(s.amount) || 0), 0);
-    const totalExpenses = expenses.reduce((sum, e) => sum + (Number(e.amount) || 0), 0);
+    const inRange = (r) => {
+      if (type !== "range") return true;
+      const day = localDateKey(r.created_at);
+      return (!lastReportRange.from || day >= lastReportRange.from) && (!lastReportRange.to || day <= lastReportRange.to);
+    };
+    const totalSales = sales.filter(inRange).reduce((sum, s) => sum + saleNetAmount(s), 0);
+    const totalExpenses = expenses.filter(inRange).reduce((sum, e) => sum + (Number(e.amount) || 0), 0);
     const profit = totalSales - totalExpenses;
 
     $("reportResult").innerHTML = `
-      <h3>${type.toUpperCase()} REPORT (OFFLINE SNAPSHOT)</h3>
+      <h3>${escapeHtml(reportLabel(type))} REPORT (OFFLINE SNAPSHOT)</h3>
       <p>Total Sales: ${formatCurrency(totalSales)}</p>
       <p>Total Expenses: ${formatCurrency(totalExpenses)}</p>
       <p>Profit: ${formatCurrency(profit)}</p>
@@ -1009,123 +2050,657 @@ async function generateReport(type) {
     return;
   }
 
-  const report = await api(`/api/finance/report?period=${encodeURIComponent(type)}`);
-  const { totalSales, totalExpenses, profit } = report.totals;
+  const report = await api(`/api/finance/report?${reportQuery(type)}`);
+  const { totalSales, grossSales = totalSales, refunds = 0, voided, totalExpenses, profit, cogs = 0, grossProfit, byMethod = {}, discounts = 0, serviceCharge = 0, vat = 0 } = report.totals;
+  const chargeText = [
+    discounts ? `Discounts ${formatCurrency(discounts)}` : "",
+    serviceCharge ? `Service charge ${formatCurrency(serviceCharge)}` : "",
+    vat ? `VAT ${formatCurrency(vat)}` : ""
+  ].filter(Boolean).join(" · ");
+  const methodText = Object.entries(byMethod)
+    .filter(([, v]) => Number(v))
+    .map(([m, v]) => `${PAYMENT_LABELS[m] || m} ${formatCurrency(v)}`)
+    .join(" · ");
 
   $("reportResult").innerHTML = `
-    <h3>${type.toUpperCase()} REPORT</h3>
-    <p>Total Sales: ${formatCurrency(totalSales)}</p>
+    <h3>${escapeHtml(reportLabel(type))} REPORT</h3>
+    ${refunds ? `<p>Gross Sales: ${formatCurrency(grossSales)} · Refunds: ${formatCurrency(refunds)}</p>` : ""}
+    <p>${refunds ? "Net Sales" : "Total Sales"}: ${formatCurrency(totalSales)}</p>
+    ${voided?.count ? `<p class="hint">${voided.count} voided sale(s) worth ${formatCurrency(voided.amount)} are not counted.</p>` : ""}
+    ${methodText ? `<p class="hint">${escapeHtml(methodText)}</p>` : ""}
+    ${chargeText ? `<p class="hint">Included in sales: ${escapeHtml(chargeText)}</p>` : ""}
+    ${cogs ? `<p>Cost of Goods Sold: ${formatCurrency(cogs)} · Gross Profit: ${formatCurrency(grossProfit)}</p>` : ""}
     <p>Total Expenses: ${formatCurrency(totalExpenses)}</p>
     <p>Profit: ${formatCurrency(profit)}</p>
   `;
   updateMiniChart(totalSales, totalExpenses);
 }
 
-function exportCSV() {
-  if (!lastReportType) return alert("Generate a report first.");
-  if (!navigator.onLine) return alert("You must be online to export server CSV.");
-  window.open(`${API_BASE}/api/finance/export/finance.csv?period=${encodeURIComponent(lastReportType)}`, "_blank");
-}
+async function generateStaffReport(type = lastReportType || "daily") {
+  if (!navigator.onLine) return alert("You must be online to see the staff report.");
 
-/***********************
- * INVENTORY
- ***********************/
-async function addProduct() {
-  const name = cleanStr(getVal("pName"));
-  const sku = cleanStr(getVal("pSku"));
-  const category = normalizeCategory(getVal("pCategory"));
-  let unit = cleanStr(getVal("pUnit")) || "pcs";
-  const reorder_level = toNumber(getVal("pReorder"), 0);
-  const portion_size = toNumber(getVal("pPortionSize"), 0);
+  try {
+    const report = await api(`/api/finance/report/staff?${reportQuery(type)}`);
 
-  if (!name) return alert("Product name is required.");
+    const rows = (report.staff || []).map(s => {
+      const lossText = (s.losses || [])
+        .map(l => `${l.product_name} x${round2(l.qty)}${l.product_unit ? " " + l.product_unit : ""}`)
+        .join(", ");
+      return `
+        <tr>
+          <td>${escapeHtml(s.name)}</td>
+          <td>${escapeHtml(s.role || "")}</td>
+          <td>${s.sales_count}</td>
+          <td>${formatCurrency(s.sales_total)}</td>
+          <td>${s.losses_count}</td>
+          <td>${escapeHtml(lossText)}</td>
+        </tr>
+      `;
+    }).join("");
 
-  let initial_qty_guess = null;
-  if (category === "KITCHEN" && isNumericString(unit)) {
-    initial_qty_guess = toNumber(unit, 0);
-    const unitReal = prompt("You entered a number in Unit.\nEnter the REAL unit (e.g. pcs, kg, packs):", "pcs");
-    if (unitReal === null) return;
-    unit = cleanStr(unitReal) || "pcs";
+    $("reportResult").innerHTML = `
+      <h3>${escapeHtml(reportLabel(type))} SALES & LOSSES BY STAFF</h3>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead>
+            <tr><th>Staff</th><th>Role</th><th>Sales</th><th>Sales Total</th><th>Losses</th><th>Loss Items</th></tr>
+          </thead>
+          <tbody>${rows || `<tr><td colspan="6">No activity in this period.</td></tr>`}</tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    alert(`Staff report failed: ${e.message}`);
   }
+}
 
-  if (category === "SEAFOOD" && portion_size <= 0) {
-    return alert("Seafood needs 'Qty per 1 Portion' (example: 2).");
-  }
+async function generatePaymentsReport(type = lastReportType || "daily") {
+  if (!navigator.onLine) return alert("You must be online to see the payments report.");
 
-  if (category === "KITCHEN" && !unit) {
-    return alert("Other Kitchen Food requires a Unit (e.g. pcs, kg, packs).");
+  try {
+    const report = await api(`/api/finance/report/payments?${reportQuery(type)}`);
+    const methods = report.methods || [];
+    const cells = (row) => methods.map(m => `<td>${formatCurrency(row[m])}</td>`).join("");
+
+    const rows = (report.days || []).map(d => `
+      <tr>
+        <td>${escapeHtml(d.date)}</td>
+        ${cells(d)}
+        <td><b>${formatCurrency(d.total)}</b></td>
+        <td>${d.sales_count}</td>
+        <td>${formatCurrency(d.refunds_total)}</td>
+        <td><b>${formatCurrency(d.net_total)}</b></td>
+      </tr>
+    `).join("");
+
+    $("reportResult").innerHTML = `
+      <h3>${escapeHtml(reportLabel(type))} TAKINGS BY PAYMENT METHOD</h3>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead>
+            <tr><th>Day</th>${methods.map(m => `<th>${escapeHtml(PAYMENT_LABELS[m] || m)}</th>`).join("")}<th>Total</th><th>Sales</th><th>Refunds</th><th>Net</th></tr>
+          </thead>
+          <tbody>
+            ${rows || `<tr><td colspan="${methods.length + 5}">No sales in this period.</td></tr>`}
+            ${rows ? `<tr><td><b>Total</b></td>${cells(report.totals)}<td><b>${formatCurrency(report.totals.total)}</b></td><td>${report.totals.sales_count}</td><td>${formatCurrency(report.totals.refunds_total)}</td><td><b>${formatCurrency(report.totals.net_total)}</b></td></tr>` : ""}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    alert(`Payments report failed: ${e.message}`);
   }
+}
 
-  const initialQtyRaw = prompt("Initial QUANTITY to Stock IN now?", String(initial_qty_guess ?? 0));
-  if (initialQtyRaw === null) return;
-  const initial_qty = toNumber(initialQtyRaw, 0);
-  if (initial_qty < 0) return alert("Initial quantity must be 0 or more.");
+function formatMarginPct(pct) {
+  return pct === null || pct === undefined ? "—" : `${pct}%`;
+}
 
-  const temp = {
-    id: `tmp-${Date.now()}`,
-    name,
-    sku,
-    category,
-    unit: category === "SEAFOOD" ? (unit || "qty") : unit,
-    qty: initial_qty,
-    portion_size: category === "SEAFOOD" ? portion_size : 0,
-    portion: category === "SEAFOOD" ? round2(calcPortionFromQty(initial_qty, portion_size)) : undefined,
-    reorder_level,
-    updated_at: new Date().toISOString()
-  };
+async function generateMarginReport(type = lastReportType || "daily") {
+  if (!navigator.onLine) return alert("You must be online to see the gross margin report.");
 
-  products = dedupeProducts([temp, ...products]);
-  await idbPut("products", temp);
+  try {
+    const report = await api(`/api/finance/report/margin?${reportQuery(type)}`);
+    const t = report.totals;
 
-  renderProductsTables();
-  renderUsageSummary();
+    const dayRows = (report.byDay || []).map(d => `
+      <tr>
+        <td>${escapeHtml(d.date)}</td>
+        <td>${formatCurrency(d.sales)}</td>
+        <td>${formatCurrency(d.cogs)}</td>
+        <td>${formatCurrency(d.gross_profit)}</td>
+        <td>${formatMarginPct(d.margin_pct)}</td>
+      </tr>
+    `).join("");
 
-  setVal("pName", "");
-  setVal("pSku", "");
-  setVal("pUnit", "");
-  setVal("pPortionSize", "");
-  setVal("pReorder", "");
+    const productRows = (report.byProduct || []).map(p => `
+      <tr>
+        <td>${escapeHtml(p.name)}</td>
+        <td>${round2(p.qty_used)} ${escapeHtml(p.unit || "")}${p.uncosted_qty ? ` <span class="hint">(${round2(p.uncosted_qty)} uncosted)</span>` : ""}</td>
+        <td>${formatCurrency(p.revenue)}</td>
+        <td>${formatCurrency(p.cogs)}</td>
+        <td>${formatMarginPct(p.margin_pct)}</td>
+      </tr>
+    `).join("");
 
-  const result = await apiOrQueue({
-    kind: "product_create",
-    path: "/api/inventory/products",
-    options: {
-      method: "POST",
-      body: JSON.stringify({
-        name,
-        sku,
-        category,
-        unit,
-        reorder_level,
-        initial_qty,
-        portion_size: category === "SEAFOOD" ? portion_size : null
-      })
-    }
-  });
+    const saleRows = (report.bySale || []).map(s => `
+      <tr>
+        <td>${escapeHtml(formatDateTime(s.created_at))}</td>
+        <td>${escapeHtml(s.description)}</td>
+        <td>${formatCurrency(s.amount)}</td>
+        <td>${formatCurrency(s.cogs)}${s.uncosted_items ? ` <span class="hint">(${s.uncosted_items} uncosted)</span>` : ""}</td>
+        <td>${formatMarginPct(s.margin_pct)}</td>
+      </tr>
+    `).join("");
 
-  if (!result.ok && result.queued) {
-    alert("✅ Saved offline. This product will sync when online (or tap Sync Now).");
-    return;
+    $("reportResult").innerHTML = `
+      <h3>${escapeHtml(reportLabel(type))} GROSS MARGIN</h3>
+      <p>Sales: ${formatCurrency(t.sales)} · Cost of Goods Sold: ${formatCurrency(t.cogs)} · Gross Profit: ${formatCurrency(t.gross_profit)} (${formatMarginPct(t.margin_pct)})</p>
+      ${t.uncosted_sales || t.sales_without_items ? `<p class="hint">${t.sales_without_items} sale(s) recorded no products used and ${t.uncosted_sales} used products with no cost yet — their margin is overstated. Add a cost when stocking in.</p>` : ""}
+      <h4>By Day</h4>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead><tr><th>Date</th><th>Sales</th><th>COGS</th><th>Gross Profit</th><th>Margin</th></tr></thead>
+          <tbody>${dayRows || `<tr><td colspan="5">No sales in this period.</td></tr>`}</tbody>
+        </table>
+      </div>
+      <h4>By Product</h4>
+      <p class="hint">Each sale's revenue is shared across its products in proportion to their cost.</p>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead><tr><th>Product</th><th>Used</th><th>Revenue</th><th>COGS</th><th>Margin</th></tr></thead>
+          <tbody>${productRows || `<tr><td colspan="5">No products used in this period.</td></tr>`}</tbody>
+        </table>
+      </div>
+      <h4>By Sale</h4>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead><tr><th>Date</th><th>Sale</th><th>Amount</th><th>COGS</th><th>Margin</th></tr></thead>
+          <tbody>${saleRows || `<tr><td colspan="5">No sales in this period.</td></tr>`}</tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    alert(`Gross margin report failed: ${e.message}`);
   }
+}
 
-  if (navigator.onLine && !result.ok) {
-    alert(`Product create failed: ${result.error}`);
-    await bootApp();
-  } else if (navigator.onLine && result.ok) {
-    await bootApp();
+async function generateMenuItemReport(type = lastReportType || "daily") {
+  if (!navigator.onLine) return alert("You must be online to see the menu item report.");
+
+  try {
+    const report = await api(`/api/finance/report/menu-items?${reportQuery(type)}`);
+
+    const rows = (report.items || []).map(i => `
+      <tr>
+        <td>${escapeHtml(i.name)}</td>
+        <td>${escapeHtml(i.category || "")}</td>
+        <td>${round2(i.qty)}</td>
+        <td>${formatCurrency(i.revenue)}</td>
+      </tr>
+    `).join("");
+
+    const lump = report.unitemized || {};
+    $("reportResult").innerHTML = `
+      <h3>${escapeHtml(reportLabel(type))} REVENUE BY MENU ITEM</h3>
+      <p>Itemized: ${formatCurrency(report.totals.itemized)} · Lump-sum sales: ${formatCurrency(report.totals.unitemized)} · Total: ${formatCurrency(report.totals.revenue)}</p>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead>
+            <tr><th>Item</th><th>Category</th><th>Qty Sold</th><th>Revenue</th></tr>
+          </thead>
+          <tbody>
+            ${rows || `<tr><td colspan="4">No itemized sales in this period.</td></tr>`}
+            ${lump.sales_count ? `<tr><td><i>Lump-sum sales (${lump.sales_count})</i></td><td></td><td></td><td>${formatCurrency(lump.revenue)}</td></tr>` : ""}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    alert(`Menu item report failed: ${e.message}`);
   }
 }
 
-async function editProduct(id) {
-  const p = products.find(x => String(x.id) === String(id));
-  if (!p) return alert("Product not found.");
+async function exportPaymentsCSV() {
+  if (!navigator.onLine) return alert("You must be online to export server CSV.");
+  const type = lastReportType || "daily";
 
-  if (isTmpId(p.id)) {
-    return alert("This product is saved offline but not yet synced. Go online and click Sync Now, then edit.");
+  try {
+    await apiDownload(
+      `/api/finance/export/payments.csv?${reportQuery(type)}`,
+      `payments-${type === "range" ? [lastReportRange.from || "start", lastReportRange.to || "now"].join("_") : type}-${localDateKey(new Date())}.csv`
+    );
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
   }
+}
 
-  const name = prompt("Name:", p.name); if (name === null) return;
-  const sku = prompt("SKU:", p.sku || ""); if (sku === null) return;
+// VAT per day (daily/weekly/range) or per month (monthly/yearly), for filing
+async function generateTaxReport(type = lastReportType || "daily") {
+  if (!navigator.onLine) return alert("You must be online to see the tax summary.");
+
+  const group = ["monthly", "yearly"].includes(type) ? "month" : "day";
+  try {
+    const report = await api(`/api/finance/report/tax?${reportQuery(type)}&group=${group}`);
+    const cells = (p) => `
+      <td>${p.sales_count}</td>
+      <td>${formatCurrency(p.taxable)}</td>
+      <td>${formatCurrency(p.vat)}</td>
+      <td>${formatCurrency(p.vat_refunded)}</td>
+      <td><b>${formatCurrency(p.net_vat)}</b></td>
+      <td>${formatCurrency(p.service_charge)}</td>
+      <td>${formatCurrency(p.discounts)}</td>
+    `;
+    const rows = (report.periods || []).map(p => `<tr><td>${escapeHtml(p.period)}</td>${cells(p)}</tr>`).join("");
+
+    $("reportResult").innerHTML = `
+      <h3>${escapeHtml(reportLabel(type))} TAX SUMMARY</h3>
+      <p class="hint">Current VAT rate: ${report.vat_rate}%. Net VAT is what was collected less the VAT share of refunds.</p>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead>
+            <tr><th>${group === "month" ? "Month" : "Day"}</th><th>Sales</th><th>Taxable</th><th>VAT</th><th>VAT Refunded</th><th>Net VAT</th><th>Service Charge</th><th>Discounts</th></tr>
+          </thead>
+          <tbody>
+            ${rows || `<tr><td colspan="8">No sales in this period.</td></tr>`}
+            ${rows ? `<tr><td><b>Total</b></td>${cells(report.totals)}</tr>` : ""}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    alert(`Tax summary failed: ${e.message}`);
+  }
+}
+
+async function exportTaxCSV() {
+  if (!navigator.onLine) return alert("You must be online to export server CSV.");
+  const type = lastReportType || "daily";
+  const group = ["monthly", "yearly"].includes(type) ? "month" : "day";
+
+  try {
+    await apiDownload(
+      `/api/finance/export/tax.csv?${reportQuery(type)}&group=${group}`,
+      `tax-${type === "range" ? [lastReportRange.from || "start", lastReportRange.to || "now"].join("_") : type}-${localDateKey(new Date())}.csv`
+    );
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
+  }
+}
+
+/***********************
+ * END OF DAY (Z-REPORT)
+ ***********************/
+// "₦500 over" / "₦1,200 short" / "Balanced"
+function varianceLabel(n) {
+  const v = round2(n);
+  if (v > 0) return `${formatCurrency(v)} over`;
+  if (v < 0) return `${formatCurrency(-v)} short`;
+  return "Balanced";
+}
+
+async function loadClosingExpected() {
+  if (!navigator.onLine) return alert("You must be online to cash up.");
+
+  const date = getVal("closingDate");
+  try {
+    const day = await api(`/api/finance/closings/expected${date ? `?date=${encodeURIComponent(date)}` : ""}`);
+    setVal("closingDate", day.business_date);
+
+    const rows = day.methods.map(m => `
+      <tr>
+        <td>${escapeHtml(PAYMENT_LABELS[m.method] || m.method)}</td>
+        <td>${formatCurrency(m.sales)}</td>
+        <td>${formatCurrency(m.refunds)}</td>
+        <td><b>${formatCurrency(m.expected)}</b></td>
+      </tr>
+    `).join("");
+
+    $("closingExpected").innerHTML = `
+      <h3>${escapeHtml(day.location.name)} · ${escapeHtml(day.business_date)}${day.closing_id ? " · already closed" : ""}</h3>
+      <p class="hint">${day.sales_count} sale(s) · Net sales ${formatCurrency(day.net_sales)}${day.voided_count ? ` · ${day.voided_count} voided (not counted)` : ""}${day.unspecified ? ` · ${formatCurrency(day.unspecified)} with no payment method (not in the count)` : ""}</p>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead><tr><th>Method</th><th>Sales</th><th>Refunds</th><th>Expected</th></tr></thead>
+          <tbody>
+            ${rows}
+            <tr><td><b>Total</b></td><td></td><td></td><td><b>${formatCurrency(day.expected_total)}</b></td></tr>
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    alert(`Loading expected takings failed: ${e.message}`);
+  }
+}
+
+async function closeDay() {
+  if (!navigator.onLine) return alert("You must be online to close the day.");
+
+  const counted = {
+    cash: parseFloat(getVal("countedCash")),
+    pos: parseFloat(getVal("countedPos")),
+    transfer: parseFloat(getVal("countedTransfer"))
+  };
+  if (!Object.values(counted).every(n => Number.isFinite(n) && n >= 0)) {
+    return alert("Enter what was counted for cash, POS and transfer (0 if none).");
+  }
+
+  const date = getVal("closingDate") || localDateKey(new Date());
+  if (!confirm(`Close ${date} for this branch? The Z-report can't be changed afterwards.`)) return;
+
+  try {
+    const closing = await api("/api/finance/closings", {
+      method: "POST",
+      body: JSON.stringify({ date, counted, note: cleanStr(getVal("closingNote")) })
+    });
+    ["countedCash", "countedPos", "countedTransfer", "closingNote"].forEach(id => setVal(id, ""));
+    $("closingExpected").innerHTML = `<p>✅ ${escapeHtml(closing.business_date)} closed · ${escapeHtml(varianceLabel(closing.variance))}</p>`;
+    await loadClosings();
+    openZReport(closing.id);
+  } catch (e) {
+    alert(`Closing the day failed: ${e.message}`);
+  }
+}
+
+async function loadClosings() {
+  if (!navigator.onLine) return alert("You must be online to see closings.");
+
+  try {
+    const list = await api("/api/finance/closings");
+    $("closingTable").innerHTML = list.length
+      ? list.map(c => `
+          <tr>
+            <td>${escapeHtml(c.business_date)}</td>
+            <td>${escapeHtml(c.location_name)}</td>
+            <td>${formatCurrency(c.expected_total)}</td>
+            <td>${formatCurrency(c.counted_total)}</td>
+            <td class="${c.variance < 0 ? "variance-short" : ""}">${escapeHtml(varianceLabel(c.variance))}${c.note ? `<span class="record-payment">${escapeHtml(c.note)}</span>` : ""}</td>
+            <td>${escapeHtml(c.closed_by_name || "")}<span class="record-payment">${formatDateTime(c.closed_at)}</span></td>
+            <td>
+              <div class="action-buttons">
+                <button class="edit-btn" type="button" onclick="openZReport('${c.id}')">Z-Report</button>
+                <button class="edit-btn" type="button" onclick="exportZReportCSV('${c.id}', '${c.business_date}')">CSV</button>
+              </div>
+            </td>
+          </tr>
+        `).join("")
+      : `<tr><td colspan="7">No days closed yet.</td></tr>`;
+  } catch (e) {
+    alert(`Loading closings failed: ${e.message}`);
+  }
+}
+
+function openZReport(id) {
+  return openPrintable(`/api/finance/closings/${id}/zreport`, "Z-report");
+}
+
+async function exportZReportCSV(id, date) {
+  if (!navigator.onLine) return alert("You must be online to export server CSV.");
+  try {
+    await apiDownload(`/api/finance/closings/${id}/zreport.csv`, `z-report-${date}.csv`);
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
+  }
+}
+
+/***********************
+ * PERIOD LOCK
+ ***********************/
+const PERIOD_LOCK_CACHE_KEY = "seabite_period_lock";
+let periodLock = null; // locked-through business day (YYYY-MM-DD) or null
+
+// records dated on or before the lock can't be changed; the server enforces it, this hides the buttons
+function isPeriodLocked(date) {
+  if (!periodLock || !date) return false;
+  const day = localDateKey(date);
+  return !!day && day <= periodLock;
+}
+
+async function loadPeriodLock() {
+  periodLock = localStorage.getItem(PERIOD_LOCK_CACHE_KEY) || null;
+  if (!navigator.onLine || !can("finance:read")) return;
+
+  try {
+    applyPeriodLock(await api("/api/periods/lock"));
+  } catch (e) {
+    console.warn("Loading the period lock failed:", e.message);
+  }
+}
+
+function renderPeriodLock(state) {
+  const status = $("periodLockStatus");
+  if (status) {
+    status.textContent = state.locked_through
+      ? `🔒 Books locked through ${state.locked_through}. Entries dated on or before it can't be added, changed or deleted.`
+      : "Nothing is locked.";
+  }
+
+  const table = $("periodLockTable");
+  if (!table) return;
+  table.innerHTML = state.history.length
+    ? state.history.map(h => `
+        <tr>
+          <td>${formatDateTime(h.created_at)}</td>
+          <td>${h.action === "unlock" ? "Unlocked" : "Locked"}</td>
+          <td>${escapeHtml(h.previous || "—")} → ${escapeHtml(h.locked_through || "none")}</td>
+          <td>${escapeHtml(h.reason || "")}</td>
+          <td>${escapeHtml(h.created_by_name || "")}</td>
+        </tr>
+      `).join("")
+    : `<tr><td colspan="5">No period has been locked yet.</td></tr>`;
+}
+
+function applyPeriodLock(state) {
+  periodLock = state.locked_through;
+  if (periodLock) localStorage.setItem(PERIOD_LOCK_CACHE_KEY, periodLock);
+  else localStorage.removeItem(PERIOD_LOCK_CACHE_KEY);
+  renderPeriodLock(state);
+}
+
+function afterPeriodLockChange(state) {
+  setVal("periodLockReason", "");
+  applyPeriodLock(state);
+  renderFinanceTable();
+  renderLossTables();
+}
+
+async function lockPeriod() {
+  if (!navigator.onLine) return alert("You must be online to lock a period.");
+
+  const date = getVal("periodLockDate");
+  if (!date) return alert("Pick the last day to lock (e.g. the end of the month you've filed).");
+  if (!confirm(`Lock the books through ${date}? Nothing dated on or before it can be added, changed or deleted until the owner unlocks it.`)) return;
+
+  try {
+    const state = await api("/api/periods/lock", {
+      method: "POST",
+      body: JSON.stringify({ locked_through: date, reason: cleanStr(getVal("periodLockReason")) })
+    });
+    afterPeriodLockChange(state);
+  } catch (e) {
+    alert(`Locking failed: ${e.message}`);
+  }
+}
+
+// owner only: move the lock back to the picked date, or clear it when no date is picked
+async function unlockPeriod() {
+  if (!navigator.onLine) return alert("You must be online to unlock a period.");
+
+  const date = getVal("periodLockDate") || null;
+  const reason = cleanStr(getVal("periodLockReason"));
+  if (!reason) return alert("Enter a reason for unlocking. It is kept in the lock history.");
+  if (!confirm(date ? `Move the lock back to ${date}?` : "Remove the period lock completely?")) return;
+
+  try {
+    const state = await api("/api/periods/unlock", {
+      method: "POST",
+      body: JSON.stringify({ locked_through: date, reason })
+    });
+    afterPeriodLockChange(state);
+  } catch (e) {
+    alert(`Unlocking failed: ${e.message}`);
+  }
+}
+
+async function generateBudgetReport() {
+  if (!navigator.onLine) return alert("You must be online to see the budget report.");
+
+  const month = getVal("budgetMonth") || localDateKey(new Date()).slice(0, 7);
+  setVal("budgetMonth", month);
+
+  try {
+    const report = await api(`/api/finance/report/budget?month=${encodeURIComponent(month)}`);
+    const t = report.totals;
+
+    const rows = (report.categories || []).map(c => `
+      <tr class="${c.over_budget ? "over-budget" : ""}">
+        <td>${escapeHtml(c.name)}</td>
+        <td>${c.budget ? formatCurrency(c.budget) : "—"}</td>
+        <td>${formatCurrency(c.actual)}</td>
+        <td>${c.budget ? formatCurrency(c.remaining) : "—"}</td>
+        <td>${c.used_pct === null ? "—" : `${c.used_pct}%`}${c.over_budget ? " ⚠️ Over" : ""}</td>
+      </tr>
+    `).join("");
+
+    $("reportResult").innerHTML = `
+      <h3>BUDGET VS ACTUAL · ${escapeHtml(report.month)}</h3>
+      <p>Budget: ${formatCurrency(t.budget)} · Spent: ${formatCurrency(t.actual)} · Remaining: ${formatCurrency(t.remaining)}</p>
+      ${t.over_budget_count ? `<p>⚠️ ${t.over_budget_count} categor${t.over_budget_count === 1 ? "y is" : "ies are"} over budget.</p>` : ""}
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead>
+            <tr><th>Category</th><th>Budget</th><th>Actual</th><th>Remaining</th><th>Used</th></tr>
+          </thead>
+          <tbody>${rows || `<tr><td colspan="5">No categories yet.</td></tr>`}</tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    alert(`Budget report failed: ${e.message}`);
+  }
+}
+
+async function exportCSV() {
+  if (!lastReportType) return alert("Generate a report first.");
+  if (!navigator.onLine) return alert("You must be online to export server CSV.");
+
+  try {
+    await apiDownload(
+      `/api/finance/export/finance.csv?${reportQuery()}`,
+      `finance-${lastReportType === "range" ? [lastReportRange.from || "start", lastReportRange.to || "now"].join("_") : lastReportType}-${new Date().toISOString().slice(0, 10)}.csv`
+    );
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
+  }
+}
+
+/***********************
+ * INVENTORY
+ ***********************/
+async function addProduct() {
+  const name = cleanStr(getVal("pName"));
+  const sku = cleanStr(getVal("pSku"));
+  const category = normalizeCategory(getVal("pCategory"));
+  let unit = cleanStr(getVal("pUnit")) || "pcs";
+  const reorder_level = toNumber(getVal("pReorder"), 0);
+  const portion_size = toNumber(getVal("pPortionSize"), 0);
+
+  if (!name) return alert("Product name is required.");
+
+  let initial_qty_guess = null;
+  if (category === "KITCHEN" && isNumericString(unit)) {
+    initial_qty_guess = toNumber(unit, 0);
+    const unitReal = prompt("You entered a number in Unit.\nEnter the REAL unit (e.g. pcs, kg, packs):", "pcs");
+    if (unitReal === null) return;
+    unit = cleanStr(unitReal) || "pcs";
+  }
+
+  if (category === "SEAFOOD" && portion_size <= 0) {
+    return alert("Seafood needs 'Qty per 1 Portion' (example: 2).");
+  }
+
+  if (category === "KITCHEN" && !unit) {
+    return alert("Other Kitchen Food requires a Unit (e.g. pcs, kg, packs).");
+  }
+
+  const initialQtyRaw = prompt("Initial QUANTITY to Stock IN now?", String(initial_qty_guess ?? 0));
+  if (initialQtyRaw === null) return;
+  const initial_qty = toNumber(initialQtyRaw, 0);
+  if (initial_qty < 0) return alert("Initial quantity must be 0 or more.");
+
+  let unit_cost = null;
+  if (initial_qty > 0) {
+    unit_cost = promptUnitCost(`Cost per ${category === "SEAFOOD" ? (unit || "qty") : unit} of this stock (₦, optional):`);
+    if (unit_cost === undefined) return;
+  }
+
+  const temp = {
+    id: `tmp-${Date.now()}`,
+    name,
+    sku,
+    category,
+    unit: category === "SEAFOOD" ? (unit || "qty") : unit,
+    qty: initial_qty,
+    portion_size: category === "SEAFOOD" ? portion_size : 0,
+    portion: category === "SEAFOOD" ? round2(calcPortionFromQty(initial_qty, portion_size)) : undefined,
+    reorder_level,
+    updated_at: new Date().toISOString()
+  };
+
+  products = dedupeProducts([temp, ...products]);
+  await idbPut("products", temp);
+
+  renderProductsTables();
+  renderUsageSummary();
+
+  setVal("pName", "");
+  setVal("pSku", "");
+  setVal("pUnit", "");
+  setVal("pPortionSize", "");
+  setVal("pReorder", "");
+
+  const result = await apiOrQueue({
+    kind: "product_create",
+    path: "/api/inventory/products",
+    options: {
+      method: "POST",
+      body: JSON.stringify({
+        name,
+        sku,
+        category,
+        unit,
+        reorder_level,
+        initial_qty,
+        ...(unit_cost !== null ? { unit_cost } : {}),
+        portion_size: category === "SEAFOOD" ? portion_size : null
+      })
+    }
+  });
+
+  if (!result.ok && result.queued) {
+    alert("✅ Saved offline. This product will sync when online (or tap Sync Now).");
+    return;
+  }
+
+  if (navigator.onLine && !result.ok) {
+    alert(`Product create failed: ${result.error}`);
+    await bootApp();
+  } else if (navigator.onLine && result.ok) {
+    await bootApp();
+  }
+}
+
+async function editProduct(id) {
+  const p = products.find(x => String(x.id) === String(id));
+  if (!p) return alert("Product not found.");
+
+  if (isTmpId(p.id)) {
+    return alert("This product is saved offline but not yet synced. Go online and click Sync Now, then edit.");
+  }
+
+  const name = prompt("Name:", p.name); if (name === null) return;
+  const sku = prompt("SKU:", p.sku || ""); if (sku === null) return;
 
   const category = normalizeCategory(prompt("Category (SEAFOOD or KITCHEN):", p.category || "KITCHEN"));
   if (!category) return;
@@ -1219,6 +2794,18 @@ async function deleteProduct(id) {
   }
 }
 
+// blank -> null (not costed), cancel -> undefined
+function promptUnitCost(message) {
+  while (true) {
+    const raw = prompt(message, "");
+    if (raw === null) return undefined;
+    if (!cleanStr(raw)) return null;
+    const n = Number(raw);
+    if (Number.isFinite(n) && n >= 0) return n;
+    alert("Enter a cost of 0 or more, or leave it blank.");
+  }
+}
+
 async function stockMove(productId, type) {
   const p = products.find(x => String(x.id) === String(productId));
   if (!p) return alert("Product not found.");
@@ -1267,6 +2854,13 @@ async function stockMove(productId, type) {
   const nextQty = type === "IN" ? (toNumber(p.qty, 0) + deltaQtyBase) : (toNumber(p.qty, 0) - deltaQtyBase);
   if (type === "OUT" && nextQty < 0) return alert("Insufficient stock.");
 
+  // what this delivery cost, per portion / unit entered (feeds the average cost)
+  let unit_cost = null;
+  if (type === "IN") {
+    unit_cost = promptUnitCost(`Cost per ${mode === "PORTION" ? "portion" : (p.unit || "unit")} (₦, optional):`);
+    if (unit_cost === undefined) return;
+  }
+
   p.qty = nextQty;
   if (normalizeCategory(p.category) === "SEAFOOD") p.portion = round2(calcPortionFromQty(p.qty, p.portion_size));
   p.updated_at = new Date().toISOString();
@@ -1279,6 +2873,7 @@ async function stockMove(productId, type) {
     type,
     qty: inputQty,
     mode,
+    ...(unit_cost !== null ? { unit_cost } : {}),
     note: note ? `${note} (${label})` : `(${label})`
   };
 
@@ -1357,6 +2952,7 @@ async function recordLoss(productId, reason) {
     reason: String(reason || "").toUpperCase(),
     note,
     created_at: new Date().toISOString(),
+    created_by_name: currentUser?.display_name || "",
     category: normalizeCategory(p.category)
   };
 
@@ -1409,6 +3005,8 @@ function renderLossTables() {
   seafood.sort(sortFn);
   kitchen.sort(sortFn);
 
+  const canDelete = can("losses:delete");
+
   const rowHtml = (l) => {
     const productName = l.product_name || `Product#${l.product_id ?? ""}`;
     const qtyShow = l.display_qty ?? round2(toNumber(l.qty, 0));
@@ -1422,10 +3020,11 @@ function renderLossTables() {
         <td>${round2(qtyShow)}</td>
         <td>${escapeHtml(unitShow)}</td>
         <td>${escapeHtml(reason)}</td>
+        <td>${escapeHtml(l.created_by_name || "")}</td>
         <td>${formatDateTime(date)}</td>
         <td>
           <div class="action-buttons">
-            <button class="delete-btn" type="button" onclick="deleteLoss('${l.id}')">Delete</button>
+            ${canDelete && !isPeriodLocked(date) ? `<button class="delete-btn" type="button" onclick="deleteLoss('${l.id}')">Delete</button>` : ""}
           </div>
         </td>
       </tr>
@@ -1435,20 +3034,20 @@ function renderLossTables() {
   if (seafoodBody) {
     seafoodBody.innerHTML = seafood.length
       ? seafood.map(rowHtml).join("")
-      : `<tr><td colspan="6">No seafood loss records yet.</td></tr>`;
+      : `<tr><td colspan="7">No seafood loss records yet.</td></tr>`;
   }
 
   if (kitchenBody) {
     kitchenBody.innerHTML = kitchen.length
       ? kitchen.map(rowHtml).join("")
-      : `<tr><td colspan="6">No kitchen loss records yet.</td></tr>`;
+      : `<tr><td colspan="7">No kitchen loss records yet.</td></tr>`;
   }
 
   if (!seafoodBody && !kitchenBody && legacyBody) {
     const combined = [...list].sort(sortFn);
     legacyBody.innerHTML = combined.length
       ? combined.map(rowHtml).join("")
-      : `<tr><td colspan="6">No loss records yet.</td></tr>`;
+      : `<tr><td colspan="7">No loss records yet.</td></tr>`;
   }
 }
 
@@ -1487,7 +3086,7 @@ function exportLossCSV() {
   let csv = "";
   csv += "LOSS HISTORY\n";
   csv += `Generated On,${csvEscape(new Date().toLocaleString())}\n\n`;
-  csv += "Category,Product,Qty,Unit,Reason,Date,Note\n";
+  csv += "Category,Product,Qty,Unit,Reason,Recorded By,Date,Note\n";
 
   for (const l of rows) {
     const productName = l.product_name || `Product#${l.product_id ?? ""}`;
@@ -1503,6 +3102,7 @@ function exportLossCSV() {
       csvEscape(round2(qty)),
       csvEscape(unit),
       csvEscape(reason),
+      csvEscape(l.created_by_name || ""),
       csvEscape(date),
       csvEscape(note),
     ].join(",") + "\n";
@@ -1513,43 +3113,716 @@ function exportLossCSV() {
 }
 
 /***********************
- * INVENTORY TABLES
+ * STOCK TRANSFERS (online only: both branches change at once)
  ***********************/
-function renderProductsTables() {
-  const seafoodBody = $("seafoodTable");
-  const kitchenBody = $("kitchenTable");
-  const legacyBody = $("productsTable");
+function renderTransfersTable() {
+  const body = $("transferTable");
+  if (!body) return;
 
-  const seafood = products.filter(p => normalizeCategory(p.category) === "SEAFOOD");
-  const kitchen = products.filter(p => normalizeCategory(p.category) === "KITCHEN");
+  if (!navigator.onLine && !transfers.length) {
+    body.innerHTML = `<tr><td colspan="9">Go online to view transfers.</td></tr>`;
+    return;
+  }
+  if (!transfers.length) {
+    body.innerHTML = `<tr><td colspan="9">No transfers yet.</td></tr>`;
+    return;
+  }
 
-  const sortFn = (a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0);
-  seafood.sort(sortFn);
-  kitchen.sort(sortFn);
+  const here = currentLocationId();
+  const canReceive = can("transfers:receive");
 
-  if (seafoodBody) {
-    seafoodBody.innerHTML = "";
-    if (!seafood.length) {
-      seafoodBody.innerHTML = `<tr><td colspan="6">No seafood products yet.</td></tr>`;
-    } else {
-      seafood.forEach(p => {
-        const portion = round2(calcPortionFromQty(toNumber(p.qty, 0), toNumber(p.portion_size, 0)));
-        const disabled = isTmpId(p.id) ? "disabled" : "";
+  body.innerHTML = transfers.map(t => {
+    const unit = t.product_unit ? ` ${t.product_unit}` : "";
+    const received = t.qty_received === null || t.qty_received === undefined ? "—" : `${round2(toNumber(t.qty_received, 0))}${unit}`;
+    const receivable = canReceive && t.status === "sent" && String(t.to_location_id) === here;
+    const by = t.received_by_name ? `${t.created_by_name || ""} → ${t.received_by_name}` : (t.created_by_name || "");
+
+    return `
+      <tr>
+        <td>${escapeHtml(t.product_name)}</td>
+        <td>${escapeHtml(t.from_location_name)}</td>
+        <td>${escapeHtml(t.to_location_name)}</td>
+        <td>${round2(toNumber(t.qty_sent, 0))}${escapeHtml(unit)}</td>
+        <td>${escapeHtml(received)}</td>
+        <td>${escapeHtml(String(t.status || "").toUpperCase())}</td>
+        <td>${escapeHtml(by)}</td>
+        <td>${formatDateTime(t.received_at || t.created_at)}</td>
+        <td>
+          <div class="action-buttons">
+            ${receivable ? `<button class="in-btn" type="button" onclick="receiveTransfer('${t.id}')">Receive</button>` : ""}
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join("");
+}
+
+async function transferStock(productId) {
+  const p = products.find(x => String(x.id) === String(productId));
+  if (!p) return alert("Product not found.");
+  if (isTmpId(p.id)) return alert("This product is saved offline but not yet synced. Go online and click Sync Now, then try again.");
+  if (!navigator.onLine) return alert("You must be online to transfer stock.");
+
+  const here = currentLocationId();
+  const targets = cachedLocations().filter(l => String(l.id) !== here);
+  if (!targets.length) return alert("Add another location first.");
+
+  const menu = targets.map((l, i) => `${i + 1}. ${l.name}`).join("\n");
+  const pick = prompt(`Send to which location?\n${menu}`, "1");
+  if (pick === null) return;
+  const dest = targets[Number(pick) - 1];
+  if (!dest) return alert("Pick a number from the list.");
+
+  let mode = "QTY";
+  if (normalizeCategory(p.category) === "SEAFOOD") {
+    const modeRaw = prompt("Transfer by: QTY or PORTION?", "QTY");
+    if (modeRaw === null) return;
+    mode = String(modeRaw).trim().toUpperCase() === "PORTION" ? "PORTION" : "QTY";
+  }
+
+  const qtyRaw = prompt(`Enter ${mode === "PORTION" ? "PORTION" : "quantity"} to send to ${dest.name}:`, "1");
+  if (qtyRaw === null) return;
+  const qty = toNumber(qtyRaw, 0);
+  if (!isValidQty(qty)) return alert("Quantity must be > 0");
+
+  const note = prompt("Note (optional):", "") ?? "";
+
+  try {
+    await api("/api/transfers", {
+      method: "POST",
+      body: JSON.stringify({ product_id: p.id, to_location_id: dest.id, qty, mode, note })
+    });
+    alert(`✅ Sent to ${dest.name}. It is added to their stock when they receive it.`);
+  } catch (e) {
+    alert(`Transfer failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+async function receiveTransfer(id) {
+  const t = transfers.find(x => String(x.id) === String(id));
+  if (!t) return alert("Transfer not found.");
+  if (!navigator.onLine) return alert("You must be online to receive a transfer.");
+
+  const sent = round2(toNumber(t.qty_sent, 0));
+  const qtyRaw = prompt(`${t.product_name} from ${t.from_location_name}: ${sent} ${t.product_unit || ""} sent.\nQuantity actually received:`, String(sent));
+  if (qtyRaw === null) return;
+  const qtyReceived = toNumber(qtyRaw, NaN);
+  if (!Number.isFinite(qtyReceived) || qtyReceived < 0) return alert("Quantity must be 0 or more");
+
+  const note = qtyReceived !== sent ? (prompt("What happened? (recorded on the dispute)", "") ?? "") : "";
+
+  try {
+    await api(`/api/transfers/${id}/receive`, {
+      method: "POST",
+      body: JSON.stringify({ qty_received: qtyReceived, note })
+    });
+  } catch (e) {
+    alert(`Receive failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+async function exportTransfersCSV() {
+  if (!navigator.onLine) return alert("You must be online to export server CSV.");
+
+  try {
+    await apiDownload("/api/transfers/export/transfers.csv", `transfers-${new Date().toISOString().slice(0, 10)}.csv`);
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
+  }
+}
+
+/***********************
+ * PURCHASING (online only: suppliers, purchase orders, receiving)
+ ***********************/
+const PO_STATUS_LABELS = {
+  draft: "DRAFT",
+  sent: "SENT",
+  partially_received: "PARTLY RECEIVED",
+  received: "RECEIVED"
+};
+
+async function loadPurchasing() {
+  if (!can("purchasing:read")) {
+    suppliers = [];
+    purchaseOrders = [];
+    supplierBills = [];
+    unbilledReceipts = [];
+    return;
+  }
+  suppliers = await api(`/api/purchasing/suppliers${can("suppliers:manage") ? "?include_inactive=1" : ""}`);
+  purchaseOrders = await api("/api/purchasing/orders");
+  supplierBills = await api("/api/purchasing/bills");
+  unbilledReceipts = can("bills:manage") ? await api("/api/purchasing/receipts?unbilled=1") : [];
+}
+
+function renderPurchasing() {
+  renderPoForm();
+  renderPoLines();
+  renderPurchaseOrderTable();
+  renderBillForm();
+  renderBillTable();
+  renderSupplierTable();
+}
+
+function renderPoForm() {
+  const supplierSelect = $("poSupplier");
+  if (supplierSelect) {
+    const current = supplierSelect.value;
+    const active = suppliers.filter(s => s.is_active);
+    supplierSelect.innerHTML = active.length
+      ? active.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join("")
+      : `<option value="">Add a supplier first</option>`;
+    if (active.some(s => String(s.id) === current)) supplierSelect.value = current;
+  }
+
+  const productSelect = $("poProduct");
+  if (productSelect) {
+    const current = productSelect.value;
+    const usable = products
+      .filter(p => !isTmpId(p.id))
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    productSelect.innerHTML = `<option value="">Product…</option>` + usable
+      .map(p => `<option value="${p.id}">${escapeHtml(p.name)} (${escapeHtml(p.unit || "pcs")})</option>`)
+      .join("");
+    if (usable.some(p => String(p.id) === current)) productSelect.value = current;
+  }
+}
+
+function renderPoLines() {
+  const box = $("poLinesSummary");
+  if (!box) return;
+
+  if (!pendingPoLines.length) {
+    box.textContent = "No lines added.";
+    return;
+  }
+
+  const total = pendingPoLines.reduce((sum, l) => sum + l.qty * l.unit_price, 0);
+  box.innerHTML = pendingPoLines.map((l, i) => {
+    const p = products.find(x => Number(x.id) === Number(l.product_id));
+    return `
+      <span class="sale-line">${round2(l.qty)} ${escapeHtml(p?.unit || "")} ${escapeHtml(p?.name || `Product#${l.product_id}`)} @ ${formatCurrency(l.unit_price)}
+        <button type="button" title="Remove" onclick="removePoLine(${i})">✕</button>
+      </span>
+    `;
+  }).join("") + ` <b>${formatCurrency(round2(total))}</b>`;
+}
+
+function addPoLine() {
+  const product_id = Number(getVal("poProduct"));
+  const qty = toNumber(getVal("poQty"), 0);
+  const unit_price = toNumber(getVal("poUnitPrice"), NaN);
+
+  if (!product_id) return alert("Pick a product.");
+  if (!isValidQty(qty)) return alert("Quantity must be > 0");
+  if (!Number.isFinite(unit_price) || unit_price < 0) return alert("Enter a unit price of 0 or more.");
+
+  pendingPoLines = pendingPoLines.filter(l => l.product_id !== product_id);
+  pendingPoLines.push({ product_id, qty, unit_price });
+
+  setVal("poQty", "");
+  setVal("poUnitPrice", "");
+  renderPoLines();
+}
+
+function removePoLine(index) {
+  pendingPoLines.splice(index, 1);
+  renderPoLines();
+}
+
+async function savePurchaseOrder() {
+  if (!navigator.onLine) return alert("You must be online to raise a purchase order.");
+
+  const supplier_id = Number(getVal("poSupplier"));
+  if (!supplier_id) return alert("Pick a supplier.");
+  if (!pendingPoLines.length) return alert("Add at least one line.");
+
+  try {
+    await api("/api/purchasing/orders", {
+      method: "POST",
+      body: JSON.stringify({
+        supplier_id,
+        lines: pendingPoLines.map(l => ({ product_id: l.product_id, qty: l.qty, unit_price: l.unit_price })),
+        expected_date: getVal("poExpectedDate") || null,
+        note: getVal("poNote").trim()
+      })
+    });
+    pendingPoLines = [];
+    setVal("poExpectedDate", "");
+    setVal("poNote", "");
+  } catch (e) {
+    return alert(`Saving purchase order failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+function renderPurchaseOrderTable() {
+  const body = $("purchaseOrderTable");
+  if (!body) return;
+
+  if (!navigator.onLine && !purchaseOrders.length) {
+    body.innerHTML = `<tr><td colspan="7">Go online to view purchase orders.</td></tr>`;
+    return;
+  }
+  if (!purchaseOrders.length) {
+    body.innerHTML = `<tr><td colspan="7">No purchase orders yet.</td></tr>`;
+    return;
+  }
+
+  const here = currentLocationId();
+  const canManage = can("purchase_orders:manage");
+  const canReceive = can("purchase_orders:receive");
+
+  body.innerHTML = purchaseOrders.map(po => {
+    const lines = (po.lines || []).map(l => {
+      const short = l.qty_short ? ` <span class="hint">(${round2(l.qty_short)} short)</span>` : "";
+      return `${escapeHtml(l.product_name)} ${round2(l.qty_received)}/${round2(l.qty_ordered)} ${escapeHtml(l.product_unit || "")}${short}`;
+    }).join("<br />");
+    const atHere = String(po.location_id) === here;
+    const sendable = canManage && atHere && po.status === "draft";
+    const receivable = canReceive && atHere && ["sent", "partially_received"].includes(po.status);
+
+    return `
+      <tr>
+        <td>#${po.id}<div class="hint">${escapeHtml(po.location_name || "")}</div></td>
+        <td>${escapeHtml(po.supplier_name)}</td>
+        <td>${lines}</td>
+        <td>${formatCurrency(po.total)}</td>
+        <td>${escapeHtml(PO_STATUS_LABELS[po.status] || String(po.status || "").toUpperCase())}</td>
+        <td>${formatDateTime(po.received_at || po.sent_at || po.created_at)}${po.expected_date && !po.received_at ? `<div class="hint">Expected ${escapeHtml(po.expected_date)}</div>` : ""}</td>
+        <td>
+          <div class="action-buttons">
+            ${sendable ? `<button class="edit-btn" type="button" onclick="sendPurchaseOrder('${po.id}')">Mark Sent</button>` : ""}
+            ${receivable ? `<button class="in-btn" type="button" onclick="receivePurchaseOrder('${po.id}')">Receive</button>` : ""}
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join("");
+}
+
+async function sendPurchaseOrder(id) {
+  if (!navigator.onLine) return alert("You must be online to update a purchase order.");
+  if (!confirm(`Mark PO #${id} as sent to the supplier? Its lines can't be changed after this.`)) return;
+
+  try {
+    await api(`/api/purchasing/orders/${id}/send`, { method: "POST" });
+  } catch (e) {
+    alert(`Updating purchase order failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+async function receivePurchaseOrder(id) {
+  const po = purchaseOrders.find(x => String(x.id) === String(id));
+  if (!po) return alert("Purchase order not found.");
+  if (!navigator.onLine) return alert("You must be online to receive a purchase order.");
+
+  const lines = [];
+  let short = false;
+  for (const l of (po.lines || []).filter(x => x.qty_outstanding > 0)) {
+    const raw = prompt(`PO #${po.id} — ${l.product_name}: ${round2(l.qty_outstanding)} ${l.product_unit || ""} outstanding.\nQuantity received now:`, String(round2(l.qty_outstanding)));
+    if (raw === null) return;
+    const qty = toNumber(raw, NaN);
+    if (!Number.isFinite(qty) || qty < 0) return alert("Quantity must be 0 or more");
+    if (qty > l.qty_outstanding) return alert(`Only ${round2(l.qty_outstanding)} outstanding for ${l.product_name}.`);
+    if (qty < l.qty_outstanding) short = true;
+    lines.push({ line_id: l.id, qty_received: qty });
+  }
+
+  // OK = the rest isn't coming; Cancel = keep the PO open for another delivery
+  const close = short
+    ? confirm("Some items came short.\nOK: close the PO (the rest isn't coming).\nCancel: keep it open for another delivery.")
+    : false;
+  const note = short ? (prompt("Note on this delivery (optional):", "") ?? "") : "";
+
+  try {
+    await api(`/api/purchasing/orders/${id}/receive`, {
+      method: "POST",
+      body: JSON.stringify({ lines, close, note })
+    });
+  } catch (e) {
+    alert(`Receive failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+function renderSupplierTable() {
+  const body = $("supplierTable");
+  if (!body) return;
+
+  body.innerHTML = suppliers.length
+    ? suppliers.map(s => `
+        <tr>
+          <td>${escapeHtml(s.name)}${s.contact_name ? `<div class="hint">${escapeHtml(s.contact_name)}</div>` : ""}</td>
+          <td>${escapeHtml(s.phone || "")}</td>
+          <td>${s.is_active ? "Active" : "Inactive"}</td>
+          <td>
+            <div class="action-buttons">
+              <button class="edit-btn" type="button" onclick="editSupplier('${s.id}')">Edit</button>
+              <button class="${s.is_active ? "delete-btn" : "edit-btn"}" type="button" onclick="toggleSupplier('${s.id}')">${s.is_active ? "Deactivate" : "Activate"}</button>
+            </div>
+          </td>
+        </tr>
+      `).join("")
+    : `<tr><td colspan="4">No suppliers yet.</td></tr>`;
+}
+
+async function addSupplier() {
+  if (!navigator.onLine) return alert("You must be online to manage suppliers.");
+
+  const name = getVal("supplierName").trim();
+  if (!name) return alert("Supplier name is required.");
+
+  try {
+    await api("/api/purchasing/suppliers", {
+      method: "POST",
+      body: JSON.stringify({ name, phone: getVal("supplierPhone").trim() })
+    });
+    setVal("supplierName", "");
+    setVal("supplierPhone", "");
+  } catch (e) {
+    return alert(`Adding supplier failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+async function updateSupplier(id, changes) {
+  if (!navigator.onLine) return alert("You must be online to manage suppliers.");
+
+  try {
+    await api(`/api/purchasing/suppliers/${id}`, { method: "PUT", body: JSON.stringify(changes) });
+  } catch (e) {
+    return alert(`Updating supplier failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+async function editSupplier(id) {
+  const s = suppliers.find(x => String(x.id) === String(id));
+  if (!s) return;
+
+  const name = prompt("Supplier name:", s.name);
+  if (name === null) return;
+  const contact_name = prompt("Contact person:", s.contact_name || "");
+  if (contact_name === null) return;
+  const phone = prompt("Phone:", s.phone || "");
+  if (phone === null) return;
+  const email = prompt("Email:", s.email || "");
+  if (email === null) return;
+  const address = prompt("Address:", s.address || "");
+  if (address === null) return;
+
+  await updateSupplier(id, { name: name.trim(), contact_name, phone, email, address });
+}
+
+async function toggleSupplier(id) {
+  const s = suppliers.find(x => String(x.id) === String(id));
+  if (!s) return;
+  if (s.is_active && !confirm(`Deactivate ${s.name}? Existing purchase orders are kept.`)) return;
+  await updateSupplier(id, { is_active: !s.is_active });
+}
+
+/***********************
+ * SUPPLIER BILLS (online only: what we owe, payments, aged payables)
+ ***********************/
+const BILL_STATUS_LABELS = {
+  open: "OPEN",
+  partially_paid: "PART PAID",
+  paid: "PAID"
+};
+
+function renderBillForm() {
+  const supplierSelect = $("billSupplier");
+  if (supplierSelect) {
+    const current = supplierSelect.value;
+    const active = suppliers.filter(s => s.is_active);
+    supplierSelect.innerHTML = active.length
+      ? active.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join("")
+      : `<option value="">Add a supplier first</option>`;
+    if (active.some(s => String(s.id) === current)) supplierSelect.value = current;
+  }
+
+  const receiptSelect = $("billReceipt");
+  if (receiptSelect) {
+    const current = receiptSelect.value;
+    receiptSelect.innerHTML = `<option value="">No delivery (enter amount)</option>` + unbilledReceipts
+      .map(r => `<option value="${r.id}">PO #${r.purchase_order_id} · ${escapeHtml(r.supplier_name)} · ${escapeHtml(formatDateTime(r.received_at))} · ${formatCurrency(r.value)}</option>`)
+      .join("");
+    if (unbilledReceipts.some(r => String(r.id) === current)) receiptSelect.value = current;
+  }
+
+  if ($("billDate") && !getVal("billDate")) setVal("billDate", localDateKey(new Date()));
+}
+
+// picking a delivery fills in its supplier and value
+function onBillReceiptChange() {
+  const r = unbilledReceipts.find(x => String(x.id) === getVal("billReceipt"));
+  if (!r) return;
+  if (suppliers.some(s => s.is_active && Number(s.id) === Number(r.supplier_id))) setVal("billSupplier", String(r.supplier_id));
+  setVal("billAmount", String(r.value));
+}
+
+function renderBillTable() {
+  const body = $("billTable");
+  if (!body) return;
+
+  body.innerHTML = supplierBills.length
+    ? supplierBills.map(b => `
+        <tr>
+          <td>#${b.id}${b.bill_number ? ` · ${escapeHtml(b.bill_number)}` : ""}${b.purchase_order_id ? `<div class="hint">PO #${b.purchase_order_id}</div>` : ""}</td>
+          <td>${escapeHtml(b.supplier_name)}</td>
+          <td>${escapeHtml(b.due_date)}</td>
+          <td>${formatCurrency(b.amount)}</td>
+          <td>${formatCurrency(b.paid)}</td>
+          <td>${formatCurrency(b.balance)}</td>
+          <td>${BILL_STATUS_LABELS[b.status] || escapeHtml(b.status)}</td>
+          <td>
+            <div class="action-buttons">
+              ${b.balance > 0 && can("bills:pay") ? `<button class="edit-btn" type="button" onclick="paySupplierBill('${b.id}')">Pay</button>` : ""}
+            </div>
+          </td>
+        </tr>
+      `).join("")
+    : `<tr><td colspan="8">No supplier bills yet.</td></tr>`;
+}
+
+async function addSupplierBill() {
+  if (!navigator.onLine) return alert("You must be online to add a supplier bill.");
+
+  const receiptId = getVal("billReceipt");
+  const supplierId = getVal("billSupplier");
+  const amount = toNumber(getVal("billAmount"), NaN);
+  const billDate = getVal("billDate");
+  const dueDate = getVal("billDueDate") || billDate;
+
+  if (!receiptId && !supplierId) return alert("Choose a supplier.");
+  if (!Number.isFinite(amount) || amount <= 0) return alert("Amount must be greater than 0.");
+  if (dueDate && billDate && dueDate < billDate) return alert("Due date cannot be before the bill date.");
+
+  const payload = {
+    supplier_id: Number(supplierId),
+    amount,
+    bill_number: getVal("billNumber").trim(),
+    bill_date: billDate || undefined,
+    due_date: dueDate || undefined
+  };
+  if (receiptId) payload.receipt_id = Number(receiptId);
+
+  try {
+    await api("/api/purchasing/bills", { method: "POST", body: JSON.stringify(payload) });
+    ["billReceipt", "billNumber", "billAmount", "billDueDate"].forEach(id => setVal(id, ""));
+  } catch (e) {
+    return alert(`Adding bill failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+async function paySupplierBill(id) {
+  const b = supplierBills.find(x => String(x.id) === String(id));
+  if (!b) return alert("Bill not found.");
+  if (!navigator.onLine) return alert("You must be online to pay a bill.");
+
+  const raw = prompt(`Bill #${b.id} — ${b.supplier_name}\nBalance: ${formatCurrency(b.balance)}\nAmount to pay:`, String(b.balance));
+  if (raw === null) return;
+  const amount = toNumber(raw, NaN);
+  if (!Number.isFinite(amount) || amount <= 0) return alert("Amount must be greater than 0.");
+  if (round2(amount) > b.balance) return alert(`Only ${formatCurrency(b.balance)} is outstanding.`);
+
+  const method = (prompt("Paid by (cash, pos or transfer):", "transfer") || "").trim().toLowerCase();
+  if (!method) return;
+  if (!["cash", "pos", "transfer"].includes(method)) return alert("Payment method must be cash, pos or transfer.");
+
+  const createExpense = can("expenses:create")
+    && confirm("Also record this payment as an expense?\nOK: add it to expenses.\nCancel: payment only (e.g. the stock was already expensed).");
+
+  try {
+    await api(`/api/purchasing/bills/${id}/payments`, {
+      method: "POST",
+      body: JSON.stringify({ amount, method, create_expense: createExpense })
+    });
+  } catch (e) {
+    return alert(`Payment failed: ${e.message}`);
+  }
+  await bootApp();
+}
+
+async function generatePayablesReport() {
+  if (!navigator.onLine) return alert("You must be online to see aged payables.");
+
+  try {
+    const report = await api("/api/purchasing/report/payables");
+    const buckets = report.buckets || [];
+
+    const supplierRows = (report.suppliers || []).map(s => `
+      <tr>
+        <td>${escapeHtml(s.supplier_name)}</td>
+        ${buckets.map(b => `<td>${formatCurrency(s[b.key])}</td>`).join("")}
+        <td><strong>${formatCurrency(s.total)}</strong></td>
+      </tr>
+    `).join("");
+
+    $("payablesResult").innerHTML = `
+      <h3>AGED PAYABLES AS OF ${escapeHtml(report.as_of)}</h3>
+      <p>Total owed: ${formatCurrency(report.totals.total)}</p>
+      <div class="table-wrap">
+        <table class="records-table">
+          <thead><tr><th>Supplier</th>${buckets.map(b => `<th>${escapeHtml(b.label)}</th>`).join("")}<th>Total</th></tr></thead>
+          <tbody>
+            ${supplierRows || `<tr><td colspan="${buckets.length + 2}">Nothing owed.</td></tr>`}
+            ${supplierRows ? `<tr><td><strong>TOTAL</strong></td>${buckets.map(b => `<td><strong>${formatCurrency(report.totals[b.key])}</strong></td>`).join("")}<td><strong>${formatCurrency(report.totals.total)}</strong></td></tr>` : ""}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    alert(`Aged payables failed: ${e.message}`);
+  }
+}
+
+async function exportPayablesCSV() {
+  if (!navigator.onLine) return alert("You must be online to export payables.");
+  try {
+    await apiDownload("/api/purchasing/export/payables.csv", `aged-payables-${new Date().toISOString().slice(0, 10)}.csv`);
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
+  }
+}
+
+/***********************
+ * AUDIT LOG (online only)
+ ***********************/
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_HIDDEN_FIELDS = new Set(["id", "created_at", "updated_at", "created_by", "updated_by"]);
+let auditRows = [];
+
+function auditValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+// update: only the fields that changed; create/delete: the record's fields
+function auditChanges(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+
+  if (entry.action === "update") {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(k => !AUDIT_HIDDEN_FIELDS.has(k))
+      .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+
+    if (!keys.length) return "No field changes";
+    return keys
+      .map(k => `<b>${escapeHtml(k)}</b>: ${escapeHtml(auditValue(before[k]))} → ${escapeHtml(auditValue(after[k]))}`)
+      .join("<br>");
+  }
+
+  const rec = entry.action === "delete" ? before : after;
+  return Object.keys(rec)
+    .filter(k => !AUDIT_HIDDEN_FIELDS.has(k) && rec[k] !== null && rec[k] !== "")
+    .map(k => `<b>${escapeHtml(k)}</b>: ${escapeHtml(auditValue(rec[k]))}`)
+    .join("<br>");
+}
+
+function renderAuditTable(total) {
+  const body = $("auditTable");
+  if (!body) return;
+
+  body.innerHTML = auditRows.length
+    ? auditRows.map(a => `
+        <tr>
+          <td>${formatDateTime(a.created_at)}</td>
+          <td>${escapeHtml(a.actor_name || "—")}</td>
+          <td>${escapeHtml(String(a.action || "").toUpperCase())}</td>
+          <td>${escapeHtml(a.entity)} #${escapeHtml(a.entity_id || "")}</td>
+          <td>${escapeHtml(a.location_name || "All")}</td>
+          <td><div class="audit-changes">${auditChanges(a)}</div></td>
+        </tr>
+      `).join("")
+    : `<tr><td colspan="6">No audit entries match these filters.</td></tr>`;
+
+  const more = $("auditMoreBtn");
+  if (more) more.style.display = auditRows.length < total ? "" : "none";
+
+  const status = $("auditStatus");
+  if (status) status.textContent = total ? `Showing ${auditRows.length} of ${total}` : "";
+}
+
+async function loadAuditLog(append = false) {
+  if (!navigator.onLine) return alert("You must be online to view the audit log.");
+
+  const params = new URLSearchParams({
+    limit: String(AUDIT_PAGE_SIZE),
+    offset: String(append ? auditRows.length : 0),
+  });
+  const filters = { entity: "auditEntity", action: "auditAction", from: "auditFrom", to: "auditTo" };
+  for (const [key, id] of Object.entries(filters)) {
+    const v = cleanStr(getVal(id));
+    if (v) params.set(key, v);
+  }
+
+  try {
+    const page = await api(`/api/audit?${params.toString()}`);
+    auditRows = append ? [...auditRows, ...(page.rows || [])] : (page.rows || []);
+    renderAuditTable(page.total || 0);
+  } catch (e) {
+    alert(`Audit log failed: ${e.message}`);
+  }
+}
+
+/***********************
+ * INVENTORY TABLES
+ ***********************/
+// weighted-average cost per base unit, once the product has a costed stock-in
+function productCostTag(p) {
+  if (p.avg_cost === null || p.avg_cost === undefined) return "";
+  return `<span class="record-category" title="Average cost">${formatCurrency(round2(p.avg_cost))} / ${escapeHtml(p.unit || "unit")}</span>`;
+}
+
+function renderProductsTables() {
+  const seafoodBody = $("seafoodTable");
+  const kitchenBody = $("kitchenTable");
+  const legacyBody = $("productsTable");
+
+  const seafood = products.filter(p => normalizeCategory(p.category) === "SEAFOOD");
+  const kitchen = products.filter(p => normalizeCategory(p.category) === "KITCHEN");
+
+  const sortFn = (a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0);
+  seafood.sort(sortFn);
+  kitchen.sort(sortFn);
+
+  // only draw the buttons the current role is allowed to use
+  const actionButtons = (p, disabled = "") => [
+    can("stock:in") ? `<button class="in-btn" type="button" ${disabled} onclick="stockMove('${p.id}', 'IN')">Stock IN</button>` : "",
+    can("stock:out") ? `<button class="out-btn" type="button" ${disabled} onclick="stockMove('${p.id}', 'OUT')">Stock OUT</button>` : "",
+    can("losses:create") ? `<button class="warn-btn" type="button" ${disabled} onclick="recordLoss('${p.id}', 'SPOILAGE')">Spoilage</button>` : "",
+    can("losses:create") ? `<button class="warn-btn" type="button" ${disabled} onclick="recordLoss('${p.id}', 'MISHANDLING')">Mishandling</button>` : "",
+    can("transfers:create") && cachedLocations().length > 1 ? `<button class="out-btn" type="button" ${disabled} onclick="transferStock('${p.id}')">Transfer</button>` : "",
+    can("products:update") ? `<button class="edit-btn" type="button" ${disabled} onclick="editProduct('${p.id}')">Edit</button>` : "",
+    can("products:delete") ? `<button class="delete-btn" type="button" onclick="deleteProduct('${p.id}')">Delete</button>` : "",
+  ].filter(Boolean).join("\n                ");
+
+  if (seafoodBody) {
+    seafoodBody.innerHTML = "";
+    if (!seafood.length) {
+      seafoodBody.innerHTML = `<tr><td colspan="6">No seafood products yet.</td></tr>`;
+    } else {
+      seafood.forEach(p => {
+        const portion = round2(calcPortionFromQty(toNumber(p.qty, 0), toNumber(p.portion_size, 0)));
+        const disabled = isTmpId(p.id) ? "disabled" : "";
         seafoodBody.innerHTML += `
           <tr>
-            <td>${escapeHtml(p.name)}</td>
+            <td>${escapeHtml(p.name)}${productCostTag(p)}</td>
             <td>${escapeHtml(p.sku || "")}</td>
             <td>${round2(toNumber(p.qty, 0))}</td>
             <td>${portion}</td>
             <td>${toNumber(p.reorder_level, 0)}</td>
             <td>
               <div class="inv-actions">
-                <button class="in-btn" type="button" ${disabled} onclick="stockMove('${p.id}', 'IN')">Stock IN</button>
-                <button class="out-btn" type="button" ${disabled} onclick="stockMove('${p.id}', 'OUT')">Stock OUT</button>
-                <button class="warn-btn" type="button" ${disabled} onclick="recordLoss('${p.id}', 'SPOILAGE')">Spoilage</button>
-                <button class="warn-btn" type="button" ${disabled} onclick="recordLoss('${p.id}', 'MISHANDLING')">Mishandling</button>
-                <button class="edit-btn" type="button" ${disabled} onclick="editProduct('${p.id}')">Edit</button>
-                <button class="delete-btn" type="button" onclick="deleteProduct('${p.id}')">Delete</button>
+                ${actionButtons(p, disabled)}
               </div>
               ${isTmpId(p.id) ? `<div class="hint" style="margin-top:6px;">Saved offline — will sync automatically.</div>` : ""}
             </td>
@@ -1559,282 +3832,1001 @@ function renderProductsTables() {
     }
   }
 
-  if (kitchenBody) {
-    kitchenBody.innerHTML = "";
-    if (!kitchen.length) {
-      kitchenBody.innerHTML = `<tr><td colspan="6">No kitchen products yet.</td></tr>`;
-    } else {
-      kitchen.forEach(p => {
-        const disabled = isTmpId(p.id) ? "disabled" : "";
-        kitchenBody.innerHTML += `
+  if (kitchenBody) {
+    kitchenBody.innerHTML = "";
+    if (!kitchen.length) {
+      kitchenBody.innerHTML = `<tr><td colspan="6">No kitchen products yet.</td></tr>`;
+    } else {
+      kitchen.forEach(p => {
+        const disabled = isTmpId(p.id) ? "disabled" : "";
+        kitchenBody.innerHTML += `
+          <tr>
+            <td>${escapeHtml(p.name)}${productCostTag(p)}</td>
+            <td>${escapeHtml(p.sku || "")}</td>
+            <td>${round2(toNumber(p.qty, 0))}</td>
+            <td>${escapeHtml(p.unit || "pcs")}</td>
+            <td>${toNumber(p.reorder_level, 0)}</td>
+            <td>
+              <div class="inv-actions">
+                ${actionButtons(p, disabled)}
+              </div>
+              ${isTmpId(p.id) ? `<div class="hint" style="margin-top:6px;">Saved offline — will sync automatically.</div>` : ""}
+            </td>
+          </tr>
+        `;
+      });
+    }
+  }
+
+  if (legacyBody && !seafoodBody && !kitchenBody) {
+    legacyBody.innerHTML = "";
+    if (!products.length) {
+      legacyBody.innerHTML = `<tr><td colspan="6">No products yet.</td></tr>`;
+      return;
+    }
+    const all = [...products].sort(sortFn);
+    all.forEach(p => {
+      legacyBody.innerHTML += `
+        <tr>
+          <td>${escapeHtml(p.name)}</td>
+          <td>${escapeHtml(p.sku || "")}</td>
+          <td>${escapeHtml(p.unit || "pcs")}</td>
+          <td>${round2(toNumber(p.qty, 0))}</td>
+          <td>${toNumber(p.reorder_level, 0)}</td>
+          <td>
+            <div class="inv-actions">
+              ${actionButtons(p)}
+            </div>
+          </td>
+        </tr>
+      `;
+    });
+  }
+}
+
+/***********************
+ * INVENTORY EXPORT/EMAIL
+ ***********************/
+async function downloadInventoryCSV() {
+  if (!navigator.onLine) return alert("You must be online to export server CSV.");
+
+  try {
+    await apiDownload("/api/inventory/export/inventory.csv", "inventory.csv");
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
+  }
+}
+
+async function emailInventoryCSV() {
+  if (!navigator.onLine) return alert("You must be online to email inventory CSV.");
+
+  const to = getVal("invEmail").trim();
+  if (!to) return alert("Enter recipient email.");
+
+  const status = $("invStatus");
+  if (status) status.textContent = "Sending...";
+
+  try {
+    const resp = await api("/api/inventory/email/inventory", {
+      method: "POST",
+      body: JSON.stringify({ to })
+    });
+
+    if (status) status.textContent = `✅ Sent! ${JSON.stringify(resp)}`;
+    setVal("invEmail", "");
+  } catch (e) {
+    const payload = e.data || { error: e.message };
+    if (status) status.textContent = `❌ Failed: ${JSON.stringify(payload)}`;
+
+    const msg = payload?.error || e.message || "";
+
+    if (isMailNotConfigured(payload) || isNetworkMailError(msg)) {
+      const ok = confirm("SMTP email is not available right now. Use Email (Easy) instead?");
+      if (ok) return emailInventoryEasy();
+    }
+
+    alert(`❌ Inventory email failed: ${msg}`);
+  }
+}
+
+async function emailInventoryEasy() {
+  const to = getVal("invEmail").trim();
+  if (!to) return alert("Enter recipient email.");
+
+  const status = $("invStatus");
+  if (status) status.textContent = "Opening email app...";
+
+  const csvUrl = `${API_BASE}/api/inventory/export/inventory.csv`;
+
+  const body =
+`Hello,
+
+Please find the Inventory Report.
+
+✅ Please attach the downloaded CSV file to this email.
+
+Download link (CSV):
+${csvUrl}
+
+Generated: ${new Date().toLocaleString()}
+
+Regards.`;
+
+  openMailto(to, "Inventory Report - SeaBite Tracker", body);
+
+  if (navigator.onLine) {
+    setTimeout(async () => {
+      await downloadInventoryCSV();
+      if (status) status.textContent = "✅ Email opened. CSV downloaded — attach it to the email.";
+    }, 600);
+  } else {
+    if (status) status.textContent = "✅ Email opened. Go online to download the CSV attachment.";
+  }
+}
+
+/***********************
+ * QUEUE SYNC
+ ***********************/
+function extractServerProduct(resp) {
+  if (!resp) return null;
+  if (resp.id) return resp;
+  if (resp.product?.id) return resp.product;
+  if (resp.data?.product?.id) return resp.data.product;
+  return null;
+}
+
+function extractServerLoss(resp) {
+  if (!resp) return null;
+  if (resp.product_id) return resp;
+  if (resp.loss?.product_id) return resp.loss;
+  if (resp.data?.loss?.product_id) return resp.data.loss;
+  return null;
+}
+
+async function removeTmpProductsMatching(serverProduct) {
+  const key = productMatchKey(serverProduct);
+  const localList = await idbGetAll("products");
+  const tmpMatches = (localList || []).filter(p => isTmpId(p.id) && productMatchKey(p) === key);
+  for (const tmp of tmpMatches) await idbDelete("products", tmp.id);
+}
+
+async function removeTmpLossesMatching(serverLoss) {
+  const localList = await idbGetAll("losses");
+  const tmpMatches = (localList || []).filter(l => isTmpId(l.id) && isSameLoss(l, serverLoss));
+  for (const tmp of tmpMatches) await idbDelete("losses", tmp.id);
+}
+
+async function flushQueue() {
+  if (!navigator.onLine) return;
+
+  const items = await queueAll();
+  if (!items.length) return;
+
+  const sessions = getSessions();
+  // people whose pinned token was refused: their items wait, everyone else's still sync
+  const waiting = new Set();
+
+  for (const item of items) {
+    if (waiting.has(String(item.actor_id))) continue;
+
+    try {
+      // the pinned token may have expired; the signed-in person's own items use their current token
+      const active = getAuth();
+      const options = String(item.actor_id) === String(currentUser?.id) && isSessionValid(active)
+        ? { ...item.options, headers: { ...(item.options?.headers || {}), Authorization: `Bearer ${active.token}` } }
+        : item.options;
+
+      const resp = await api(item.path, options);
+
+      if (item.kind === "product_create") {
+        const serverProduct = extractServerProduct(resp);
+        if (serverProduct) await removeTmpProductsMatching(serverProduct);
+      }
+
+      if (item.kind === "stock_loss") {
+        const serverLoss = extractServerLoss(resp?.loss || resp);
+        if (serverLoss) await removeTmpLossesMatching(serverLoss);
+      }
+
+      await queueClearItem(item.qid);
+    } catch (e) {
+      // that person's session is gone: keep their items for when they unlock again, carry on with the rest
+      if (e?.status === 401) {
+        waiting.add(String(item.actor_id));
+        continue;
+      }
+
+      if (typeof e?.status === "number") {
+        console.error("Dropped queued item (server rejected):", item, e);
+        await queueClearItem(item.qid);
+        alert(`⚠️ A queued item was rejected by the server and removed from queue:\n${e.message}`);
+        continue;
+      }
+      break;
+    }
+  }
+
+  if (waiting.size) {
+    const names = [...waiting].map(id => {
+      const who = sessions[id]?.user;
+      return who ? (who.display_name || who.username) : "a signed-out user";
+    });
+    alert(`⚠️ Offline actions by ${names.join(", ")} need them to unlock once online before they can sync.`);
+  }
+
+  await setQueueUI();
+  await bootApp();
+}
+
+$("syncBtn")?.addEventListener("click", async () => {
+  await flushQueue();
+  alert("✅ Sync complete (or nothing to sync).");
+});
+
+window.addEventListener("online", async () => { setNetUI(); await flushQueue(); });
+window.addEventListener("offline", () => setNetUI());
+
+/***********************
+ * ADMIN RESET DATABASE
+ ***********************/
+function initAdminReset() {
+  const panel = $("adminPanel");
+  const btn = $("resetDbBtn");
+  const tokenInput = $("adminResetToken");
+  const status = $("adminStatus");
+
+  if (!panel || !btn || !tokenInput) return;
+
+  tokenInput.addEventListener("input", () => {
+    panel.style.display = "block";
+  });
+
+  panel.style.display = "block";
+
+  btn.addEventListener("click", async () => {
+    if (!navigator.onLine) return alert("You must be online to reset database.");
+
+    const token = tokenInput.value.trim();
+    if (!token) return alert("Enter admin reset token first.");
+
+    const confirmText = prompt("Type RESET to confirm database reset:");
+    if (confirmText !== "RESET") return alert("Cancelled.");
+
+    if (status) status.textContent = "Resetting...";
+
+    try {
+      const resp = await api("/api/admin/reset", {
+        method: "POST",
+        headers: { "x-admin-reset-token": token },
+        body: JSON.stringify({ token })
+      });
+
+      await hardClearOfflineData();
+
+      sales = [];
+      expenses = [];
+      products = [];
+      losses = [];
+      pendingUsage = [];
+      lastReportType = null;
+
+      renderFinanceTable();
+      renderProductsTables();
+      renderLossTables();
+      renderUsageSummary();
+      await setQueueUI();
+
+      if (status) status.textContent = `✅ Reset done: ${JSON.stringify(resp)}`;
+
+      await bootApp();
+      alert("✅ Database reset completed. Offline cache cleared.");
+    } catch (e) {
+      const payload = e.data || { error: e.message };
+      if (status) status.textContent = `❌ Reset failed: ${JSON.stringify(payload)}`;
+      alert(`Reset failed: ${payload.error || e.message}`);
+    }
+  });
+}
+
+/***********************
+ * API KEYS (owner, online only)
+ ***********************/
+function renderApiKeyScopes(scopes) {
+  const box = $("apiKeyScopes");
+  if (!box || box.dataset.ready) return;
+  box.innerHTML = scopes
+    .map(sc => `<label><input type="checkbox" value="${escapeHtml(sc)}" /> ${escapeHtml(sc)}</label>`)
+    .join("");
+  box.dataset.ready = "1";
+}
+
+async function loadApiKeys() {
+  if (!navigator.onLine) return alert("You must be online to manage API keys.");
+
+  try {
+    const data = await api("/api/auth/api-keys");
+    renderApiKeyScopes(data.scopes || []);
+
+    const body = $("apiKeyTable");
+    if (!body) return;
+    const keys = data.keys || [];
+
+    body.innerHTML = keys.length
+      ? keys.map(k => `
           <tr>
-            <td>${escapeHtml(p.name)}</td>
-            <td>${escapeHtml(p.sku || "")}</td>
-            <td>${round2(toNumber(p.qty, 0))}</td>
-            <td>${escapeHtml(p.unit || "pcs")}</td>
-            <td>${toNumber(p.reorder_level, 0)}</td>
+            <td>${escapeHtml(k.name)}</td>
+            <td><code>${escapeHtml(k.key_prefix)}…</code></td>
+            <td>${escapeHtml((k.scopes || []).join(", "))}</td>
+            <td>${formatDateTime(k.created_at)}${k.created_by_name ? ` · ${escapeHtml(k.created_by_name)}` : ""}</td>
+            <td>${k.last_used_at ? formatDateTime(k.last_used_at) : "Never"}</td>
+            <td>${k.revoked_at ? `Revoked ${formatDateTime(k.revoked_at)}` : "Active"}</td>
             <td>
-              <div class="inv-actions">
-                <button class="in-btn" type="button" ${disabled} onclick="stockMove('${p.id}', 'IN')">Stock IN</button>
-                <button class="out-btn" type="button" ${disabled} onclick="stockMove('${p.id}', 'OUT')">Stock OUT</button>
-                <button class="warn-btn" type="button" ${disabled} onclick="recordLoss('${p.id}', 'SPOILAGE')">Spoilage</button>
-                <button class="warn-btn" type="button" ${disabled} onclick="recordLoss('${p.id}', 'MISHANDLING')">Mishandling</button>
-                <button class="edit-btn" type="button" ${disabled} onclick="editProduct('${p.id}')">Edit</button>
-                <button class="delete-btn" type="button" onclick="deleteProduct('${p.id}')">Delete</button>
+              <div class="action-buttons">
+                ${k.revoked_at ? "" : `<button class="delete-btn" type="button" onclick="revokeApiKey('${k.id}')">Revoke</button>`}
               </div>
-              ${isTmpId(p.id) ? `<div class="hint" style="margin-top:6px;">Saved offline — will sync automatically.</div>` : ""}
             </td>
           </tr>
-        `;
-      });
+        `).join("")
+      : `<tr><td colspan="7">No API keys yet.</td></tr>`;
+  } catch (e) {
+    alert(`Loading API keys failed: ${e.message}`);
+  }
+}
+
+async function createApiKey() {
+  if (!navigator.onLine) return alert("You must be online to manage API keys.");
+
+  const name = cleanStr(getVal("apiKeyName"));
+  const scopes = [...document.querySelectorAll("#apiKeyScopes input:checked")].map(el => el.value);
+  if (!name) return alert("Give the key a name.");
+  if (!scopes.length) return alert("Pick at least one scope.");
+
+  try {
+    const created = await api("/api/auth/api-keys", {
+      method: "POST",
+      body: JSON.stringify({ name, scopes })
+    });
+
+    const status = $("apiKeyStatus");
+    if (status) {
+      status.innerHTML = `✅ Key for <b>${escapeHtml(created.name)}</b>: <code>${escapeHtml(created.key)}</code><br>Copy it now — it will not be shown again.`;
     }
+    setVal("apiKeyName", "");
+    document.querySelectorAll("#apiKeyScopes input:checked").forEach(el => { el.checked = false; });
+    await loadApiKeys();
+  } catch (e) {
+    alert(`Creating API key failed: ${e.message}`);
   }
+}
 
-  if (legacyBody && !seafoodBody && !kitchenBody) {
-    legacyBody.innerHTML = "";
-    if (!products.length) {
-      legacyBody.innerHTML = `<tr><td colspan="6">No products yet.</td></tr>`;
-      return;
+async function revokeApiKey(id) {
+  if (!confirm("Revoke this API key? Integrations using it will stop working immediately.")) return;
+
+  try {
+    await api(`/api/auth/api-keys/${id}/revoke`, { method: "POST" });
+    await loadApiKeys();
+  } catch (e) {
+    alert(`Revoking API key failed: ${e.message}`);
+  }
+}
+
+/***********************
+ * DISCOUNTS, SERVICE CHARGE & VAT
+ ***********************/
+const SETTINGS_CACHE_KEY = "seabite_settings";
+let businessSettings = { vat_rate: 7.5, service_charge_rate: 10 };
+
+// same sums as the server (Backend/utils/charges.js); the server's total is the one kept
+function saleCharges(subtotal, { discount = null, serviceCharge = false } = {}, rates = {}) {
+  const sub = round2(subtotal);
+  let discountAmount = 0;
+  if (discount?.type === "percent") discountAmount = round2(sub * discount.value / 100);
+  if (discount?.type === "fixed") discountAmount = round2(discount.value);
+
+  const afterDiscount = round2(sub - discountAmount);
+  const service = serviceCharge ? round2(afterDiscount * (Number(rates.service_charge_rate) || 0) / 100) : 0;
+  const tax = round2((afterDiscount + service) * (Number(rates.tax_rate) || 0) / 100);
+
+  return {
+    subtotal: sub,
+    discount_amount: discountAmount,
+    service_charge: service,
+    tax,
+    total: round2(afterDiscount + service + tax)
+  };
+}
+
+// discount on the add-sale form (null when none given)
+function saleDiscountFromForm() {
+  const type = getVal("saleDiscountType");
+  const value = toNumber(getVal("saleDiscountValue"));
+  if (!type || !(value > 0) || !can("sales:discount")) return null;
+  return { type, value, reason: cleanStr(getVal("saleDiscountReason")) };
+}
+
+function saleFormSubtotal() {
+  return pendingLines.length ? saleLinesTotal() : toNumber(getVal("saleAmount"));
+}
+
+function saleFormCharges(subtotal = saleFormSubtotal()) {
+  return saleCharges(
+    subtotal,
+    { discount: saleDiscountFromForm(), serviceCharge: Boolean($("saleServiceCharge")?.checked) },
+    { tax_rate: businessSettings.vat_rate, service_charge_rate: businessSettings.service_charge_rate }
+  );
+}
+
+// "Subtotal ₦10,000 · Discount −₦1,000 · Service ₦900 · VAT ₦742.50"
+function chargesText(c) {
+  return [
+    `Subtotal ${formatCurrency(c.subtotal)}`,
+    Number(c.discount_amount) ? `Discount −${formatCurrency(c.discount_amount)}` : "",
+    Number(c.service_charge) ? `Service ${formatCurrency(c.service_charge)}` : "",
+    Number(c.tax) ? `VAT ${formatCurrency(c.tax)}` : ""
+  ].filter(Boolean).join(" · ");
+}
+
+// breakdown for the records table; older sales (no subtotal) have none
+function saleChargesNote(s) {
+  if (s.subtotal === null || s.subtotal === undefined) return "";
+  if (!Number(s.discount_amount) && !Number(s.service_charge) && !Number(s.tax)) return "";
+  return chargesText(s);
+}
+
+function renderSaleCharges() {
+  const rate = $("saleServiceRate");
+  if (rate) rate.textContent = businessSettings.service_charge_rate;
+
+  const box = $("saleChargesSummary");
+  if (!box) return;
+
+  const subtotal = saleFormSubtotal();
+  if (!(subtotal > 0)) {
+    box.textContent = `VAT ${businessSettings.vat_rate}% is added to the total.`;
+    return;
+  }
+
+  const c = saleFormCharges(subtotal);
+  box.innerHTML = c.discount_amount > c.subtotal
+    ? "The discount is more than the subtotal."
+    : `${escapeHtml(chargesText(c))} · <b>Total ${formatCurrency(c.total)}</b>`;
+}
+
+// rates feed the sale form (cached for offline); the owner also gets the settings form
+async function loadSettings() {
+  try {
+    businessSettings = { ...businessSettings, ...JSON.parse(localStorage.getItem(SETTINGS_CACHE_KEY) || "{}") };
+  } catch { /* keep defaults */ }
+
+  if (navigator.onLine && can("settings:read")) {
+    try {
+      businessSettings = await api("/api/settings");
+      localStorage.setItem(SETTINGS_CACHE_KEY, JSON.stringify(businessSettings));
+    } catch (e) {
+      console.warn("Loading settings failed:", e.message);
     }
-    const all = [...products].sort(sortFn);
-    all.forEach(p => {
-      legacyBody.innerHTML += `
-        <tr>
-          <td>${escapeHtml(p.name)}</td>
-          <td>${escapeHtml(p.sku || "")}</td>
-          <td>${escapeHtml(p.unit || "pcs")}</td>
-          <td>${round2(toNumber(p.qty, 0))}</td>
-          <td>${toNumber(p.reorder_level, 0)}</td>
+  }
+
+  setVal("settingsVatRate", businessSettings.vat_rate);
+  setVal("settingsServiceRate", businessSettings.service_charge_rate);
+  setVal("settingsBusinessName", businessSettings.business_name || "");
+  setVal("settingsBusinessAddress", businessSettings.business_address || "");
+  renderSaleCharges();
+}
+
+async function saveSettings() {
+  if (!navigator.onLine) return alert("You must be online to change settings.");
+
+  const vat_rate = parseFloat(getVal("settingsVatRate"));
+  const service_charge_rate = parseFloat(getVal("settingsServiceRate"));
+  if (![vat_rate, service_charge_rate].every(n => Number.isFinite(n) && n >= 0 && n <= 100)) {
+    return alert("Rates must be percentages between 0 and 100.");
+  }
+  const business_name = cleanStr(getVal("settingsBusinessName"));
+  const business_address = cleanStr(getVal("settingsBusinessAddress"));
+  if (!business_name) return alert("Enter the business name for receipts.");
+
+  const status = $("settingsStatus");
+  try {
+    businessSettings = await api("/api/settings", {
+      method: "PUT",
+      body: JSON.stringify({ vat_rate, service_charge_rate, business_name, business_address })
+    });
+    localStorage.setItem(SETTINGS_CACHE_KEY, JSON.stringify(businessSettings));
+    if (status) status.textContent = "✅ Settings saved. New sales use these rates.";
+    await loadSettings();
+  } catch (e) {
+    alert(`Saving settings failed: ${e.message}`);
+  }
+}
+
+/***********************
+ * MENU & ITEMIZED SALES
+ ***********************/
+const MENU_CACHE_KEY = "seabite_menu";
+let managedMenu = []; // includes inactive items, for the management table
+let recipeMenuItemId = null; // menu item open in the recipe editor
+
+function menuItemName(id) {
+  return menuItems.find(m => Number(m.id) === Number(id))?.name || `Item#${id}`;
+}
+
+function saleLinesTotal() {
+  return round2(pendingLines.reduce((sum, l) => {
+    const m = menuItems.find(x => Number(x.id) === Number(l.menu_item_id));
+    return sum + (Number(m?.price) || 0) * l.qty;
+  }, 0));
+}
+
+function renderSaleMenuSelect() {
+  const select = $("saleMenuItem");
+  if (!select) return;
+
+  select.innerHTML = `<option value="">Menu item…</option>` + menuItems
+    .map(m => `<option value="${m.id}">${escapeHtml(m.name)} — ${formatCurrency(m.price)}</option>`)
+    .join("");
+}
+
+function renderSaleLines() {
+  const box = $("saleLinesSummary");
+  const amountInput = $("saleAmount");
+
+  if (!pendingLines.length) {
+    if (box) box.textContent = "No menu items added — type an amount for a lump-sum sale.";
+    if (amountInput) { amountInput.readOnly = false; }
+    renderUsageSummary();
+    renderSaleCharges();
+    return;
+  }
+
+  if (box) {
+    box.innerHTML = pendingLines.map((l, i) => `
+      <span class="sale-line">${l.qty}x ${escapeHtml(menuItemName(l.menu_item_id))}
+        <button type="button" title="Remove" onclick="removeSaleLine(${i})">✕</button>
+      </span>
+    `).join("") + ` <b>${formatCurrency(saleLinesTotal())}</b>`;
+  }
+  if (amountInput) {
+    amountInput.value = saleLinesTotal();
+    amountInput.readOnly = true;
+  }
+  renderUsageSummary();
+  renderSaleCharges();
+}
+
+function addSaleLine() {
+  const id = Number(getVal("saleMenuItem"));
+  const qty = parseFloat(getVal("saleMenuQty"));
+  if (!id) return alert("Pick a menu item.");
+  if (!isValidQty(qty)) return alert("Enter a quantity.");
+
+  const existing = pendingLines.find(l => l.menu_item_id === id);
+  if (existing) existing.qty = round2(existing.qty + qty);
+  else pendingLines.push({ menu_item_id: id, qty });
+
+  setVal("saleMenuItem", "");
+  setVal("saleMenuQty", "1");
+  renderSaleLines();
+}
+
+function removeSaleLine(index) {
+  pendingLines.splice(index, 1);
+  if (!pendingLines.length) setVal("saleAmount", "");
+  renderSaleLines();
+}
+
+function renderMenuTable(list) {
+  managedMenu = list;
+  const body = $("menuTable");
+  if (!body) return;
+
+  body.innerHTML = list.length
+    ? list.map(m => `
+        <tr>
+          <td>${escapeHtml(m.name)}</td>
+          <td>${escapeHtml(m.category || "")}</td>
+          <td>${formatCurrency(m.price)}</td>
+          <td>${m.is_active ? "Active" : "Inactive"}</td>
           <td>
-            <div class="inv-actions">
-              <button class="in-btn" type="button" onclick="stockMove('${p.id}', 'IN')">Stock IN</button>
-              <button class="out-btn" type="button" onclick="stockMove('${p.id}', 'OUT')">Stock OUT</button>
-              <button class="warn-btn" type="button" onclick="recordLoss('${p.id}', 'SPOILAGE')">Spoilage</button>
-              <button class="warn-btn" type="button" onclick="recordLoss('${p.id}', 'MISHANDLING')">Mishandling</button>
-              <button class="edit-btn" type="button" onclick="editProduct('${p.id}')">Edit</button>
-              <button class="delete-btn" type="button" onclick="deleteProduct('${p.id}')">Delete</button>
+            <div class="action-buttons">
+              <button class="edit-btn" type="button" onclick="editMenuItem('${m.id}')">Edit</button>
+              <button class="edit-btn" type="button" onclick="openRecipeModal('${m.id}')">Recipe${m.recipe?.length ? ` (${m.recipe.length})` : ""}</button>
+              <button class="${m.is_active ? "delete-btn" : "edit-btn"}" type="button" onclick="toggleMenuItem('${m.id}')">${m.is_active ? "Deactivate" : "Activate"}</button>
             </div>
           </td>
         </tr>
-      `;
-    });
-  }
+      `).join("")
+    : `<tr><td colspan="5">No menu items yet.</td></tr>`;
 }
 
-/***********************
- * INVENTORY EXPORT/EMAIL
- ***********************/
-function downloadInventoryCSV() {
-  if (!navigator.onLine) return alert("You must be online to export server CSV.");
-  window.open(`${API_BASE}/api/inventory/export/inventory.csv`, "_blank");
-}
+// active items feed the sale form (cached for offline); managers also get the full table
+async function loadMenu(withTable = false) {
+  try { menuItems = JSON.parse(localStorage.getItem(MENU_CACHE_KEY) || "[]"); } catch { menuItems = []; }
 
-async function emailInventoryCSV() {
-  if (!navigator.onLine) return alert("You must be online to email inventory CSV.");
+  if (navigator.onLine && can("menu:read")) {
+    try {
+      const manage = can("menu:manage");
+      const list = await api(`/api/menu${manage ? "?include_inactive=1" : ""}`);
+      menuItems = list.filter(m => m.is_active);
+      localStorage.setItem(MENU_CACHE_KEY, JSON.stringify(menuItems));
+      if (manage) renderMenuTable(list);
+    } catch (e) {
+      if (withTable) alert(`Loading menu failed: ${e.message}`);
+    }
+  } else if (withTable) {
+    alert("You must be online to manage the menu.");
+  }
 
-  const to = getVal("invEmail").trim();
-  if (!to) return alert("Enter recipient email.");
+  renderSaleMenuSelect();
+  renderSaleLines();
+}
 
-  const status = $("invStatus");
-  if (status) status.textContent = "Sending...";
+async function addMenuItem() {
+  if (!navigator.onLine) return alert("You must be online to manage the menu.");
+
+  const name = cleanStr(getVal("menuItemName"));
+  const category = cleanStr(getVal("menuItemCategory"));
+  const price = parseFloat(getVal("menuItemPrice"));
+  if (!name) return alert("Enter an item name.");
+  if (!Number.isFinite(price) || price < 0) return alert("Enter a price (0 or more).");
 
   try {
-    const resp = await api("/api/inventory/email/inventory", {
-      method: "POST",
-      body: JSON.stringify({ to })
-    });
+    await api("/api/menu", { method: "POST", body: JSON.stringify({ name, category, price }) });
+    ["menuItemName", "menuItemCategory", "menuItemPrice"].forEach(id => setVal(id, ""));
+    await loadMenu(true);
+  } catch (e) {
+    alert(`Adding menu item failed: ${e.message}`);
+  }
+}
 
-    if (status) status.textContent = `✅ Sent! ${JSON.stringify(resp)}`;
-    setVal("invEmail", "");
+async function updateMenuItem(id, changes) {
+  if (!navigator.onLine) return alert("You must be online to manage the menu.");
+
+  try {
+    await api(`/api/menu/${id}`, { method: "PUT", body: JSON.stringify(changes) });
+    await loadMenu(true);
   } catch (e) {
-    const payload = e.data || { error: e.message };
-    if (status) status.textContent = `❌ Failed: ${JSON.stringify(payload)}`;
+    alert(`Updating menu item failed: ${e.message}`);
+  }
+}
 
-    const msg = payload?.error || e.message || "";
+async function editMenuItem(id) {
+  const item = managedMenu.find(m => String(m.id) === String(id));
+  if (!item) return;
 
-    if (isMailNotConfigured(payload) || isNetworkMailError(msg)) {
-      const ok = confirm("SMTP email is not available right now. Use Email (Easy) instead?");
-      if (ok) return emailInventoryEasy();
-    }
+  const name = prompt("Item name:", item.name);
+  if (name === null) return;
+  const category = prompt("Category:", item.category || "");
+  if (category === null) return;
+  const priceRaw = prompt("Price:", item.price);
+  if (priceRaw === null) return;
 
-    alert(`❌ Inventory email failed: ${msg}`);
-  }
+  const price = parseFloat(priceRaw);
+  if (!cleanStr(name) || !Number.isFinite(price) || price < 0) return alert("Invalid inputs");
+
+  await updateMenuItem(id, { name: cleanStr(name), category: cleanStr(category), price });
 }
 
-async function emailInventoryEasy() {
-  const to = getVal("invEmail").trim();
-  if (!to) return alert("Enter recipient email.");
+async function toggleMenuItem(id) {
+  const item = managedMenu.find(m => String(m.id) === String(id));
+  if (!item) return;
+  if (item.is_active && !confirm(`Take ${item.name} off the menu?`)) return;
+  await updateMenuItem(id, { is_active: !item.is_active });
+}
 
-  const status = $("invStatus");
-  if (status) status.textContent = "Opening email app...";
+async function openRecipeModal(id) {
+  if (!navigator.onLine) return alert("You must be online to manage the menu.");
 
-  const csvUrl = `${API_BASE}/api/inventory/export/inventory.csv`;
+  const modal = $("recipeModal");
+  const list = $("recipeList");
+  if (!modal || !list) return;
 
-  const body =
-`Hello,
+  let recipe;
+  try {
+    recipe = await api(`/api/menu/${id}/recipe`);
+  } catch (e) {
+    return alert(`Loading recipe failed: ${e.message}`);
+  }
 
-Please find the Inventory Report.
+  const usable = products
+    .filter(p => !isTmpId(p.id))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  if (!usable.length) return alert("No synced products in inventory yet. Add products first.");
 
-✅ Please attach the downloaded CSV file to this email.
+  recipeMenuItemId = id;
+  const title = $("recipeTitle");
+  if (title) title.textContent = `Recipe: ${recipe.name}`;
+  list.innerHTML = "";
 
-Download link (CSV):
-${csvUrl}
+  usable.forEach(p => {
+    const existing = recipe.ingredients.find(i => Number(i.product_id) === Number(p.id));
+    const isSeafood = normalizeCategory(p.category) === "SEAFOOD";
+    const noPortion = isSeafood && !(toNumber(p.portion_size, 0) > 0);
 
-Generated: ${new Date().toLocaleString()}
+    const meta = isSeafood
+      ? (noPortion ? "Set a portion size first" : `Portions per dish  •  1 portion = ${round2(p.portion_size)} ${escapeHtml(p.unit || "qty")}`)
+      : `${escapeHtml(p.unit || "pcs")} per dish`;
 
-Regards.`;
+    const row = document.createElement("div");
+    row.className = "usage-row";
+    row.innerHTML = `
+      <div>
+        <div class="u-name">${escapeHtml(p.name)}</div>
+        <div class="u-meta">${meta}</div>
+      </div>
+      <input type="number" min="0" step="any" inputmode="decimal"
+             data-pid="${p.id}"
+             ${noPortion ? "disabled" : ""}
+             value="${existing ? existing.qty : 0}" />
+    `;
+    list.appendChild(row);
+  });
 
-  openMailto(to, "Inventory Report - SeaBite Tracker", body);
+  modal.classList.add("show");
+  modal.setAttribute("aria-hidden", "false");
+}
 
-  if (navigator.onLine) {
-    setTimeout(() => {
-      window.open(csvUrl, "_blank");
-      if (status) status.textContent = "✅ Email opened. CSV download opened in a new tab — attach it to the email.";
-    }, 600);
-  } else {
-    if (status) status.textContent = "✅ Email opened. Go online to download the CSV attachment.";
+function closeRecipeModal() {
+  const modal = $("recipeModal");
+  if (!modal) return;
+  modal.classList.remove("show");
+  modal.setAttribute("aria-hidden", "true");
+  recipeMenuItemId = null;
+}
+
+async function saveRecipe() {
+  const list = $("recipeList");
+  if (!list || !recipeMenuItemId) return;
+
+  const ingredients = Array.from(list.querySelectorAll("input[data-pid]"))
+    .map(inp => ({ product_id: Number(inp.getAttribute("data-pid")), qty: Number(inp.value || 0) }))
+    .filter(i => i.qty > 0);
+
+  try {
+    await api(`/api/menu/${recipeMenuItemId}/recipe`, { method: "PUT", body: JSON.stringify({ ingredients }) });
+    closeRecipeModal();
+    await loadMenu(true);
+  } catch (e) {
+    alert(`Saving recipe failed: ${e.message}`);
   }
 }
 
 /***********************
- * QUEUE SYNC
+ * EXPENSE CATEGORIES & BUDGETS
  ***********************/
-function extractServerProduct(resp) {
-  if (!resp) return null;
-  if (resp.id) return resp;
-  if (resp.product?.id) return resp.product;
-  if (resp.data?.product?.id) return resp.data.product;
-  return null;
+const EXPENSE_CATEGORIES_KEY = "seabite_expense_categories";
+let managedCategories = []; // includes inactive ones, for the management table
+
+function renderExpenseCategorySelect() {
+  ["expenseCategory", "recurringCategory"].forEach(id => {
+    const select = $(id);
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = `<option value="">Category (optional)</option>` + expenseCategories
+      .map(c => `<option value="${c.id}" ${String(c.id) === current ? "selected" : ""}>${escapeHtml(c.name)}</option>`)
+      .join("");
+  });
 }
 
-function extractServerLoss(resp) {
-  if (!resp) return null;
-  if (resp.product_id) return resp;
-  if (resp.loss?.product_id) return resp.loss;
-  if (resp.data?.loss?.product_id) return resp.data.loss;
-  return null;
-}
+function renderExpenseCategoryTable(list) {
+  managedCategories = list;
+  const body = $("expenseCategoryTable");
+  if (!body) return;
 
-async function removeTmpProductsMatching(serverProduct) {
-  const key = productMatchKey(serverProduct);
-  const localList = await idbGetAll("products");
-  const tmpMatches = (localList || []).filter(p => isTmpId(p.id) && productMatchKey(p) === key);
-  for (const tmp of tmpMatches) await idbDelete("products", tmp.id);
-}
+  const budgetBtn = (c) => can("budgets:manage")
+    ? `<button class="edit-btn" type="button" onclick="setCategoryBudget('${c.id}')">Set Budget</button>`
+    : "";
 
-async function removeTmpLossesMatching(serverLoss) {
-  const localList = await idbGetAll("losses");
-  const tmpMatches = (localList || []).filter(l => isTmpId(l.id) && isSameLoss(l, serverLoss));
-  for (const tmp of tmpMatches) await idbDelete("losses", tmp.id);
+  body.innerHTML = list.length
+    ? list.map(c => `
+        <tr>
+          <td>${escapeHtml(c.name)}</td>
+          <td>${Number(c.monthly_budget) ? formatCurrency(c.monthly_budget) : "—"}</td>
+          <td>${c.is_active ? "Active" : "Inactive"}</td>
+          <td>
+            <div class="action-buttons">
+              <button class="edit-btn" type="button" onclick="renameExpenseCategory('${c.id}')">Rename</button>
+              ${c.is_active ? budgetBtn(c) : ""}
+              <button class="${c.is_active ? "delete-btn" : "edit-btn"}" type="button" onclick="toggleExpenseCategory('${c.id}')">${c.is_active ? "Deactivate" : "Activate"}</button>
+            </div>
+          </td>
+        </tr>
+      `).join("")
+    : `<tr><td colspan="4">No categories yet.</td></tr>`;
 }
 
-async function flushQueue() {
-  if (!navigator.onLine) return;
-
-  const items = await queueAll();
-  if (!items.length) return;
+// active categories feed the expense form (cached for offline); managers also get the full table
+async function loadExpenseCategories(withTable = false) {
+  try { expenseCategories = JSON.parse(localStorage.getItem(EXPENSE_CATEGORIES_KEY) || "[]"); } catch { expenseCategories = []; }
 
-  for (const item of items) {
+  if (navigator.onLine) {
     try {
-      const resp = await api(item.path, item.options);
+      const manage = can("expense_categories:manage");
+      const list = await api(`/api/finance/expense-categories${manage ? "?include_inactive=1" : ""}`);
+      expenseCategories = list.filter(c => c.is_active);
+      localStorage.setItem(EXPENSE_CATEGORIES_KEY, JSON.stringify(expenseCategories));
+      if (manage) renderExpenseCategoryTable(list);
+    } catch (e) {
+      if (withTable) alert(`Loading categories failed: ${e.message}`);
+    }
+  } else if (withTable) {
+    alert("You must be online to manage categories.");
+  }
 
-      if (item.kind === "product_create") {
-        const serverProduct = extractServerProduct(resp);
-        if (serverProduct) await removeTmpProductsMatching(serverProduct);
-      }
+  renderExpenseCategorySelect();
+}
 
-      if (item.kind === "stock_loss") {
-        const serverLoss = extractServerLoss(resp?.loss || resp);
-        if (serverLoss) await removeTmpLossesMatching(serverLoss);
-      }
+async function addExpenseCategory() {
+  if (!navigator.onLine) return alert("You must be online to manage categories.");
 
-      await queueClearItem(item.qid);
-    } catch (e) {
-      if (typeof e?.status === "number") {
-        console.error("Dropped queued item (server rejected):", item, e);
-        await queueClearItem(item.qid);
-        alert(`⚠️ A queued item was rejected by the server and removed from queue:\n${e.message}`);
-        continue;
-      }
-      break;
-    }
+  const name = cleanStr(getVal("newCategoryName"));
+  if (!name) return alert("Enter a category name.");
+
+  try {
+    await api("/api/finance/expense-categories", { method: "POST", body: JSON.stringify({ name }) });
+    setVal("newCategoryName", "");
+    await loadExpenseCategories(true);
+  } catch (e) {
+    alert(`Adding category failed: ${e.message}`);
   }
+}
 
-  await setQueueUI();
-  await bootApp();
+async function updateExpenseCategory(id, changes) {
+  if (!navigator.onLine) return alert("You must be online to manage categories.");
+
+  try {
+    await api(`/api/finance/expense-categories/${id}`, { method: "PUT", body: JSON.stringify(changes) });
+    await loadExpenseCategories(true);
+  } catch (e) {
+    alert(`Updating category failed: ${e.message}`);
+  }
 }
 
-$("syncBtn")?.addEventListener("click", async () => {
-  await flushQueue();
-  alert("✅ Sync complete (or nothing to sync).");
-});
+async function renameExpenseCategory(id) {
+  const category = managedCategories.find(c => String(c.id) === String(id));
+  const name = prompt("Category name:", category?.name || "");
+  if (name === null || !cleanStr(name)) return;
+  await updateExpenseCategory(id, { name: cleanStr(name) });
+}
 
-window.addEventListener("online", async () => { setNetUI(); await flushQueue(); });
-window.addEventListener("offline", () => setNetUI());
+async function toggleExpenseCategory(id) {
+  const active = Boolean(managedCategories.find(c => String(c.id) === String(id))?.is_active);
+  if (active && !confirm("Deactivate this category? Existing expenses keep it.")) return;
+  await updateExpenseCategory(id, { is_active: !active });
+}
+
+async function setCategoryBudget(id) {
+  if (!navigator.onLine) return alert("You must be online to set budgets.");
+
+  const category = managedCategories.find(c => String(c.id) === String(id));
+  const raw = prompt(`Monthly budget for ${category?.name || "this category"} at this branch (0 for none):`, category?.monthly_budget ?? 0);
+  if (raw === null) return;
+
+  const amount = parseFloat(raw);
+  if (!Number.isFinite(amount) || amount < 0) return alert("Enter 0 or a positive amount.");
+
+  try {
+    await api(`/api/finance/expense-categories/${id}/budget`, { method: "PUT", body: JSON.stringify({ amount }) });
+    await loadExpenseCategories(true);
+  } catch (e) {
+    alert(`Setting budget failed: ${e.message}`);
+  }
+}
 
 /***********************
- * ADMIN RESET DATABASE
+ * RECURRING EXPENSES
  ***********************/
-function initAdminReset() {
-  const panel = $("adminPanel");
-  const btn = $("resetDbBtn");
-  const tokenInput = $("adminResetToken");
-  const status = $("adminStatus");
+// the server posts these into expenses when due (checked every few minutes, and at start-up)
+const FREQUENCY_LABELS = { daily: "Daily", weekly: "Weekly", monthly: "Monthly", quarterly: "Quarterly", yearly: "Yearly" };
+let recurringExpenses = [];
+
+function renderRecurringTable() {
+  const body = $("recurringTable");
+  if (!body) return;
+
+  body.innerHTML = recurringExpenses.length
+    ? recurringExpenses.map(r => `
+        <tr class="${r.is_active ? "" : "paused"}">
+          <td>${escapeHtml(r.description)}${r.category_name ? ` <span class="record-category">${escapeHtml(r.category_name)}</span>` : ""}${r.last_error ? `<span class="record-payment recurring-error">⚠️ ${escapeHtml(r.last_error)}</span>` : ""}</td>
+          <td>${formatCurrency(r.amount)}</td>
+          <td>${escapeHtml(FREQUENCY_LABELS[r.frequency] || r.frequency)}</td>
+          <td>${r.is_active ? escapeHtml(r.next_due) : "—"}</td>
+          <td>${escapeHtml(r.last_posted || "—")}${r.posted_count ? `<span class="record-payment">${r.posted_count} posted</span>` : ""}</td>
+          <td>${r.is_active ? "Active" : "Paused"}</td>
+          <td>
+            <div class="action-buttons">
+              <button class="edit-btn" type="button" onclick="editRecurringExpense('${r.id}')">Edit</button>
+              ${r.is_active ? `<button class="edit-btn" type="button" onclick="skipRecurringExpense('${r.id}')">Skip Next</button>` : ""}
+              <button class="${r.is_active ? "delete-btn" : "edit-btn"}" type="button" onclick="toggleRecurringExpense('${r.id}')">${r.is_active ? "Pause" : "Resume"}</button>
+            </div>
+          </td>
+        </tr>
+      `).join("")
+    : `<tr><td colspan="7">No recurring expenses yet.</td></tr>`;
+}
 
-  if (!panel || !btn || !tokenInput) return;
+async function loadRecurringExpenses(showErrors = false) {
+  if (!navigator.onLine || !can("recurring_expenses:manage")) {
+    if (showErrors) alert("You must be online to manage recurring expenses.");
+    return;
+  }
 
-  tokenInput.addEventListener("input", () => {
-    panel.style.display = "block";
-  });
+  try {
+    recurringExpenses = await api("/api/finance/recurring-expenses");
+    renderRecurringTable();
+  } catch (e) {
+    if (showErrors) alert(`Loading recurring expenses failed: ${e.message}`);
+  }
+}
 
-  panel.style.display = "block";
+// every change may post a due occurrence, so the records are reloaded too
+async function saveRecurringExpense(path, options, failure) {
+  if (!navigator.onLine) return alert("You must be online to manage recurring expenses.");
 
-  btn.addEventListener("click", async () => {
-    if (!navigator.onLine) return alert("You must be online to reset database.");
+  try {
+    await api(path, options);
+    await loadAll();
+  } catch (e) {
+    alert(`${failure}: ${e.message}`);
+  }
+}
 
-    const token = tokenInput.value.trim();
-    if (!token) return alert("Enter admin reset token first.");
+async function addRecurringExpense() {
+  const amount = parseFloat(getVal("recurringAmount"));
+  const description = cleanStr(getVal("recurringDesc"));
+  const frequency = getVal("recurringFrequency") || "monthly";
+  const next_due = getVal("recurringNextDue") || localDateKey(new Date());
+  const category_id = getVal("recurringCategory") || null;
 
-    const confirmText = prompt("Type RESET to confirm database reset:");
-    if (confirmText !== "RESET") return alert("Cancelled.");
+  if (!isValidAmount(amount) || !description) return alert("Enter a valid amount and description.");
+  if (next_due < localDateKey(new Date())) return alert("The first due date can't be in the past.");
 
-    if (status) status.textContent = "Resetting...";
+  await saveRecurringExpense("/api/finance/recurring-expenses", {
+    method: "POST",
+    body: JSON.stringify({ amount, description, category_id, frequency, next_due })
+  }, "Adding recurring expense failed");
 
-    try {
-      const resp = await api("/api/admin/reset", {
-        method: "POST",
-        headers: {
-          "x-admin-reset-token": token,
-          "Authorization": `Bearer ${token}`
-        },
-        body: JSON.stringify({ token })
-      });
+  ["recurringAmount", "recurringDesc", "recurringNextDue", "recurringCategory"].forEach(id => setVal(id, ""));
+}
 
-      await hardClearOfflineData();
+async function editRecurringExpense(id) {
+  const r = recurringExpenses.find(x => String(x.id) === String(id));
+  if (!r) return alert("Recurring expense not found.");
 
-      sales = [];
-      expenses = [];
-      products = [];
-      losses = [];
-      pendingUsage = [];
-      lastReportType = null;
+  const amountRaw = prompt("Amount:", r.amount);
+  if (amountRaw === null) return;
+  const amount = parseFloat(amountRaw);
+  if (!isValidAmount(amount)) return alert("Enter a valid amount.");
 
-      renderFinanceTable();
-      renderProductsTables();
-      renderLossTables();
-      renderUsageSummary();
-      await setQueueUI();
+  const description = prompt("Description:", r.description);
+  if (description === null || !cleanStr(description)) return;
 
-      if (status) status.textContent = `✅ Reset done: ${JSON.stringify(resp)}`;
+  const nextDue = r.is_active ? prompt("Next due date (YYYY-MM-DD):", r.next_due) : r.next_due;
+  if (nextDue === null) return;
 
-      await bootApp();
-      alert("✅ Database reset completed. Offline cache cleared.");
-    } catch (e) {
-      const payload = e.data || { error: e.message };
-      if (status) status.textContent = `❌ Reset failed: ${JSON.stringify(payload)}`;
-      alert(`Reset failed: ${payload.error || e.message}`);
-    }
-  });
+  await saveRecurringExpense(`/api/finance/recurring-expenses/${id}`, {
+    method: "PUT",
+    body: JSON.stringify({ amount, description: cleanStr(description), next_due: cleanStr(nextDue) })
+  }, "Updating recurring expense failed");
+}
+
+async function skipRecurringExpense(id) {
+  const r = recurringExpenses.find(x => String(x.id) === String(id));
+  if (!r || !confirm(`Skip the ${r.next_due} occurrence of "${r.description}"? It won't be posted.`)) return;
+
+  await saveRecurringExpense(`/api/finance/recurring-expenses/${id}/skip`, { method: "POST" }, "Skipping failed");
+}
+
+async function toggleRecurringExpense(id) {
+  const r = recurringExpenses.find(x => String(x.id) === String(id));
+  if (!r) return alert("Recurring expense not found.");
+  if (r.is_active && !confirm(`Pause "${r.description}"? Nothing is posted while paused, and missed dates aren't posted on resume.`)) return;
+
+  await saveRecurringExpense(`/api/finance/recurring-expenses/${id}`, {
+    method: "PUT",
+    body: JSON.stringify({ is_active: !r.is_active })
+  }, r.is_active ? "Pausing failed" : "Resuming failed");
 }
 
 /***********************
@@ -1944,13 +4936,20 @@ function initSeaBiteSidebarNavigation() {
 
 async function wakeBackend() {
   try {
-    await fetch(`${API_BASE}/`, { method: "GET" });
+    const res = await fetch(`${API_BASE}/`, { method: "GET" });
+    const info = await res.json().catch(() => ({}));
+    if (info.timezone) localStorage.setItem(TIMEZONE_KEY, info.timezone);
   } catch (e) {
     console.warn("Wake ping failed:", e);
   }
 }
 
 async function bootApp() {
+  if (!authToken()) {
+    showLogin();
+    return;
+  }
+
   showAppLoading("Waking backend and loading your restaurant data...");
   try {
     await wakeBackend();
@@ -1974,6 +4973,9 @@ async function bootApp() {
  * INIT
  ***********************/
 setNetUI();
+initAuth();
+initLockScreen();
+initLocationSwitcher();
 initAdminReset();
 initSeaBiteSidebarNavigation();
 bootApp();
@@ -1988,14 +4990,70 @@ window.clearUsage = clearUsage;
 window.saveUsage = saveUsage;
 window.generateReport = generateReport;
 window.exportCSV = exportCSV;
+window.generateStaffReport = generateStaffReport;
 window.downloadInventoryCSV = downloadInventoryCSV;
 window.emailInventoryCSV = emailInventoryCSV;
 window.emailInventoryEasy = emailInventoryEasy;
 window.exportLossCSV = exportLossCSV;
 window.editRecord = editRecord;
 window.deleteRecord = deleteRecord;
+window.voidSale = voidSale;
+window.refundSale = refundSale;
 window.editProduct = editProduct;
 window.deleteProduct = deleteProduct;
 window.stockMove = stockMove;
 window.recordLoss = recordLoss;
-window.deleteLoss = deleteLoss;
\ No newline at end of file
+window.deleteLoss = deleteLoss;
+window.transferStock = transferStock;
+window.receiveTransfer = receiveTransfer;
+window.exportTransfersCSV = exportTransfersCSV;
+window.addPoLine = addPoLine;
+window.removePoLine = removePoLine;
+window.savePurchaseOrder = savePurchaseOrder;
+window.sendPurchaseOrder = sendPurchaseOrder;
+window.receivePurchaseOrder = receivePurchaseOrder;
+window.addSupplier = addSupplier;
+window.editSupplier = editSupplier;
+window.toggleSupplier = toggleSupplier;
+window.onBillReceiptChange = onBillReceiptChange;
+window.addSupplierBill = addSupplierBill;
+window.paySupplierBill = paySupplierBill;
+window.generatePayablesReport = generatePayablesReport;
+window.exportPayablesCSV = exportPayablesCSV;
+window.loadAuditLog = loadAuditLog;
+window.loadApiKeys = loadApiKeys;
+window.createApiKey = createApiKey;
+window.revokeApiKey = revokeApiKey;
+window.selectLockUser = selectLockUser;
+window.generateBudgetReport = generateBudgetReport;
+window.generatePaymentsReport = generatePaymentsReport;
+window.exportPaymentsCSV = exportPaymentsCSV;
+window.toggleSplitPayment = toggleSplitPayment;
+window.generateMenuItemReport = generateMenuItemReport;
+window.generateMarginReport = generateMarginReport;
+window.generateTaxReport = generateTaxReport;
+window.exportTaxCSV = exportTaxCSV;
+window.renderSaleCharges = renderSaleCharges;
+window.saveSettings = saveSettings;
+window.openReceipt = openReceipt;
+window.loadClosingExpected = loadClosingExpected;
+window.closeDay = closeDay;
+window.loadClosings = loadClosings;
+window.openZReport = openZReport;
+window.exportZReportCSV = exportZReportCSV;
+window.lockPeriod = lockPeriod;
+window.unlockPeriod = unlockPeriod;
+window.addSaleLine = addSaleLine;
+window.removeSaleLine = removeSaleLine;
+window.loadMenu = loadMenu;
+window.addMenuItem = addMenuItem;
+window.editMenuItem = editMenuItem;
+window.toggleMenuItem = toggleMenuItem;
+window.openRecipeModal = openRecipeModal;
+window.closeRecipeModal = closeRecipeModal;
+window.saveRecipe = saveRecipe;
+window.loadExpenseCategories = loadExpenseCategories;
+window.addExpenseCategory = addExpenseCategory;
+window.renameExpenseCategory = renameExpenseCategory;
+window.toggleExpenseCategory = toggleExpenseCategory;
+window.setCategoryBudget = setCategoryBudget;
\ No newline at end of file